@@ -10,13 +10,23 @@ import { get } from '@ember/object';
 import { typeOf } from '@ember/utils';
 import { hashCode } from '../utils/hash-code';
 import { generateSQLExpressions } from '../utils/sqlite-query';
+import { isNetworkError } from '../utils/network-error';
+import { OfflineError } from '../services/connectivity';
 
 const isISODateString = (str) =>
   typeOf(str) === 'string' &&
   /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d{3})?Z?$/.test(str);
 
+const parseRecord = (data) =>
+  JSON.parse(data, (key, value) =>
+    // Reviver function to convert any ISO strings back to date objects
+    // as we had to initially convert them to strings when stored in SQLite
+    isISODateString(value) ? new Date(value) : value,
+  );
+
 export default class SqliteHandler {
   @service sqlite;
+  @service connectivity;
 
   batchLimit = 5_000;
 
@@ -60,6 +70,7 @@ export default class SqliteHandler {
           listToken,
           writeToDbPromise,
           totalInsert = 0;
+        const fetchedIds = [];
 
         if (!peekDb) {
           const tokenKey = `${type}-${hashCode(remainingQuery)}`;
@@ -77,45 +88,78 @@ export default class SqliteHandler {
             await this.sqlite.deleteResource(type);
           }
 
-          do {
-            try {
-              payload = await adapter.query(store, schema, {
-                ...remainingQuery,
-                list_token: listToken,
-                batchLimit: this.batchLimit,
-              });
-              totalInsert += payload.items?.length ?? 0;
-
-              // await the previous writeToDbPromise before writing to db again
-              if (writeToDbPromise) {
-                await writeToDbPromise;
+          try {
+            do {
+              try {
+                payload = await adapter.query(store, schema, {
+                  ...remainingQuery,
+                  list_token: listToken,
+                  batchLimit: this.batchLimit,
+                });
+                totalInsert += payload.items?.length ?? 0;
+                fetchedIds.push(...(payload.items?.map(({ id }) => id) ?? []));
+
+                // await the previous writeToDbPromise before writing to db again
+                if (writeToDbPromise) {
+                  await writeToDbPromise;
+                }
+              } catch (err) {
+                payload = await this.retryQueryFailure({
+                  err,
+                  type,
+                  adapter,
+                  store,
+                  schema,
+                  remainingQuery,
+                });
+                totalInsert += payload.items?.length ?? 0;
+                fetchedIds.push(...(payload.items?.map(({ id }) => id) ?? []));
               }
-            } catch (err) {
-              payload = await this.retryQueryFailure({
-                err,
-                type,
-                adapter,
+              listToken = payload.list_token;
+
+              writeToDbPromise = this.writeToDb(
+                payload,
+                storeToken,
+                tokenKey,
+                pushToStore,
+                serializer,
                 store,
                 schema,
-                remainingQuery,
+                type,
+              );
+            } while (payload.response_type === 'delta');
+
+            await writeToDbPromise;
+
+            // Resources the API does not paginate (e.g. workers) never return a
+            // list token, so we also never get `removed_ids` back for them.
+            // The response is the complete list in that case and anything
+            // cached that matches the query but wasn't returned is stale.
+            if (!listToken) {
+              await this.removeStaleRecords({
+                type,
+                queryObj,
+                fetchedIds,
+                pushToStore,
+                store,
               });
-              totalInsert += payload.items?.length ?? 0;
             }
-            listToken = payload.list_token;
-
-            writeToDbPromise = this.writeToDb(
-              payload,
-              storeToken,
-              tokenKey,
-              pushToStore,
-              serializer,
-              store,
-              schema,
-              type,
-            );
-          } while (payload.response_type === 'delta');
 
-          await writeToDbPromise;
+            this.connectivity.recordSync(type, remainingQuery);
+          } catch (err) {
+            // When the controller can't be reached, fall back to what we have
+            // cached. Anything fetched before the failure was still written,
+            // and the stored list token picks up from there next time.
+            if (
+              !isNetworkError(err) ||
+              !storeToken ||
+              !this.connectivity.lastSyncedAt(type, remainingQuery)
+            ) {
+              throw err;
+            }
+            await writeToDbPromise;
+            this.connectivity.markStale(type, remainingQuery);
+          }
         }
 
         if (totalInsert > 0) {
@@ -143,13 +187,7 @@ export default class SqliteHandler {
           parameters: countParams,
         });
 
-        const results = rows.map((item) =>
-          JSON.parse(item.data, (key, value) =>
-            // Reviver function to convert any ISO strings back to date objects
-            // as we had to initially convert them to strings when stored in SQLite
-            isISODateString(value) ? new Date(value) : value,
-          ),
-        );
+        const results = rows.map((item) => parseRecord(item.data));
 
         // If we are not pushing to the store, use the raw data with id property
         const records = pushToStore
@@ -166,6 +204,53 @@ export default class SqliteHandler {
         records.meta = { totalItems: count[0].total };
         return records;
       }
+      case 'findRecord': {
+        const { store, data } = context.request;
+        const { type, id } = data.record;
+
+        if (!modelMapping[type] || !this.sqlite.worker) {
+          return next(context.request);
+        }
+
+        try {
+          const record = await next(context.request);
+          this.connectivity.markOnline();
+          return record;
+        } catch (err) {
+          if (!isNetworkError(err)) {
+            throw err;
+          }
+          // Serve the record as it was when its list was last synced
+          const [row] = await this.sqlite.fetchResource(
+            generateSQLExpressions(
+              type,
+              { filters: { id: [{ equals: id }] } },
+              { select: [{ field: 'data' }] },
+            ),
+          );
+          if (!row) {
+            this.connectivity.markOffline();
+            throw err;
+          }
+          this.connectivity.markStale(type);
+          return store.push({ data: parseRecord(row.data) });
+        }
+      }
+      case 'createRecord':
+      case 'updateRecord':
+      case 'deleteRecord': {
+        // Changes can't be cached, so block them until we are back online
+        this.connectivity.assertOnline();
+        try {
+          return await next(context.request);
+        } catch (err) {
+          if (isNetworkError(err)) {
+            this.connectivity.markOffline();
+            throw new OfflineError();
+          }
+          throw err;
+        }
+      }
       default:
         return next(context.request);
     }
@@ -210,6 +295,43 @@ export default class SqliteHandler {
     }
   }
 
+  /**
+   * Deletes cached records that match the filters of the query but were not
+   * returned by the API. Only used for unpaginated responses, which are
+   * always the complete list.
+   * @param {object} options
+   * @param {string} options.type
+   * @param {?object} options.queryObj
+   * @param {[string]} options.fetchedIds
+   * @param {boolean} options.pushToStore
+   * @param {Store} options.store
+   */
+  async removeStaleRecords({ type, queryObj, fetchedIds, pushToStore, store }) {
+    const { sql, parameters } = generateSQLExpressions(
+      type,
+      { filters: queryObj?.filters },
+      { select: [{ field: 'id' }] },
+    );
+    const rows = await this.sqlite.fetchResource({ sql, parameters });
+    const fetched = new Set(fetchedIds);
+    const staleIds = rows.map(({ id }) => id).filter((id) => !fetched.has(id));
+
+    if (staleIds.length === 0) {
+      return;
+    }
+
+    await this.sqlite.deleteResource(type, staleIds);
+
+    if (pushToStore) {
+      staleIds.forEach((id) => {
+        const record = store.peekRecord(type, id);
+        if (record) {
+          store.unloadRecord(record);
+        }
+      });
+    }
+  }
+
   async writeToDb(
     payload,
     storeToken,
@@ -6,6 +6,7 @@
 import GeneratedWorkerModel from '../generated/models/worker';
 
 export const TYPE_WORKER_PKI = 'pki';
+export const TYPE_WORKER_KMS = 'kms';
 
 export const TAG_TYPE_CONFIG = 'config';
 export const TAG_TYPE_API = 'api';
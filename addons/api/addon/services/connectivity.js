@@ -0,0 +1,166 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+import Service, { service } from '@ember/service';
+import { getOwner } from '@ember/application';
+import { tracked } from '@glimmer/tracking';
+import { action } from '@ember/object';
+
+/**
+ * Thrown when a change is attempted while the controller is unreachable.
+ * The message is a translation key, so it is translated when shown through
+ * `notifyError`.
+ */
+export class OfflineError extends Error {
+  name = 'OfflineError';
+
+  constructor() {
+    super('errors.offline.mutation');
+  }
+}
+
+/**
+ * Tracks whether the controller is reachable.  While it is not, the
+ * `SqliteHandler` serves lists and details from the SQLite cache and blocks
+ * changes, and this service remembers how old the cached data being shown
+ * is.  When the browser comes back online the current route is refreshed,
+ * which brings the cache up to date using the stored list tokens.
+ */
+export default class ConnectivityService extends Service {
+  // =services
+
+  @service router;
+  @service sqlite;
+  @service storage;
+
+  // =attributes
+
+  /**
+   * True after a request failed because the controller could not be reached,
+   * until a request succeeds again.
+   * @type {boolean}
+   */
+  @tracked isOffline = false;
+
+  /**
+   * When the oldest cached data served since going offline was last synced
+   * with the controller.
+   * @type {?Date}
+   */
+  @tracked staleAsOf = null;
+
+  /**
+   * @type {Window}
+   */
+  get window() {
+    return getOwner(this).lookup('service:-document').documentElement.parentNode
+      .defaultView;
+  }
+
+  // =methods
+
+  constructor() {
+    super(...arguments);
+    this.window?.addEventListener('online', this.reconcile);
+  }
+
+  willDestroy() {
+    super.willDestroy(...arguments);
+    this.window?.removeEventListener('online', this.reconcile);
+  }
+
+  /**
+   * Returns when the cached records of a type were last synced with the
+   * controller, if ever.  With a query, only syncs of the list of that query
+   * count, e.g. `{ scope_id: 'global', recursive: true }` for every record.
+   * @param {string} type
+   * @param {object} [query] - API query of the list, such as `scope_id`
+   * @return {?Date}
+   */
+  lastSyncedAt(type, query) {
+    const synced = this.storage.getItem(this.#syncKey(type, query));
+    return synced ? new Date(synced) : null;
+  }
+
+  /**
+   * Records that the cached records of a type, and of the list of a query,
+   * were just synced with the controller.  A successful sync also means we
+   * are back online.
+   * @param {string} type
+   * @param {object} [query] - API query of the list, such as `scope_id`
+   */
+  recordSync(type, query) {
+    const syncedAt = new Date().toISOString();
+    this.storage.setItem(this.#syncKey(type), syncedAt);
+    this.storage.setItem(this.#syncKey(type, query), syncedAt);
+    this.markOnline();
+  }
+
+  /**
+   * Marks the controller as unreachable.
+   */
+  markOffline() {
+    this.isOffline = true;
+  }
+
+  /**
+   * Marks the controller as reachable and forgets about stale data.
+   */
+  markOnline() {
+    // Only touch tracked state when it changes, this runs after every request
+    if (this.isOffline) {
+      this.isOffline = false;
+      this.staleAsOf = null;
+    }
+  }
+
+  /**
+   * Marks the controller as unreachable and records that cached records of
+   * a type, or of the list of a query, are being shown instead.
+   * @param {string} type
+   * @param {object} [query]
+   */
+  markStale(type, query) {
+    this.markOffline();
+    const synced = this.lastSyncedAt(type, query);
+    if (synced && (!this.staleAsOf || synced < this.staleAsOf)) {
+      this.staleAsOf = synced;
+    }
+  }
+
+  /**
+   * Throws an `OfflineError` if the controller is known to be unreachable.
+   */
+  assertOnline() {
+    if (this.isOffline) {
+      throw new OfflineError();
+    }
+  }
+
+  /**
+   * While offline, refreshes the current route, which re-runs its queries
+   * against the controller.  Lists only fetch what changed since their stored
+   * list token, and a successful response takes us back online.
+   */
+  @action
+  async reconcile() {
+    if (this.isOffline) {
+      await this.router.refresh();
+    }
+  }
+
+  // Private methods
+
+  #syncKey(type, query = {}) {
+    const key = `connectivity:${this.sqlite.dbName}:${type}`;
+    // Sorted, so the same query always has the same key
+    const params = Object.entries(query)
+      .filter(([, value]) => value != null)
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([param, value]) => `${param}=${JSON.stringify(value)}`)
+      .join('&');
+    return params ? `${key}:${params}` : key;
+  }
+}
@@ -0,0 +1,203 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+import Service, { service } from '@ember/service';
+import { tracked } from '@glimmer/tracking';
+
+/**
+ * Version of the JSON format presets are exported in.
+ * @type {number}
+ */
+export const EXPORT_VERSION = 1;
+
+/**
+ * Thrown when imported presets can't be read.  The message is a translation
+ * key, so it is translated when shown through `notifyError`.
+ */
+export class InvalidPresetsError extends Error {
+  name = 'InvalidPresetsError';
+
+  constructor() {
+    super('errors.filter-presets.invalid');
+  }
+}
+
+/**
+ * Drops empty values from a filter object, so presets only hold the filters
+ * that are actually applied.
+ *
+ * @example
+ *   compactFilters({ search: '', types: ['ssh'], availableSessions: [] });
+ *   // { types: ['ssh'] }
+ *
+ * @param {object} filters
+ * @return {object}
+ */
+export function compactFilters(filters = {}) {
+  return Object.entries(filters).reduce((compacted, [key, value]) => {
+    if (Array.isArray(value)) {
+      const values = [...new Set(value.filter((item) => item != null))];
+      if (values.length) compacted[key] = values;
+    } else if (value != null && value !== '') {
+      compacted[key] = value;
+    }
+    return compacted;
+  }, {});
+}
+
+const isPreset = (preset) =>
+  typeof preset?.name === 'string' &&
+  preset.name.trim() &&
+  preset.filters &&
+  typeof preset.filters === 'object' &&
+  !Array.isArray(preset.filters);
+
+/**
+ * Named filter presets for resource lists.  A preset is a filter object like
+ * the `selectedFilters` of a list controller, plus the search text:
+ *
+ *     { name: 'SSH targets', pinned: true, filters: { types: ['ssh'] } }
+ *
+ * Presets are kept per resource type in the `storage` service, under the
+ * SQLite database name so each user on each cluster has their own.  There is
+ * no database before sign in, so nothing is kept until then.
+ */
+export default class FilterPresetsService extends Service {
+  // =services
+
+  @service sqlite;
+  @service storage;
+
+  // =attributes
+
+  /**
+   * Storage isn't tracked, so this is bumped whenever presets change to
+   * recompute anything that read them.
+   * @type {number}
+   */
+  @tracked version = 0;
+
+  // =methods
+
+  /**
+   * Returns the saved presets of a resource type.
+   * @param {string} type
+   * @return {[object]}
+   */
+  presetsFor(type) {
+    // Consume `version` so callers are invalidated on changes
+    this.version;
+    const key = this.#key(type);
+    return key ? (this.storage.getItem(key) ?? []) : [];
+  }
+
+  /**
+   * Saves the filters of a resource type under a name, replacing any preset
+   * with the same name.
+   * @param {string} type
+   * @param {string} name
+   * @param {object} filters
+   * @param {object} options
+   * @param {boolean} options.pinned - show the preset on the list toolbar
+   * @return {object} the saved preset
+   */
+  save(type, name, filters, { pinned = false } = {}) {
+    const preset = {
+      name: name.trim(),
+      pinned,
+      filters: compactFilters(filters),
+    };
+    const presets = this.presetsFor(type).filter(
+      (existing) => existing.name !== preset.name,
+    );
+    this.#persist(type, [...presets, preset]);
+    return preset;
+  }
+
+  /**
+   * Deletes a preset.
+   * @param {string} type
+   * @param {string} name
+   */
+  remove(type, name) {
+    this.#persist(
+      type,
+      this.presetsFor(type).filter((preset) => preset.name !== name),
+    );
+  }
+
+  /**
+   * Pins a preset to the list toolbar, or unpins it.
+   * @param {string} type
+   * @param {string} name
+   */
+  togglePin(type, name) {
+    this.#persist(
+      type,
+      this.presetsFor(type).map((preset) =>
+        preset.name === name ? { ...preset, pinned: !preset.pinned } : preset,
+      ),
+    );
+  }
+
+  /**
+   * Returns the presets of a resource type as a JSON string that can be
+   * shared and imported elsewhere.
+   * @param {string} type
+   * @return {string}
+   */
+  exportPresets(type) {
+    return JSON.stringify(
+      { version: EXPORT_VERSION, type, presets: this.presetsFor(type) },
+      null,
+      2,
+    );
+  }
+
+  /**
+   * Imports presets exported by `exportPresets`.  Imported presets replace
+   * saved presets with the same name.  Throws an `InvalidPresetsError` if the
+   * JSON isn't an export of the same resource type.
+   * @param {string} type
+   * @param {string} json
+   * @return {number} the number of imported presets
+   */
+  importPresets(type, json) {
+    let data;
+    try {
+      data = JSON.parse(json);
+    } catch {
+      throw new InvalidPresetsError();
+    }
+    if (
+      data?.version !== EXPORT_VERSION ||
+      data.type !== type ||
+      !Array.isArray(data.presets) ||
+      !data.presets.every(isPreset)
+    ) {
+      throw new InvalidPresetsError();
+    }
+
+    data.presets.forEach(({ name, pinned, filters }) =>
+      this.save(type, name, filters, { pinned: Boolean(pinned) }),
+    );
+    return data.presets.length;
+  }
+
+  // Private methods
+
+  #key(type) {
+    const { dbName } = this.sqlite;
+    return dbName ? `filter-presets:${dbName}:${type}` : null;
+  }
+
+  #persist(type, presets) {
+    const key = this.#key(type);
+    if (key) {
+      this.storage.setItem(key, presets);
+    }
+    this.version++;
+  }
+}
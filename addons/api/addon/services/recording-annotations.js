@@ -0,0 +1,133 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+import Service, { service } from '@ember/service';
+import { tracked } from '@glimmer/tracking';
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * Version of the JSON format annotations are exported in.
+ * @type {number}
+ */
+export const EXPORT_VERSION = 1;
+
+export const TYPE_ANNOTATION = 'annotation';
+export const TYPE_BOOKMARK = 'bookmark';
+
+/**
+ * Timestamped annotations and bookmarks reviewers add to channel recordings:
+ *
+ *     { id: '…', type: 'bookmark', time: 12.5, text: 'Config changed' }
+ *
+ * Annotations are kept per channel recording in the `storage` service, under
+ * the SQLite database name so each user on each cluster has their own.  There
+ * is no database before sign in, so nothing is kept until then.
+ */
+export default class RecordingAnnotationsService extends Service {
+  // =services
+
+  @service sqlite;
+  @service storage;
+
+  // =attributes
+
+  /**
+   * Storage isn't tracked, so this is bumped whenever annotations change to
+   * recompute anything that read them.
+   * @type {number}
+   */
+  @tracked version = 0;
+
+  // =methods
+
+  /**
+   * Returns the annotations of a channel recording, ordered by time.
+   * @param {string} channelRecordingID
+   * @return {[object]}
+   */
+  annotationsFor(channelRecordingID) {
+    // Consume `version` so callers are invalidated on changes
+    this.version;
+    const key = this.#key(channelRecordingID);
+    const annotations = key ? this.storage.getItem(key) : null;
+    return [...(annotations ?? [])].sort((a, b) => a.time - b.time);
+  }
+
+  /**
+   * Adds an annotation or bookmark to a channel recording.
+   * @param {string} channelRecordingID
+   * @param {object} annotation
+   * @param {string} annotation.type - `annotation` or `bookmark`
+   * @param {number} annotation.time - seconds since the start of the recording
+   * @param {string} annotation.text
+   * @return {object} the added annotation
+   */
+  add(channelRecordingID, { type = TYPE_ANNOTATION, time, text = '' }) {
+    const annotation = {
+      id: uuidv4(),
+      type,
+      time: Math.max(time, 0),
+      text: text.trim(),
+    };
+    this.#persist(channelRecordingID, [
+      ...this.annotationsFor(channelRecordingID),
+      annotation,
+    ]);
+    return annotation;
+  }
+
+  /**
+   * Removes an annotation from a channel recording.
+   * @param {string} channelRecordingID
+   * @param {string} id
+   */
+  remove(channelRecordingID, id) {
+    this.#persist(
+      channelRecordingID,
+      this.annotationsFor(channelRecordingID).filter(
+        (annotation) => annotation.id !== id,
+      ),
+    );
+  }
+
+  /**
+   * Returns the annotations of a channel recording as a JSON string, along
+   * with the IDs of the recordings they were made on.
+   * @param {ChannelRecordingModel} channelRecording
+   * @return {string}
+   */
+  exportAnnotations(channelRecording) {
+    return JSON.stringify(
+      {
+        version: EXPORT_VERSION,
+        session_recording_id:
+          channelRecording.connection_recording?.session_recording?.id,
+        channel_recording_id: channelRecording.id,
+        annotations: this.annotationsFor(channelRecording.id),
+      },
+      null,
+      2,
+    );
+  }
+
+  // Private methods
+
+  #key(channelRecordingID) {
+    const { dbName } = this.sqlite;
+    return dbName
+      ? `recording-annotations:${dbName}:${channelRecordingID}`
+      : null;
+  }
+
+  #persist(channelRecordingID, annotations) {
+    const key = this.#key(channelRecordingID);
+    if (key && annotations.length) {
+      this.storage.setItem(key, annotations);
+    } else if (key) {
+      this.storage.removeItem(key);
+    }
+    this.version++;
+  }
+}
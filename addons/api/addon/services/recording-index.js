@@ -0,0 +1,204 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+import Service, { service } from '@ember/service';
+import { modelMapping } from 'api/services/sqlite';
+import { asciicastLines } from 'api/utils/asciicast';
+
+const RESOURCE = 'recording-line';
+
+/**
+ * Indexes the terminal output and input of session recordings into the
+ * local database, so recordings can be searched for the commands run in
+ * them.  Each channel recording is indexed line by line from its asciicast,
+ * with the time each line was recorded at.
+ */
+export default class RecordingIndexService extends Service {
+  // =services
+
+  @service sqlite;
+  @service db;
+  @service store;
+  @service can;
+
+  // =attributes
+
+  /**
+   * True if there is a local database to index recordings into.
+   * @type {boolean}
+   */
+  get isAvailable() {
+    return Boolean(this.sqlite.worker);
+  }
+
+  // =methods
+
+  /**
+   * Replaces the indexed lines of a channel recording with the lines of its
+   * asciicast.
+   * @param {ChannelRecordingModel} channelRecording
+   * @param {string} asciicast
+   * @return {Promise<number>} the number of lines indexed
+   */
+  async indexChannel(channelRecording, asciicast) {
+    const sessionRecording =
+      channelRecording.connection_recording.session_recording;
+    const columns = Object.keys(modelMapping[RESOURCE]);
+    const items = asciicastLines(asciicast).map(({ time, type, text }, i) => {
+      const line = {
+        id: `${channelRecording.id}:${i}`,
+        session_recording_id: sessionRecording.id,
+        channel_recording_id: channelRecording.id,
+        scope_id: sessionRecording.scopeID,
+        type,
+        time,
+        text,
+      };
+      return [...columns.map((column) => line[column]), JSON.stringify(line)];
+    });
+
+    await this.#removeChannel(channelRecording.id);
+    await this.sqlite.insertResource(RESOURCE, items);
+    return items.length;
+  }
+
+  /**
+   * Returns true if the lines of a channel recording are indexed.
+   * @param {string} id
+   * @return {Promise<boolean>}
+   */
+  async isChannelIndexed(id) {
+    const rows = await this.db.query(RESOURCE, {
+      select: [{ field: 'id' }],
+      page: 1,
+      pageSize: 1,
+      query: { filters: { channel_recording_id: [{ equals: id }] } },
+    });
+    return rows.length > 0;
+  }
+
+  /**
+   * Indexes every channel of a session recording the user may download.
+   * @param {SessionRecordingModel} sessionRecording
+   * @return {Promise<number>} the number of channels indexed
+   */
+  async indexSessionRecording(sessionRecording) {
+    // List responses don't include connection and channel recordings
+    const record = await this.store.findRecord(
+      'session-recording',
+      sessionRecording.id,
+      { reload: true },
+    );
+    const channelRecordings = record.connection_recordings
+      .flatMap(({ channel_recordings }) => channel_recordings)
+      .filter((channelRecording) =>
+        this.can.can('getAsciicast channel-recording', channelRecording),
+      );
+
+    for (const channelRecording of channelRecordings) {
+      const asciicast = await channelRecording.getAsciicast();
+      await this.indexChannel(channelRecording, asciicast);
+    }
+    return channelRecordings.length;
+  }
+
+  /**
+   * Indexes the session recordings that aren't indexed yet, one at a time, so
+   * a failure on one doesn't stop the others.
+   * @param {[SessionRecordingModel]} sessionRecordings
+   * @return {Promise<{indexed: number, errors: [Error]}>}
+   */
+  async indexSessionRecordings(sessionRecordings) {
+    const indexedIDs = await this.indexedSessionRecordingIDs(
+      sessionRecordings.map(({ id }) => id),
+    );
+    const errors = [];
+    let indexed = 0;
+
+    for (const sessionRecording of sessionRecordings) {
+      if (indexedIDs.has(sessionRecording.id)) continue;
+      try {
+        await this.indexSessionRecording(sessionRecording);
+        indexed++;
+      } catch (error) {
+        errors.push(error);
+      }
+    }
+    return { indexed, errors };
+  }
+
+  /**
+   * Returns which of the session recordings have indexed lines.
+   * @param {[string]} ids
+   * @return {Promise<Set<string>>}
+   */
+  async indexedSessionRecordingIDs(ids) {
+    if (!ids.length) return new Set();
+    const rows = await this.db.query(RESOURCE, {
+      select: [{ field: 'session_recording_id', isDistinct: true }],
+      query: {
+        filters: {
+          session_recording_id: ids.map((id) => ({ equals: id })),
+        },
+      },
+    });
+    return new Set(
+      rows.map(({ session_recording_id }) => session_recording_id),
+    );
+  }
+
+  /**
+   * Full-text searches the indexed lines of the session recordings.  Matches
+   * are grouped by session recording and ordered by time, each with the
+   * whole second to start playing its channel at.
+   * @param {string} text
+   * @param {[string]} ids - session recording IDs
+   * @return {Promise<Map<string, [object]>>}
+   */
+  async search(text, ids) {
+    const matches = new Map();
+    if (!text || !ids.length) return matches;
+
+    const rows = await this.db.query(RESOURCE, {
+      query: {
+        search: { text, fields: ['text'] },
+        filters: {
+          session_recording_id: ids.map((id) => ({ equals: id })),
+        },
+        sort: { attributes: ['session_recording_id', 'time'] },
+      },
+    });
+    rows.forEach((row) => {
+      const { session_recording_id } = row;
+      if (!matches.has(session_recording_id)) {
+        matches.set(session_recording_id, []);
+      }
+      matches
+        .get(session_recording_id)
+        .push({ ...row, startAt: Math.floor(row.time) });
+    });
+    return matches;
+  }
+
+  // Private methods
+
+  /**
+   * Removes the indexed lines of a channel recording.
+   * @param {string} id
+   */
+  async #removeChannel(id) {
+    const rows = await this.db.query(RESOURCE, {
+      select: [{ field: 'id' }],
+      query: { filters: { channel_recording_id: [{ equals: id }] } },
+    });
+    // Deleting without IDs would remove every line
+    if (rows.length) {
+      await this.sqlite.deleteResource(
+        RESOURCE,
+        rows.map(({ id }) => id),
+      );
+    }
+  }
+}
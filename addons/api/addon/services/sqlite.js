@@ -114,6 +114,104 @@ export const modelMapping = {
     scope_id: 'scope.scope_id',
     created_time: 'created_time',
   },
+  host: {
+    id: 'id',
+    type: 'type',
+    name: 'name',
+    description: 'description',
+    address: 'address',
+    host_catalog_id: 'host_catalog_id',
+    scope_id: 'scope.scope_id',
+    created_time: 'created_time',
+  },
+  'host-set': {
+    id: 'id',
+    type: 'type',
+    name: 'name',
+    description: 'description',
+    host_catalog_id: 'host_catalog_id',
+    scope_id: 'scope.scope_id',
+    created_time: 'created_time',
+  },
+  worker: {
+    id: 'id',
+    type: 'type',
+    name: 'name',
+    description: 'description',
+    address: 'address',
+    release_version: 'release_version',
+    last_status_time: 'last_status_time',
+    scope_id: 'scope.scope_id',
+    created_time: 'created_time',
+  },
+  'credential-library': {
+    id: 'id',
+    type: 'type',
+    name: 'name',
+    description: 'description',
+    credential_type: 'credential_type',
+    credential_store_id: 'credential_store_id',
+    scope_id: 'scope.scope_id',
+    created_time: 'created_time',
+  },
+  credential: {
+    id: 'id',
+    type: 'type',
+    name: 'name',
+    description: 'description',
+    credential_store_id: 'credential_store_id',
+    scope_id: 'scope.scope_id',
+    created_time: 'created_time',
+  },
+  account: {
+    id: 'id',
+    type: 'type',
+    name: 'name',
+    description: 'description',
+    login_name: 'login_name',
+    auth_method_id: 'auth_method_id',
+    scope_id: 'scope.scope_id',
+    created_time: 'created_time',
+  },
+  'managed-group': {
+    id: 'id',
+    type: 'type',
+    name: 'name',
+    description: 'description',
+    auth_method_id: 'auth_method_id',
+    scope_id: 'scope.scope_id',
+    created_time: 'created_time',
+  },
+  'storage-bucket': {
+    id: 'id',
+    type: 'type',
+    name: 'name',
+    description: 'description',
+    bucket_name: 'bucket_name',
+    plugin_name: 'plugin.name',
+    scope_id: 'scope.scope_id',
+    created_time: 'created_time',
+  },
+  policy: {
+    id: 'id',
+    type: 'type',
+    name: 'name',
+    description: 'description',
+    scope_id: 'scope.scope_id',
+    created_time: 'created_time',
+  },
+  // Lines of terminal output and input of channel recordings. These are not
+  // a model, they are indexed from downloaded asciicasts by the
+  // `recording-index` service.
+  'recording-line': {
+    id: 'id',
+    session_recording_id: 'session_recording_id',
+    channel_recording_id: 'channel_recording_id',
+    scope_id: 'scope_id',
+    type: 'type',
+    time: 'time',
+    text: 'text',
+  },
 };
 
 export default class SqliteDbService extends Service {
@@ -123,6 +221,8 @@ export default class SqliteDbService extends Service {
   webWorker;
   // This will be the worker we interact with that is wrapped by PWBHost.
   worker;
+  // The name of the database the worker was set up with, unique per user and cluster.
+  dbName;
 
   setup(dbName) {
     if (this.worker) {
@@ -130,6 +230,8 @@ export default class SqliteDbService extends Service {
       return;
     }
 
+    this.dbName = dbName;
+
     // In production, our JS files will be fingerprinted with an MD5 hash
     // so we need a way to map the worker file name to be able to find it.
     //
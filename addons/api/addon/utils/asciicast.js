@@ -0,0 +1,181 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+export const EVENT_OUTPUT = 'o';
+export const EVENT_INPUT = 'i';
+
+// Operating system commands, e.g. setting the window title
+// eslint-disable-next-line no-control-regex -- terminal escapes are control characters
+const OSC = /\u001b\][^\u0007\u001b]*(?:\u0007|\u001b\\)/g;
+// Control sequences, e.g. colors and cursor movement
+// eslint-disable-next-line no-control-regex -- terminal escapes are control characters
+const CSI = /\u001b\[[0-?]*[ -/]*[@-~]/g;
+// Any other escape sequence
+// eslint-disable-next-line no-control-regex -- terminal escapes are control characters
+const ESC = /\u001b[@-Z\\-_]?/g;
+// Control characters other than the ones lines are built from
+// eslint-disable-next-line no-control-regex -- stripping control characters is the point
+const CONTROL = /[\u0000-\u0007\u000b\u000c\u000e-\u001f]/g;
+
+/**
+ * Removes terminal escape sequences and control characters from text,
+ * keeping line breaks, carriage returns and backspaces.
+ * @param {string} text
+ * @return {string}
+ */
+export function stripEscapes(text) {
+  return text
+    .replace(OSC, '')
+    .replace(CSI, '')
+    .replace(ESC, '')
+    .replace(CONTROL, '');
+}
+
+/**
+ * Formats seconds since the start of a recording the way players show them.
+ *
+ * @example
+ *   formatTime(65.4); // '1:05'
+ *   formatTime(3725); // '1:02:05'
+ *
+ * @param {number} seconds
+ * @return {string}
+ */
+export function formatTime(seconds) {
+  const total = Math.floor(Math.max(seconds, 0));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const pad = (value) => String(value).padStart(2, '0');
+  const secs = pad(total % 60);
+  return hours ? `${hours}:${pad(minutes)}:${secs}` : `${minutes}:${secs}`;
+}
+
+/**
+ * Parses an asciicast into its header and events.  Event times are seconds
+ * since the start of the recording, for both version 2, which records them
+ * that way, and version 3, which records the interval since the previous
+ * event.
+ * @param {string} asciicast
+ * @return {{header: object, events: [{time: number, code: string, data: string}]}}
+ */
+export function parseAsciicast(asciicast) {
+  const [headerLine, ...eventLines] = asciicast
+    .split('\n')
+    .filter((line) => line.trim());
+  const header = JSON.parse(headerLine);
+  let time = 0;
+
+  const events = eventLines.flatMap((line) => {
+    let event;
+    try {
+      event = JSON.parse(line);
+    } catch {
+      // Version 3 allows comment lines
+      return [];
+    }
+    if (!Array.isArray(event)) return [];
+    const [eventTime, code, data] = event;
+    time = header.version === 3 ? time + eventTime : eventTime;
+    return [{ time, code, data }];
+  });
+
+  return { header, events };
+}
+
+/**
+ * Rebuilds the lines of terminal output and input of an asciicast, each with
+ * the time its first character was recorded at, ordered by time.  Escape
+ * sequences are removed and backspaces applied.  Output lines overwritten by
+ * a carriage return only keep what was written last, while a carriage return
+ * ends an input line, as pressing enter does.
+ *
+ * @example
+ *   asciicastLines('{"version": 2}\n[1.5, "o", "$ ls\\r\\n"]');
+ *   // [{ time: 1.5, type: 'o', text: '$ ls' }]
+ *
+ * @param {string} asciicast
+ * @return {[{time: number, type: string, text: string}]}
+ */
+export function asciicastLines(asciicast) {
+  const lines = [];
+  const buffers = {
+    [EVENT_OUTPUT]: { time: null, text: '' },
+    [EVENT_INPUT]: { time: null, text: '' },
+  };
+  const flush = (type) => {
+    const buffer = buffers[type];
+    const text = buffer.text.trimEnd();
+    if (text.trim()) lines.push({ time: buffer.time, type, text });
+    buffers[type] = { time: null, text: '' };
+  };
+
+  parseAsciicast(asciicast).events.forEach(({ time, code, data }) => {
+    if (!buffers[code] || typeof data !== 'string') return;
+    const text = stripEscapes(data);
+
+    [...text].forEach((char) => {
+      // Whether a carriage return starts a new line or overwrites the line
+      // is only known from the character after it, which may be in the
+      // next event.
+      if (buffers[code].isReturned && char !== '\n') {
+        buffers[code] = { time: null, text: '' };
+      }
+      if (char === '\n') {
+        flush(code);
+      } else if (char === '\r') {
+        if (code === EVENT_INPUT) flush(code);
+        else buffers[code].isReturned = true;
+      } else if (char === '\b' || char === '\u007f') {
+        buffers[code].text = buffers[code].text.slice(0, -1);
+      } else {
+        buffers[code].time ??= time;
+        buffers[code].text += char;
+      }
+    });
+  });
+  flush(EVENT_OUTPUT);
+  flush(EVENT_INPUT);
+
+  return lines.sort((a, b) => a.time - b.time);
+}
+
+// Rounds event times to microseconds, as floating point subtraction leaves
+// long tails on them
+const roundTime = (time) => Math.round(time * 1e6) / 1e6;
+
+/**
+ * Trims an asciicast to the events recorded between two times, inclusive,
+ * in the same version as the original.  Event times of the clip start at the
+ * first time.  The terminal is not replayed, so what was on screen before the
+ * clip starts is not part of it.
+ * @param {string} asciicast
+ * @param {number} start - seconds since the start of the recording
+ * @param {number} end - seconds since the start of the recording
+ * @return {string}
+ */
+export function clipAsciicast(asciicast, start, end) {
+  const { header, events } = parseAsciicast(asciicast);
+  const clipHeader = { ...header };
+  if (header.duration !== undefined) {
+    clipHeader.duration = roundTime(end - start);
+  }
+  if (header.timestamp !== undefined) {
+    clipHeader.timestamp = header.timestamp + Math.floor(start);
+  }
+
+  let previousTime = start;
+  const clipEvents = events
+    .filter(({ time }) => time >= start && time <= end)
+    .map(({ time, code, data }) => {
+      const eventTime =
+        header.version === 3 ? time - previousTime : time - start;
+      previousTime = time;
+      return [roundTime(eventTime), code, data];
+    });
+
+  return [clipHeader, ...clipEvents]
+    .map((line) => JSON.stringify(line))
+    .join('\n');
+}
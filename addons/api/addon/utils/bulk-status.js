@@ -0,0 +1,17 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+export const BULK_STATUS_SUCCESS = 'success';
+export const BULK_STATUS_ERROR = 'error';
+export const BULK_STATUS_SKIPPED = 'skipped';
+
+/**
+ * Badge colors of the result of a bulk change on each resource.
+ */
+export const BULK_STATUS_COLORS = Object.freeze({
+  [BULK_STATUS_SUCCESS]: 'success',
+  [BULK_STATUS_ERROR]: 'critical',
+  [BULK_STATUS_SKIPPED]: 'neutral',
+});
@@ -0,0 +1,227 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+import {
+  GRANT_SCOPE_THIS,
+  GRANT_SCOPE_CHILDREN,
+  GRANT_SCOPE_DESCENDANTS,
+} from 'api/models/role';
+import { GRANT_ACTIONS, GRANT_TYPES, parseGrant } from 'api/utils/grant-string';
+
+/**
+ * Users every user implicitly is: `u_anon` stands for anyone and `u_auth`
+ * for any authenticated user.  Roles granted to these apply to every user.
+ * @type {[string]}
+ */
+export const IMPLICIT_USER_IDS = ['u_anon', 'u_auth'];
+
+/**
+ * Resource types of ID prefixes, used to type grants on specific IDs.
+ */
+const ID_PREFIX_TYPES = {
+  acctldap: 'account',
+  acctoidc: 'account',
+  acctpw: 'account',
+  alt: 'alias',
+  amldap: 'auth-method',
+  amoidc: 'auth-method',
+  ampw: 'auth-method',
+  at: 'auth-token',
+  clvlt: 'credential-library',
+  clvlts: 'credential-library',
+  clvltldap: 'credential-library',
+  cred: 'credential',
+  credjson: 'credential',
+  credspk: 'credential',
+  credup: 'credential',
+  csst: 'credential-store',
+  csvlt: 'credential-store',
+  g: 'group',
+  global: 'scope',
+  hcplg: 'host-catalog',
+  hcst: 'host-catalog',
+  hplg: 'host',
+  hsplg: 'host-set',
+  hsst: 'host-set',
+  hst: 'host',
+  mgldap: 'managed-group',
+  mgoidc: 'managed-group',
+  o: 'scope',
+  p: 'scope',
+  pst: 'policy',
+  r: 'role',
+  s: 'session',
+  sb: 'storage-bucket',
+  sr: 'session-recording',
+  trdp: 'target',
+  tssh: 'target',
+  ttcp: 'target',
+  u: 'user',
+  w: 'worker',
+};
+
+/**
+ * Returns the resource type of an ID, or null if its prefix is unknown.
+ * @param {string} id
+ * @return {?string}
+ */
+export function typeForID(id) {
+  return ID_PREFIX_TYPES[id.split('_')[0]] ?? null;
+}
+
+/**
+ * Resolves the grant scopes of a role, including the `this`, `children` and
+ * `descendants` keywords, to scope IDs.
+ * @param {object} role - with `scopeID` and `grant_scope_ids`
+ * @param {[object]} scopes - every scope, each with `id` and `scopeID`
+ * @return {[string]}
+ */
+export function grantScopeIDsFor(role, scopes) {
+  const childrenOf = (id) =>
+    scopes.filter(({ scopeID }) => scopeID === id).map(({ id }) => id);
+  const descendantsOf = (id) =>
+    childrenOf(id).flatMap((child) => [child, ...descendantsOf(child)]);
+
+  const ids = (role.grant_scope_ids ?? []).flatMap((id) => {
+    if (id === GRANT_SCOPE_THIS) return [role.scopeID];
+    if (id === GRANT_SCOPE_CHILDREN) return childrenOf(role.scopeID);
+    if (id === GRANT_SCOPE_DESCENDANTS) return descendantsOf(role.scopeID);
+    return [id];
+  });
+  return [...new Set(ids)];
+}
+
+/**
+ * Expands a grant string into the type and action pairs it permits, with
+ * wildcard types and actions spelled out.  Templated IDs are resolved to the
+ * user and their accounts.  `ids` is null when the grant covers every
+ * resource of the type.
+ *
+ * @example
+ *   expandGrant('ids={{user.id}};actions=read', { userID: 'u_1' });
+ *   // [{ type: 'user', action: 'read', ids: ['u_1'] }]
+ *
+ * @param {string} grant
+ * @param {object} principal
+ * @param {string} principal.userID
+ * @param {[string]} principal.accountIDs
+ * @return {[object]}
+ */
+export function expandGrant(grant, { userID, accountIDs = [] }) {
+  const { ids, type, actions } = parseGrant(grant);
+  const resolvedIDs = ids.flatMap((id) => {
+    if (/^\{\{\s*\.?user\.id\s*\}\}$/i.test(id)) return [userID];
+    if (/^\{\{\s*\.?account\.id\s*\}\}$/i.test(id)) return accountIDs;
+    return [id];
+  });
+
+  // Pair each type with the IDs it applies to
+  let targets;
+  if (resolvedIDs.includes('*') || !resolvedIDs.length) {
+    const types =
+      type === '*' ? GRANT_TYPES.filter((t) => t !== '*') : [type || '*'];
+    targets = types.map((t) => ({ type: t, ids: null }));
+  } else {
+    const byType = {};
+    resolvedIDs.forEach((id) => {
+      const idType = type || typeForID(id) || '*';
+      (byType[idType] ??= []).push(id);
+    });
+    targets = Object.entries(byType).map(([t, typeIDs]) => ({
+      type: t,
+      ids: typeIDs,
+    }));
+  }
+
+  return targets.flatMap(({ type, ids }) => {
+    const typeActions = actions.flatMap((action) =>
+      action === '*' && GRANT_ACTIONS[type]?.length
+        ? GRANT_ACTIONS[type]
+        : [action],
+    );
+    return [...new Set(typeActions)].map((action) => ({ type, action, ids }));
+  });
+}
+
+/**
+ * Computes the effective permissions of a user from every role that names
+ * the user, one of the given groups or managed groups, or an implicit user.
+ *
+ * Returns the grant scope IDs the user has permissions in, ordered like
+ * `scopes`, and one row per resource type and action.  Each row has one cell
+ * per scope ID, listing the `sources` of the permission: the role, grant
+ * string, matching principal IDs and the resource IDs it is restricted to.
+ *
+ * @param {object} options
+ * @param {[object]} options.roles
+ * @param {[object]} options.scopes - every scope, each with `id` and `scopeID`
+ * @param {string} options.userID
+ * @param {[string]} options.accountIDs
+ * @param {[string]} options.groupIDs
+ * @param {[string]} options.managedGroupIDs
+ * @return {{scopeIDs: [string], rows: [object]}}
+ */
+export function effectivePermissions({
+  roles,
+  scopes,
+  userID,
+  accountIDs = [],
+  groupIDs = [],
+  managedGroupIDs = [],
+}) {
+  const principalIDs = new Set([
+    userID,
+    ...IMPLICIT_USER_IDS,
+    ...groupIDs,
+    ...managedGroupIDs,
+  ]);
+  const permissions = new Map();
+  const usedScopeIDs = new Set();
+
+  roles.forEach((role) => {
+    const principals = (role.principals ?? [])
+      .map(({ id }) => id)
+      .filter((id) => principalIDs.has(id));
+    if (!principals.length) return;
+    const roleScopeIDs = grantScopeIDsFor(role, scopes);
+
+    (role.grant_strings ?? []).forEach((grant) => {
+      expandGrant(grant, { userID, accountIDs }).forEach(
+        ({ type, action, ids }) => {
+          const key = `${type}:${action}`;
+          if (!permissions.has(key)) {
+            permissions.set(key, { type, action, sources: {} });
+          }
+          const { sources } = permissions.get(key);
+          roleScopeIDs.forEach((scopeID) => {
+            usedScopeIDs.add(scopeID);
+            (sources[scopeID] ??= []).push({ role, grant, principals, ids });
+          });
+        },
+      );
+    });
+  });
+
+  const order = scopes.map(({ id }) => id);
+  const position = (id) =>
+    order.includes(id) ? order.indexOf(id) : order.length;
+  const scopeIDs = [...usedScopeIDs].sort((a, b) => position(a) - position(b));
+
+  const rows = [...permissions.values()]
+    .sort(
+      (a, b) =>
+        a.type.localeCompare(b.type) || a.action.localeCompare(b.action),
+    )
+    .map(({ type, action, sources }) => ({
+      type,
+      action,
+      cells: scopeIDs.map((scopeID) => ({
+        scopeID,
+        sources: sources[scopeID] ?? [],
+      })),
+    }));
+
+  return { scopeIDs, rows };
+}
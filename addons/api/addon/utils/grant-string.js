@@ -0,0 +1,313 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+const CRUDL = ['create', 'read', 'update', 'delete', 'list'];
+
+/**
+ * Actions that may be granted on each resource type.  Every type also
+ * accepts `*` and `no-op`.
+ */
+export const GRANT_ACTIONS = {
+  '*': [],
+  alias: CRUDL,
+  account: [...CRUDL, 'set-password', 'change-password'],
+  'auth-method': [...CRUDL, 'authenticate', 'change-state'],
+  'auth-token': ['read', 'delete', 'list', 'read:self', 'delete:self'],
+  billing: ['monthly-active-users'],
+  credential: CRUDL,
+  'credential-library': CRUDL,
+  'credential-store': CRUDL,
+  group: [...CRUDL, 'add-members', 'set-members', 'remove-members'],
+  host: CRUDL,
+  'host-catalog': CRUDL,
+  'host-set': [...CRUDL, 'add-hosts', 'set-hosts', 'remove-hosts'],
+  'managed-group': CRUDL,
+  policy: CRUDL,
+  role: [
+    ...CRUDL,
+    'add-principals',
+    'set-principals',
+    'remove-principals',
+    'add-grants',
+    'set-grants',
+    'remove-grants',
+    'add-grant-scopes',
+    'set-grant-scopes',
+    'remove-grant-scopes',
+  ],
+  scope: [
+    ...CRUDL,
+    'list-keys',
+    'rotate-keys',
+    'list-key-version-destruction-jobs',
+    'destroy-key-version',
+    'attach-storage-policy',
+    'detach-storage-policy',
+  ],
+  session: ['read', 'list', 'cancel', 'read:self', 'cancel:self'],
+  'session-recording': [
+    'read',
+    'list',
+    'delete',
+    'download',
+    'reapply-storage-policy',
+  ],
+  'storage-bucket': CRUDL,
+  target: [
+    ...CRUDL,
+    'add-host-sources',
+    'set-host-sources',
+    'remove-host-sources',
+    'add-credential-sources',
+    'set-credential-sources',
+    'remove-credential-sources',
+    'authorize-session',
+  ],
+  user: [
+    ...CRUDL,
+    'add-accounts',
+    'set-accounts',
+    'remove-accounts',
+    'list-resolvable-aliases',
+  ],
+  worker: [
+    'create:worker-led',
+    'create:controller-led',
+    'read',
+    'update',
+    'delete',
+    'list',
+    'add-worker-tags',
+    'set-worker-tags',
+    'remove-worker-tags',
+    'read-certificate-authority',
+    'reinitialize-certificate-authority',
+  ],
+};
+
+/**
+ * @type {[string]}
+ */
+export const GRANT_TYPES = Object.keys(GRANT_ACTIONS);
+
+/**
+ * Templates that are replaced with the id of the requesting user or account.
+ * @type {[string]}
+ */
+export const GRANT_ID_TEMPLATES = ['{{user.id}}', '{{account.id}}'];
+
+/**
+ * Fields commonly returned by every resource, suggested for `output_fields`.
+ * @type {[string]}
+ */
+export const COMMON_OUTPUT_FIELDS = [
+  '*',
+  'id',
+  'scope_id',
+  'scope',
+  'name',
+  'description',
+  'type',
+  'created_time',
+  'updated_time',
+  'version',
+  'authorized_actions',
+  'authorized_collection_actions',
+];
+
+const KEYS = ['ids', 'type', 'actions', 'output_fields'];
+
+const UNIVERSAL_ACTIONS = ['*', 'no-op'];
+
+// Templates may be written `{{user.id}}`, `{{ user.id }}` or `{{.User.Id}}`
+const TEMPLATE = /^\{\{\s*\.?(user|account)\.id\s*\}\}$/i;
+
+const ID = /^[a-z]+_[A-Za-z0-9]+$/;
+
+const OUTPUT_FIELD = /^(\*|[a-z][a-z0-9_]*)$/;
+
+const list = (value) => value.split(',').map((item) => item.trim());
+
+/**
+ * Returns the actions that may be granted on a type, or on any type if the
+ * type is unknown or a wildcard.
+ * @param {?string} type
+ * @return {[string]}
+ */
+export function actionsFor(type) {
+  if (GRANT_ACTIONS[type]?.length) {
+    return [...UNIVERSAL_ACTIONS, ...GRANT_ACTIONS[type]];
+  }
+  const all = Object.values(GRANT_ACTIONS).flat();
+  return [...UNIVERSAL_ACTIONS, ...new Set(all)];
+}
+
+/**
+ * Splits a grant string into its parts without validating them.
+ *
+ * @example
+ *   parseGrant('ids=*;type=target;actions=read,authorize-session');
+ *   // { ids: ['*'], type: 'target', actions: ['read', 'authorize-session'], outputFields: [] }
+ *
+ * @param {string} grant
+ * @return {object}
+ */
+export function parseGrant(grant = '') {
+  const parsed = { ids: [], type: '', actions: [], outputFields: [] };
+  (grant ?? '').split(';').forEach((segment) => {
+    const index = segment.indexOf('=');
+    if (index === -1) return;
+    const key = segment.slice(0, index).trim();
+    const value = segment.slice(index + 1).trim();
+    if (key === 'ids') parsed.ids = list(value).filter(Boolean);
+    if (key === 'type') parsed.type = value;
+    if (key === 'actions') parsed.actions = list(value).filter(Boolean);
+    if (key === 'output_fields') {
+      parsed.outputFields = list(value).filter(Boolean);
+    }
+  });
+  return parsed;
+}
+
+/**
+ * Formats grant parts into a grant string, leaving out empty parts.
+ * @param {object} grant - as returned by `parseGrant`
+ * @return {string}
+ */
+export function formatGrant({
+  ids = [],
+  type,
+  actions = [],
+  outputFields = [],
+}) {
+  return [
+    ids.length && `ids=${ids.join(',')}`,
+    type && `type=${type}`,
+    actions.length && `actions=${actions.join(',')}`,
+    outputFields.length && `output_fields=${outputFields.join(',')}`,
+  ]
+    .filter(Boolean)
+    .join(';');
+}
+
+/**
+ * Validates a grant string the way the controller does.  Returns a list of
+ * errors, each with a `code` and the `values` needed to describe it, e.g.
+ * `{ code: 'unknown-type', values: { type: 'taget' } }`.
+ * @param {string} grant
+ * @return {[object]}
+ */
+export function validateGrant(grant = '') {
+  const errors = [];
+  const error = (code, values = {}) => errors.push({ code, values });
+  if (!grant?.trim()) {
+    error('empty');
+    return errors;
+  }
+
+  const seen = new Set();
+  for (const segment of grant.split(';')) {
+    const index = segment.indexOf('=');
+    if (index === -1) {
+      error('malformed-segment', { segment });
+      continue;
+    }
+    const key = segment.slice(0, index).trim();
+    if (!KEYS.includes(key)) error('unknown-key', { key });
+    else if (seen.has(key)) error('duplicate-key', { key });
+    else if (!segment.slice(index + 1).trim()) error('empty-value', { key });
+    seen.add(key);
+  }
+  if (errors.length) return errors;
+
+  const { ids, type, actions, outputFields } = parseGrant(grant);
+  const isWildcard = ids.includes('*');
+  ids.forEach((id) => {
+    if (id === '*') return;
+    if (id.startsWith('{{')) {
+      if (!TEMPLATE.test(id)) error('unknown-template', { id });
+    } else if (!ID.test(id)) {
+      error('invalid-id', { id });
+    }
+  });
+  if (isWildcard && ids.length > 1) error('wildcard-with-ids');
+
+  if (type && !GRANT_TYPES.includes(type)) {
+    error('unknown-type', { type });
+  }
+  if (!ids.length && !type) error('missing-ids-or-type');
+  if (isWildcard && !type) error('wildcard-without-type');
+
+  if (!actions.length && !outputFields.length) error('missing-actions');
+  const allowed = actionsFor(GRANT_TYPES.includes(type) ? type : null);
+  actions
+    .filter((action) => !allowed.includes(action))
+    .forEach((action) =>
+      error('unknown-action', { action, type: type || '*' }),
+    );
+  outputFields
+    .filter((field) => !OUTPUT_FIELD.test(field))
+    .forEach((field) => error('invalid-output-field', { field }));
+
+  return errors;
+}
+
+/**
+ * Returns completions for the part of a grant string being typed at its end,
+ * as whole grant strings: keys not used yet, then resource types, actions
+ * allowed for the grant's type, id templates or output fields.
+ *
+ * @example
+ *   grantSuggestions('ids=*;type=tar');
+ *   // ['ids=*;type=target']
+ *
+ * @param {string} grant
+ * @return {[string]}
+ */
+export function grantSuggestions(grant = '') {
+  const text = grant ?? '';
+  const start = text.lastIndexOf(';') + 1;
+  const prefix = text.slice(0, start);
+  const segment = text.slice(start);
+  const index = segment.indexOf('=');
+
+  if (index === -1) {
+    const used = prefix.split(';').map((part) => part.split('=')[0].trim());
+    return KEYS.filter((key) => !used.includes(key))
+      .filter((key) => key.startsWith(segment.trim()))
+      .map((key) => `${prefix}${key}=`);
+  }
+
+  const key = segment.slice(0, index).trim();
+  const value = segment.slice(index + 1);
+  if (key === 'type') {
+    return GRANT_TYPES.filter(
+      (type) => type.startsWith(value) && type !== value,
+    ).map((type) => `${prefix}type=${type}`);
+  }
+
+  // Complete the last item of a comma separated list
+  const itemStart = value.lastIndexOf(',') + 1;
+  const chosen = list(value.slice(0, itemStart)).filter(Boolean);
+  const item = value.slice(itemStart).trim();
+  let candidates = [];
+  if (key === 'actions') {
+    const { type } = parseGrant(text);
+    candidates = actionsFor(GRANT_TYPES.includes(type) ? type : null);
+  } else if (key === 'ids') {
+    candidates = ['*', ...GRANT_ID_TEMPLATES];
+  } else if (key === 'output_fields') {
+    candidates = COMMON_OUTPUT_FIELDS;
+  }
+  const head = `${prefix}${key}=${value.slice(0, itemStart)}`;
+  return candidates
+    .filter(
+      (candidate) =>
+        candidate.startsWith(item) &&
+        candidate !== item &&
+        !chosen.includes(candidate),
+    )
+    .map((candidate) => `${head}${candidate}`);
+}
@@ -0,0 +1,29 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+// `fetch` rejects with a TypeError when no response was received at all.
+// The message differs per browser: "Failed to fetch" (Chromium),
+// "NetworkError when attempting to fetch resource." (Firefox) and
+// "Load failed" (Safari).
+const FETCH_FAILURE = /failed to fetch|networkerror|load failed/i;
+
+/**
+ * Returns true if the error means the controller could not be reached, as
+ * opposed to the controller responding with an error.
+ * @param {Error} error
+ * @return {boolean}
+ */
+export function isNetworkError(error) {
+  if (error instanceof TypeError) {
+    return FETCH_FAILURE.test(error.message);
+  }
+  if (error?.name === 'TimeoutError') {
+    return true;
+  }
+  // Adapter errors for requests that never got a response have status 0.
+  // Errors without a status at all are not network errors.
+  const status = error?.errors?.[0]?.status;
+  return status === 0 || status === '0';
+}
@@ -0,0 +1,151 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+/**
+ * Retention days meaning a recording is kept forever.
+ * @type {number}
+ */
+export const RETAIN_FOREVER = -1;
+
+/**
+ * Days from now at which the retention timeline is measured.
+ * @type {[number]}
+ */
+export const TIMELINE_DAYS = Object.freeze([0, 30, 90, 180, 365, 730, 1825]);
+
+export const CONFLICT_RETAIN_FOR = 'retain-for';
+export const CONFLICT_DELETE_AFTER = 'delete-after';
+export const CONFLICT_DELETE_BEFORE_RETAIN = 'delete-before-retain';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const addDays = (date, days) => new Date(new Date(date).getTime() + days * DAY);
+
+/**
+ * Dates are compared to the day, since the API stores them to the
+ * nanosecond.
+ */
+const isSameDay = (a, b) =>
+  a && b ? Math.abs(new Date(a) - new Date(b)) < DAY : !a && !b;
+
+/**
+ * Computes the dates a policy gives a recording, counted from the end of the
+ * recording or from its creation while it is still running.  `retainUntil`
+ * is null when the recording is retained forever and `deleteAfter` is null
+ * when it is never deleted automatically.
+ * @param {object} recording - with `created_time` and `end_time`
+ * @param {object} policy - with `retain_for` and `delete_after`
+ * @return {{retainForever: boolean, retainUntil: ?Date, deleteAfter: ?Date}}
+ */
+export function retentionDates(recording, { retain_for, delete_after } = {}) {
+  const start = recording.end_time ?? recording.created_time;
+  const retainDays = retain_for?.days ?? 0;
+  const deleteDays = delete_after?.days ?? 0;
+  const retainForever = retainDays < 0;
+  return {
+    retainForever,
+    retainUntil: retainForever ? null : addDays(start, retainDays),
+    deleteAfter: deleteDays > 0 ? addDays(start, deleteDays) : null,
+  };
+}
+
+/**
+ * Counts how many recordings a policy makes deletable, and how many it
+ * deletes automatically, by each of the `TIMELINE_DAYS` from now.
+ * @param {[object]} recordings
+ * @param {object} policy
+ * @param {Date} now
+ * @return {[{days: number, date: Date, deletable: number, deleted: number}]}
+ */
+export function retentionTimeline(recordings, policy, now = new Date()) {
+  const dates = recordings.map((recording) =>
+    retentionDates(recording, policy),
+  );
+  return TIMELINE_DAYS.map((days) => {
+    const date = addDays(now, days);
+    return {
+      days,
+      date,
+      deletable: dates.filter(
+        ({ retainUntil }) => retainUntil && retainUntil <= date,
+      ).length,
+      deleted: dates.filter(
+        ({ deleteAfter }) => deleteAfter && deleteAfter <= date,
+      ).length,
+    };
+  });
+}
+
+/**
+ * Lists the problems of a policy: deleting recordings before they may be
+ * deleted, and overriding retention or deletion the parent scope's policy
+ * doesn't allow to be overridden.  Each problem has a `code` and the
+ * `values` to describe it with.
+ * @param {object} policy
+ * @param {?object} parentPolicy - the policy attached to the parent scope
+ * @return {[{code: string, values: object}]}
+ */
+export function policyConflicts(policy, parentPolicy) {
+  const conflicts = [];
+  const retainDays = policy.retain_for?.days ?? 0;
+  const deleteDays = policy.delete_after?.days ?? 0;
+
+  if (
+    deleteDays > 0 &&
+    (retainDays === RETAIN_FOREVER || deleteDays < retainDays)
+  ) {
+    conflicts.push({
+      code: CONFLICT_DELETE_BEFORE_RETAIN,
+      values: { deleteDays, retainDays },
+    });
+  }
+
+  if (parentPolicy) {
+    const parentRetainDays = parentPolicy.retain_for?.days ?? 0;
+    const parentDeleteDays = parentPolicy.delete_after?.days ?? 0;
+    if (
+      parentPolicy.retain_for?.overridable === false &&
+      retainDays !== parentRetainDays
+    ) {
+      conflicts.push({
+        code: CONFLICT_RETAIN_FOR,
+        values: { days: parentRetainDays },
+      });
+    }
+    if (
+      parentPolicy.delete_after?.overridable === false &&
+      deleteDays !== parentDeleteDays
+    ) {
+      conflicts.push({
+        code: CONFLICT_DELETE_AFTER,
+        values: { days: parentDeleteDays },
+      });
+    }
+  }
+
+  return conflicts;
+}
+
+/**
+ * Lists the recordings whose retention dates would change if the policy was
+ * reapplied to them, with the dates they would change to.
+ * @param {[object]} recordings - with `retain_until`, `delete_after` and
+ *   `retainForever`
+ * @param {object} policy
+ * @return {[object]}
+ */
+export function reapplyChanges(recordings, policy) {
+  return recordings
+    .map((recording) => ({
+      recording,
+      ...retentionDates(recording, policy),
+    }))
+    .filter(
+      ({ recording, retainForever, retainUntil, deleteAfter }) =>
+        Boolean(recording.retainForever) !== retainForever ||
+        (!retainForever && !isSameDay(recording.retain_until, retainUntil)) ||
+        !isSameDay(recording.delete_after, deleteAfter),
+    );
+}
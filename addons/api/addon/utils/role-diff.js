@@ -0,0 +1,131 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+import {
+  BULK_STATUS_ERROR,
+  BULK_STATUS_SKIPPED,
+  BULK_STATUS_SUCCESS,
+} from 'api/utils/bulk-status';
+
+export const BULK_OPERATION_ADD = 'add';
+export const BULK_OPERATION_REMOVE = 'remove';
+export const BULK_OPERATIONS = Object.freeze([
+  BULK_OPERATION_ADD,
+  BULK_OPERATION_REMOVE,
+]);
+
+export const BULK_TARGET_GRANT = 'grant';
+export const BULK_TARGET_PRINCIPAL = 'principal';
+export const BULK_TARGETS = Object.freeze([
+  BULK_TARGET_GRANT,
+  BULK_TARGET_PRINCIPAL,
+]);
+
+/**
+ * Lists every value any of the roles has, in order of first appearance,
+ * with whether each role has it.
+ * @param {[object]} roles
+ * @param {function} valuesOf - returns the values of a role
+ * @return {[object]}
+ */
+const compare = (roles, valuesOf) => {
+  const values = [...new Set(roles.flatMap((role) => valuesOf(role)))];
+  return values.map((value) => {
+    const presence = roles.map((role) => valuesOf(role).includes(value));
+    return { value, presence, isCommon: presence.every(Boolean) };
+  });
+};
+
+/**
+ * Compares the grant strings, grant scopes and principals of roles.  Each
+ * is a list of rows with the `value`, a `presence` flag per role and whether
+ * the value `isCommon` to every role.  Principal rows also have the
+ * principal `type`.
+ *
+ * @example
+ *   diffRoles([
+ *     { grant_strings: ['ids=*;type=*;actions=read'], ... },
+ *     { grant_strings: [], ... },
+ *   ]).grantStrings;
+ *   // [{ value: 'ids=*;type=*;actions=read', presence: [true, false], isCommon: false }]
+ *
+ * @param {[object]} roles
+ * @return {{grantStrings: [object], grantScopes: [object], principals: [object]}}
+ */
+export function diffRoles(roles) {
+  const principals = roles.flatMap((role) => role.principals ?? []);
+  return {
+    grantStrings: compare(roles, (role) => role.grant_strings ?? []),
+    grantScopes: compare(roles, (role) => role.grant_scope_ids ?? []),
+    principals: compare(roles, (role) =>
+      (role.principals ?? []).map(({ id }) => id),
+    ).map((row) => ({
+      ...row,
+      type: principals.find(({ id }) => id === row.value).type,
+    })),
+  };
+}
+
+/**
+ * Previews adding or removing a grant string or principal on each role.
+ * Roles that already have, or don't have, the value are left unchanged.
+ * Grant changes include the `grantStrings` the role will be saved with.
+ * @param {[object]} roles
+ * @param {object} change
+ * @param {string} change.target - one of `BULK_TARGETS`
+ * @param {string} change.operation - one of `BULK_OPERATIONS`
+ * @param {string} change.value - a grant string or principal ID
+ * @return {[object]}
+ */
+export function planBulkChange(roles, { target, operation, value }) {
+  const isAdd = operation === BULK_OPERATION_ADD;
+  return roles.map((role) => {
+    if (target === BULK_TARGET_GRANT) {
+      const grantStrings = role.grant_strings ?? [];
+      const has = grantStrings.includes(value);
+      return {
+        role,
+        willChange: isAdd ? !has : has,
+        grantStrings: isAdd
+          ? [...new Set([...grantStrings, value])]
+          : grantStrings.filter((grant) => grant !== value),
+      };
+    }
+    const has = (role.principals ?? []).some(({ id }) => id === value);
+    return { role, willChange: isAdd ? !has : has };
+  });
+}
+
+/**
+ * Applies a planned bulk change one role at a time, so a failure on one role
+ * doesn't stop the others.  Returns the `status` of each role, and the
+ * `error` of roles that failed.
+ * @param {[object]} plan - as returned by `planBulkChange`
+ * @param {object} change - as passed to `planBulkChange`
+ * @return {Promise{[object]}}
+ */
+export async function applyBulkChange(plan, { target, operation, value }) {
+  const results = [];
+  for (const { role, willChange, grantStrings } of plan) {
+    if (!willChange) {
+      results.push({ role, status: BULK_STATUS_SKIPPED });
+      continue;
+    }
+    try {
+      if (target === BULK_TARGET_GRANT) {
+        await role.saveGrantStrings(grantStrings);
+      } else if (operation === BULK_OPERATION_ADD) {
+        await role.addPrincipals([value]);
+      } else {
+        await role.removePrincipals([value]);
+      }
+      results.push({ role, status: BULK_STATUS_SUCCESS });
+    } catch (error) {
+      role.rollbackAttributes?.();
+      results.push({ role, status: BULK_STATUS_ERROR, error });
+    }
+  }
+  return results;
+}
@@ -61,6 +61,70 @@ export function generateSQLExpressions(
   };
 }
 
+/**
+ * How each resource is described in global search results. `title` lists the
+ * columns tried in order for the name shown, falling back to the id, and
+ * `parent` is the column holding the id of the resource a nested resource
+ * belongs to. Resources not listed use their `name` and have no parent.
+ */
+export const GLOBAL_SEARCH_COLUMNS = {
+  alias: { title: ['name', 'value'] },
+  account: { title: ['name', 'login_name'], parent: 'auth_method_id' },
+  'managed-group': { parent: 'auth_method_id' },
+  host: { parent: 'host_catalog_id' },
+  'host-set': { parent: 'host_catalog_id' },
+  'credential-library': { parent: 'credential_store_id' },
+  credential: { parent: 'credential_store_id' },
+  'session-recording': { title: ['target_name'] },
+  session: { title: ['endpoint'] },
+};
+
+/**
+ * Builds a single query that full-text searches the FTS tables of several
+ * resources at once. Each row has the `resource` type, `id`, `title`,
+ * `scope_id`, `parent_id` and the `rank` of the match, where a lower rank is
+ * a better match. At most `limit` rows are returned per resource.
+ *
+ * @example
+ *   const { sql, parameters } = generateGlobalSearchSQL('dev', [
+ *     'target',
+ *     'host',
+ *   ]);
+ *
+ * @param {string} text
+ * @param {[string]} resources
+ * @param {object} options
+ * @param {number} options.limit
+ * @return {{sql: string, parameters: array}}
+ */
+export function generateGlobalSearchSQL(text, resources, { limit = 10 } = {}) {
+  const parameters = [];
+  // Quotes are escaped by doubling them inside an FTS string
+  const match = `"${text.replaceAll('"', '""')}"*`;
+
+  const selects = resources
+    .filter((resource) => modelMapping[resource])
+    .map((resource) => {
+      const tableName = `${underscore(resource)}_fts`;
+      const { title = ['name'], parent } =
+        GLOBAL_SEARCH_COLUMNS[resource] ?? {};
+      const titleColumns = title.map((column) => `NULLIF(${column}, '')`);
+      parameters.push(match, limit);
+
+      // Each select needs its own subquery to be ordered and limited
+      return `SELECT * FROM (SELECT '${resource}' AS resource, id, COALESCE(${[...titleColumns, 'id'].join(', ')}) AS title, scope_id, ${parent ?? 'NULL'} AS parent_id, bm25(${tableName}) AS rank FROM ${tableName} WHERE ${tableName} MATCH ? ORDER BY rank LIMIT ?)`;
+    });
+
+  if (!selects.length) {
+    return { sql: '', parameters };
+  }
+
+  return {
+    sql: `${selects.join('\nUNION ALL\n')}\nORDER BY rank, title`,
+    parameters,
+  };
+}
+
 function addFilterConditions({
   filters,
   parameters,
@@ -213,10 +277,14 @@ function addSearchConditions({
   }
   const searchSelect = search?.select ?? 'rowid';
   const searchSql = `SELECT ${searchSelect} FROM ${tableName}_fts WHERE ${tableName}_fts MATCH ?`;
-  const getParameter = (fields, text) =>
-    fields?.length > 0
-      ? or(fields.map((field) => `${field}:"${text}"*`))
-      : `"${text}"*`;
+  // Quotes are escaped by doubling them inside an FTS string, as recorded
+  // commands often contain them
+  const getParameter = (fields, text) => {
+    const escaped = text.replaceAll('"', '""');
+    return fields?.length > 0
+      ? or(fields.map((field) => `${field}:"${escaped}"*`))
+      : `"${escaped}"*`;
+  };
 
   // Use the special prefix indicator "*" for full-text search
   if (typeOf(search) === 'object') {
@@ -227,7 +295,7 @@ function addSearchConditions({
     const parameter = getParameter(search.fields, search.text);
     parameters.push(parameter);
   } else {
-    parameters.push(`"${search}"*`);
+    parameters.push(getParameter([], search));
   }
 
   // If there are extra related searches on other tables, add them too
@@ -250,7 +318,7 @@ function addSearchConditions({
       if (join) {
         const { joinFrom = 'id', joinOn } = join;
         relatedQuery.push(
-          `JOIN "${tableName}" ON "${tableName}".${joinFrom} = ${relatedResource}_fts.${joinOn}`,
+          `JOIN "${tableName}" ON "${tableName}".${joinFrom} = ${relatedTableName}_fts.${joinOn}`,
         );
       }
       relatedQuery.push(`WHERE ${relatedTableName}_fts MATCH ?`);
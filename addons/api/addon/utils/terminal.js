@@ -0,0 +1,474 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+const DEFAULT_WIDTH = 80;
+const DEFAULT_HEIGHT = 24;
+const TAB_WIDTH = 8;
+
+// Private modes that switch to the alternate screen, used by full screen
+// programs like editors and pagers
+const ALTERNATE_SCREEN_MODES = ['47', '1047', '1049'];
+
+const BLANK_STYLE = Object.freeze({});
+
+const blankRow = () => ({ cells: [], time: null, command: null });
+
+/**
+ * Returns the style after applying the parameters of an SGR (select graphic
+ * rendition) sequence to it.  Colors are palette indexes from 0 to 255 or
+ * `#rrggbb` strings.
+ * @param {object} style
+ * @param {[number]} params
+ * @return {object}
+ */
+function applySGR(style, params) {
+  const next = { ...style };
+  for (let i = 0; i < params.length; i++) {
+    const param = params[i];
+    if (param >= 30 && param <= 37) next.fg = param - 30;
+    else if (param >= 40 && param <= 47) next.bg = param - 40;
+    else if (param >= 90 && param <= 97) next.fg = param - 90 + 8;
+    else if (param >= 100 && param <= 107) next.bg = param - 100 + 8;
+
+    switch (param) {
+      case 0:
+        Object.keys(next).forEach((key) => delete next[key]);
+        break;
+      case 1:
+        next.bold = true;
+        break;
+      case 2:
+        next.faint = true;
+        break;
+      case 3:
+        next.italic = true;
+        break;
+      case 4:
+        next.underline = true;
+        break;
+      case 7:
+        next.inverse = true;
+        break;
+      case 22:
+        delete next.bold;
+        delete next.faint;
+        break;
+      case 23:
+        delete next.italic;
+        break;
+      case 24:
+        delete next.underline;
+        break;
+      case 27:
+        delete next.inverse;
+        break;
+      case 39:
+        delete next.fg;
+        break;
+      case 49:
+        delete next.bg;
+        break;
+      case 38:
+      case 48: {
+        // Extended colors, from the 256 color palette or RGB
+        const key = param === 38 ? 'fg' : 'bg';
+        if (params[i + 1] === 5) {
+          next[key] = params[i + 2];
+          i += 2;
+        } else if (params[i + 1] === 2) {
+          const rgb = params.slice(i + 2, i + 5);
+          next[key] = `#${rgb
+            .map((value) => (value ?? 0).toString(16).padStart(2, '0'))
+            .join('')}`;
+          i += 4;
+        }
+        break;
+      }
+    }
+  }
+  return Object.keys(next).length ? next : BLANK_STYLE;
+}
+
+/**
+ * A minimal terminal emulator for rendering recordings of terminal sessions
+ * to text.  It keeps what was printed, with colors, as rows of cells.  Rows
+ * that scroll off the top of the screen, or are cleared from it, are kept in
+ * `history` rather than lost, so the whole session can be read back.  Full
+ * screen programs on the alternate screen, like editors, leave nothing
+ * behind.
+ *
+ * Each row records the time it was first written to and, if enter was
+ * pressed on it, the time of that as `command`.
+ *
+ * @example
+ *   const terminal = new Terminal({ width: 80, height: 24 });
+ *   terminal.write('\u001b[32m$\u001b[0m ls\r\n', 1.5);
+ *   terminal.rows()[0].segments;
+ *   // [{ text: '$', style: { fg: 2 } }, { text: ' ls', style: {} }]
+ */
+export class Terminal {
+  /**
+   * Rows that are no longer on the screen.
+   * @type {[object]}
+   */
+  history = [];
+
+  cursor = { x: 0, y: 0 };
+  style = BLANK_STYLE;
+
+  #screen;
+  #mainScreen = null;
+  #savedCursor = { x: 0, y: 0 };
+  #state = 'text';
+  #sequence = '';
+
+  /**
+   * @param {object} size
+   * @param {number} size.width - columns
+   * @param {number} size.height - rows
+   */
+  constructor({ width, height } = {}) {
+    this.width = width || DEFAULT_WIDTH;
+    this.height = height || DEFAULT_HEIGHT;
+    this.#screen = Array.from({ length: this.height }, blankRow);
+  }
+
+  /**
+   * True while a full screen program uses the alternate screen.
+   * @type {boolean}
+   */
+  get isAlternateScreen() {
+    return this.#mainScreen !== null;
+  }
+
+  /**
+   * Writes output to the terminal.
+   * @param {string} data
+   * @param {number} time - seconds since the start of the recording
+   */
+  write(data, time) {
+    for (const char of data) {
+      this.#writeChar(char, time);
+    }
+  }
+
+  /**
+   * Records input to the terminal.  Input isn't shown, since terminals show
+   * what the program echoes, but pressing enter marks the row of the cursor
+   * as a command.
+   * @param {string} data
+   * @param {number} time - seconds since the start of the recording
+   */
+  input(data, time) {
+    if (/[\r\n]/.test(data) && !this.isAlternateScreen) {
+      this.#row().command ??= time;
+    }
+  }
+
+  /**
+   * Changes the size of the screen.
+   * @param {number} width
+   * @param {number} height
+   */
+  resize(width, height) {
+    this.width = width;
+    while (this.#screen.length > height) this.#scrollUp();
+    while (this.#screen.length < height) this.#screen.push(blankRow());
+    this.height = height;
+    this.#moveTo(this.cursor.x, this.cursor.y);
+  }
+
+  /**
+   * Returns the rows of the history and the screen, without the blank rows at
+   * the end of the screen.  Each row has the text and style of its cells,
+   * grouped into segments of the same style, without trailing blanks.
+   * @return {[{time: ?number, command: ?number, wrapped: boolean, text: string, segments: [{text: string, style: object}]}]}
+   */
+  rows() {
+    const screen = this.#mainScreen ?? this.#screen;
+    let end = screen.length;
+    while (end > 0 && !screen[end - 1].cells.length) end--;
+    return [...this.history, ...screen.slice(0, end)].map(renderRow);
+  }
+
+  // Private methods
+
+  #row() {
+    return this.#screen[this.cursor.y];
+  }
+
+  #writeChar(char, time) {
+    switch (this.#state) {
+      case 'escape':
+        return this.#escape(char);
+      case 'charset':
+        this.#state = 'text';
+        return;
+      case 'csi':
+        if (char >= '@' && char <= '~') {
+          this.#state = 'text';
+          return this.#csi(this.#sequence, char);
+        }
+        this.#sequence += char;
+        return;
+      case 'osc':
+        // Operating system commands end with BEL or ST (ESC \)
+        if (char === '\u0007') this.#state = 'text';
+        else if (char === '\u001b') this.#state = 'escape';
+        return;
+    }
+
+    if (char === '\u001b') {
+      this.#state = 'escape';
+    } else if (char === '\n' || char === '\u000b' || char === '\u000c') {
+      this.#lineFeed();
+    } else if (char === '\r') {
+      this.cursor.x = 0;
+    } else if (char === '\b') {
+      this.cursor.x = Math.max(this.cursor.x - 1, 0);
+    } else if (char === '\t') {
+      this.cursor.x = Math.min(
+        (Math.floor(this.cursor.x / TAB_WIDTH) + 1) * TAB_WIDTH,
+        this.width - 1,
+      );
+    } else if (char >= ' ' && char !== '\u007f') {
+      this.#print(char, time);
+    }
+  }
+
+  #escape(char) {
+    this.#state = 'text';
+    if (char === '[') {
+      this.#state = 'csi';
+      this.#sequence = '';
+    } else if (char === ']') {
+      this.#state = 'osc';
+    } else if (char === '(' || char === ')') {
+      this.#state = 'charset';
+    } else if (char === '7') {
+      this.#savedCursor = { ...this.cursor };
+    } else if (char === '8') {
+      this.#moveTo(this.#savedCursor.x, this.#savedCursor.y);
+    } else if (char === 'D') {
+      this.#lineFeed();
+    } else if (char === 'E') {
+      this.#lineFeed();
+      this.cursor.x = 0;
+    } else if (char === 'M') {
+      // Reverse index, scrolling down at the top of the screen
+      if (this.cursor.y > 0) {
+        this.cursor.y--;
+      } else {
+        this.#screen.pop();
+        this.#screen.unshift(blankRow());
+      }
+    } else if (char === 'c') {
+      this.#clearScreen();
+      this.style = BLANK_STYLE;
+      this.#moveTo(0, 0);
+    }
+  }
+
+  #csi(sequence, final) {
+    const isPrivate = sequence.startsWith('?');
+    const params = sequence
+      .replace(/^[?>=]/, '')
+      .replaceAll(':', ';')
+      .split(';')
+      .map((param) => (param === '' ? undefined : Number(param)));
+    const [first] = params;
+    const count = first || 1;
+    const { x, y } = this.cursor;
+
+    switch (final) {
+      case 'm':
+        this.style = applySGR(
+          this.style,
+          params.map((param) => param ?? 0),
+        );
+        break;
+      case 'A':
+        this.#moveTo(x, y - count);
+        break;
+      case 'B':
+        this.#moveTo(x, y + count);
+        break;
+      case 'C':
+        this.#moveTo(x + count, y);
+        break;
+      case 'D':
+        this.#moveTo(x - count, y);
+        break;
+      case 'E':
+        this.#moveTo(0, y + count);
+        break;
+      case 'F':
+        this.#moveTo(0, y - count);
+        break;
+      case 'G':
+        this.#moveTo(count - 1, y);
+        break;
+      case 'd':
+        this.#moveTo(x, count - 1);
+        break;
+      case 'H':
+      case 'f':
+        this.#moveTo((params[1] || 1) - 1, count - 1);
+        break;
+      case 'J':
+        this.#eraseDisplay(first ?? 0);
+        break;
+      case 'K':
+        this.#eraseLine(first ?? 0);
+        break;
+      case 'X':
+        this.#row().cells.splice(x, count, ...Array(count).fill(undefined));
+        break;
+      case 'P':
+        this.#row().cells.splice(x, count);
+        break;
+      case '@':
+        this.#row().cells.splice(x, 0, ...Array(count).fill(undefined));
+        this.#row().cells.length = Math.min(
+          this.#row().cells.length,
+          this.width,
+        );
+        break;
+      case 'L':
+        this.#screen.splice(y, 0, ...Array.from({ length: count }, blankRow));
+        this.#screen.length = this.height;
+        break;
+      case 'M':
+        this.#screen.splice(y, count);
+        while (this.#screen.length < this.height) {
+          this.#screen.push(blankRow());
+        }
+        break;
+      case 'S':
+        for (let i = 0; i < count; i++) this.#scrollUp();
+        break;
+      case 'h':
+      case 'l':
+        if (
+          isPrivate &&
+          params.some((p) => ALTERNATE_SCREEN_MODES.includes(`${p}`))
+        ) {
+          this.#switchScreen(final === 'h');
+        }
+        break;
+    }
+  }
+
+  #print(char, time) {
+    if (this.cursor.x >= this.width) {
+      this.#lineFeed();
+      this.cursor.x = 0;
+      this.#row().wrapped = true;
+    }
+    const row = this.#row();
+    row.time ??= time;
+    row.cells[this.cursor.x] = { char, style: this.style };
+    this.cursor.x++;
+  }
+
+  #moveTo(x, y) {
+    this.cursor.x = Math.min(Math.max(x, 0), this.width - 1);
+    this.cursor.y = Math.min(Math.max(y, 0), this.height - 1);
+  }
+
+  #lineFeed() {
+    if (this.cursor.y === this.height - 1) this.#scrollUp();
+    else this.cursor.y++;
+  }
+
+  #scrollUp() {
+    const [row] = this.#screen.splice(0, 1);
+    if (!this.isAlternateScreen) this.history.push(row);
+    this.#screen.push(blankRow());
+  }
+
+  #eraseLine(mode) {
+    const row = this.#row();
+    const { x } = this.cursor;
+    if (mode === 0) row.cells.length = Math.min(row.cells.length, x);
+    else if (mode === 1) row.cells.fill(undefined, 0, x + 1);
+    else row.cells = [];
+  }
+
+  #eraseDisplay(mode) {
+    const { y } = this.cursor;
+    if (mode === 0) {
+      this.#eraseLine(0);
+      this.#screen.splice(
+        y + 1,
+        this.height,
+        ...Array.from({ length: this.height - y - 1 }, blankRow),
+      );
+    } else if (mode === 1) {
+      this.#eraseLine(1);
+      this.#screen.splice(0, y, ...Array.from({ length: y }, blankRow));
+    } else {
+      this.#clearScreen();
+    }
+  }
+
+  /**
+   * Clears the screen, keeping what was on it in the history.
+   */
+  #clearScreen() {
+    if (!this.isAlternateScreen) {
+      this.history.push(...this.#screen.filter(({ cells }) => cells.length));
+    }
+    this.#screen = Array.from({ length: this.height }, blankRow);
+  }
+
+  #switchScreen(alternate) {
+    if (alternate && !this.isAlternateScreen) {
+      this.#mainScreen = this.#screen;
+      this.#savedCursor = { ...this.cursor };
+      this.#screen = Array.from({ length: this.height }, blankRow);
+    } else if (!alternate && this.isAlternateScreen) {
+      this.#screen = this.#mainScreen;
+      this.#mainScreen = null;
+      this.#moveTo(this.#savedCursor.x, this.#savedCursor.y);
+    }
+  }
+}
+
+const styleKey = (style) => JSON.stringify(style);
+
+/**
+ * Groups the cells of a row into segments of the same style.
+ * @param {object} row
+ * @return {object}
+ */
+function renderRow({ cells, time, command, wrapped = false }) {
+  const segments = [];
+  Array.from(
+    cells,
+    (cell) => cell ?? { char: ' ', style: BLANK_STYLE },
+  ).forEach(({ char, style }) => {
+    const last = segments.at(-1);
+    if (last && styleKey(last.style) === styleKey(style)) last.text += char;
+    else segments.push({ text: char, style });
+  });
+
+  // Trailing blanks are only kept if they are colored
+  while (segments.length) {
+    const last = segments.at(-1);
+    if (last.style.bg !== undefined || last.style.inverse) break;
+    last.text = last.text.trimEnd();
+    if (last.text) break;
+    segments.pop();
+  }
+
+  return {
+    time,
+    command,
+    wrapped,
+    text: segments.map(({ text }) => text).join(''),
+    segments,
+  };
+}
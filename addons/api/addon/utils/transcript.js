@@ -0,0 +1,245 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+import {
+  EVENT_INPUT,
+  EVENT_OUTPUT,
+  formatTime,
+  parseAsciicast,
+} from './asciicast';
+import { Terminal } from './terminal';
+
+const EVENT_RESIZE = 'r';
+
+// The 16 standard colors of the xterm palette
+const STANDARD_COLORS = [
+  '#000000',
+  '#cd0000',
+  '#00cd00',
+  '#cdcd00',
+  '#0000ee',
+  '#cd00cd',
+  '#00cdcd',
+  '#e5e5e5',
+  '#7f7f7f',
+  '#ff0000',
+  '#00ff00',
+  '#ffff00',
+  '#5c5cff',
+  '#ff00ff',
+  '#00ffff',
+  '#ffffff',
+];
+
+/**
+ * Returns the hex color of a color of the 256 color xterm palette.
+ * @param {number|string} color - a palette index, or already a hex color
+ * @return {string}
+ */
+export function colorHex(color) {
+  if (typeof color === 'string') return color;
+  if (color < 16) return STANDARD_COLORS[color];
+  const hex = (value) => value.toString(16).padStart(2, '0');
+  if (color < 232) {
+    // 6x6x6 color cube
+    const index = color - 16;
+    const level = (value) => (value ? value * 40 + 55 : 0);
+    return `#${[Math.floor(index / 36), Math.floor(index / 6) % 6, index % 6]
+      .map((value) => hex(level(value)))
+      .join('')}`;
+  }
+  // Grayscale ramp
+  return `#${hex((color - 232) * 10 + 8).repeat(3)}`;
+}
+
+/**
+ * Renders an asciicast through a terminal emulator into the lines of its
+ * transcript.  Lines wrapped by the terminal are joined, and a line repeated
+ * right after itself, e.g. when a program redraws the screen, and runs of
+ * blank lines are kept only once.  Each line has the time it was first
+ * written at, and the time enter was pressed on it as `command`.
+ *
+ * @example
+ *   transcriptLines('{"version": 2}\n[1.5, "o", "$ ls\\r\\n"]');
+ *   // [{ time: 1.5, command: null, text: '$ ls', segments: [...] }]
+ *
+ * @param {string} asciicast
+ * @return {[{time: ?number, command: ?number, text: string, segments: [{text: string, style: object}]}]}
+ */
+export function transcriptLines(asciicast) {
+  const { header, events } = parseAsciicast(asciicast);
+  const terminal = new Terminal({
+    width: header.width ?? header.term?.cols,
+    height: header.height ?? header.term?.rows,
+  });
+
+  events.forEach(({ time, code, data }) => {
+    if (typeof data !== 'string') return;
+    if (code === EVENT_OUTPUT) {
+      terminal.write(data, time);
+    } else if (code === EVENT_INPUT) {
+      terminal.input(data, time);
+    } else if (code === EVENT_RESIZE) {
+      const [width, height] = data.split('x').map(Number);
+      if (width && height) terminal.resize(width, height);
+    }
+  });
+
+  const lines = [];
+  terminal.rows().forEach((row) => {
+    const previous = lines.at(-1);
+    if (row.wrapped && previous) {
+      previous.text += row.text;
+      previous.segments.push(...row.segments);
+      previous.command ??= row.command;
+      return;
+    }
+    const { time, command, text, segments } = row;
+    lines.push({ time, command, text, segments });
+  });
+
+  return lines
+    .filter(
+      (line, i) =>
+        i === 0 ||
+        line.text !== lines[i - 1].text ||
+        // Only commands run again are kept
+        (line.command !== null && line.text.trim()),
+    )
+    .filter(
+      (line, i, kept) => line.text.trim() || (i > 0 && i < kept.length - 1),
+    );
+}
+
+/**
+ * Renders an asciicast into a plain text transcript.
+ * @param {string} asciicast
+ * @return {string}
+ */
+export function transcriptText(asciicast) {
+  return `${transcriptLines(asciicast)
+    .map(({ text }) => text)
+    .join('\n')}\n`;
+}
+
+const escapeHTML = (text) =>
+  text
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;')
+    .replaceAll("'", '&#39;');
+
+/**
+ * Returns the inline CSS of a style of the terminal emulator.
+ * @param {object} style
+ * @return {string}
+ */
+function styleCSS({ fg, bg, bold, faint, italic, underline, inverse }) {
+  let color = fg !== undefined ? colorHex(fg) : undefined;
+  let background = bg !== undefined ? colorHex(bg) : undefined;
+  if (inverse) {
+    [color, background] = [
+      background ?? 'var(--background)',
+      color ?? 'var(--foreground)',
+    ];
+  }
+  return [
+    color && `color:${color}`,
+    background && `background:${background}`,
+    bold && 'font-weight:bold',
+    faint && 'opacity:0.7',
+    italic && 'font-style:italic',
+    underline && 'text-decoration:underline',
+  ]
+    .filter(Boolean)
+    .join(';');
+}
+
+const renderSegment = ({ text, style }) => {
+  const css = styleCSS(style);
+  return css
+    ? `<span style="${css}">${escapeHTML(text)}</span>`
+    : escapeHTML(text);
+};
+
+const PAGE_CSS = `
+:root { --background: #0c0c0e; --foreground: #e5e5e5; }
+body { margin: 0; background: var(--background); color: var(--foreground); font-family: sans-serif; }
+header { position: sticky; top: 0; display: flex; gap: 1rem; align-items: center; padding: 0.75rem 1rem; background: #252937; }
+h1 { margin: 0; font-size: 1rem; }
+input { padding: 0.25rem 0.5rem; }
+main { padding: 1rem; font: 0.875rem/1.4 ui-monospace, monospace; white-space: pre; overflow-x: auto; }
+.line { display: flex; min-height: 1.4em; }
+.line[hidden] { display: none; }
+time { flex: none; width: 5rem; color: #8c909c; user-select: none; }
+.command { background: #1a1d26; }
+`;
+
+// Hides lines that don't include the search text, so the page can be
+// searched offline without a server
+const PAGE_SCRIPT = `
+document.querySelector('input').addEventListener('input', (event) => {
+  const search = event.target.value.toLowerCase();
+  document.querySelectorAll('.line').forEach((line) => {
+    line.hidden = Boolean(search) && !line.textContent.toLowerCase().includes(search);
+  });
+});
+`;
+
+/**
+ * Renders an asciicast into a static HTML page of its transcript, with the
+ * colors of the terminal and the time of each command.  If no input was
+ * recorded, so commands aren't known, the time of every line is shown.  The
+ * page doesn't load anything, so it can be kept and read offline, and has a
+ * search field to filter its lines.
+ * @param {string} asciicast
+ * @param {object} options
+ * @param {string} options.title
+ * @param {string} options.searchLabel
+ * @return {string}
+ */
+export function transcriptHTML(
+  asciicast,
+  { title = '', searchLabel = '' } = {},
+) {
+  const lines = transcriptLines(asciicast);
+  const hasCommands = lines.some(({ command }) => command !== null);
+
+  const body = lines
+    .map(({ time, command, segments }) => {
+      const shownTime = hasCommands ? command : time;
+      const timestamp =
+        shownTime !== null
+          ? `<time datetime="PT${Math.floor(shownTime)}S">${formatTime(shownTime)}</time>`
+          : '<time></time>';
+      const className = command !== null ? 'line command' : 'line';
+      return `<div class="${className}">${timestamp}<span>${segments
+        .map(renderSegment)
+        .join('')}</span></div>`;
+    })
+    .join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHTML(title)}</title>
+<style>${PAGE_CSS}</style>
+</head>
+<body>
+<header>
+<h1>${escapeHTML(title)}</h1>
+<input type="search" placeholder="${escapeHTML(searchLabel)}" aria-label="${escapeHTML(searchLabel)}">
+</header>
+<main>
+${body}
+</main>
+<script>${PAGE_SCRIPT}</script>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,46 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+import { makeEvaluator } from 'js-bexpr';
+
+/**
+ * Returns the data worker filters are evaluated against: the worker name
+ * and its config and API tags combined.
+ * @param {WorkerModel} worker
+ * @return {object}
+ */
+export const filterInput = (worker) => {
+  const tags = {};
+  [worker.config_tags, worker.api_tags].forEach((source) =>
+    Object.entries(source ?? {}).forEach(([key, values]) => {
+      tags[key] = [...(tags[key] ?? []), ...values];
+    }),
+  );
+  return { name: worker.name, tags };
+};
+
+/**
+ * Returns a function telling whether a worker matches a worker filter, or
+ * null when the filter is empty or can't be evaluated.  Workers the filter
+ * fails to evaluate against don't match.
+ * @param {?string} expression
+ * @return {?function}
+ */
+export function workerFilterMatcher(expression) {
+  if (!expression) return null;
+  let evaluate;
+  try {
+    evaluate = makeEvaluator(expression);
+  } catch {
+    return null;
+  }
+  return (worker) => {
+    try {
+      return Boolean(evaluate(filterInput(worker)));
+    } catch {
+      return false;
+    }
+  };
+}
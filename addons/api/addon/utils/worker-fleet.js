@@ -0,0 +1,152 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+import { TYPE_WORKER_KMS, TYPE_WORKER_PKI } from 'api/models/worker';
+
+/**
+ * Milliseconds since its last status after which a worker is stale.
+ * @type {number}
+ */
+export const STALE_AFTER = 5 * 60 * 1000;
+
+export const STATUS_ACTIVE = 'active';
+export const STATUS_STALE = 'stale';
+export const STATUS_UNKNOWN = 'unknown';
+
+/**
+ * Parses the numbers out of a release version, e.g. `Boundary v0.13.2+ent`.
+ * @param {?string} releaseVersion
+ * @return {?[number]} `[major, minor, patch]`
+ */
+export function parseVersion(releaseVersion) {
+  const match = releaseVersion?.match(/(\d+)\.(\d+)(?:\.(\d+))?/);
+  if (!match) return null;
+  const [, major, minor, patch = '0'] = match;
+  return [major, minor, patch].map(Number);
+}
+
+/**
+ * Compares two release versions, for sorting from oldest to newest.
+ * Versions that can't be parsed are older than any other.
+ * @param {?string} a
+ * @param {?string} b
+ * @return {number}
+ */
+export function compareVersions(a, b) {
+  const versionA = parseVersion(a);
+  const versionB = parseVersion(b);
+  if (!versionA || !versionB) return Boolean(versionA) - Boolean(versionB);
+  const index = versionA.findIndex((part, i) => part !== versionB[i]);
+  return index === -1 ? 0 : versionA[index] - versionB[index];
+}
+
+/**
+ * Returns whether a worker reported its status recently, is stale, or never
+ * reported its status.
+ * @param {object} worker
+ * @param {Date} now
+ * @return {string}
+ */
+export function workerStatus({ last_status_time }, now = new Date()) {
+  if (!last_status_time) return STATUS_UNKNOWN;
+  return now - new Date(last_status_time) > STALE_AFTER
+    ? STATUS_STALE
+    : STATUS_ACTIVE;
+}
+
+/**
+ * Counts workers by a key, from the most to the least common.
+ * @param {[object]} workers
+ * @param {function} keyFor
+ * @return {[{key: ?string, count: number, workers: [object]}]}
+ */
+const groupWorkers = (workers, keyFor) => {
+  const groups = new Map();
+  workers.forEach((worker) => {
+    const key = keyFor(worker) ?? null;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(worker);
+  });
+  return [...groups]
+    .map(([key, workers]) => ({ key, count: workers.length, workers }))
+    .sort((a, b) => b.count - a.count);
+};
+
+/**
+ * Summarizes a fleet of workers by release version, type, tag, address and
+ * status.  Workers on a release older than the newest one in the fleet are
+ * `outdatedWorkers`, so version drift shows even before a new release is
+ * known to the UI.  A tag set both in the config and through the API is
+ * counted once per worker.
+ * @param {[WorkerModel]} workers
+ * @param {Date} now
+ * @return {object}
+ */
+export function workerFleet(workers = [], now = new Date()) {
+  const latestVersion =
+    workers
+      .map(({ release_version }) => release_version)
+      .filter(parseVersion)
+      .sort(compareVersions)
+      .at(-1) ?? null;
+
+  const versions = groupWorkers(workers, ({ release_version }) =>
+    parseVersion(release_version) ? release_version : null,
+  )
+    .map(({ key, count, workers }) => ({
+      version: key,
+      count,
+      workers,
+      isLatest: key !== null && compareVersions(key, latestVersion) === 0,
+    }))
+    .sort((a, b) => compareVersions(b.version, a.version));
+
+  const types = groupWorkers(workers, (worker) =>
+    worker.isPki ? TYPE_WORKER_PKI : TYPE_WORKER_KMS,
+  ).map(({ key, count, workers }) => ({ type: key, count, workers }));
+
+  const statuses = groupWorkers(workers, (worker) =>
+    workerStatus(worker, now),
+  ).map(({ key, count, workers }) => ({ status: key, count, workers }));
+
+  const addresses = groupWorkers(workers, ({ address }) => address).map(
+    ({ key, count, workers }) => ({ address: key, count, workers }),
+  );
+
+  const tagCounts = new Map();
+  workers.forEach((worker) => {
+    new Set(
+      worker.allTags.map(({ key, value }) => JSON.stringify([key, value])),
+    ).forEach((tag) => tagCounts.set(tag, (tagCounts.get(tag) ?? 0) + 1));
+  });
+  const tags = [];
+  [...tagCounts]
+    .map(([tag, count]) => [...JSON.parse(tag), count])
+    .sort(([keyA, valueA], [keyB, valueB]) =>
+      keyA === keyB ? valueA.localeCompare(valueB) : keyA.localeCompare(keyB),
+    )
+    .forEach(([key, value, count]) => {
+      if (tags.at(-1)?.key !== key) tags.push({ key, values: [] });
+      tags.at(-1).values.push({ key, value, count });
+    });
+
+  return {
+    total: workers.length,
+    latestVersion,
+    versions,
+    types,
+    statuses,
+    addresses,
+    tags,
+    staleWorkers: workers.filter(
+      (worker) => workerStatus(worker, now) === STATUS_STALE,
+    ),
+    outdatedWorkers: workers.filter(
+      ({ release_version }) =>
+        parseVersion(release_version) &&
+        compareVersions(release_version, latestVersion) < 0,
+    ),
+  };
+}
@@ -0,0 +1,175 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+import {
+  BULK_STATUS_ERROR,
+  BULK_STATUS_SKIPPED,
+  BULK_STATUS_SUCCESS,
+} from 'api/utils/bulk-status';
+import { workerFilterMatcher } from 'api/utils/worker-filter';
+
+export const BULK_TAGS_ADD = 'add';
+export const BULK_TAGS_REPLACE = 'replace';
+export const BULK_TAGS_REMOVE = 'remove';
+export const BULK_TAGS_OPERATIONS = Object.freeze([
+  BULK_TAGS_ADD,
+  BULK_TAGS_REPLACE,
+  BULK_TAGS_REMOVE,
+]);
+
+export const HOP_INGRESS = 'ingress';
+export const HOP_EGRESS = 'egress';
+
+/**
+ * Parses tags written as `key=value` pairs, separated by commas or new
+ * lines, into an API tags object.  Entries without a key or value are
+ * returned as `invalid`.
+ *
+ * @example
+ *   parseTags('env=prod, region=us-east-1\nenv=qa');
+ *   // { tags: { env: ['prod', 'qa'], region: ['us-east-1'] }, invalid: [] }
+ *
+ * @param {string} text
+ * @return {{tags: object, invalid: [string]}}
+ */
+export function parseTags(text = '') {
+  const tags = {};
+  const invalid = [];
+  text
+    .split(/[,\n]/)
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .forEach((entry) => {
+      const index = entry.indexOf('=');
+      const key = entry.slice(0, index).trim();
+      const value = entry.slice(index + 1).trim();
+      if (index === -1 || !key || !value) {
+        invalid.push(entry);
+        return;
+      }
+      tags[key] = [...new Set([...(tags[key] ?? []), value])];
+    });
+  return { tags, invalid };
+}
+
+const tagPairs = (tags) =>
+  Object.entries(tags ?? {}).flatMap(([key, values]) =>
+    values.map((value) => ({ key, value })),
+  );
+
+const hasTag = (tags, { key, value }) => Boolean(tags?.[key]?.includes(value));
+
+const tagsObject = (pairs) => {
+  const tags = {};
+  pairs.forEach(({ key, value }) => {
+    tags[key] = [...new Set([...(tags[key] ?? []), value])];
+  });
+  return tags;
+};
+
+/**
+ * Previews adding, replacing or removing API tags on each worker.  Each
+ * entry has the `apiTags` the worker will have, the tags `added` and
+ * `removed`, and whether it `willChange`.  Only the tags a worker has are
+ * removed from it.
+ * @param {[WorkerModel]} workers
+ * @param {object} change
+ * @param {string} change.operation - one of `BULK_TAGS_OPERATIONS`
+ * @param {object} change.tags - API tags, e.g. `{ env: ['prod'] }`
+ * @return {[object]}
+ */
+export function planBulkTags(workers, { operation, tags }) {
+  const changePairs = tagPairs(tags);
+  return workers.map((worker) => {
+    const current = tagPairs(worker.api_tags);
+    let apiTags;
+    if (operation === BULK_TAGS_ADD) {
+      apiTags = tagsObject([...current, ...changePairs]);
+    } else if (operation === BULK_TAGS_REPLACE) {
+      apiTags = tagsObject(changePairs);
+    } else {
+      apiTags = tagsObject(current.filter((pair) => !hasTag(tags, pair)));
+    }
+    const added = tagPairs(apiTags).filter(
+      (pair) => !hasTag(worker.api_tags, pair),
+    );
+    const removed = current.filter((pair) => !hasTag(apiTags, pair));
+    return {
+      worker,
+      apiTags,
+      added,
+      removed,
+      willChange: added.length > 0 || removed.length > 0,
+    };
+  });
+}
+
+/**
+ * Finds the target ingress and egress worker filters whose matching workers
+ * a planned bulk change alters.  Each entry has the `target`, the `hop`, the
+ * `filter` and the workers the filter starts matching, `gained`, or stops
+ * matching, `lost`.  Filters that can't be evaluated are skipped.
+ * @param {[TargetModel]} targets
+ * @param {[object]} plan - as returned by `planBulkTags`
+ * @return {[object]}
+ */
+export function bulkTagsFilterImpact(targets, plan) {
+  const changes = plan.filter(({ willChange }) => willChange);
+  return targets.flatMap((target) =>
+    [
+      [HOP_INGRESS, target.ingress_worker_filter],
+      [HOP_EGRESS, target.egress_worker_filter],
+    ].flatMap(([hop, filter]) => {
+      const matches = workerFilterMatcher(filter);
+      if (!matches || !changes.length) return [];
+      const gained = [];
+      const lost = [];
+      changes.forEach(({ worker, apiTags }) => {
+        const before = matches(worker);
+        const after = matches({
+          name: worker.name,
+          config_tags: worker.config_tags,
+          api_tags: apiTags,
+        });
+        if (!before && after) gained.push(worker);
+        if (before && !after) lost.push(worker);
+      });
+      return gained.length || lost.length
+        ? [{ target, hop, filter, gained, lost }]
+        : [];
+    }),
+  );
+}
+
+/**
+ * Applies a planned bulk change one worker at a time, so a failure on one
+ * worker doesn't stop the others.  Tags are removed with `removeApiTags`
+ * and otherwise set with `setApiTags`.  Returns the `status` of each worker,
+ * and the `error` of workers that failed.
+ * @param {[object]} plan - as returned by `planBulkTags`
+ * @param {object} change - as passed to `planBulkTags`
+ * @return {Promise{[object]}}
+ */
+export async function applyBulkTags(plan, { operation }) {
+  const results = [];
+  for (const { worker, willChange, apiTags, removed } of plan) {
+    if (!willChange) {
+      results.push({ worker, status: BULK_STATUS_SKIPPED });
+      continue;
+    }
+    try {
+      if (operation === BULK_TAGS_REMOVE) {
+        await worker.removeApiTags(tagsObject(removed));
+      } else {
+        await worker.setApiTags(apiTags);
+      }
+      results.push({ worker, status: BULK_STATUS_SUCCESS });
+    } catch (error) {
+      worker.rollbackAttributes?.();
+      results.push({ worker, status: BULK_STATUS_ERROR, error });
+    }
+  }
+  return results;
+}
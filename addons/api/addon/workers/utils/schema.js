@@ -429,6 +429,387 @@ CREATE TRIGGER IF NOT EXISTS session_ad AFTER DELETE ON session BEGIN
     VALUES('delete', old.rowid, old.id, old.type, old.status, old.endpoint, old.target_id, old.user_id, old.scope_id, old.created_time);
 END;`;
 
+const createHostTables = `
+CREATE TABLE IF NOT EXISTS host (
+    id TEXT NOT NULL PRIMARY KEY,
+    type TEXT NOT NULL,
+    name TEXT,
+    description TEXT,
+    address TEXT,
+    host_catalog_id TEXT NOT NULL,
+    scope_id TEXT,
+    created_time TEXT NOT NULL,
+    data TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_host_host_catalog_id_created_time ON host(host_catalog_id, created_time DESC);
+
+CREATE VIRTUAL TABLE IF NOT EXISTS host_fts USING fts5(
+    id,
+    type,
+    name,
+    description,
+    address,
+    host_catalog_id,
+    scope_id,
+    created_time,
+    content='host',
+);
+
+CREATE TRIGGER IF NOT EXISTS host_ai AFTER INSERT ON host BEGIN
+    INSERT INTO host_fts(
+        rowid, id, type, name, description, address, host_catalog_id, scope_id, created_time
+    ) VALUES (
+        new.rowid, new.id, new.type, new.name, new.description, new.address, new.host_catalog_id, new.scope_id, new.created_time
+    );
+END;
+
+CREATE TRIGGER IF NOT EXISTS host_ad AFTER DELETE ON host BEGIN
+    INSERT INTO host_fts(host_fts, rowid, id, type, name, description, address, host_catalog_id, scope_id, created_time)
+    VALUES('delete', old.rowid, old.id, old.type, old.name, old.description, old.address, old.host_catalog_id, old.scope_id, old.created_time);
+END;`;
+
+const createHostSetTables = `
+CREATE TABLE IF NOT EXISTS host_set (
+    id TEXT NOT NULL PRIMARY KEY,
+    type TEXT NOT NULL,
+    name TEXT,
+    description TEXT,
+    host_catalog_id TEXT NOT NULL,
+    scope_id TEXT,
+    created_time TEXT NOT NULL,
+    data TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_host_set_host_catalog_id_created_time ON host_set(host_catalog_id, created_time DESC);
+
+CREATE VIRTUAL TABLE IF NOT EXISTS host_set_fts USING fts5(
+    id,
+    type,
+    name,
+    description,
+    host_catalog_id,
+    scope_id,
+    created_time,
+    content='host_set',
+);
+
+CREATE TRIGGER IF NOT EXISTS host_set_ai AFTER INSERT ON host_set BEGIN
+    INSERT INTO host_set_fts(
+        rowid, id, type, name, description, host_catalog_id, scope_id, created_time
+    ) VALUES (
+        new.rowid, new.id, new.type, new.name, new.description, new.host_catalog_id, new.scope_id, new.created_time
+    );
+END;
+
+CREATE TRIGGER IF NOT EXISTS host_set_ad AFTER DELETE ON host_set BEGIN
+    INSERT INTO host_set_fts(host_set_fts, rowid, id, type, name, description, host_catalog_id, scope_id, created_time)
+    VALUES('delete', old.rowid, old.id, old.type, old.name, old.description, old.host_catalog_id, old.scope_id, old.created_time);
+END;`;
+
+const createWorkerTables = `
+CREATE TABLE IF NOT EXISTS worker (
+    id TEXT NOT NULL PRIMARY KEY,
+    type TEXT,
+    name TEXT,
+    description TEXT,
+    address TEXT,
+    release_version TEXT,
+    last_status_time TEXT,
+    scope_id TEXT,
+    created_time TEXT NOT NULL,
+    data TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_worker_created_time ON worker(created_time DESC);
+
+CREATE VIRTUAL TABLE IF NOT EXISTS worker_fts USING fts5(
+    id,
+    type,
+    name,
+    description,
+    address,
+    release_version,
+    last_status_time,
+    scope_id,
+    created_time,
+    content='worker',
+);
+
+CREATE TRIGGER IF NOT EXISTS worker_ai AFTER INSERT ON worker BEGIN
+    INSERT INTO worker_fts(
+        rowid, id, type, name, description, address, release_version, last_status_time, scope_id, created_time
+    ) VALUES (
+        new.rowid, new.id, new.type, new.name, new.description, new.address, new.release_version, new.last_status_time, new.scope_id, new.created_time
+    );
+END;
+
+CREATE TRIGGER IF NOT EXISTS worker_ad AFTER DELETE ON worker BEGIN
+    INSERT INTO worker_fts(worker_fts, rowid, id, type, name, description, address, release_version, last_status_time, scope_id, created_time)
+    VALUES('delete', old.rowid, old.id, old.type, old.name, old.description, old.address, old.release_version, old.last_status_time, old.scope_id, old.created_time);
+END;`;
+
+const createCredentialLibraryTables = `
+CREATE TABLE IF NOT EXISTS credential_library (
+    id TEXT NOT NULL PRIMARY KEY,
+    type TEXT NOT NULL,
+    name TEXT,
+    description TEXT,
+    credential_type TEXT,
+    credential_store_id TEXT NOT NULL,
+    scope_id TEXT,
+    created_time TEXT NOT NULL,
+    data TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_credential_library_credential_store_id_created_time ON credential_library(credential_store_id, created_time DESC);
+
+CREATE VIRTUAL TABLE IF NOT EXISTS credential_library_fts USING fts5(
+    id,
+    type,
+    name,
+    description,
+    credential_type,
+    credential_store_id,
+    scope_id,
+    created_time,
+    content='credential_library',
+);
+
+CREATE TRIGGER IF NOT EXISTS credential_library_ai AFTER INSERT ON credential_library BEGIN
+    INSERT INTO credential_library_fts(
+        rowid, id, type, name, description, credential_type, credential_store_id, scope_id, created_time
+    ) VALUES (
+        new.rowid, new.id, new.type, new.name, new.description, new.credential_type, new.credential_store_id, new.scope_id, new.created_time
+    );
+END;
+
+CREATE TRIGGER IF NOT EXISTS credential_library_ad AFTER DELETE ON credential_library BEGIN
+    INSERT INTO credential_library_fts(credential_library_fts, rowid, id, type, name, description, credential_type, credential_store_id, scope_id, created_time)
+    VALUES('delete', old.rowid, old.id, old.type, old.name, old.description, old.credential_type, old.credential_store_id, old.scope_id, old.created_time);
+END;`;
+
+const createCredentialTables = `
+CREATE TABLE IF NOT EXISTS credential (
+    id TEXT NOT NULL PRIMARY KEY,
+    type TEXT NOT NULL,
+    name TEXT,
+    description TEXT,
+    credential_store_id TEXT NOT NULL,
+    scope_id TEXT,
+    created_time TEXT NOT NULL,
+    data TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_credential_credential_store_id_created_time ON credential(credential_store_id, created_time DESC);
+
+CREATE VIRTUAL TABLE IF NOT EXISTS credential_fts USING fts5(
+    id,
+    type,
+    name,
+    description,
+    credential_store_id,
+    scope_id,
+    created_time,
+    content='credential',
+);
+
+CREATE TRIGGER IF NOT EXISTS credential_ai AFTER INSERT ON credential BEGIN
+    INSERT INTO credential_fts(
+        rowid, id, type, name, description, credential_store_id, scope_id, created_time
+    ) VALUES (
+        new.rowid, new.id, new.type, new.name, new.description, new.credential_store_id, new.scope_id, new.created_time
+    );
+END;
+
+CREATE TRIGGER IF NOT EXISTS credential_ad AFTER DELETE ON credential BEGIN
+    INSERT INTO credential_fts(credential_fts, rowid, id, type, name, description, credential_store_id, scope_id, created_time)
+    VALUES('delete', old.rowid, old.id, old.type, old.name, old.description, old.credential_store_id, old.scope_id, old.created_time);
+END;`;
+
+const createAccountTables = `
+CREATE TABLE IF NOT EXISTS account (
+    id TEXT NOT NULL PRIMARY KEY,
+    type TEXT,
+    name TEXT,
+    description TEXT,
+    login_name TEXT,
+    auth_method_id TEXT NOT NULL,
+    scope_id TEXT,
+    created_time TEXT NOT NULL,
+    data TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_account_auth_method_id_created_time ON account(auth_method_id, created_time DESC);
+
+CREATE VIRTUAL TABLE IF NOT EXISTS account_fts USING fts5(
+    id,
+    type,
+    name,
+    description,
+    login_name,
+    auth_method_id,
+    scope_id,
+    created_time,
+    content='account',
+);
+
+CREATE TRIGGER IF NOT EXISTS account_ai AFTER INSERT ON account BEGIN
+    INSERT INTO account_fts(
+        rowid, id, type, name, description, login_name, auth_method_id, scope_id, created_time
+    ) VALUES (
+        new.rowid, new.id, new.type, new.name, new.description, new.login_name, new.auth_method_id, new.scope_id, new.created_time
+    );
+END;
+
+CREATE TRIGGER IF NOT EXISTS account_ad AFTER DELETE ON account BEGIN
+    INSERT INTO account_fts(account_fts, rowid, id, type, name, description, login_name, auth_method_id, scope_id, created_time)
+    VALUES('delete', old.rowid, old.id, old.type, old.name, old.description, old.login_name, old.auth_method_id, old.scope_id, old.created_time);
+END;`;
+
+const createManagedGroupTables = `
+CREATE TABLE IF NOT EXISTS managed_group (
+    id TEXT NOT NULL PRIMARY KEY,
+    type TEXT,
+    name TEXT,
+    description TEXT,
+    auth_method_id TEXT NOT NULL,
+    scope_id TEXT,
+    created_time TEXT NOT NULL,
+    data TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_managed_group_auth_method_id_created_time ON managed_group(auth_method_id, created_time DESC);
+
+CREATE VIRTUAL TABLE IF NOT EXISTS managed_group_fts USING fts5(
+    id,
+    type,
+    name,
+    description,
+    auth_method_id,
+    scope_id,
+    created_time,
+    content='managed_group',
+);
+
+CREATE TRIGGER IF NOT EXISTS managed_group_ai AFTER INSERT ON managed_group BEGIN
+    INSERT INTO managed_group_fts(
+        rowid, id, type, name, description, auth_method_id, scope_id, created_time
+    ) VALUES (
+        new.rowid, new.id, new.type, new.name, new.description, new.auth_method_id, new.scope_id, new.created_time
+    );
+END;
+
+CREATE TRIGGER IF NOT EXISTS managed_group_ad AFTER DELETE ON managed_group BEGIN
+    INSERT INTO managed_group_fts(managed_group_fts, rowid, id, type, name, description, auth_method_id, scope_id, created_time)
+    VALUES('delete', old.rowid, old.id, old.type, old.name, old.description, old.auth_method_id, old.scope_id, old.created_time);
+END;`;
+
+const createStorageBucketTables = `
+CREATE TABLE IF NOT EXISTS storage_bucket (
+    id TEXT NOT NULL PRIMARY KEY,
+    type TEXT,
+    name TEXT,
+    description TEXT,
+    bucket_name TEXT,
+    plugin_name TEXT,
+    scope_id TEXT NOT NULL,
+    created_time TEXT NOT NULL,
+    data TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_storage_bucket_scope_id_created_time ON storage_bucket(scope_id, created_time DESC);
+
+CREATE VIRTUAL TABLE IF NOT EXISTS storage_bucket_fts USING fts5(
+    id,
+    type,
+    name,
+    description,
+    bucket_name,
+    plugin_name,
+    scope_id,
+    created_time,
+    content='storage_bucket',
+);
+
+CREATE TRIGGER IF NOT EXISTS storage_bucket_ai AFTER INSERT ON storage_bucket BEGIN
+    INSERT INTO storage_bucket_fts(
+        rowid, id, type, name, description, bucket_name, plugin_name, scope_id, created_time
+    ) VALUES (
+        new.rowid, new.id, new.type, new.name, new.description, new.bucket_name, new.plugin_name, new.scope_id, new.created_time
+    );
+END;
+
+CREATE TRIGGER IF NOT EXISTS storage_bucket_ad AFTER DELETE ON storage_bucket BEGIN
+    INSERT INTO storage_bucket_fts(storage_bucket_fts, rowid, id, type, name, description, bucket_name, plugin_name, scope_id, created_time)
+    VALUES('delete', old.rowid, old.id, old.type, old.name, old.description, old.bucket_name, old.plugin_name, old.scope_id, old.created_time);
+END;`;
+
+const createPolicyTables = `
+CREATE TABLE IF NOT EXISTS policy (
+    id TEXT NOT NULL PRIMARY KEY,
+    type TEXT,
+    name TEXT,
+    description TEXT,
+    scope_id TEXT NOT NULL,
+    created_time TEXT NOT NULL,
+    data TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_policy_scope_id_created_time ON policy(scope_id, created_time DESC);
+
+CREATE VIRTUAL TABLE IF NOT EXISTS policy_fts USING fts5(
+    id,
+    type,
+    name,
+    description,
+    scope_id,
+    created_time,
+    content='policy',
+);
+
+CREATE TRIGGER IF NOT EXISTS policy_ai AFTER INSERT ON policy BEGIN
+    INSERT INTO policy_fts(
+        rowid, id, type, name, description, scope_id, created_time
+    ) VALUES (
+        new.rowid, new.id, new.type, new.name, new.description, new.scope_id, new.created_time
+    );
+END;
+
+CREATE TRIGGER IF NOT EXISTS policy_ad AFTER DELETE ON policy BEGIN
+    INSERT INTO policy_fts(policy_fts, rowid, id, type, name, description, scope_id, created_time)
+    VALUES('delete', old.rowid, old.id, old.type, old.name, old.description, old.scope_id, old.created_time);
+END;`;
+
+const createRecordingLineTables = `
+CREATE TABLE IF NOT EXISTS recording_line (
+    id TEXT NOT NULL PRIMARY KEY,
+    session_recording_id TEXT NOT NULL,
+    channel_recording_id TEXT NOT NULL,
+    scope_id TEXT NOT NULL,
+    type TEXT NOT NULL,
+    time REAL NOT NULL,
+    text TEXT NOT NULL,
+    data TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_recording_line_session_recording_id_time ON recording_line(session_recording_id, time);
+CREATE INDEX IF NOT EXISTS idx_recording_line_channel_recording_id ON recording_line(channel_recording_id);
+
+CREATE VIRTUAL TABLE IF NOT EXISTS recording_line_fts USING fts5(
+    id,
+    session_recording_id,
+    channel_recording_id,
+    scope_id,
+    type,
+    time,
+    text,
+    content='recording_line',
+);
+
+CREATE TRIGGER IF NOT EXISTS recording_line_ai AFTER INSERT ON recording_line BEGIN
+    INSERT INTO recording_line_fts(
+        rowid, id, session_recording_id, channel_recording_id, scope_id, type, time, text
+    ) VALUES (
+        new.rowid, new.id, new.session_recording_id, new.channel_recording_id, new.scope_id, new.type, new.time, new.text
+    );
+END;
+
+CREATE TRIGGER IF NOT EXISTS recording_line_ad AFTER DELETE ON recording_line BEGIN
+    INSERT INTO recording_line_fts(recording_line_fts, rowid, id, session_recording_id, channel_recording_id, scope_id, type, time, text)
+    VALUES('delete', old.rowid, old.id, old.session_recording_id, old.channel_recording_id, old.scope_id, old.type, old.time, old.text);
+END;`;
+
 export const CREATE_TABLES = (version) => `
 BEGIN;
 
@@ -452,6 +833,16 @@ ${createAuthMethodTables}
 ${createHostCatalogTables}
 ${createSessionRecordingTables}
 ${createSessionTables}
+${createHostTables}
+${createHostSetTables}
+${createWorkerTables}
+${createCredentialLibraryTables}
+${createCredentialTables}
+${createAccountTables}
+${createManagedGroupTables}
+${createStorageBucketTables}
+${createPolicyTables}
+${createRecordingLineTables}
 
 COMMIT;`;
 
@@ -704,13 +704,13 @@ function routes() {
       };
 
       if (method === 'remove-worker-tags') {
-        const key = Object.keys(attrs.apiTags)[0];
-        const value = attrs.apiTags[key][0];
-        updatedAttrs.api_tags[key] = updatedAttrs.api_tags[key].filter(
-          (tag) => {
-            return tag !== value;
-          },
-        );
+        Object.entries(attrs.apiTags)
+          .filter(([key]) => updatedAttrs.api_tags[key])
+          .forEach(([key, values]) => {
+            updatedAttrs.api_tags[key] = updatedAttrs.api_tags[key].filter(
+              (tag) => !values.includes(tag),
+            );
+          });
       }
 
       if (method === 'set-worker-tags') {
@@ -7,12 +7,14 @@ import { module, test } from 'qunit';
 import { setupTest } from 'ember-qunit';
 import SqliteHandler from 'api/handlers/sqlite-handler';
 import RequestManager from '@ember-data/request';
+import { LegacyNetworkHandler } from '@ember-data/legacy-compat';
 import setupMirage from 'ember-cli-mirage/test-support/setup-mirage';
 import { faker } from '@faker-js/faker';
 import sinon from 'sinon';
 import { assert } from '@ember/debug';
 import { setupSqlite } from 'api/test-support/helpers/sqlite';
 import TargetModel from 'api/models/target';
+import { OfflineError } from 'api/services/connectivity';
 
 function createPaginatedResponseHandler(mirageRecords, { pageSize }) {
   assert('pageSize is required', pageSize);
@@ -523,4 +525,169 @@ module('Unit | Handler | sqlite-handler', function (hooks) {
     // Verify query was called twice (initial fail + retry)
     assert.ok(applicationAdapter.query.calledTwice);
   });
+
+  test('it only returns cached hosts for the queried host catalog', async function (assert) {
+    const [catalogA, catalogB] = this.server.createList('host-catalog', 2, {
+      scope,
+    });
+    this.server.createList('host', 3, { scope, hostCatalog: catalogA });
+    this.server.createList('host', 2, { scope, hostCatalog: catalogB });
+
+    const queryHosts = (host_catalog_id) =>
+      store.query('host', {
+        host_catalog_id,
+        query: {
+          filters: { host_catalog_id: [{ equals: host_catalog_id }] },
+        },
+      });
+
+    const hostsA = await queryHosts(catalogA.id);
+    const hostsB = await queryHosts(catalogB.id);
+
+    assert.strictEqual(hostsA.length, 3);
+    assert.true(
+      hostsA.every(({ host_catalog_id }) => host_catalog_id === catalogA.id),
+    );
+    assert.strictEqual(hostsB.length, 2);
+    assert.true(
+      hostsB.every(({ host_catalog_id }) => host_catalog_id === catalogB.id),
+    );
+  });
+
+  test('it removes stale records when the response is not paginated', async function (assert) {
+    const globalScope = this.server.create('scope', { id: 'global' });
+    const workers = this.server.createList('worker', 3, {
+      scope: globalScope,
+    });
+
+    let results = await store.query('worker', { scope_id: 'global' });
+    assert.strictEqual(results.length, 3);
+
+    workers[0].destroy();
+    results = await store.query('worker', { scope_id: 'global' });
+
+    const [{ count }] = await sqliteHandler.sqlite.fetchResource({
+      sql: 'SELECT count(*) as count FROM worker',
+    });
+    assert.strictEqual(results.length, 2);
+    assert.strictEqual(count, 2);
+    assert.notOk(results.map(({ id }) => id).includes(workers[0].id));
+  });
+
+  module('offline', function (hooks) {
+    let connectivity;
+    const networkError = () => new TypeError('Failed to fetch');
+
+    hooks.beforeEach(function () {
+      connectivity = this.owner.lookup('service:connectivity');
+
+      // Records, unlike lists, are fetched by the legacy handler
+      const offlineManager = new RequestManager();
+      offlineManager.use([sqliteHandler, LegacyNetworkHandler]);
+      store.requestManager = offlineManager;
+
+      this.server.createList('target', 3, { scope });
+    });
+
+    test('it serves cached results when the controller is unreachable', async function (assert) {
+      const fresh = await store.query('target', {});
+      sinon.stub(applicationAdapter, 'query').throws(networkError);
+
+      const cached = await store.query('target', {});
+
+      assert.strictEqual(cached.length, fresh.length);
+      assert.strictEqual(cached.meta.totalItems, 3);
+      assert.true(connectivity.isOffline);
+      assert.strictEqual(
+        connectivity.staleAsOf.getTime(),
+        connectivity.lastSyncedAt('target').getTime(),
+      );
+    });
+
+    test('it rethrows network errors when nothing was synced yet', async function (assert) {
+      sinon.stub(applicationAdapter, 'query').throws(networkError);
+
+      await assert.rejects(store.query('target', {}), TypeError);
+    });
+
+    test('it rethrows network errors when the list was never synced', async function (assert) {
+      const otherScope = this.server.create('scope', { type: 'project' });
+      await store.query('target', { scope_id: scope.id });
+      sinon.stub(applicationAdapter, 'query').throws(networkError);
+
+      await assert.rejects(
+        store.query('target', { scope_id: otherScope.id }),
+        TypeError,
+      );
+    });
+
+    test('it rethrows errors returned by the controller', async function (assert) {
+      await store.query('target', {});
+      sinon.stub(applicationAdapter, 'query').throws(() => {
+        const error = new Error('Server error');
+        error.errors = [{ status: 500 }];
+        return error;
+      });
+
+      await assert.rejects(store.query('target', {}), /Server error/);
+      assert.false(connectivity.isOffline);
+    });
+
+    test('it goes back online and syncs with the stored list token', async function (assert) {
+      const query = sinon.stub(applicationAdapter, 'query');
+      query.onFirstCall().resolves({
+        items: [],
+        list_token: 'stored-token',
+        response_type: 'complete',
+      });
+      query.onSecondCall().throws(networkError);
+      query.onThirdCall().resolves({
+        items: [],
+        list_token: 'next-token',
+        response_type: 'complete',
+      });
+
+      await store.query('target', {});
+      await store.query('target', {});
+      assert.true(connectivity.isOffline);
+
+      await store.query('target', {});
+      assert.false(connectivity.isOffline);
+      assert.strictEqual(connectivity.staleAsOf, null);
+      assert.strictEqual(query.thirdCall.args[2].list_token, 'stored-token');
+    });
+
+    test('it serves cached records when the controller is unreachable', async function (assert) {
+      const [target] = await store.query('target', {});
+      sinon.stub(applicationAdapter, 'findRecord').throws(networkError);
+
+      const record = await store.findRecord('target', target.id, {
+        reload: true,
+      });
+
+      assert.strictEqual(record.id, target.id);
+      assert.strictEqual(record.name, target.name);
+      assert.true(connectivity.isOffline);
+    });
+
+    test('it blocks changes while offline', async function (assert) {
+      const [target] = await store.query('target', {});
+      connectivity.markOffline();
+      const updateRecord = sinon.spy(applicationAdapter, 'updateRecord');
+
+      target.name = 'offline change';
+      await assert.rejects(target.save(), OfflineError);
+      assert.false(updateRecord.called);
+      assert.true(target.hasDirtyAttributes);
+    });
+
+    test('it goes offline when a change cannot reach the controller', async function (assert) {
+      const [target] = await store.query('target', {});
+      sinon.stub(applicationAdapter, 'updateRecord').throws(networkError);
+
+      target.name = 'offline change';
+      await assert.rejects(target.save(), OfflineError);
+      assert.true(connectivity.isOffline);
+    });
+  });
 });
@@ -0,0 +1,122 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+import { module, test } from 'qunit';
+import { setupTest } from 'ember-qunit';
+import { OfflineError } from 'api/services/connectivity';
+import sinon from 'sinon';
+
+module('Unit | Service | connectivity', function (hooks) {
+  setupTest(hooks);
+
+  let service;
+
+  hooks.beforeEach(function () {
+    service = this.owner.lookup('service:connectivity');
+  });
+
+  hooks.afterEach(function () {
+    sinon.restore();
+  });
+
+  test('it records when a type was last synced', function (assert) {
+    assert.strictEqual(service.lastSyncedAt('target'), null);
+
+    service.recordSync('target');
+
+    assert.true(service.lastSyncedAt('target') instanceof Date);
+    assert.strictEqual(service.lastSyncedAt('user'), null);
+  });
+
+  test('it records which lists of a type were synced', function (assert) {
+    service.recordSync('target', { scope_id: 'p_1' });
+    service.recordSync('target', {
+      scope_id: 'o_1',
+      filter: '"/item/name" == "a"',
+    });
+
+    assert.true(service.lastSyncedAt('target') instanceof Date);
+    assert.true(
+      service.lastSyncedAt('target', { scope_id: 'p_1' }) instanceof Date,
+    );
+    assert.strictEqual(
+      service.lastSyncedAt('target', { scope_id: 'p_1', recursive: true }),
+      null,
+    );
+    assert.strictEqual(
+      service.lastSyncedAt('target', { scope_id: 'o_1' }),
+      null,
+      'filtered lists do not cover their scope',
+    );
+    assert.true(
+      service.lastSyncedAt('target', {
+        filter: '"/item/name" == "a"',
+        scope_id: 'o_1',
+      }) instanceof Date,
+      'the order of query params does not matter',
+    );
+
+    service.recordSync('target', { scope_id: 'global', recursive: true });
+
+    assert.true(
+      service.lastSyncedAt('target', {
+        scope_id: 'global',
+        recursive: true,
+      }) instanceof Date,
+    );
+  });
+
+  test('it keeps the oldest sync time of stale data being shown', function (assert) {
+    const storage = this.owner.lookup('service:storage');
+    const older = new Date('2024-01-01T00:00:00Z');
+    const newer = new Date('2024-02-01T00:00:00Z');
+    sinon
+      .stub(storage, 'getItem')
+      .callsFake((key) =>
+        key.endsWith(':target') ? older.toISOString() : newer.toISOString(),
+      );
+
+    service.markStale('user');
+    service.markStale('target');
+    service.markStale('user');
+
+    assert.true(service.isOffline);
+    assert.strictEqual(service.staleAsOf.getTime(), older.getTime());
+  });
+
+  test('a successful sync takes it back online', function (assert) {
+    service.markStale('target');
+    assert.true(service.isOffline);
+
+    service.recordSync('target');
+
+    assert.false(service.isOffline);
+    assert.strictEqual(service.staleAsOf, null);
+  });
+
+  test('it blocks changes while offline', function (assert) {
+    service.assertOnline();
+    service.markOffline();
+
+    assert.throws(
+      () => service.assertOnline(),
+      (error) =>
+        error instanceof OfflineError &&
+        error.message === 'errors.offline.mutation',
+    );
+  });
+
+  test('it only refreshes the current route when offline', async function (assert) {
+    const router = this.owner.lookup('service:router');
+    const refresh = sinon.stub(router, 'refresh').resolves();
+
+    await service.reconcile();
+    assert.false(refresh.called);
+
+    service.markOffline();
+    await service.reconcile();
+    assert.true(refresh.calledOnce);
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+import { module, test } from 'qunit';
+import { setupTest } from 'ember-qunit';
+import {
+  compactFilters,
+  InvalidPresetsError,
+} from 'api/services/filter-presets';
+
+module('Unit | Service | filter-presets', function (hooks) {
+  setupTest(hooks);
+
+  let service;
+
+  hooks.beforeEach(function () {
+    this.owner.lookup('service:sqlite').dbName = 'u_1-boundary.example.com';
+    service = this.owner.lookup('service:filter-presets');
+  });
+
+  test('it drops empty filter values', function (assert) {
+    assert.deepEqual(
+      compactFilters({
+        search: '',
+        time: [null],
+        types: ['ssh', 'ssh', 'tcp'],
+        availableSessions: [],
+        status: 'active',
+      }),
+      { types: ['ssh', 'tcp'], status: 'active' },
+    );
+  });
+
+  test('it saves presets per resource type', function (assert) {
+    service.save('target', ' SSH targets ', {
+      search: 'prod',
+      types: ['ssh'],
+      availableSessions: [],
+    });
+
+    assert.deepEqual(service.presetsFor('target'), [
+      {
+        name: 'SSH targets',
+        pinned: false,
+        filters: { search: 'prod', types: ['ssh'] },
+      },
+    ]);
+    assert.deepEqual(service.presetsFor('session'), []);
+  });
+
+  test('it replaces presets with the same name', function (assert) {
+    service.save('target', 'SSH targets', { types: ['ssh'] });
+    service.save('target', 'TCP targets', { types: ['tcp'] });
+    service.save('target', 'SSH targets', { types: ['ssh'], search: 'dev' });
+
+    assert.deepEqual(
+      service.presetsFor('target').map(({ name, filters }) => [name, filters]),
+      [
+        ['TCP targets', { types: ['tcp'] }],
+        ['SSH targets', { types: ['ssh'], search: 'dev' }],
+      ],
+    );
+  });
+
+  test('it pins and removes presets', function (assert) {
+    const { version } = service;
+    service.save('target', 'SSH targets', { types: ['ssh'] });
+    service.save('target', 'TCP targets', { types: ['tcp'] });
+
+    service.togglePin('target', 'SSH targets');
+    assert.deepEqual(
+      service.presetsFor('target').map(({ pinned }) => pinned),
+      [true, false],
+    );
+
+    service.remove('target', 'SSH targets');
+    assert.deepEqual(
+      service.presetsFor('target').map(({ name }) => name),
+      ['TCP targets'],
+    );
+    assert.strictEqual(service.version, version + 4);
+  });
+
+  test('it keeps presets per user and cluster', function (assert) {
+    const sqlite = this.owner.lookup('service:sqlite');
+    sqlite.dbName = 'u_1-boundary.example.com';
+    service.save('target', 'SSH targets', { types: ['ssh'] });
+
+    sqlite.dbName = 'u_2-boundary.example.com';
+
+    assert.deepEqual(service.presetsFor('target'), []);
+  });
+
+  test('it keeps no presets before sign in', function (assert) {
+    this.owner.lookup('service:sqlite').dbName = undefined;
+    const storage = this.owner.lookup('service:storage');
+    const version = service.version;
+
+    service.save('target', 'SSH targets', { types: ['ssh'] });
+
+    assert.deepEqual(service.presetsFor('target'), []);
+    assert.notOk(storage.getItem('filter-presets:undefined:target'));
+    assert.strictEqual(service.version, version + 1);
+  });
+
+  test('it exports and imports presets', function (assert) {
+    service.save('target', 'SSH targets', { types: ['ssh'] }, { pinned: true });
+    const json = service.exportPresets('target');
+    service.remove('target', 'SSH targets');
+
+    const count = service.importPresets('target', json);
+
+    assert.strictEqual(count, 1);
+    assert.deepEqual(service.presetsFor('target'), [
+      { name: 'SSH targets', pinned: true, filters: { types: ['ssh'] } },
+    ]);
+  });
+
+  test('it rejects invalid imports', function (assert) {
+    service.save('target', 'SSH targets', { types: ['ssh'] });
+    const json = service.exportPresets('target');
+
+    assert.throws(
+      () => service.importPresets('target', 'not json'),
+      InvalidPresetsError,
+    );
+    assert.throws(
+      () => service.importPresets('session', json),
+      InvalidPresetsError,
+      'presets of another resource type are rejected',
+    );
+    assert.throws(
+      () =>
+        service.importPresets(
+          'target',
+          JSON.stringify({ version: 1, type: 'target', presets: [{}] }),
+        ),
+      InvalidPresetsError,
+    );
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+import { module, test } from 'qunit';
+import { setupTest } from 'ember-qunit';
+import {
+  TYPE_ANNOTATION,
+  TYPE_BOOKMARK,
+} from 'api/services/recording-annotations';
+
+module('Unit | Service | recording-annotations', function (hooks) {
+  setupTest(hooks);
+
+  let service;
+
+  hooks.beforeEach(function () {
+    this.owner.lookup('service:sqlite').dbName = 'u_1-boundary.example.com';
+    service = this.owner.lookup('service:recording-annotations');
+  });
+
+  test('it adds annotations per channel recording ordered by time', function (assert) {
+    service.add('chr_1', { type: TYPE_BOOKMARK, time: 20, text: ' Reboot ' });
+    service.add('chr_1', { time: 5.5, text: 'Logged in' });
+    service.add('chr_2', { time: 1, text: 'Other channel' });
+
+    assert.deepEqual(
+      service
+        .annotationsFor('chr_1')
+        .map(({ type, time, text }) => ({ type, time, text })),
+      [
+        { type: TYPE_ANNOTATION, time: 5.5, text: 'Logged in' },
+        { type: TYPE_BOOKMARK, time: 20, text: 'Reboot' },
+      ],
+    );
+    assert.strictEqual(service.annotationsFor('chr_3').length, 0);
+  });
+
+  test('it keeps no annotations before sign in', function (assert) {
+    this.owner.lookup('service:sqlite').dbName = undefined;
+    const storage = this.owner.lookup('service:storage');
+
+    service.add('chr_1', { time: 5, text: 'a' });
+
+    assert.strictEqual(service.annotationsFor('chr_1').length, 0);
+    assert.notOk(storage.getItem('recording-annotations:undefined:chr_1'));
+  });
+
+  test('it removes annotations', function (assert) {
+    const { id } = service.add('chr_1', { time: 5, text: 'a' });
+    service.add('chr_1', { time: 6, text: 'b' });
+
+    service.remove('chr_1', id);
+
+    assert.deepEqual(
+      service.annotationsFor('chr_1').map(({ text }) => text),
+      ['b'],
+    );
+  });
+
+  test('it exports annotations with the recording IDs', function (assert) {
+    const annotation = service.add('chr_1', { time: 5, text: 'a' });
+
+    const json = service.exportAnnotations({
+      id: 'chr_1',
+      connection_recording: { session_recording: { id: 'sr_1' } },
+    });
+
+    assert.deepEqual(JSON.parse(json), {
+      version: 1,
+      session_recording_id: 'sr_1',
+      channel_recording_id: 'chr_1',
+      annotations: [annotation],
+    });
+  });
+});
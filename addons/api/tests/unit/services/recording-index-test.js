@@ -0,0 +1,83 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+import { module, test } from 'qunit';
+import { setupTest } from 'dummy/tests/helpers';
+import { setupSqlite } from 'api/test-support/helpers/sqlite';
+
+const asciicast = [
+  { version: 2, width: 80, height: 24 },
+  [1, 'o', '$ '],
+  [2.5, 'i', 'cat /etc/passwd\r'],
+  [2.6, 'o', 'cat /etc/passwd\r\n'],
+  [3, 'o', 'root:x:0:0:root:/root:/bin/bash\r\n'],
+  [10.2, 'i', 'exit\r'],
+]
+  .map((line) => JSON.stringify(line))
+  .join('\n');
+
+const channelRecording = (id, sessionRecordingID) => ({
+  id,
+  connection_recording: {
+    session_recording: { id: sessionRecordingID, scopeID: 'global' },
+  },
+});
+
+module('Unit | Service | recording-index', function (hooks) {
+  setupTest(hooks);
+  setupSqlite(hooks);
+
+  test('it indexes and searches the lines of a channel', async function (assert) {
+    const service = this.owner.lookup('service:recording-index');
+
+    const count = await service.indexChannel(
+      channelRecording('chr_1', 'sr_1'),
+      asciicast,
+    );
+    const matches = await service.search('passwd', ['sr_1', 'sr_2']);
+
+    assert.strictEqual(count, 4);
+    assert.deepEqual([...matches.keys()], ['sr_1']);
+    assert.deepEqual(
+      matches
+        .get('sr_1')
+        .map(({ type, text, startAt }) => ({ type, text, startAt })),
+      [
+        { type: 'o', text: '$ cat /etc/passwd', startAt: 1 },
+        { type: 'i', text: 'cat /etc/passwd', startAt: 2 },
+      ],
+    );
+  });
+
+  test('it knows which channels are indexed', async function (assert) {
+    const service = this.owner.lookup('service:recording-index');
+
+    await service.indexChannel(channelRecording('chr_1', 'sr_1'), asciicast);
+
+    assert.true(await service.isChannelIndexed('chr_1'));
+    assert.false(await service.isChannelIndexed('chr_2'));
+  });
+
+  test('it replaces the lines of a channel when indexed again', async function (assert) {
+    const service = this.owner.lookup('service:recording-index');
+    const recording = channelRecording('chr_1', 'sr_1');
+
+    await service.indexChannel(recording, asciicast);
+    await service.indexChannel(recording, asciicast);
+    const matches = await service.search('exit', ['sr_1']);
+
+    assert.strictEqual(matches.get('sr_1').length, 1);
+    assert.strictEqual(matches.get('sr_1')[0].startAt, 10);
+  });
+
+  test('it returns which session recordings are indexed', async function (assert) {
+    const service = this.owner.lookup('service:recording-index');
+
+    await service.indexChannel(channelRecording('chr_1', 'sr_1'), asciicast);
+    const ids = await service.indexedSessionRecordingIDs(['sr_1', 'sr_2']);
+
+    assert.deepEqual([...ids], ['sr_1']);
+  });
+});
@@ -7,6 +7,7 @@ import { module, test } from 'qunit';
 import { setupTest } from 'dummy/tests/helpers';
 import { setupSqlite } from 'api/test-support/helpers/sqlite';
 import { modelMapping } from 'api/services/sqlite';
+import { generateGlobalSearchSQL } from 'api/utils/sqlite-query';
 import { underscore } from '@ember/string';
 
 const supportedModels = Object.keys(modelMapping);
@@ -52,6 +53,38 @@ module('Unit | Service | sqlite', function (hooks) {
     },
   );
 
+  test('it searches every fts table at once', async function (assert) {
+    const service = this.owner.lookup('service:sqlite');
+    const now = new Date().toISOString();
+    await service.insertResource('target', [
+      ['t_1', 'tcp', 'dev target', null, null, 'p_1', now, '{}'],
+      ['t_2', 'tcp', 'prod target', null, null, 'p_1', now, '{}'],
+    ]);
+    await service.insertResource('host', [
+      ['h_1', 'static', 'dev host', null, null, 'hc_1', 'p_1', now, '{}'],
+    ]);
+
+    const rows = await service.fetchResource(
+      generateGlobalSearchSQL('dev', supportedModels),
+    );
+
+    // Ranks depend on the statistics of each table, so only check what matched
+    assert.deepEqual(
+      rows
+        .map(({ resource, id, title, parent_id }) => [
+          resource,
+          id,
+          title,
+          parent_id,
+        ])
+        .sort(),
+      [
+        ['host', 'h_1', 'dev host', 'hc_1'],
+        ['target', 't_1', 'dev target', null],
+      ],
+    );
+  });
+
   test('it inserts and deletes large amounts of rows', async function (assert) {
     const service = this.owner.lookup('service:sqlite');
 
@@ -0,0 +1,134 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+import { module, test } from 'qunit';
+import {
+  asciicastLines,
+  clipAsciicast,
+  formatTime,
+  parseAsciicast,
+  stripEscapes,
+} from 'api/utils/asciicast';
+
+const cast = (header, events) =>
+  [header, ...events].map((line) => JSON.stringify(line)).join('\n');
+
+module('Unit | Utility | asciicast', function () {
+  test('it strips escape sequences and control characters', function (assert) {
+    assert.strictEqual(
+      stripEscapes(
+        '\u001b]2;title\u0007\u001b[1m\u001b[33mbold\u001b[0m\u0007',
+      ),
+      'bold',
+    );
+    assert.strictEqual(stripEscapes('a\r\nb\bc'), 'a\r\nb\bc');
+  });
+
+  test('it formats times', function (assert) {
+    assert.strictEqual(formatTime(0), '0:00');
+    assert.strictEqual(formatTime(65.4), '1:05');
+    assert.strictEqual(formatTime(3725), '1:02:05');
+  });
+
+  test('it parses version 2 asciicasts', function (assert) {
+    const { header, events } = parseAsciicast(
+      cast({ version: 2, width: 80 }, [
+        [1.5, 'o', 'a'],
+        [2, 'i', 'b'],
+      ]),
+    );
+
+    assert.strictEqual(header.width, 80);
+    assert.deepEqual(events, [
+      { time: 1.5, code: 'o', data: 'a' },
+      { time: 2, code: 'i', data: 'b' },
+    ]);
+  });
+
+  test('it parses version 3 asciicasts with relative times and comments', function (assert) {
+    const asciicast = [
+      JSON.stringify({ version: 3 }),
+      JSON.stringify([1.5, 'o', 'a']),
+      '# a comment',
+      JSON.stringify([0.5, 'o', 'b']),
+    ].join('\n');
+
+    assert.deepEqual(
+      parseAsciicast(asciicast).events.map(({ time }) => time),
+      [1.5, 2],
+    );
+  });
+
+  test('it rebuilds lines of output and input', function (assert) {
+    const lines = asciicastLines(
+      cast({ version: 2 }, [
+        [1, 'o', '\u001b[32m$\u001b[0m '],
+        [2, 'i', 'sudo rn'],
+        [2.5, 'i', '\u007fm -rf /tmp/x\r'],
+        [3, 'o', 'sudo rm -rf /tmp/x\r'],
+        [3.1, 'o', '\nremoved\r\n'],
+      ]),
+    );
+
+    assert.deepEqual(lines, [
+      { time: 1, type: 'o', text: '$ sudo rm -rf /tmp/x' },
+      { time: 2, type: 'i', text: 'sudo rm -rf /tmp/x' },
+      { time: 3.1, type: 'o', text: 'removed' },
+    ]);
+  });
+
+  test('it keeps what was written last to an overwritten output line', function (assert) {
+    const lines = asciicastLines(
+      cast({ version: 2 }, [
+        [1, 'o', 'progress 10%\r'],
+        [2, 'o', 'progress 100%\r\n'],
+      ]),
+    );
+
+    assert.deepEqual(lines, [{ time: 2, type: 'o', text: 'progress 100%' }]);
+  });
+
+  test('it clips version 2 asciicasts between two times', function (assert) {
+    const clip = clipAsciicast(
+      cast({ version: 2, duration: 10, timestamp: 1000 }, [
+        [1, 'o', 'a'],
+        [2.2, 'o', 'b'],
+        [3.4, 'i', 'c'],
+        [5, 'o', 'd'],
+      ]),
+      2,
+      3.4,
+    );
+
+    assert.strictEqual(
+      clip,
+      cast({ version: 2, duration: 1.4, timestamp: 1002 }, [
+        [0.2, 'o', 'b'],
+        [1.4, 'i', 'c'],
+      ]),
+    );
+  });
+
+  test('it clips version 3 asciicasts between two times', function (assert) {
+    const clip = clipAsciicast(
+      cast({ version: 3 }, [
+        [1, 'o', 'a'],
+        [1.5, 'o', 'b'],
+        [0.5, 'o', 'c'],
+        [2, 'o', 'd'],
+      ]),
+      2,
+      3,
+    );
+
+    assert.strictEqual(
+      clip,
+      cast({ version: 3 }, [
+        [0.5, 'o', 'b'],
+        [0.5, 'o', 'c'],
+      ]),
+    );
+  });
+});
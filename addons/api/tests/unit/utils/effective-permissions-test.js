@@ -0,0 +1,157 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+import { module, test } from 'qunit';
+import {
+  effectivePermissions,
+  expandGrant,
+  grantScopeIDsFor,
+} from 'api/utils/effective-permissions';
+import { GRANT_TYPES } from 'api/utils/grant-string';
+
+module('Unit | Utility | effective-permissions', function () {
+  const scopes = [
+    { id: 'global', scopeID: undefined },
+    { id: 'o_1', scopeID: 'global' },
+    { id: 'o_2', scopeID: 'global' },
+    { id: 'p_1', scopeID: 'o_1' },
+    { id: 'p_2', scopeID: 'o_2' },
+  ];
+
+  test('it resolves grant scope keywords', function (assert) {
+    assert.deepEqual(
+      grantScopeIDsFor(
+        { scopeID: 'global', grant_scope_ids: ['this', 'children'] },
+        scopes,
+      ),
+      ['global', 'o_1', 'o_2'],
+    );
+    assert.deepEqual(
+      grantScopeIDsFor(
+        { scopeID: 'global', grant_scope_ids: ['descendants'] },
+        scopes,
+      ),
+      ['o_1', 'p_1', 'o_2', 'p_2'],
+    );
+    assert.deepEqual(
+      grantScopeIDsFor(
+        { scopeID: 'o_1', grant_scope_ids: ['children', 'p_2'] },
+        scopes,
+      ),
+      ['p_1', 'p_2'],
+    );
+  });
+
+  test('it expands wildcards and templates in grants', function (assert) {
+    assert.deepEqual(
+      expandGrant('ids=*;type=session;actions=*', { userID: 'u_1' }),
+      [
+        { type: 'session', action: 'read', ids: null },
+        { type: 'session', action: 'list', ids: null },
+        { type: 'session', action: 'cancel', ids: null },
+        { type: 'session', action: 'read:self', ids: null },
+        { type: 'session', action: 'cancel:self', ids: null },
+      ],
+    );
+    assert.deepEqual(
+      expandGrant('ids={{user.id}},{{account.id}};actions=read', {
+        userID: 'u_1',
+        accountIDs: ['acctpw_1'],
+      }),
+      [
+        { type: 'user', action: 'read', ids: ['u_1'] },
+        { type: 'account', action: 'read', ids: ['acctpw_1'] },
+      ],
+    );
+    assert.deepEqual(
+      expandGrant('ids=*;type=*;actions=read', { userID: 'u_1' }).map(
+        ({ type }) => type,
+      ),
+      GRANT_TYPES.filter((type) => type !== '*'),
+    );
+  });
+
+  test('it traces permissions to roles and grants', function (assert) {
+    const direct = {
+      id: 'r_direct',
+      scopeID: 'o_1',
+      grant_scope_ids: ['children'],
+      principals: [{ id: 'u_1', type: 'user' }],
+      grant_strings: ['ids=*;type=target;actions=read,authorize-session'],
+    };
+    const viaGroup = {
+      id: 'r_group',
+      scopeID: 'global',
+      grant_scope_ids: ['this'],
+      principals: [{ id: 'g_1', type: 'group' }],
+      grant_strings: ['ids=*;type=target;actions=read'],
+    };
+    const anonymous = {
+      id: 'r_anon',
+      scopeID: 'global',
+      grant_scope_ids: ['this'],
+      principals: [{ id: 'u_anon', type: 'user' }],
+      grant_strings: ['ids=*;type=scope;actions=list'],
+    };
+    const unrelated = {
+      id: 'r_other',
+      scopeID: 'global',
+      grant_scope_ids: ['this'],
+      principals: [{ id: 'u_2', type: 'user' }],
+      grant_strings: ['ids=*;type=*;actions=*'],
+    };
+    const roles = [direct, viaGroup, anonymous, unrelated];
+
+    const { scopeIDs, rows } = effectivePermissions({
+      roles,
+      scopes,
+      userID: 'u_1',
+      groupIDs: ['g_1'],
+    });
+
+    assert.deepEqual(scopeIDs, ['global', 'p_1']);
+    assert.deepEqual(
+      rows.map(({ type, action }) => `${type}:${action}`),
+      ['scope:list', 'target:authorize-session', 'target:read'],
+    );
+    const read = rows.find(({ action }) => action === 'read');
+    assert.deepEqual(read.cells, [
+      {
+        scopeID: 'global',
+        sources: [
+          {
+            role: viaGroup,
+            grant: 'ids=*;type=target;actions=read',
+            principals: ['g_1'],
+            ids: null,
+          },
+        ],
+      },
+      {
+        scopeID: 'p_1',
+        sources: [
+          {
+            role: direct,
+            grant: 'ids=*;type=target;actions=read,authorize-session',
+            principals: ['u_1'],
+            ids: null,
+          },
+        ],
+      },
+    ]);
+
+    const withoutGroups = effectivePermissions({
+      roles,
+      scopes,
+      userID: 'u_1',
+    });
+    assert.deepEqual(withoutGroups.scopeIDs, ['global', 'p_1']);
+    assert.strictEqual(
+      withoutGroups.rows.find(({ action }) => action === 'read').cells[0]
+        .sources.length,
+      0,
+    );
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+import { module, test } from 'qunit';
+import {
+  actionsFor,
+  formatGrant,
+  grantSuggestions,
+  parseGrant,
+  validateGrant,
+} from 'api/utils/grant-string';
+
+module('Unit | Utility | grant-string', function () {
+  test('it parses and formats grant strings', function (assert) {
+    const grant = parseGrant(
+      'ids=*; type=target ;actions=read,authorize-session;output_fields=id,name',
+    );
+
+    assert.deepEqual(grant, {
+      ids: ['*'],
+      type: 'target',
+      actions: ['read', 'authorize-session'],
+      outputFields: ['id', 'name'],
+    });
+    assert.strictEqual(
+      formatGrant(grant),
+      'ids=*;type=target;actions=read,authorize-session;output_fields=id,name',
+    );
+    assert.strictEqual(
+      formatGrant({ ...grant, ids: [], outputFields: [] }),
+      'type=target;actions=read,authorize-session',
+    );
+  });
+
+  test('it accepts valid grants', function (assert) {
+    assert.expect(8);
+    [
+      'ids=*;type=target;actions=read,authorize-session',
+      'ids=*;type=*;actions=*',
+      'type=target;actions=list,create',
+      'ids={{user.id}};actions=read,update',
+      'ids={{ .Account.Id }};actions=read,change-password',
+      'ids=ttcp_1234567890,ttcp_0987654321;actions=read',
+      'ids=*;type=session;actions=read:self,cancel:self',
+      'ids=*;type=role;output_fields=id,name,grant_strings',
+    ].forEach((grant) => assert.deepEqual(validateGrant(grant), [], grant));
+  });
+
+  test('it reports what is wrong with invalid grants', function (assert) {
+    const codes = (grant) => validateGrant(grant).map(({ code }) => code);
+
+    assert.deepEqual(validateGrant('ids=*;type=taget;actions=read'), [
+      { code: 'unknown-type', values: { type: 'taget' } },
+    ]);
+    assert.deepEqual(validateGrant('ids=*;type=target;actions=fly'), [
+      { code: 'unknown-action', values: { action: 'fly', type: 'target' } },
+    ]);
+    assert.deepEqual(codes(''), ['empty']);
+    assert.deepEqual(codes('ids=*;target'), ['malformed-segment']);
+    assert.deepEqual(codes('id=*;type=target;actions=read'), ['unknown-key']);
+    assert.deepEqual(codes('ids=*;ids=*;actions=read'), ['duplicate-key']);
+    assert.deepEqual(codes('ids=*;type=;actions=read'), ['empty-value']);
+    assert.deepEqual(codes('ids={{group.id}};actions=read'), [
+      'unknown-template',
+    ]);
+    assert.deepEqual(codes('ids=target 1;actions=read'), ['invalid-id']);
+    assert.deepEqual(codes('ids=*,ttcp_1234;type=target;actions=read'), [
+      'wildcard-with-ids',
+    ]);
+    assert.deepEqual(codes('actions=read'), ['missing-ids-or-type']);
+    assert.deepEqual(
+      codes('ids=hcst_1234567890;type=host;actions=create,read'),
+      [],
+      'a type may be set for the children of pinned ids',
+    );
+    assert.deepEqual(codes('ids=*;actions=read'), ['wildcard-without-type']);
+    assert.deepEqual(codes('ids=*;type=target'), ['missing-actions']);
+    assert.deepEqual(codes('ids=*;type=target;output_fields=Name'), [
+      'invalid-output-field',
+    ]);
+  });
+
+  test('it knows the actions allowed for each type', function (assert) {
+    assert.true(actionsFor('target').includes('authorize-session'));
+    assert.false(actionsFor('user').includes('authorize-session'));
+    assert.true(actionsFor('user').includes('*'));
+    assert.true(
+      actionsFor('*').includes('authorize-session'),
+      'wildcard types allow the actions of every type',
+    );
+  });
+
+  test('it suggests keys, types, actions and id templates', function (assert) {
+    assert.deepEqual(grantSuggestions('ids=*;'), [
+      'ids=*;type=',
+      'ids=*;actions=',
+      'ids=*;output_fields=',
+    ]);
+    assert.deepEqual(grantSuggestions('ids=*;type=tar'), ['ids=*;type=target']);
+    assert.deepEqual(grantSuggestions('ids=*;type=host-set;actions=add'), [
+      'ids=*;type=host-set;actions=add-hosts',
+    ]);
+    assert.false(
+      grantSuggestions('ids=*;type=target;actions=read,').includes(
+        'ids=*;type=target;actions=read,read',
+      ),
+      'chosen actions are not suggested again',
+    );
+    assert.deepEqual(grantSuggestions('ids={{'), [
+      'ids={{user.id}}',
+      'ids={{account.id}}',
+    ]);
+  });
+});
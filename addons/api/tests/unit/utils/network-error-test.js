@@ -0,0 +1,57 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+import { isNetworkError } from 'api/utils/network-error';
+import { module, test } from 'qunit';
+
+module('Unit | Utility | network-error', function () {
+  test('it detects failed fetches in every browser', function (assert) {
+    assert.true(isNetworkError(new TypeError('Failed to fetch')));
+    assert.true(
+      isNetworkError(
+        new TypeError('NetworkError when attempting to fetch resource.'),
+      ),
+    );
+    assert.true(isNetworkError(new TypeError('Load failed')));
+  });
+
+  test('it detects timeouts and adapter errors without a response', function (assert) {
+    const timeout = new Error('The adapter operation timed out');
+    timeout.name = 'TimeoutError';
+    const noResponse = new Error('Adapter operation failed');
+    noResponse.errors = [{ status: '0' }];
+
+    assert.true(isNetworkError(timeout));
+    assert.true(isNetworkError(noResponse));
+  });
+
+  test('it ignores errors returned by the controller', function (assert) {
+    const notFound = new Error('Not found');
+    notFound.errors = [{ status: 404 }];
+
+    assert.false(isNetworkError(notFound));
+    assert.false(isNetworkError(new Error('Failed to fetch')));
+    assert.false(
+      isNetworkError(new TypeError('Cannot read properties of undefined')),
+    );
+    assert.false(isNetworkError(undefined));
+  });
+
+  test('it ignores adapter errors without a status', function (assert) {
+    const withStatus = (status) => {
+      const error = new Error('Adapter operation failed');
+      error.errors = [{ status }];
+      return error;
+    };
+    const withoutErrors = new Error('Adapter operation failed');
+    withoutErrors.errors = [{}];
+
+    assert.false(isNetworkError(withStatus(null)));
+    assert.false(isNetworkError(withStatus(undefined)));
+    assert.false(isNetworkError(withStatus('')));
+    assert.false(isNetworkError(withoutErrors));
+    assert.true(isNetworkError(withStatus(0)));
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+import { module, test } from 'qunit';
+import {
+  CONFLICT_DELETE_AFTER,
+  CONFLICT_DELETE_BEFORE_RETAIN,
+  CONFLICT_RETAIN_FOR,
+  TIMELINE_DAYS,
+  policyConflicts,
+  reapplyChanges,
+  retentionDates,
+  retentionTimeline,
+} from 'api/utils/retention-preview';
+
+module('Unit | Utility | retention-preview', function () {
+  const now = new Date('2024-01-01T00:00:00Z');
+  const daysAgo = (days) => new Date(now.getTime() - days * 86400000);
+  const policy = { retain_for: { days: 30 }, delete_after: { days: 100 } };
+
+  test('it computes retention dates from the end of a recording', function (assert) {
+    const dates = retentionDates(
+      { created_time: daysAgo(10), end_time: daysAgo(5) },
+      policy,
+    );
+
+    assert.false(dates.retainForever);
+    assert.deepEqual(dates.retainUntil, new Date('2024-01-26T00:00:00Z'));
+    assert.deepEqual(dates.deleteAfter, new Date('2024-04-05T00:00:00Z'));
+  });
+
+  test('it computes retention dates of running and forever retained recordings', function (assert) {
+    const dates = retentionDates(
+      { created_time: daysAgo(10) },
+      { retain_for: { days: -1 }, delete_after: { days: 0 } },
+    );
+
+    assert.true(dates.retainForever);
+    assert.strictEqual(dates.retainUntil, null);
+    assert.strictEqual(dates.deleteAfter, null);
+  });
+
+  test('it counts deletable and deleted recordings over time', function (assert) {
+    const recordings = [
+      { end_time: daysAgo(40) },
+      { end_time: daysAgo(10) },
+      { end_time: daysAgo(0) },
+    ];
+
+    const timeline = retentionTimeline(recordings, policy, now);
+
+    assert.deepEqual(
+      timeline.map(({ days }) => days),
+      TIMELINE_DAYS,
+    );
+    assert.deepEqual(
+      timeline.map(({ deletable, deleted }) => [deletable, deleted]),
+      [
+        [1, 0],
+        [3, 0],
+        [3, 2],
+        [3, 3],
+        [3, 3],
+        [3, 3],
+        [3, 3],
+      ],
+    );
+  });
+
+  test('it flags deleting recordings before they may be deleted', function (assert) {
+    assert.deepEqual(
+      policyConflicts({
+        retain_for: { days: 30 },
+        delete_after: { days: 10 },
+      }),
+      [
+        {
+          code: CONFLICT_DELETE_BEFORE_RETAIN,
+          values: { deleteDays: 10, retainDays: 30 },
+        },
+      ],
+    );
+    assert.strictEqual(
+      policyConflicts({ retain_for: { days: -1 }, delete_after: { days: 10 } })
+        .length,
+      1,
+    );
+    assert.deepEqual(policyConflicts(policy), []);
+  });
+
+  test('it flags overriding a parent policy that cannot be overridden', function (assert) {
+    const parentPolicy = {
+      retain_for: { days: 60, overridable: false },
+      delete_after: { days: 100, overridable: false },
+    };
+
+    assert.deepEqual(policyConflicts(policy, parentPolicy), [
+      { code: CONFLICT_RETAIN_FOR, values: { days: 60 } },
+    ]);
+    assert.deepEqual(
+      policyConflicts(
+        { retain_for: { days: 60 }, delete_after: { days: 0 } },
+        parentPolicy,
+      ),
+      [{ code: CONFLICT_DELETE_AFTER, values: { days: 100 } }],
+    );
+    assert.deepEqual(
+      policyConflicts(policy, {
+        retain_for: { days: 60, overridable: true },
+        delete_after: { days: 200, overridable: true },
+      }),
+      [],
+    );
+  });
+
+  test('it lists recordings whose dates reapplying the policy changes', function (assert) {
+    const unchanged = {
+      id: 'sr_unchanged',
+      end_time: daysAgo(10),
+      retain_until: new Date('2024-01-21T00:00:01Z'),
+      delete_after: new Date('2024-03-31T00:00:00Z'),
+    };
+    const changed = {
+      id: 'sr_changed',
+      end_time: daysAgo(10),
+      retain_until: new Date('2024-02-21T00:00:00Z'),
+      delete_after: null,
+    };
+    const forever = {
+      id: 'sr_forever',
+      end_time: daysAgo(10),
+      retainForever: true,
+      retain_until: new Date('9999-12-31T23:23:23.999Z'),
+    };
+
+    const changes = reapplyChanges([unchanged, changed, forever], policy);
+
+    assert.deepEqual(
+      changes.map(({ recording }) => recording.id),
+      ['sr_changed', 'sr_forever'],
+    );
+    assert.deepEqual(changes[0].deleteAfter, new Date('2024-03-31T00:00:00Z'));
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+import { module, test } from 'qunit';
+import {
+  applyBulkChange,
+  diffRoles,
+  planBulkChange,
+} from 'api/utils/role-diff';
+
+module('Unit | Utility | role-diff', function () {
+  const roleA = {
+    id: 'r_a',
+    grant_strings: ['ids=*;type=*;actions=read', 'ids=*;type=target;actions=*'],
+    grant_scope_ids: ['this', 'children'],
+    principals: [
+      { id: 'u_1', type: 'user' },
+      { id: 'g_1', type: 'group' },
+    ],
+  };
+  const roleB = {
+    id: 'r_b',
+    grant_strings: ['ids=*;type=*;actions=read'],
+    grant_scope_ids: ['this'],
+    principals: [{ id: 'mgoidc_1', type: 'managed group' }],
+  };
+
+  test('it compares grant strings, grant scopes and principals', function (assert) {
+    const diff = diffRoles([roleA, roleB]);
+
+    assert.deepEqual(diff.grantStrings, [
+      {
+        value: 'ids=*;type=*;actions=read',
+        presence: [true, true],
+        isCommon: true,
+      },
+      {
+        value: 'ids=*;type=target;actions=*',
+        presence: [true, false],
+        isCommon: false,
+      },
+    ]);
+    assert.deepEqual(
+      diff.grantScopes.map(({ value, isCommon }) => [value, isCommon]),
+      [
+        ['this', true],
+        ['children', false],
+      ],
+    );
+    assert.deepEqual(
+      diff.principals.map(({ value, type, presence }) => [
+        value,
+        type,
+        presence,
+      ]),
+      [
+        ['u_1', 'user', [true, false]],
+        ['g_1', 'group', [true, false]],
+        ['mgoidc_1', 'managed group', [false, true]],
+      ],
+    );
+  });
+
+  test('it plans bulk changes', function (assert) {
+    const addGrant = planBulkChange([roleA, roleB], {
+      target: 'grant',
+      operation: 'add',
+      value: 'ids=*;type=target;actions=*',
+    });
+    assert.deepEqual(
+      addGrant.map(({ willChange }) => willChange),
+      [false, true],
+    );
+    assert.deepEqual(addGrant[1].grantStrings, [
+      'ids=*;type=*;actions=read',
+      'ids=*;type=target;actions=*',
+    ]);
+
+    const removePrincipal = planBulkChange([roleA, roleB], {
+      target: 'principal',
+      operation: 'remove',
+      value: 'u_1',
+    });
+    assert.deepEqual(
+      removePrincipal.map(({ willChange }) => willChange),
+      [true, false],
+    );
+  });
+
+  test('it applies bulk changes and reports each role', async function (assert) {
+    const calls = [];
+    const role = (id, fails) => ({
+      id,
+      principals: [],
+      addPrincipals(ids) {
+        calls.push([id, ids]);
+        return fails
+          ? Promise.reject(new Error('Forbidden'))
+          : Promise.resolve();
+      },
+      rollbackAttributes() {
+        calls.push([id, 'rollback']);
+      },
+    });
+    const roles = [
+      role('r_1'),
+      role('r_2', true),
+      { id: 'r_3', principals: [{ id: 'u_1' }] },
+    ];
+    const change = { target: 'principal', operation: 'add', value: 'u_1' };
+
+    const results = await applyBulkChange(
+      planBulkChange(roles, change),
+      change,
+    );
+
+    assert.deepEqual(
+      results.map(({ role, status }) => [role.id, status]),
+      [
+        ['r_1', 'success'],
+        ['r_2', 'error'],
+        ['r_3', 'skipped'],
+      ],
+    );
+    assert.strictEqual(results[1].error.message, 'Forbidden');
+    assert.deepEqual(calls, [
+      ['r_1', ['u_1']],
+      ['r_2', ['u_1']],
+      ['r_2', 'rollback'],
+    ]);
+  });
+});
@@ -3,7 +3,10 @@
  * SPDX-License-Identifier: BUSL-1.1
  */
 
-import { generateSQLExpressions } from 'api/utils/sqlite-query';
+import {
+  generateGlobalSearchSQL,
+  generateSQLExpressions,
+} from 'api/utils/sqlite-query';
 import { module, test } from 'qunit';
 
 module('Unit | Utility | sqlite-query', function (hooks) {
@@ -477,6 +480,19 @@ module('Unit | Utility | sqlite-query', function (hooks) {
           'name:"dev"*',
         ],
       },
+      'search with quotes': {
+        query: {
+          search: {
+            text: 'say "hi"',
+            fields: ['name'],
+          },
+        },
+        expectedSql: `
+          SELECT * FROM "target"
+          WHERE "target".rowid IN (SELECT rowid FROM target_fts WHERE target_fts MATCH ?)
+          ORDER BY "target".created_time DESC`,
+        expectedParams: ['name:"say ""hi"""*'],
+      },
     },
     function (assert, { query, expectedSql, expectedParams }) {
       const { sql, parameters } = generateSQLExpressions('target', query);
@@ -485,6 +501,32 @@ module('Unit | Utility | sqlite-query', function (hooks) {
     },
   );
 
+  test('it generates related searches of resources with multi-word names', function (assert) {
+    const { sql, parameters } = generateSQLExpressions('session-recording', {
+      search: {
+        text: 'sudo rm',
+        select: 'id',
+        relatedSearches: [
+          {
+            resource: 'recording-line',
+            fields: ['text'],
+            join: { joinOn: 'session_recording_id' },
+          },
+        ],
+      },
+    });
+
+    assert.strictEqual(
+      sql,
+      `
+      SELECT * FROM "session_recording"
+      WHERE "session_recording".id IN (SELECT id FROM session_recording_fts WHERE session_recording_fts MATCH ?
+                                       UNION SELECT "session_recording".id FROM recording_line_fts JOIN "session_recording" ON "session_recording".id = recording_line_fts.session_recording_id WHERE recording_line_fts MATCH ?)
+      ORDER BY "session_recording".created_time DESC`.removeExtraWhiteSpace(),
+    );
+    assert.deepEqual(parameters, ['"sudo rm"*', 'text:"sudo rm"*']);
+  });
+
   test.each(
     'it generates joins with filters',
     {
@@ -680,4 +722,32 @@ module('Unit | Utility | sqlite-query', function (hooks) {
       assert.deepEqual(resourceParameters, []);
     },
   );
+
+  test('it generates a global search across fts tables', function (assert) {
+    const { sql, parameters } = generateGlobalSearchSQL(
+      'say "hi"',
+      ['target', 'host', 'alias', 'token'],
+      { limit: 5 },
+    );
+    const match = '"say ""hi"""*';
+
+    assert.strictEqual(
+      sql,
+      `
+      SELECT * FROM (SELECT 'target' AS resource, id, COALESCE(NULLIF(name, ''), id) AS title, scope_id, NULL AS parent_id, bm25(target_fts) AS rank FROM target_fts WHERE target_fts MATCH ? ORDER BY rank LIMIT ?)
+      UNION ALL
+      SELECT * FROM (SELECT 'host' AS resource, id, COALESCE(NULLIF(name, ''), id) AS title, scope_id, host_catalog_id AS parent_id, bm25(host_fts) AS rank FROM host_fts WHERE host_fts MATCH ? ORDER BY rank LIMIT ?)
+      UNION ALL
+      SELECT * FROM (SELECT 'alias' AS resource, id, COALESCE(NULLIF(name, ''), NULLIF(value, ''), id) AS title, scope_id, NULL AS parent_id, bm25(alias_fts) AS rank FROM alias_fts WHERE alias_fts MATCH ? ORDER BY rank LIMIT ?)
+      ORDER BY rank, title`.removeExtraWhiteSpace(),
+    );
+    assert.deepEqual(parameters, [match, 5, match, 5, match, 5]);
+  });
+
+  test('it generates no global search without searchable resources', function (assert) {
+    const { sql, parameters } = generateGlobalSearchSQL('dev', ['token']);
+
+    assert.strictEqual(sql, '');
+    assert.deepEqual(parameters, []);
+  });
 });
@@ -0,0 +1,97 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+import { module, test } from 'qunit';
+import { Terminal } from 'api/utils/terminal';
+
+const texts = (terminal) => terminal.rows().map(({ text }) => text);
+
+module('Unit | Utility | terminal', function () {
+  test('it keeps rows scrolled off the screen', function (assert) {
+    const terminal = new Terminal({ width: 10, height: 2 });
+    terminal.write('one\r\ntwo\r\nthree\r\n', 1);
+
+    assert.deepEqual(texts(terminal), ['one', 'two', 'three']);
+    assert.strictEqual(terminal.history.length, 2);
+  });
+
+  test('it applies colors and text styles', function (assert) {
+    const terminal = new Terminal();
+    terminal.write(
+      '\u001b[1;31mred\u001b[22m \u001b[38;5;208mo\u001b[38;2;1;2;3mx\u001b[0m!',
+      1,
+    );
+
+    assert.deepEqual(terminal.rows()[0].segments, [
+      { text: 'red', style: { bold: true, fg: 1 } },
+      { text: ' ', style: { fg: 1 } },
+      { text: 'o', style: { fg: 208 } },
+      { text: 'x', style: { fg: '#010203' } },
+      { text: '!', style: {} },
+    ]);
+  });
+
+  test('it moves the cursor and erases', function (assert) {
+    const terminal = new Terminal({ width: 20, height: 5 });
+    terminal.write('hello world\r\nsecond', 1);
+    terminal.write('\u001b[1;7H\u001b[Kthere', 2);
+    terminal.write('\u001b[2;1Hfirst\u001b[K', 3);
+
+    assert.deepEqual(texts(terminal), ['hello there', 'first']);
+  });
+
+  test('it applies carriage returns and backspaces', function (assert) {
+    const terminal = new Terminal();
+    terminal.write('progress 10%\rprogress 100%\r\nab\bc', 1);
+
+    assert.deepEqual(texts(terminal), ['progress 100%', 'ac']);
+  });
+
+  test('it marks wrapped rows', function (assert) {
+    const terminal = new Terminal({ width: 4, height: 5 });
+    terminal.write('abcdef', 1);
+
+    assert.deepEqual(
+      terminal.rows().map(({ text, wrapped }) => [text, wrapped]),
+      [
+        ['abcd', false],
+        ['ef', true],
+      ],
+    );
+  });
+
+  test('it keeps cleared screens in the history', function (assert) {
+    const terminal = new Terminal({ width: 10, height: 3 });
+    terminal.write('before\r\n\u001b[H\u001b[2Jafter', 1);
+
+    assert.deepEqual(texts(terminal), ['before', 'after']);
+  });
+
+  test('it leaves nothing of the alternate screen behind', function (assert) {
+    const terminal = new Terminal({ width: 10, height: 3 });
+    terminal.write('$ vim\r\n', 1);
+    terminal.write('\u001b[?1049h\u001b[Hediting\r\n\r\n\r\n\r\n', 2);
+    assert.true(terminal.isAlternateScreen);
+    terminal.write('\u001b[?1049l$ ', 3);
+
+    assert.false(terminal.isAlternateScreen);
+    assert.deepEqual(texts(terminal), ['$ vim', '$']);
+  });
+
+  test('it marks rows enter was pressed on as commands', function (assert) {
+    const terminal = new Terminal();
+    terminal.write('$ ls', 1);
+    terminal.input('ls\r', 2);
+    terminal.write('\r\nfile\r\n', 2.1);
+
+    assert.deepEqual(
+      terminal.rows().map(({ time, command }) => [time, command]),
+      [
+        [1, 2],
+        [2.1, null],
+      ],
+    );
+  });
+});
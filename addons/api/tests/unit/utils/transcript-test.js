@@ -0,0 +1,73 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+import { module, test } from 'qunit';
+import {
+  colorHex,
+  transcriptHTML,
+  transcriptLines,
+  transcriptText,
+} from 'api/utils/transcript';
+
+const cast = (header, events) =>
+  [header, ...events].map((line) => JSON.stringify(line)).join('\n');
+
+const session = cast({ version: 2, width: 20, height: 5 }, [
+  [1, 'o', '\u001b[32m$\u001b[0m '],
+  [2, 'i', 'ls\r'],
+  [2.1, 'o', 'ls\r\n'],
+  [2.2, 'o', 'a <b>\r\na <b>\r\n\r\n\r\n'],
+  [3, 'o', '\u001b[32m$\u001b[0m '],
+  [72, 'i', 'echo aaaaaaaaaaaaaaaaaaaa\r'],
+  [72.1, 'o', 'echo aaaaaaaaaaaaaaaaaaaa\r\n'],
+]);
+
+module('Unit | Utility | transcript', function () {
+  test('it returns hex colors of the 256 color palette', function (assert) {
+    assert.strictEqual(colorHex(1), '#cd0000');
+    assert.strictEqual(colorHex(196), '#ff0000');
+    assert.strictEqual(colorHex(244), '#808080');
+    assert.strictEqual(colorHex('#010203'), '#010203');
+  });
+
+  test('it renders deduplicated lines with the times of commands', function (assert) {
+    assert.deepEqual(
+      transcriptLines(session).map(({ command, text }) => [command, text]),
+      [
+        [2, '$ ls'],
+        [null, 'a <b>'],
+        [null, ''],
+        [72, '$ echo aaaaaaaaaaaaaaaaaaaa'],
+      ],
+    );
+  });
+
+  test('it renders a plain text transcript', function (assert) {
+    assert.strictEqual(
+      transcriptText(session),
+      '$ ls\na <b>\n\n$ echo aaaaaaaaaaaaaaaaaaaa\n',
+    );
+  });
+
+  test('it renders an HTML transcript with colors and command times', function (assert) {
+    const html = transcriptHTML(session, {
+      title: 'Channel <1>',
+      searchLabel: 'Search',
+    });
+
+    assert.true(html.includes('<title>Channel &lt;1&gt;</title>'));
+    assert.true(
+      html.includes(
+        '<div class="line command"><time datetime="PT72S">1:12</time><span><span style="color:#00cd00">$</span> echo',
+      ),
+    );
+    assert.true(
+      html.includes(
+        '<div class="line"><time></time><span>a &lt;b&gt;</span></div>',
+      ),
+    );
+    assert.false(html.includes('<link'), 'nothing is loaded');
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+import { module, test } from 'qunit';
+import {
+  STATUS_ACTIVE,
+  STATUS_STALE,
+  STATUS_UNKNOWN,
+  compareVersions,
+  parseVersion,
+  workerFleet,
+  workerStatus,
+} from 'api/utils/worker-fleet';
+
+module('Unit | Utility | worker-fleet', function () {
+  const now = new Date('2024-01-01T12:00:00Z');
+  const minutesAgo = (minutes) => new Date(now.getTime() - minutes * 60000);
+  const worker = ({ tags = [], ...attributes }) => ({
+    isPki: true,
+    allTags: tags,
+    ...attributes,
+  });
+
+  test('it parses and compares release versions', function (assert) {
+    assert.deepEqual(parseVersion('Boundary v0.13.2+ent'), [0, 13, 2]);
+    assert.deepEqual(parseVersion('0.9'), [0, 9, 0]);
+    assert.strictEqual(parseVersion('dev'), null);
+    assert.strictEqual(parseVersion(undefined), null);
+
+    assert.true(compareVersions('Boundary v0.9.1', 'Boundary v0.13.0') < 0);
+    assert.true(compareVersions('Boundary v0.13.1', 'Boundary v0.13.0') > 0);
+    assert.strictEqual(compareVersions('v0.13.0', 'Boundary v0.13.0'), 0);
+    assert.true(compareVersions(null, 'Boundary v0.1.0') < 0);
+  });
+
+  test('it computes the status of a worker from its last status time', function (assert) {
+    assert.strictEqual(
+      workerStatus({ last_status_time: minutesAgo(1) }, now),
+      STATUS_ACTIVE,
+    );
+    assert.strictEqual(
+      workerStatus({ last_status_time: minutesAgo(10) }, now),
+      STATUS_STALE,
+    );
+    assert.strictEqual(workerStatus({}, now), STATUS_UNKNOWN);
+  });
+
+  test('it groups workers by version, type, status and address', function (assert) {
+    const workers = [
+      worker({
+        id: 'w_1',
+        release_version: 'Boundary v0.13.0',
+        address: '10.0.0.1:9202',
+        last_status_time: minutesAgo(1),
+      }),
+      worker({
+        id: 'w_2',
+        release_version: 'Boundary v0.12.4',
+        address: '10.0.0.1:9202',
+        last_status_time: minutesAgo(30),
+      }),
+      worker({
+        id: 'w_3',
+        isPki: false,
+        release_version: 'Boundary v0.13.0',
+        address: '10.0.0.2:9202',
+      }),
+    ];
+
+    const fleet = workerFleet(workers, now);
+
+    assert.strictEqual(fleet.total, 3);
+    assert.strictEqual(fleet.latestVersion, 'Boundary v0.13.0');
+    assert.deepEqual(
+      fleet.versions.map(({ version, count, isLatest }) => [
+        version,
+        count,
+        isLatest,
+      ]),
+      [
+        ['Boundary v0.13.0', 2, true],
+        ['Boundary v0.12.4', 1, false],
+      ],
+    );
+    assert.deepEqual(
+      fleet.types.map(({ type, count }) => [type, count]),
+      [
+        ['pki', 2],
+        ['kms', 1],
+      ],
+    );
+    assert.deepEqual(
+      fleet.statuses.map(({ status, count }) => [status, count]),
+      [
+        [STATUS_ACTIVE, 1],
+        [STATUS_STALE, 1],
+        [STATUS_UNKNOWN, 1],
+      ],
+    );
+    assert.deepEqual(
+      fleet.addresses.map(({ address, count }) => [address, count]),
+      [
+        ['10.0.0.1:9202', 2],
+        ['10.0.0.2:9202', 1],
+      ],
+    );
+    assert.deepEqual(
+      fleet.staleWorkers.map(({ id }) => id),
+      ['w_2'],
+    );
+    assert.deepEqual(
+      fleet.outdatedWorkers.map(({ id }) => id),
+      ['w_2'],
+    );
+  });
+
+  test('it counts tag values once per worker', function (assert) {
+    const workers = [
+      worker({
+        tags: [
+          { key: 'os', value: 'ubuntu', type: 'config' },
+          { key: 'os', value: 'ubuntu', type: 'api' },
+          { key: 'env', value: 'prod', type: 'api' },
+        ],
+      }),
+      worker({
+        tags: [
+          { key: 'os', value: 'ubuntu', type: 'config' },
+          { key: 'os', value: 'alpine', type: 'config' },
+        ],
+      }),
+      worker({}),
+    ];
+
+    assert.deepEqual(workerFleet(workers, now).tags, [
+      { key: 'env', values: [{ key: 'env', value: 'prod', count: 1 }] },
+      {
+        key: 'os',
+        values: [
+          { key: 'os', value: 'alpine', count: 1 },
+          { key: 'os', value: 'ubuntu', count: 2 },
+        ],
+      },
+    ]);
+  });
+
+  test('it does not report drift for unknown versions', function (assert) {
+    const fleet = workerFleet(
+      [
+        worker({ release_version: 'Boundary v0.13.0' }),
+        worker({ release_version: 'dev' }),
+        worker({}),
+      ],
+      now,
+    );
+
+    assert.deepEqual(fleet.outdatedWorkers, []);
+    assert.deepEqual(
+      fleet.versions.map(({ version, count }) => [version, count]),
+      [
+        ['Boundary v0.13.0', 1],
+        [null, 2],
+      ],
+    );
+  });
+});
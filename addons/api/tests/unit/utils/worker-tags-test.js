@@ -0,0 +1,128 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+import { module, test } from 'qunit';
+import {
+  BULK_STATUS_ERROR,
+  BULK_STATUS_SKIPPED,
+  BULK_STATUS_SUCCESS,
+} from 'api/utils/bulk-status';
+import {
+  BULK_TAGS_ADD,
+  BULK_TAGS_REMOVE,
+  BULK_TAGS_REPLACE,
+  HOP_EGRESS,
+  HOP_INGRESS,
+  applyBulkTags,
+  bulkTagsFilterImpact,
+  parseTags,
+  planBulkTags,
+} from 'api/utils/worker-tags';
+
+module('Unit | Utility | worker-tags', function () {
+  const workers = () => [
+    {
+      id: 'w_1',
+      name: 'w1',
+      config_tags: { os: ['ubuntu'] },
+      api_tags: { env: ['prod'] },
+    },
+    { id: 'w_2', name: 'w2', config_tags: {}, api_tags: { env: ['qa'] } },
+  ];
+
+  test('it parses key value pairs', function (assert) {
+    assert.deepEqual(parseTags('env=prod, region = us-east-1\nenv=qa,,'), {
+      tags: { env: ['prod', 'qa'], region: ['us-east-1'] },
+      invalid: [],
+    });
+    assert.deepEqual(parseTags('env, =prod, env=').invalid, [
+      'env',
+      '=prod',
+      'env=',
+    ]);
+  });
+
+  test('it plans adding, replacing and removing tags', function (assert) {
+    const tags = { env: ['prod'], team: ['a'] };
+
+    const [addFirst, addSecond] = planBulkTags(workers(), {
+      operation: BULK_TAGS_ADD,
+      tags,
+    });
+    assert.deepEqual(addFirst.apiTags, { env: ['prod'], team: ['a'] });
+    assert.deepEqual(addFirst.added, [{ key: 'team', value: 'a' }]);
+    assert.deepEqual(addSecond.apiTags, { env: ['qa', 'prod'], team: ['a'] });
+
+    const [replaced] = planBulkTags(workers(), {
+      operation: BULK_TAGS_REPLACE,
+      tags: { team: ['a'] },
+    });
+    assert.deepEqual(replaced.apiTags, { team: ['a'] });
+    assert.deepEqual(replaced.removed, [{ key: 'env', value: 'prod' }]);
+
+    const [removed, unchanged] = planBulkTags(workers(), {
+      operation: BULK_TAGS_REMOVE,
+      tags: { env: ['prod'] },
+    });
+    assert.deepEqual(removed.apiTags, {});
+    assert.true(removed.willChange);
+    assert.false(unchanged.willChange);
+  });
+
+  test('it finds target filters whose matching workers change', function (assert) {
+    const plan = planBulkTags(workers(), {
+      operation: BULK_TAGS_REPLACE,
+      tags: { env: ['qa'] },
+    });
+    const targets = [
+      {
+        id: 't_1',
+        ingress_worker_filter: '"prod" in "/tags/env"',
+        egress_worker_filter: '"qa" in "/tags/env"',
+      },
+      { id: 't_2', ingress_worker_filter: '"ubuntu" in "/tags/os"' },
+      { id: 't_3', egress_worker_filter: 'not valid ==' },
+    ];
+
+    const impact = bulkTagsFilterImpact(targets, plan);
+
+    assert.deepEqual(
+      impact.map(({ target, hop, gained, lost }) => [
+        target.id,
+        hop,
+        gained.map(({ id }) => id),
+        lost.map(({ id }) => id),
+      ]),
+      [
+        ['t_1', HOP_INGRESS, [], ['w_1']],
+        ['t_1', HOP_EGRESS, ['w_1'], []],
+      ],
+    );
+  });
+
+  test('it applies a plan one worker at a time', async function (assert) {
+    const calls = [];
+    const [first, second] = workers();
+    first.removeApiTags = async (tags) => calls.push(['remove', tags]);
+    second.removeApiTags = async () => {
+      throw new Error('Nope');
+    };
+    const change = { operation: BULK_TAGS_REMOVE, tags: { env: ['prod'] } };
+    const plan = planBulkTags([first, second], change);
+    plan[1].willChange = true;
+
+    const results = await applyBulkTags(plan, change);
+
+    assert.deepEqual(calls, [['remove', { env: ['prod'] }]]);
+    assert.deepEqual(
+      results.map(({ status }) => status),
+      [BULK_STATUS_SUCCESS, BULK_STATUS_ERROR],
+    );
+    assert.strictEqual(results[1].error.message, 'Nope');
+
+    const skipped = await applyBulkTags(planBulkTags([second], change), change);
+    assert.strictEqual(skipped[0].status, BULK_STATUS_SKIPPED);
+  });
+});
@@ -5,6 +5,15 @@
 
 import Service, { inject as service } from '@ember/service';
 import { tracked } from '@glimmer/tracking';
+import { AtomIndex, matchPattern } from 'core/utils/atom-pattern';
+
+/**
+ * Boundary conditions decide what lies just outside a space:
+ * - dirichlet: a fixed value (`value`, defaults to 0)
+ * - neumann: the nearest edge value, so the gradient across the edge is zero
+ * - periodic: the opposite edge, so indices wrap around
+ */
+export const BOUNDARY_TYPES = ['dirichlet', 'neumann', 'periodic'];
 
 /**
  * ATenSpace Service
@@ -27,6 +36,11 @@ export default class ATenSpaceService extends Service {
    */
   @tracked boundaries = {};
 
+  /**
+   * @type {Array} Operations rejected by boundary constraints, for auditing
+   */
+  @tracked rejectedOperations = [];
+
   /**
    * @type {Object} AtomSpace-like knowledge graph
    */
@@ -36,15 +50,34 @@ export default class ATenSpaceService extends Service {
   };
 
   /**
-   * Define a boundary for a computational space
+   * @type {AtomIndex} Atoms by id and type, links by endpoints and type
+   */
+  atomIndex = new AtomIndex();
+
+  /**
+   * Define a boundary for a computational space.
+   *
+   * Supported constraints:
+   * - `scopeType`, `scopeId`: operations must declare a matching scope
+   * - `maxDimensions`: maximum rank of the space's tensor
+   * - `maxShape`: maximum size of each axis of the space's tensor
+   * - `min`, `max`: range of values that can be written
+   *
    * @param {string} name - Boundary name
    * @param {Object} config - Boundary configuration
    * @return {Object} Boundary definition
    */
   defineBoundary(name, config) {
+    const type = config.type || 'dirichlet';
+    if (!BOUNDARY_TYPES.includes(type)) {
+      throw new Error(
+        `Unknown boundary type "${type}", expected one of ${BOUNDARY_TYPES.join(', ')}`,
+      );
+    }
     const boundary = {
       name,
-      type: config.type || 'dirichlet', // dirichlet, neumann, periodic
+      type,
+      value: config.value ?? 0,
       constraints: config.constraints || {},
       domain: config.domain || null,
       metadata: {
@@ -57,19 +90,23 @@ export default class ATenSpaceService extends Service {
   }
 
   /**
-   * Create a space within defined boundaries
+   * Create a space within defined boundaries. Throws when its shape exceeds
+   * the `maxDimensions` or `maxShape` of its boundary.
    * @param {string} name - Space name
    * @param {Object} config - Space configuration
    * @return {Object} Space instance
    */
   createSpace(name, config) {
+    const shape = config.shape || [1];
+    const constraints = this.boundaries[config.boundary]?.constraints;
+    const reason = constraints && this._validateShape(shape, constraints);
+    if (reason) {
+      throw new Error(`Space violates boundary constraints: ${reason}`);
+    }
     const space = {
       name,
       boundary: config.boundary,
-      tensorSpace: this.tensorLogic.initTensor(
-        `${name}_tensor`,
-        config.shape || [1],
-      ),
+      tensorSpace: this.tensorLogic.initTensor(`${name}_tensor`, shape),
       dimensions: config.dimensions || 1,
       operations: [],
       metadata: {
@@ -83,7 +120,20 @@ export default class ATenSpaceService extends Service {
   }
 
   /**
-   * Execute operation within bounded space
+   * Execute operation within bounded space.
+   *
+   * Built-in operations act on the space's tensor:
+   * - `read` (`coords`): reads a value, coordinates outside the space are
+   *   resolved by the boundary condition
+   * - `write` (`coords`, `value`): writes a value
+   * - `fill` (`value`): writes every value
+   * - `reshape` (`shape`): changes the shape of the tensor
+   * - `shift` (`axis`, `offset`): returns the tensor shifted along an axis,
+   *   filling the edge by the boundary condition
+   *
+   * Other operations are only recorded. Operations that violate the
+   * boundary constraints are recorded in `rejectedOperations` and throw.
+   *
    * @param {string} spaceName - Space name
    * @param {string} operation - Operation type
    * @param {Object} params - Operation parameters
@@ -96,15 +146,32 @@ export default class ATenSpaceService extends Service {
     }
 
     const boundary = this.boundaries[space.boundary];
-    if (!this._validateBoundaryConstraints(params, boundary)) {
-      throw new Error('Operation violates boundary constraints');
+    const reason = this._validateBoundaryConstraints(
+      space,
+      operation,
+      params,
+      boundary,
+    );
+    if (reason) {
+      this.rejectedOperations = [
+        ...this.rejectedOperations,
+        {
+          space: spaceName,
+          boundary: space.boundary,
+          operation,
+          params,
+          reason,
+          timestamp: new Date().toISOString(),
+        },
+      ];
+      throw new Error(`Operation violates boundary constraints: ${reason}`);
     }
 
     const result = {
       space: spaceName,
       operation,
       params,
-      result: null,
+      result: this._applyOperation(space, boundary, operation, params),
       timestamp: new Date().toISOString(),
     };
 
@@ -112,6 +179,36 @@ export default class ATenSpaceService extends Service {
     return result;
   }
 
+  /**
+   * Read a value from a space, resolving coordinates outside the space by
+   * its boundary condition. Spaces without a boundary are dirichlet with 0.
+   * @param {string} spaceName - Space name
+   * @param {Array} coords - Coordinates, one per axis
+   * @return {number} Value
+   */
+  readValue(spaceName, coords) {
+    const space = this.spaceRegistry[spaceName];
+    if (!space) {
+      throw new Error(`Space not found: ${spaceName}`);
+    }
+    return this._read(
+      space.tensorSpace.tensor,
+      this.boundaries[space.boundary],
+      coords,
+    );
+  }
+
+  /**
+   * Get rejected operations, optionally for a single space
+   * @param {string} spaceName - Space name
+   * @return {Array} Rejected operations
+   */
+  getRejectedOperations(spaceName) {
+    return spaceName
+      ? this.rejectedOperations.filter(({ space }) => space === spaceName)
+      : this.rejectedOperations;
+  }
+
   /**
    * Map Boundary scope to ATenSpace domain
    * @param {Object} scopeModel - Boundary scope model
@@ -119,7 +216,8 @@ export default class ATenSpaceService extends Service {
    */
   mapScopeToDomain(scopeModel) {
     const domainName = `domain_${scopeModel.type}_${scopeModel.id}`;
-    const boundaryName = `boundary_${scopeModel.type}`;
+    // One boundary per scope, since each is constrained to its own scopeId
+    const boundaryName = `boundary_${scopeModel.id}`;
 
     // Define boundary based on scope type
     this.defineBoundary(boundaryName, {
@@ -147,15 +245,90 @@ export default class ATenSpaceService extends Service {
    * @return {Array} Query results
    */
   queryAtomSpace(query) {
+    return this.atomIndex
+      .atoms(query.type)
+      .filter((atom) => this._matchesQuery(atom, query));
+  }
+
+  /**
+   * Query AtomSpace knowledge graph with a pattern of atom and link clauses
+   * sharing `?` variables, e.g. all spaces contained by a space of scope X:
+   *
+   *   queryPattern({
+   *     match: [
+   *       { atom: '?parent', type: 'space', where: { 'data.metadata.scopeId': X } },
+   *       { link: 'contains', from: '?parent', to: '?child' },
+   *       { atom: '?child', type: 'space' },
+   *     ],
+   *     select: ['?child'],
+   *   });
+   *
+   * See `matchPattern` in `core/utils/atom-pattern` for the clause syntax.
+   *
+   * @param {Object} pattern - `match` clauses and optional `select` variables
+   * @return {Array} One object per match, keyed by variable name without `?`
+   */
+  queryPattern({ match, select }) {
+    const seen = new Set();
     const results = [];
-    for (const atom of this.atomSpace.atoms) {
-      if (this._matchesQuery(atom, query)) {
-        results.push(atom);
+    for (const binding of matchPattern(this.atomIndex, match)) {
+      const variables = select ?? [...binding.keys()];
+      // Projecting onto `select` can repeat a match
+      if (select) {
+        const key = JSON.stringify(
+          variables.map((variable) => {
+            const value = binding.get(variable);
+            return typeof value === 'string' ? value : value?.id;
+          }),
+        );
+        if (seen.has(key)) continue;
+        seen.add(key);
       }
+
+      const result = {};
+      variables.forEach((variable) => {
+        const value = binding.get(variable);
+        result[variable.slice(1)] =
+          typeof value === 'string'
+            ? (this.atomIndex.atomsById.get(value) ?? { id: value })
+            : value;
+      });
+      results.push(result);
     }
     return results;
   }
 
+  /**
+   * Add an atom to the AtomSpace, e.g. a scope, target or host set.
+   * Adding an id twice returns the atom already added.
+   * @param {string} id - Atom ID
+   * @param {string} type - Atom type
+   * @param {Object} data - Atom data
+   * @return {Object} Atom object
+   */
+  addAtom(id, type, data = {}) {
+    const existing = this.atomIndex.atomsById.get(id);
+    if (existing) return existing;
+    const atom = {
+      id,
+      type,
+      data,
+      timestamp: new Date().toISOString(),
+    };
+    this.atomIndex.addAtom(atom);
+    this.atomSpace.atoms = [...this.atomSpace.atoms, atom];
+    return atom;
+  }
+
+  /**
+   * Get atom by ID
+   * @param {string} id - Atom ID
+   * @return {Object} Atom object
+   */
+  getAtom(id) {
+    return this.atomIndex.atomsById.get(id);
+  }
+
   /**
    * Add relationship link in AtomSpace
    * @param {string} fromAtom - Source atom ID
@@ -171,6 +344,7 @@ export default class ATenSpaceService extends Service {
       type: linkType,
       timestamp: new Date().toISOString(),
     };
+    this.atomIndex.addLink(link);
     this.atomSpace.links = [...this.atomSpace.links, link];
     return link;
   }
@@ -195,10 +369,152 @@ export default class ATenSpaceService extends Service {
 
   // Private methods
 
-  _validateBoundaryConstraints(params, boundary) {
-    if (!boundary) return true;
-    // Simplified validation - can be extended
-    return true;
+  /**
+   * Returns the reason an operation violates the boundary constraints, or
+   * null when it is allowed.
+   */
+  _validateBoundaryConstraints(space, operation, params, boundary) {
+    if (
+      ['read', 'write'].includes(operation) &&
+      !Array.isArray(params.coords)
+    ) {
+      return 'Coordinates are required';
+    }
+    if (!boundary) return null;
+    const { constraints, type } = boundary;
+    const tensor = space.tensorSpace.tensor;
+
+    for (const key of ['scopeType', 'scopeId']) {
+      if (constraints[key] === undefined) continue;
+      const scope = key === 'scopeType' ? params.scope?.type : params.scope?.id;
+      const value = params[key] ?? scope;
+      if (value === undefined) {
+        return `${key} is required and must be "${constraints[key]}"`;
+      }
+      if (value !== constraints[key]) {
+        return `${key} "${value}" does not match "${constraints[key]}"`;
+      }
+    }
+
+    if (operation === 'reshape') {
+      const shapeReason = this._validateShape(params.shape, constraints);
+      if (shapeReason) return shapeReason;
+    }
+
+    if (operation === 'write' && type !== 'periodic') {
+      const outside = params.coords?.some(
+        (coord, axis) => coord < 0 || coord >= tensor.shape[axis],
+      );
+      if (outside) {
+        return `Coordinates [${params.coords}] are outside the ${type} boundary of shape [${tensor.shape}]`;
+      }
+    }
+
+    if (operation === 'write' || operation === 'fill') {
+      const { value } = params;
+      if (typeof value !== 'number' || Number.isNaN(value)) {
+        return `Value ${value} is not a number`;
+      }
+      if (constraints.min !== undefined && value < constraints.min) {
+        return `Value ${value} is below the minimum of ${constraints.min}`;
+      }
+      if (constraints.max !== undefined && value > constraints.max) {
+        return `Value ${value} is above the maximum of ${constraints.max}`;
+      }
+    }
+
+    return null;
+  }
+
+  _validateShape(shape, constraints) {
+    if (!Array.isArray(shape)) {
+      return 'A shape is required';
+    }
+    if (
+      constraints.maxDimensions !== undefined &&
+      shape.length > constraints.maxDimensions
+    ) {
+      return `Shape [${shape}] has ${shape.length} dimensions, the limit is ${constraints.maxDimensions}`;
+    }
+    const axis = shape.findIndex(
+      (dim, i) =>
+        constraints.maxShape?.[i] !== undefined &&
+        dim > constraints.maxShape[i],
+    );
+    if (axis !== -1) {
+      return `Shape [${shape}] exceeds the limit of [${constraints.maxShape}] on axis ${axis}`;
+    }
+    return null;
+  }
+
+  _applyOperation(space, boundary, operation, params) {
+    const entry = space.tensorSpace;
+    switch (operation) {
+      case 'read':
+        return this._read(entry.tensor, boundary, params.coords);
+      case 'write': {
+        const coords = params.coords.map((coord, axis) =>
+          this._wrap(coord, entry.tensor.shape[axis]),
+        );
+        entry.tensor.set(coords, params.value);
+        return params.value;
+      }
+      case 'fill':
+        entry.tensor.data.fill(params.value);
+        return params.value;
+      case 'reshape':
+        entry.tensor = entry.tensor.reshape(params.shape);
+        entry.shape = entry.tensor.shape;
+        return entry.shape;
+      case 'shift':
+        return this._shift(entry.tensor, boundary, params);
+      default:
+        return null;
+    }
+  }
+
+  _shift(tensor, boundary, { axis = 0, offset = 1 }) {
+    if (axis < 0 || axis >= tensor.rank) {
+      throw new Error(
+        `Axis ${axis} is out of range for a tensor of rank ${tensor.rank}`,
+      );
+    }
+    return tensor.map((_, coords) => {
+      const source = [...coords];
+      source[axis] -= offset;
+      return this._read(tensor, boundary, source);
+    });
+  }
+
+  /**
+   * Reads a value, applying the boundary condition to every axis whose
+   * coordinate falls outside the tensor.
+   */
+  _read(tensor, boundary, coords) {
+    if (coords.length !== tensor.rank) {
+      throw new Error(
+        `Expected ${tensor.rank} coordinates for shape [${tensor.shape}], got ${coords.length}`,
+      );
+    }
+    const type = boundary?.type ?? 'dirichlet';
+    const resolved = [];
+    for (const [axis, coord] of coords.entries()) {
+      const size = tensor.shape[axis];
+      if (coord >= 0 && coord < size) {
+        resolved.push(coord);
+      } else if (type === 'periodic') {
+        resolved.push(this._wrap(coord, size));
+      } else if (type === 'neumann') {
+        resolved.push(Math.min(Math.max(coord, 0), size - 1));
+      } else {
+        return boundary?.value ?? 0;
+      }
+    }
+    return tensor.get(...resolved);
+  }
+
+  _wrap(coord, size) {
+    return ((coord % size) + size) % size;
   }
 
   _addToAtomSpace(space) {
@@ -208,7 +524,12 @@ export default class ATenSpaceService extends Service {
       data: space,
       timestamp: new Date().toISOString(),
     };
-    this.atomSpace.atoms = [...this.atomSpace.atoms, atom];
+    // Recreating a space replaces its atom
+    this.atomIndex.addAtom(atom);
+    this.atomSpace.atoms = [
+      ...this.atomSpace.atoms.filter(({ id }) => id !== atom.id),
+      atom,
+    ];
   }
 
   _matchesQuery(atom, query) {
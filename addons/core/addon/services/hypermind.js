@@ -6,6 +6,43 @@
 import Service, { inject as service } from '@ember/service';
 import { tracked } from '@glimmer/tracking';
 
+/**
+ * Memory tiers from most to least recently useful. Entries are demoted down
+ * this list when a tier is full or their TTL passes, and promoted up it when
+ * they are accessed often.
+ */
+export const TIERS = ['hot', 'warm', 'cold', 'archived'];
+
+/**
+ * Tiers that are written through to the `storage` service so they survive
+ * a reload.
+ */
+export const PERSISTED_TIERS = ['cold', 'archived'];
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Memory key prefix for the context saved per Boundary scope.
+ */
+export const SCOPE_CONTEXT_PREFIX = 'scope-context:';
+
+/**
+ * Default memory configuration. `capacity` is the number of entries a tier
+ * holds and `ttl` how long (ms) an entry may go unaccessed before it is
+ * demoted; archived entries past their TTL are dropped. `null` disables a
+ * limit.
+ */
+export const DEFAULT_MEMORY_CONFIG = {
+  policy: 'lru', // lru, lfu
+  promoteAfter: 10,
+  tiers: {
+    hot: { capacity: 100, ttl: 24 * HOUR },
+    warm: { capacity: 500, ttl: 7 * 24 * HOUR },
+    cold: { capacity: 1000, ttl: 30 * 24 * HOUR },
+    archived: { capacity: 5000, ttl: null },
+  },
+};
+
 /**
  * HyperMind Multi-Scope Architecture Service
  * Implements memory proxy for context-aware state management
@@ -13,6 +50,8 @@ import { tracked } from '@glimmer/tracking';
  */
 export default class HyperMindService extends Service {
   @service tensorLogic;
+  @service storage;
+  @service sqlite;
 
   // =attributes
 
@@ -26,6 +65,16 @@ export default class HyperMindService extends Service {
     archived: {}, // Historical contexts
   };
 
+  /**
+   * @type {Object} Capacity, TTL and eviction policy per tier
+   */
+  memoryConfig = DEFAULT_MEMORY_CONFIG;
+
+  /**
+   * @type {Object} Hit, eviction and expiry counters per tier
+   */
+  @tracked memoryCounters = this._emptyCounters();
+
   /**
    * @type {Array} Scope stack for multi-scope management
    */
@@ -39,16 +88,35 @@ export default class HyperMindService extends Service {
     edges: [],
   };
 
+  /**
+   * Persisted tiers with changes not yet written to storage
+   * @type {Set<string>}
+   */
+  _dirtyTiers = new Set();
+
+  /**
+   * Storage namespace the persisted tiers were restored from, once they are
+   * @type {?string}
+   */
+  _namespace;
+  _restored = false;
+
+  constructor() {
+    super(...arguments);
+    this._syncNamespace();
+  }
+
   /**
    * Push a new scope onto the stack
    * @param {Object} scopeConfig - Scope configuration
    * @return {Object} Scope instance
    */
   pushScope(scopeConfig) {
+    this._syncNamespace();
     const scopeInstance = {
       id: this._generateScopeId(),
       config: scopeConfig,
-      context: {},
+      context: this._loadScopeContext(scopeConfig?.scopeId),
       timestamp: new Date().toISOString(),
       parent: this.scopeStack[this.scopeStack.length - 1] || null,
     };
@@ -79,6 +147,67 @@ export default class HyperMindService extends Service {
     return this.scopeStack[this.scopeStack.length - 1] || null;
   }
 
+  /**
+   * Configure tier capacities, TTLs and the eviction policy. Values are
+   * merged into the current configuration and limits apply immediately.
+   * @param {Object} config - Memory configuration, see DEFAULT_MEMORY_CONFIG
+   */
+  configureMemory(config = {}) {
+    const policy = config.policy ?? this.memoryConfig.policy;
+    if (!['lru', 'lfu'].includes(policy)) {
+      throw new Error(`Unknown eviction policy "${policy}"`);
+    }
+    const tiers = {};
+    for (const tier of TIERS) {
+      tiers[tier] = {
+        ...this.memoryConfig.tiers[tier],
+        ...config.tiers?.[tier],
+      };
+    }
+    this.memoryConfig = { ...this.memoryConfig, ...config, policy, tiers };
+    this._optimizeMemory();
+    this._persistChanges();
+  }
+
+  /**
+   * Set a value in the current scope's context, e.g. selected filters.
+   * The context is saved per scope id and restored when the scope is
+   * pushed again. Does nothing when there is no current scope.
+   * @param {string} key - Context key
+   * @param {*} value - Context value
+   */
+  setScopeContext(key, value) {
+    const scope = this.getCurrentScope();
+    if (!scope) return;
+    scope.context = { ...scope.context, [key]: value };
+    this._saveScopeContext(scope);
+  }
+
+  /**
+   * Get a value from the current scope's context
+   * @param {string} key - Context key
+   * @return {*} Context value
+   */
+  getScopeContext(key) {
+    return this.getCurrentScope()?.context[key];
+  }
+
+  /**
+   * Add an item to a most-recent-first list in the current scope's
+   * context, e.g. recent searches or last-viewed resources. An item that is
+   * already in the list moves to the front.
+   * @param {string} key - Context key
+   * @param {*} item - Item to add
+   * @param {Object} options - `limit` on the list length, defaults to 10
+   */
+  addRecentScopeContext(key, item, { limit = 10 } = {}) {
+    const itemStr = JSON.stringify(item);
+    const recent = (this.getScopeContext(key) ?? []).filter(
+      (existing) => JSON.stringify(existing) !== itemStr,
+    );
+    this.setScopeContext(key, [item, ...recent].slice(0, limit));
+  }
+
   /**
    * Store context in memory with tiered optimization
    * @param {string} key - Context key
@@ -86,7 +215,20 @@ export default class HyperMindService extends Service {
    * @param {Object} options - Storage options
    */
   storeContext(key, value, options = {}) {
+    this._syncNamespace();
     const tier = options.tier || 'hot';
+    if (!TIERS.includes(tier)) {
+      throw new Error(`Unknown memory tier "${tier}"`);
+    }
+    // A key lives in a single tier
+    for (const other of TIERS) {
+      if (this.memoryStore[other][key]) {
+        this._removeEntry(other, key);
+        this._markChanged(other);
+      }
+    }
+    // Make room first so a new entry is never its own eviction victim
+    this._enforceCapacity(tier, 1);
     const contextEntry = {
       key,
       value,
@@ -98,6 +240,8 @@ export default class HyperMindService extends Service {
     };
     this.memoryStore[tier][key] = contextEntry;
     this._optimizeMemory();
+    this._markChanged(tier);
+    this._persistChanges();
   }
 
   /**
@@ -106,31 +250,109 @@ export default class HyperMindService extends Service {
    * @return {*} Context value
    */
   retrieveContext(key) {
+    this._syncNamespace();
+    this._expireEntries();
     // Search across all tiers
-    for (const tier of ['hot', 'warm', 'cold', 'archived']) {
+    for (const tier of TIERS) {
       if (this.memoryStore[tier][key]) {
         const entry = this.memoryStore[tier][key];
         entry.metadata.accessCount++;
         entry.metadata.lastAccessed = new Date().toISOString();
+        this._count(tier, 'hits');
+        // Access metadata alone is not worth a write, it is persisted with
+        // the next change to the tier
         this._promoteIfNeeded(key, tier);
+        this._persistChanges();
         return entry.value;
       }
     }
+    this._persistChanges();
+    this.memoryCounters = {
+      ...this.memoryCounters,
+      misses: this.memoryCounters.misses + 1,
+    };
     return null;
   }
 
   /**
-   * Search contexts using vector/graph/chronological search
+   * Remove a context from every tier
+   * @param {string} key - Context key
+   */
+  forgetContext(key) {
+    this._syncNamespace();
+    for (const tier of TIERS) {
+      if (this.memoryStore[tier][key]) {
+        this._removeEntry(tier, key);
+        this._markChanged(tier);
+      }
+    }
+    this._persistChanges();
+  }
+
+  /**
+   * Clear all tiers, including persisted ones, and reset the stats
+   */
+  clearMemory() {
+    this._syncNamespace();
+    this.memoryStore = { hot: {}, warm: {}, cold: {}, archived: {} };
+    this.memoryCounters = this._emptyCounters();
+    this._dirtyTiers.clear();
+    if (this._namespace) {
+      PERSISTED_TIERS.forEach((tier) =>
+        this.storage.removeItem(this._storageKey(tier)),
+      );
+    }
+  }
+
+  /**
+   * Memory statistics per tier. `hitRate` is the share of all lookups that
+   * were answered by that tier.
+   * @return {Object} Memory statistics
+   */
+  getMemoryStats() {
+    const { misses } = this.memoryCounters;
+    const hits = TIERS.reduce(
+      (total, tier) => total + this.memoryCounters[tier].hits,
+      0,
+    );
+    const lookups = hits + misses;
+    const tiers = {};
+    for (const tier of TIERS) {
+      const counters = this.memoryCounters[tier];
+      tiers[tier] = {
+        ...counters,
+        size: Object.keys(this.memoryStore[tier]).length,
+        capacity: this.memoryConfig.tiers[tier].capacity,
+        ttl: this.memoryConfig.tiers[tier].ttl,
+        hitRate: lookups ? counters.hits / lookups : 0,
+        persisted: PERSISTED_TIERS.includes(tier),
+      };
+    }
+    return {
+      policy: this.memoryConfig.policy,
+      lookups,
+      hits,
+      misses,
+      hitRate: lookups ? hits / lookups : 0,
+      tiers,
+    };
+  }
+
+  /**
+   * Search contexts using vector/graph/chronological search.
+   * The `scope` search type searches per-scope contexts by context key and
+   * value, optionally limited to one `scopeId`.
    * @param {Object} query - Search query
    * @return {Array} Search results
    */
   searchContexts(query) {
+    this._syncNamespace();
     const results = [];
     const { searchType = 'chronological', term } = query;
 
     if (searchType === 'chronological') {
       // Search by recency
-      for (const tier of ['hot', 'warm', 'cold', 'archived']) {
+      for (const tier of TIERS) {
         for (const [key, entry] of Object.entries(this.memoryStore[tier])) {
           if (key.includes(term)) {
             results.push({ key, ...entry, tier });
@@ -144,6 +366,8 @@ export default class HyperMindService extends Service {
     } else if (searchType === 'graph') {
       // Graph-based traversal search
       results.push(...this._graphSearch(term));
+    } else if (searchType === 'scope') {
+      results.push(...this._scopeContextSearch(term, query.scopeId));
     }
 
     return results;
@@ -153,21 +377,177 @@ export default class HyperMindService extends Service {
    * Optimize memory by deduplication and tiering
    */
   _optimizeMemory() {
-    // Move contexts between tiers based on access patterns
-    for (const [key, entry] of Object.entries(this.memoryStore.hot)) {
-      const age = Date.now() - new Date(entry.metadata.timestamp).getTime();
-      const ageInHours = age / (1000 * 60 * 60);
-
-      if (ageInHours > 24 && entry.metadata.accessCount < 5) {
-        this.memoryStore.warm[key] = entry;
-        delete this.memoryStore.hot[key];
-      }
-    }
+    this._expireEntries();
+
+    TIERS.forEach((tier) => this._enforceCapacity(tier));
 
     // Deduplicate similar contexts
     this._deduplicateContexts();
   }
 
+  /**
+   * Demotes entries that have not been accessed within their tier's TTL.
+   */
+  _expireEntries() {
+    const now = Date.now();
+    for (const tier of TIERS) {
+      const { ttl } = this.memoryConfig.tiers[tier];
+      if (ttl === null || ttl === undefined) continue;
+      for (const [key, entry] of Object.entries(this.memoryStore[tier])) {
+        if (now - this._lastUsed(entry) > ttl) {
+          this._demote(key, tier, 'expirations');
+        }
+      }
+    }
+  }
+
+  _enforceCapacity(tier, reserve = 0) {
+    const { capacity } = this.memoryConfig.tiers[tier];
+    if (capacity === null || capacity === undefined) return;
+    while (
+      Object.keys(this.memoryStore[tier]).length > 0 &&
+      Object.keys(this.memoryStore[tier]).length > capacity - reserve
+    ) {
+      this._demote(this._selectVictim(tier), tier, 'evictions');
+    }
+  }
+
+  /**
+   * Picks the entry to evict from a tier: the least recently used one, or
+   * for LFU the least frequently used one with ties broken by recency.
+   */
+  _selectVictim(tier) {
+    const entries = Object.values(this.memoryStore[tier]);
+    const byRecency = (a, b) => this._lastUsed(a) - this._lastUsed(b);
+    const compare =
+      this.memoryConfig.policy === 'lfu'
+        ? (a, b) =>
+            a.metadata.accessCount - b.metadata.accessCount || byRecency(a, b)
+        : byRecency;
+    return entries.reduce((victim, entry) =>
+      compare(entry, victim) < 0 ? entry : victim,
+    ).key;
+  }
+
+  _lastUsed(entry) {
+    return Date.parse(entry.metadata.lastAccessed ?? entry.metadata.timestamp);
+  }
+
+  /**
+   * Moves an entry one tier down, dropping it when it leaves the last tier.
+   * TTLs keep counting from the last access, so an entry idle for long
+   * enough falls through several tiers at once.
+   */
+  _demote(key, tier, reason) {
+    const entry = this.memoryStore[tier][key];
+    const next = TIERS[TIERS.indexOf(tier) + 1];
+    this._removeEntry(tier, key);
+    this._count(tier, reason);
+    this._markChanged(tier);
+    if (next) {
+      this.memoryStore[next][key] = entry;
+      this._markChanged(next);
+      this._enforceCapacity(next);
+    }
+  }
+
+  _removeEntry(tier, key) {
+    // eslint-disable-next-line no-unused-vars
+    const { [key]: _removed, ...rest } = this.memoryStore[tier];
+    this.memoryStore[tier] = rest;
+  }
+
+  _count(tier, counter) {
+    this.memoryCounters = {
+      ...this.memoryCounters,
+      [tier]: {
+        ...this.memoryCounters[tier],
+        [counter]: this.memoryCounters[tier][counter] + 1,
+      },
+    };
+  }
+
+  _emptyCounters() {
+    const counters = { misses: 0 };
+    TIERS.forEach((tier) => {
+      counters[tier] = { hits: 0, evictions: 0, expirations: 0 };
+    });
+    return counters;
+  }
+
+  /**
+   * Storage key of a persisted tier, namespaced per user and cluster like
+   * the SQLite database so contexts don't leak between users. There is no
+   * database before sign in, so tiers are kept in memory only until then.
+   */
+  _storageKey(tier) {
+    return this._namespace ? `hypermind:${this._namespace}:${tier}` : null;
+  }
+
+  /**
+   * Reloads the persisted tiers when the user or cluster changed since they
+   * were restored. Contexts of the previous namespace are dropped.
+   */
+  _syncNamespace() {
+    const namespace = this.sqlite.dbName;
+    if (this._restored && this._namespace === namespace) return;
+    if (this._restored) {
+      this._persistChanges();
+      this.memoryStore = { hot: {}, warm: {}, cold: {}, archived: {} };
+    }
+    this._namespace = namespace;
+    this._restored = true;
+    this._restoreMemory();
+  }
+
+  /**
+   * Marks a persisted tier as changed, to be written by `_persistChanges`
+   * once the current operation is done. This way cascading demotions write
+   * each tier once.
+   */
+  _markChanged(tier) {
+    if (PERSISTED_TIERS.includes(tier)) this._dirtyTiers.add(tier);
+  }
+
+  /**
+   * Writes changed persisted tiers to storage. Entries that can't be
+   * serialized (e.g. values holding models) stay in memory only.
+   */
+  _persistChanges() {
+    for (const tier of this._dirtyTiers) {
+      const key = this._storageKey(tier);
+      if (!key) continue;
+      const serializable = {};
+      for (const [key, entry] of Object.entries(this.memoryStore[tier])) {
+        try {
+          serializable[key] = JSON.parse(JSON.stringify(entry));
+        } catch {
+          // Not serializable, keep it in memory only
+        }
+      }
+      try {
+        this.storage.setItem(key, serializable);
+      } catch {
+        // Storage is full or unavailable, the in-memory tier is still valid
+      }
+    }
+    this._dirtyTiers.clear();
+  }
+
+  _restoreMemory() {
+    if (!this._namespace) return;
+    for (const tier of PERSISTED_TIERS) {
+      try {
+        const entries = this.storage.getItem(this._storageKey(tier));
+        if (entries) {
+          this.memoryStore[tier] = { ...entries, ...this.memoryStore[tier] };
+        }
+      } catch {
+        // Ignore unreadable storage and start with an empty tier
+      }
+    }
+  }
+
   _deduplicateContexts() {
     // Simple deduplication - in production would use more sophisticated methods
     const seen = new Set();
@@ -175,7 +555,8 @@ export default class HyperMindService extends Service {
       for (const [key, entry] of Object.entries(this.memoryStore[tier])) {
         const valueStr = JSON.stringify(entry.value);
         if (seen.has(valueStr)) {
-          delete this.memoryStore[tier][key];
+          this._removeEntry(tier, key);
+          this._markChanged(tier);
         } else {
           seen.add(valueStr);
         }
@@ -184,33 +565,96 @@ export default class HyperMindService extends Service {
   }
 
   _promoteIfNeeded(key, currentTier) {
-    const tierOrder = ['archived', 'cold', 'warm', 'hot'];
-    const currentIndex = tierOrder.indexOf(currentTier);
+    const currentIndex = TIERS.indexOf(currentTier);
     const entry = this.memoryStore[currentTier][key];
 
     if (!entry) return;
 
     // Promote if accessed frequently
     if (
-      entry.metadata.accessCount > 10 &&
-      currentIndex < tierOrder.length - 1
+      entry.metadata.accessCount > this.memoryConfig.promoteAfter &&
+      currentIndex > 0
     ) {
-      const newTier = tierOrder[currentIndex + 1];
+      const newTier = TIERS[currentIndex - 1];
       // Move entry to new tier
       this.memoryStore[newTier] = {
         ...this.memoryStore[newTier],
         [key]: entry,
       };
       // Remove from current tier
-      // eslint-disable-next-line no-unused-vars
-      const { [key]: _removed, ...rest } = this.memoryStore[currentTier];
-      this.memoryStore[currentTier] = rest;
+      this._removeEntry(currentTier, key);
+      this._markChanged(currentTier);
+      this._markChanged(newTier);
+      // Make room in the new tier if needed
+      this._enforceCapacity(newTier);
     }
   }
 
+  _loadScopeContext(scopeId) {
+    if (!scopeId) return {};
+    const saved = this._findEntry(`${SCOPE_CONTEXT_PREFIX}${scopeId}`);
+    return { ...saved?.value.context };
+  }
+
+  _saveScopeContext(scope) {
+    const { scopeId } = scope.config ?? {};
+    if (!scopeId) return;
+    // The scope id is part of the value so that scopes with equal contexts
+    // are not deduplicated into one
+    this.storeContext(`${SCOPE_CONTEXT_PREFIX}${scopeId}`, {
+      scopeId,
+      context: scope.context,
+    });
+  }
+
+  /**
+   * Finds an entry in any tier without counting it as an access.
+   */
+  _findEntry(key) {
+    for (const tier of TIERS) {
+      if (this.memoryStore[tier][key]) {
+        return { ...this.memoryStore[tier][key], tier };
+      }
+    }
+    return null;
+  }
+
+  _scopeContextSearch(term, scopeId) {
+    const needle = term?.toLowerCase() ?? '';
+    const results = [];
+    for (const tier of TIERS) {
+      for (const [key, entry] of Object.entries(this.memoryStore[tier])) {
+        if (!key.startsWith(SCOPE_CONTEXT_PREFIX)) continue;
+        if (scopeId && entry.value.scopeId !== scopeId) continue;
+        for (const [contextKey, value] of Object.entries(entry.value.context)) {
+          const haystack =
+            `${contextKey} ${JSON.stringify(value)}`.toLowerCase();
+          if (haystack.includes(needle)) {
+            results.push({
+              key: contextKey,
+              value,
+              scopeId: entry.value.scopeId,
+              metadata: entry.metadata,
+              tier,
+            });
+          }
+        }
+      }
+    }
+    return results;
+  }
+
   _archiveScope(scope) {
     const archiveKey = `scope_${scope.id}`;
-    this.storeContext(archiveKey, scope, { tier: 'archived' });
+    // Archive a plain snapshot, without the scope model or parent chain, so
+    // it can be persisted
+    // eslint-disable-next-line no-unused-vars
+    const { scopeModel: _scopeModel, ...config } = scope.config ?? {};
+    this.storeContext(
+      archiveKey,
+      { ...scope, config, parent: scope.parent?.id ?? null },
+      { tier: 'archived' },
+    );
   }
 
   _updateContextGraph(scope) {
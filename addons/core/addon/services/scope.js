@@ -6,6 +6,14 @@
 import Service, { inject as service } from '@ember/service';
 import { tracked } from '@glimmer/tracking';
 
+// Query params that page through results rather than select them
+const PAGING_QUERY_PARAMS = ['page', 'pageSize'];
+
+// Length of the recent searches and last viewed resources lists
+const RECENT_LIMIT = 10;
+
+const isSame = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
 /**
  * This simple non-functional service is used to retain references to
  * lists of scopes (orgs and projects) and selected scopes (orgs and projects).
@@ -15,6 +23,7 @@ export default class ScopeService extends Service {
   @service tensorLogic;
   @service hypermind;
   @service atenSpace;
+  @service router;
 
   // =attributes
 
@@ -38,6 +47,16 @@ export default class ScopeService extends Service {
    */
   @tracked projectsList;
 
+  constructor() {
+    super(...arguments);
+    this.router.on('routeDidChange', this, this.recordRouteContext);
+  }
+
+  willDestroy() {
+    super.willDestroy(...arguments);
+    this.router.off('routeDidChange', this, this.recordRouteContext);
+  }
+
   /**
    * Initialize scope with integrated frameworks
    * @param {ScopeModel} scopeModel - Scope model
@@ -45,12 +64,16 @@ export default class ScopeService extends Service {
   initializeScopeFrameworks(scopeModel) {
     if (!scopeModel) return;
 
-    // Initialize tensor variables for the scope
-    this.tensorLogic.initTensor(
-      `scope_${scopeModel.id}`,
-      [1, 1],
-      null
-    );
+    // Tensors and domains only need to be created the first time a scope
+    // is visited
+    const tensorName = `scope_${scopeModel.id}`;
+    if (!this.tensorLogic.getTensor(tensorName)) {
+      // Initialize tensor variables for the scope
+      this.tensorLogic.initTensor(tensorName, [1, 1], null);
+
+      // Map scope to ATenSpace domain
+      this.atenSpace.mapScopeToDomain(scopeModel);
+    }
 
     // Push scope into HyperMind for context management
     this.hypermind.pushScope({
@@ -58,9 +81,18 @@ export default class ScopeService extends Service {
       scopeType: scopeModel.type,
       scopeModel,
     });
+  }
 
-    // Map scope to ATenSpace domain
-    this.atenSpace.mapScopeToDomain(scopeModel);
+  /**
+   * Set the selected org and project together, e.g. after a route
+   * transition, and sync the HyperMind scope stack to match.
+   * @param {ScopeModel} orgModel - Organization (or global) scope model
+   * @param {ScopeModel} projectModel - Project scope model
+   */
+  setScopes(orgModel, projectModel) {
+    this.org = orgModel;
+    this.project = projectModel;
+    this._syncScopeStack();
   }
 
   /**
@@ -68,10 +100,7 @@ export default class ScopeService extends Service {
    * @param {ScopeModel} orgModel - Organization scope model
    */
   setOrg(orgModel) {
-    this.org = orgModel;
-    if (orgModel) {
-      this.initializeScopeFrameworks(orgModel);
-    }
+    this.setScopes(orgModel, this.project);
   }
 
   /**
@@ -79,9 +108,119 @@ export default class ScopeService extends Service {
    * @param {ScopeModel} projectModel - Project scope model
    */
   setProject(projectModel) {
-    this.project = projectModel;
-    if (projectModel) {
-      this.initializeScopeFrameworks(projectModel);
+    this.setScopes(this.org, projectModel);
+  }
+
+  /**
+   * Records what the user searched, filtered by and viewed in the context
+   * of the current HyperMind scope, so it survives navigating between
+   * scopes: recent searches under `recentSearches`, the selected filters of
+   * each route under `filters` and viewed resources under `lastViewed`.
+   * Context is only written when it changes, as every write runs HyperMind's
+   * memory optimization and most transitions change nothing.
+   * @param {Transition} transition
+   */
+  recordRouteContext({ to } = {}) {
+    if (!to || !this.hypermind.getCurrentScope()) return;
+
+    const { search, ...queryParams } = to.queryParams ?? {};
+    if (search) {
+      // Searches are applied as they are typed, so a search replaces the
+      // ones it completes
+      const previousSearches =
+        this.hypermind.getScopeContext('recentSearches') ?? [];
+      const recentSearches = [
+        search,
+        ...previousSearches.filter(
+          (recentSearch) => !search.startsWith(recentSearch),
+        ),
+      ].slice(0, RECENT_LIMIT);
+      if (!isSame(recentSearches, previousSearches)) {
+        this.hypermind.setScopeContext('recentSearches', recentSearches);
+      }
+    }
+
+    const selectedFilters = Object.entries(queryParams)
+      .filter(([key]) => !PAGING_QUERY_PARAMS.includes(key))
+      .map(([key, value]) => [key, this._parseQueryParam(value)])
+      .filter(([, value]) => (Array.isArray(value) ? value.length : value));
+    const filters = { ...this.hypermind.getScopeContext('filters') };
+    const routeFilters = selectedFilters.length
+      ? Object.fromEntries(selectedFilters)
+      : undefined;
+    if (!isSame(routeFilters, filters[to.name])) {
+      if (routeFilters) {
+        filters[to.name] = routeFilters;
+      } else {
+        delete filters[to.name];
+      }
+      this.hypermind.setScopeContext('filters', filters);
+    }
+
+    const resource = this._viewedResource(to);
+    const lastViewed = this.hypermind.getScopeContext('lastViewed') ?? [];
+    if (resource && !isSame(resource, lastViewed[0])) {
+      this.hypermind.addRecentScopeContext('lastViewed', resource, {
+        limit: RECENT_LIMIT,
+      });
+    }
+  }
+
+  // Private methods
+
+  /**
+   * Array query params are serialized as JSON in the URL.
+   */
+  _parseQueryParam(value) {
+    if (typeof value !== 'string' || !value.startsWith('[')) return value;
+    try {
+      return JSON.parse(value);
+    } catch {
+      return value;
+    }
+  }
+
+  /**
+   * The deepest resource model of a route, other than scopes, if any.
+   * @param {RouteInfo} routeInfo
+   * @return {?Object}
+   */
+  _viewedResource(routeInfo) {
+    for (let info = routeInfo; info; info = info.parent) {
+      const model = info.attributes;
+      const type = model?.constructor?.modelName;
+      if (type && type !== 'scope' && model.id) {
+        return {
+          type,
+          id: model.id,
+          name: model.displayName ?? model.name ?? model.id,
+          route: info.name,
+        };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Pops HyperMind scopes that are no longer selected and pushes newly
+   * selected ones, so the stack always reads org (or global), then project.
+   */
+  _syncScopeStack() {
+    const selected = [this.org, this.project].filter(Boolean);
+    const stack = this.hypermind.scopeStack;
+    let common = 0;
+    while (
+      common < selected.length &&
+      common < stack.length &&
+      stack[common].config.scopeId === selected[common].id
+    ) {
+      common++;
+    }
+    while (this.hypermind.scopeStack.length > common) {
+      this.hypermind.popScope();
     }
+    selected
+      .slice(common)
+      .forEach((scopeModel) => this.initializeScopeFrameworks(scopeModel));
   }
 }
@@ -5,11 +5,36 @@
 
 import Service from '@ember/service';
 import { tracked } from '@glimmer/tracking';
+import Tensor, {
+  add,
+  contract,
+  einsum,
+  join,
+  multiply,
+  project,
+} from 'core/utils/tensor';
+import {
+  evaluate,
+  freeIndicesOf,
+  parseEquation,
+  parseExpression,
+} from 'core/utils/tensor-equation';
+
+/**
+ * Upper bound on fixpoint iterations for recursive rules.
+ * @type {number}
+ */
+export const MAX_RULE_ITERATIONS = 100;
 
 /**
  * Tensor Logic Framework Service
  * Integrates tensor-logic.org framework for unified AI reasoning
  * Provides tensor operations and logical reasoning capabilities
+ *
+ * Rules are tensor equations. The right-hand side is a join of the
+ * referenced tensors and every index missing from the left-hand side is
+ * summed out, e.g. `Ancestor[x,z] = step(Parent[x,z] + Parent[x,y] Ancestor[y,z])`.
+ * Rules that refer to themselves are iterated until they reach a fixpoint.
  */
 export default class TensorLogicService extends Service {
   // =attributes
@@ -28,14 +53,18 @@ export default class TensorLogicService extends Service {
    * Initialize a tensor variable
    * @param {string} name - Variable name
    * @param {Array} shape - Tensor shape
-   * @param {Array} data - Initial data
+   * @param {Array} data - Initial data, flat and row-major
    * @return {Object} Tensor object
    */
   initTensor(name, shape, data = null) {
+    const tensorData = new Tensor(shape, data);
     const tensor = {
       name,
-      shape,
-      data: data || this._initializeData(shape),
+      shape: tensorData.shape,
+      tensor: tensorData,
+      get data() {
+        return this.tensor.toArray();
+      },
       metadata: {
         created: new Date().toISOString(),
         type: 'tensor',
@@ -46,15 +75,24 @@ export default class TensorLogicService extends Service {
   }
 
   /**
-   * Register a logical rule as tensor equation
+   * Register a logical rule as tensor equation.
+   * The equation is either a string such as `C[i,k] = A[i,j] B[j,k]` or a
+   * function receiving `(tensors, context)` that returns a Tensor, where
+   * `tensors.get(name)` resolves other tensors and rules.
    * @param {string} name - Rule name
-   * @param {Function} equation - Tensor equation function
+   * @param {string|Function} equation - Tensor equation
    * @return {Object} Rule object
    */
   registerRule(name, equation) {
+    if (typeof equation !== 'string' && typeof equation !== 'function') {
+      throw new Error(
+        `Rule "${name}" must be an equation string or a function`,
+      );
+    }
     const rule = {
       name,
       equation,
+      parsed: typeof equation === 'string' ? parseEquation(equation) : null,
       metadata: {
         created: new Date().toISOString(),
         type: 'rule',
@@ -66,10 +104,22 @@ export default class TensorLogicService extends Service {
 
   /**
    * Execute tensor operation (join, projection, etc.)
+   *
+   * Options per operation:
+   * - join: `indices`, one index list per tensor. Without it tensors are
+   *   multiplied elementwise with broadcasting.
+   * - projection: `indices` and `keep`, or `axis` (number or numbers) to
+   *   sum out.
+   * - contraction: `spec` (einsum string), or `indices` and `output`.
+   *   Without either the last axis of the first tensor is contracted with
+   *   the first axis of the second.
+   * - broadcast: `shape`
+   * - reshape: `shape`
+   *
    * @param {string} operation - Operation type
-   * @param {Array} tensors - Input tensors
+   * @param {Array} tensors - Input tensors, registry entries or names
    * @param {Object} options - Operation options
-   * @return {Object} Result tensor
+   * @return {Object} Operation descriptor with the `result` tensor
    */
   executeOperation(operation, tensors, options = {}) {
     switch (operation) {
@@ -79,22 +129,51 @@ export default class TensorLogicService extends Service {
         return this._tensorProjection(tensors[0], options);
       case 'contraction':
         return this._tensorContraction(tensors, options);
+      case 'broadcast':
+        return this._tensorShapeOperation(operation, tensors[0], options);
+      case 'reshape':
+        return this._tensorShapeOperation(operation, tensors[0], options);
       default:
         throw new Error(`Unknown operation: ${operation}`);
     }
   }
 
   /**
-   * Query using tensor logic reasoning
+   * Query using tensor logic reasoning.
+   *
+   * The query is a rule or tensor name, an expression such as
+   * `Parent[x,y] Parent[y,z]` (indices that appear once are kept), or an
+   * equation such as `GrandParent[x,z] = Parent[x,y] Parent[y,z]`.
+   * `context.tensors` may provide or override tensors by name and
+   * `context.output` overrides the kept indices of an expression.
+   *
    * @param {string} query - Query expression
    * @param {Object} context - Query context
    * @return {Object} Query result
    */
   query(query, context = {}) {
+    const state = { context, values: new Map(), recursive: new Set() };
+    const resolve = (name) => this._resolve(name, state);
+    let result, indices;
+
+    if (/^\s*[A-Za-z_]\w*\s*$/.test(query)) {
+      result = resolve(query.trim());
+      indices = null;
+    } else if (query.includes('=')) {
+      const { head, body } = parseEquation(query);
+      indices = head.indices;
+      result = this._evaluateBody(head.name, body, indices, resolve);
+    } else {
+      const body = parseExpression(query);
+      indices = context.output ?? freeIndicesOf(body);
+      result = this._evaluateBody('query', body, indices, resolve);
+    }
+
     return {
       query,
       context,
-      result: null,
+      result,
+      indices,
       timestamp: new Date().toISOString(),
     };
   }
@@ -119,38 +198,223 @@ export default class TensorLogicService extends Service {
 
   // Private methods
 
-  _initializeData(shape) {
-    const size = shape.reduce((a, b) => a * b, 1);
-    return new Array(size).fill(0);
+  /**
+   * Accepts Tensors, registry entries, `{ shape, data }` objects and
+   * registered tensor names.
+   */
+  _toTensor(value) {
+    if (value instanceof Tensor) return value;
+    if (typeof value === 'string') {
+      const entry = this.tensorRegistry[value];
+      if (!entry) throw new Error(`Unknown tensor "${value}"`);
+      return entry.tensor;
+    }
+    if (value?.tensor instanceof Tensor) return value.tensor;
+    if (typeof value === 'number') return Tensor.scalar(value);
+    if (value?.shape) return new Tensor(value.shape, value.data);
+    throw new Error('Expected a tensor');
+  }
+
+  /**
+   * Resolves a name in a query to a tensor, in order: context tensors,
+   * registered tensors, then rules (by rule name or head name).
+   */
+  _resolve(name, state) {
+    if (state.context.tensors?.[name] !== undefined) {
+      return this._toTensor(state.context.tensors[name]);
+    }
+    if (this.tensorRegistry[name]) {
+      return this.tensorRegistry[name].tensor;
+    }
+    const rule =
+      this.rulesRegistry[name] ??
+      Object.values(this.rulesRegistry).find(
+        ({ parsed }) => parsed?.head.name === name,
+      );
+    if (!rule) {
+      throw new Error(`Unknown tensor or rule "${name}"`);
+    }
+    return this._evaluateRule(rule, state);
+  }
+
+  /**
+   * Evaluates a rule, iterating recursive rules until their value stops
+   * changing. While a rule is being evaluated, references to it resolve to
+   * its previous iterate (or to nothing on the first pass).
+   */
+  _evaluateRule(rule, state) {
+    const { name } = rule;
+    if (state.values.has(name)) {
+      state.recursive.add(name);
+      return state.values.get(name);
+    }
+
+    const resolve = (ref) => this._resolve(ref, state);
+    let current = null;
+    for (let i = 0; i < MAX_RULE_ITERATIONS; i++) {
+      state.values.set(name, current);
+      const next = rule.parsed
+        ? this._evaluateBody(
+            name,
+            rule.parsed.body,
+            rule.parsed.head.indices,
+            resolve,
+          )
+        : this._evaluateFunctionRule(rule, resolve, state.context);
+
+      if (!state.recursive.has(name) || current?.equals(next, 1e-9)) {
+        state.values.delete(name);
+        state.recursive.delete(name);
+        return next;
+      }
+      current = next;
+    }
+    throw new Error(
+      `Rule "${name}" did not converge after ${MAX_RULE_ITERATIONS} iterations`,
+    );
+  }
+
+  _evaluateBody(name, body, indices, resolve) {
+    const result = evaluate(body, indices, resolve);
+    if (!result) {
+      throw new Error(
+        `Rule "${name}" has no term that can be evaluated without itself`,
+      );
+    }
+    return result;
+  }
+
+  _evaluateFunctionRule(rule, resolve, context) {
+    const tensors = {
+      get: (name) => {
+        const tensor = resolve(name);
+        if (!tensor) {
+          throw new Error(
+            `Rule "${rule.name}" refers to "${name}" before it has a value`,
+          );
+        }
+        return tensor;
+      },
+      Tensor,
+      add,
+      contract,
+      einsum,
+      join,
+      multiply,
+      project,
+    };
+    const result = rule.equation(tensors, context);
+    if (typeof result === 'number') return Tensor.scalar(result);
+    if (!(result instanceof Tensor)) {
+      throw new Error(`Rule "${rule.name}" must return a Tensor`);
+    }
+    return result;
   }
 
   _tensorJoin(tensors, options) {
-    // Simplified tensor join operation
+    const inputs = tensors.map((tensor) => this._toTensor(tensor));
+    let result, indices;
+    if (options.indices) {
+      if (options.indices.length !== inputs.length) {
+        throw new Error(
+          `Join expects one index list per tensor, got ${options.indices.length} for ${inputs.length} tensors`,
+        );
+      }
+      indices = [...new Set(options.indices.flat())];
+      result = contract(
+        inputs.map((tensor, i) => ({ tensor, indices: options.indices[i] })),
+        indices,
+      );
+    } else {
+      result = inputs.reduce((a, b) => multiply(a, b));
+    }
     return {
       operation: 'join',
       inputs: tensors,
       options,
-      result: null,
+      result,
+      indices,
     };
   }
 
   _tensorProjection(tensor, options) {
-    // Simplified tensor projection operation
+    const input = this._toTensor(tensor);
+    let indices = options.indices;
+    let keep = options.keep;
+    if (!indices) {
+      const axes = [].concat(options.axis ?? []);
+      axes.forEach((axis) => {
+        if (!Number.isInteger(axis) || axis < 0 || axis >= input.rank) {
+          throw new Error(
+            `Axis ${axis} is out of range for a tensor of rank ${input.rank}`,
+          );
+        }
+      });
+      indices = input.shape.map((_, axis) => `a${axis}`);
+      keep = indices.filter((_, axis) => !axes.includes(axis));
+    }
+    const projected = project(input, indices, keep ?? []);
     return {
       operation: 'projection',
       input: tensor,
       options,
-      result: null,
+      result: projected.tensor,
+      indices: projected.indices,
     };
   }
 
   _tensorContraction(tensors, options) {
-    // Simplified tensor contraction operation
+    const inputs = tensors.map((tensor) => this._toTensor(tensor));
+    let result;
+    if (options.spec) {
+      result = einsum(options.spec, ...inputs);
+    } else if (options.indices) {
+      result = contract(
+        inputs.map((tensor, i) => ({ tensor, indices: options.indices[i] })),
+        options.output ?? [],
+      );
+    } else {
+      if (inputs.length !== 2) {
+        throw new Error(
+          'Contraction without `spec` or `indices` expects exactly two tensors',
+        );
+      }
+      const [a, b] = inputs;
+      const aIndices = a.shape.map((_, axis) => `a${axis}`);
+      const bIndices = b.shape.map((_, axis) => `b${axis}`);
+      if (a.rank === 0 || b.rank === 0) {
+        throw new Error('Contraction needs tensors of rank 1 or more');
+      }
+      bIndices[0] = aIndices[a.rank - 1];
+      result = contract(
+        [
+          { tensor: a, indices: aIndices },
+          { tensor: b, indices: bIndices },
+        ],
+        [...aIndices.slice(0, -1), ...bIndices.slice(1)],
+      );
+    }
     return {
       operation: 'contraction',
       inputs: tensors,
       options,
-      result: null,
+      result,
+    };
+  }
+
+  _tensorShapeOperation(operation, tensor, options) {
+    if (!options.shape) {
+      throw new Error(`${operation} requires a \`shape\` option`);
+    }
+    const input = this._toTensor(tensor);
+    return {
+      operation,
+      input: tensor,
+      options,
+      result:
+        operation === 'reshape'
+          ? input.reshape(options.shape)
+          : input.broadcastTo(options.shape),
     };
   }
 }
@@ -0,0 +1,242 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+const isVariable = (value) =>
+  typeof value === 'string' && value.startsWith('?');
+
+const addTo = (map, key, value) => {
+  if (!map.has(key)) map.set(key, []);
+  map.get(key).push(value);
+};
+
+/**
+ * Reads a dotted path such as `data.metadata.scopeId` from an object.
+ * @param {object} object
+ * @param {string} path
+ * @return {*}
+ */
+export const valueAt = (object, path) =>
+  path.split('.').reduce((value, key) => value?.[key], object);
+
+/**
+ * Lookup tables for atoms and links so queries don't scan the whole graph.
+ */
+export class AtomIndex {
+  atomsById = new Map();
+  atomsByType = new Map();
+  linksByFrom = new Map();
+  linksByTo = new Map();
+  linksByType = new Map();
+
+  /**
+   * Adds an atom, replacing any atom with the same id.
+   * @param {object} atom
+   */
+  addAtom(atom) {
+    const previous = this.atomsById.get(atom.id);
+    if (previous) {
+      const sameType = this.atomsByType.get(previous.type);
+      sameType.splice(sameType.indexOf(previous), 1);
+    }
+    this.atomsById.set(atom.id, atom);
+    addTo(this.atomsByType, atom.type, atom);
+  }
+
+  /**
+   * @param {object} link
+   */
+  addLink(link) {
+    addTo(this.linksByFrom, link.from, link);
+    addTo(this.linksByTo, link.to, link);
+    addTo(this.linksByType, link.type, link);
+  }
+
+  /**
+   * @param {string} [type]
+   * @return {object[]}
+   */
+  atoms(type) {
+    return type === undefined
+      ? [...this.atomsById.values()]
+      : (this.atomsByType.get(type) ?? []);
+  }
+
+  /**
+   * Links leaving (`direction = 'from'`) or entering (`'to'`) an atom.
+   * @param {string} id
+   * @param {string} direction
+   * @param {string[]} [types]
+   * @return {object[]}
+   */
+  linksAt(id, direction, types) {
+    const index = direction === 'from' ? this.linksByFrom : this.linksByTo;
+    const links = index.get(id) ?? [];
+    return types ? links.filter(({ type }) => types.includes(type)) : links;
+  }
+
+  /**
+   * @param {string[]} [types]
+   * @return {object[]}
+   */
+  links(types) {
+    if (types) {
+      return types.flatMap((type) => this.linksByType.get(type) ?? []);
+    }
+    return [...this.linksByFrom.values()].flat();
+  }
+}
+
+const matchesWhere = (atom, where = {}) =>
+  Object.entries(where).every(([path, expected]) => {
+    const value = valueAt(atom, path);
+    if (typeof expected === 'function') return expected(value, atom);
+    if (Array.isArray(expected)) return expected.includes(value);
+    return value === expected;
+  });
+
+const hopRange = (hops = 1) => {
+  const { min, max } =
+    typeof hops === 'number' ? { min: hops, max: hops } : hops;
+  if (!Number.isInteger(min) || !Number.isInteger(max) || min < 1) {
+    throw new Error(`Invalid hops ${JSON.stringify(hops)}`);
+  }
+  if (max < min) {
+    throw new Error(`Invalid hops, max ${max} is less than min ${min}`);
+  }
+  return { min, max };
+};
+
+/**
+ * Walks up to `max` links from `start` and returns every atom id reached
+ * after at least `min` links. Each atom is visited at its shortest distance.
+ */
+const traverse = (index, start, direction, types, { min, max }) => {
+  const reached = new Set();
+  const seen = new Set([start]);
+  let frontier = [start];
+  for (let depth = 1; depth <= max && frontier.length; depth++) {
+    const next = [];
+    for (const id of frontier) {
+      for (const link of index.linksAt(id, direction, types)) {
+        const other = direction === 'from' ? link.to : link.from;
+        if (depth >= min) reached.add(other);
+        if (!seen.has(other)) {
+          seen.add(other);
+          next.push(other);
+        }
+      }
+    }
+    frontier = next;
+  }
+  return [...reached];
+};
+
+const bind = (binding, term, value) => {
+  if (!isVariable(term)) return term === value ? binding : null;
+  if (binding.has(term)) return binding.get(term) === value ? binding : null;
+  return new Map(binding).set(term, value);
+};
+
+const resolveTerm = (binding, term) =>
+  isVariable(term) ? binding.get(term) : term;
+
+function matchAtom(index, binding, clause) {
+  const bound = resolveTerm(binding, clause.atom);
+  const candidates =
+    bound !== undefined
+      ? [index.atomsById.get(bound)].filter(Boolean)
+      : index.atoms(clause.type);
+  return candidates
+    .filter(
+      (atom) =>
+        (clause.type === undefined || atom.type === clause.type) &&
+        matchesWhere(atom, clause.where),
+    )
+    .map((atom) => bind(binding, clause.atom, atom.id))
+    .filter(Boolean);
+}
+
+function matchLink(index, binding, clause) {
+  const types = clause.link === undefined ? undefined : [].concat(clause.link);
+  const from = resolveTerm(binding, clause.from);
+  const to = resolveTerm(binding, clause.to);
+  const results = [];
+
+  if (clause.hops === undefined) {
+    let links;
+    if (from !== undefined) links = index.linksAt(from, 'from', types);
+    else if (to !== undefined) links = index.linksAt(to, 'to', types);
+    else links = index.links(types);
+    for (const link of links) {
+      let next = bind(binding, clause.from, link.from);
+      next = next && bind(next, clause.to, link.to);
+      if (next && clause.as) next = bind(next, clause.as, link);
+      if (next) results.push(next);
+    }
+    return results;
+  }
+
+  if (clause.as) {
+    throw new Error('Links can only be bound with `as` for a single hop');
+  }
+  const range = hopRange(clause.hops);
+  // Walk from whichever end is known, forwards unless only `to` is bound
+  const forward = from !== undefined || to === undefined;
+  const [startTerm, endTerm, direction] = forward
+    ? [clause.from, clause.to, 'from']
+    : [clause.to, clause.from, 'to'];
+  const start = forward ? from : to;
+  const starts =
+    start !== undefined
+      ? [start]
+      : [...new Set(index.links(types).map((link) => link[direction]))];
+
+  for (const id of starts) {
+    const seeded = bind(binding, startTerm, id);
+    if (!seeded) continue;
+    for (const reached of traverse(index, id, direction, types, range)) {
+      const next = bind(seeded, endTerm, reached);
+      if (next) results.push(next);
+    }
+  }
+  return results;
+}
+
+/**
+ * Matches a pattern against an indexed graph. A pattern is a list of
+ * clauses; strings starting with `?` are variables shared between clauses.
+ *
+ * - `{ atom: '?s', type: 'space', where: { 'data.metadata.scopeId': 'o_1' } }`
+ *   matches atoms. `where` values may be literals, arrays of allowed values
+ *   or predicates.
+ * - `{ link: 'contains', from: '?s', to: '?t', hops: { min: 1, max: 3 } }`
+ *   matches links, or paths of links when `hops` is given. `link` may be a
+ *   list of types or omitted to follow any link. `as: '?l'` binds the link.
+ *
+ * Clauses are matched in order, so putting the most selective first is
+ * fastest.
+ *
+ * @param {AtomIndex} index
+ * @param {object[]} clauses
+ * @return {Map[]} One map of variable to atom id (or link) per match
+ */
+export function matchPattern(index, clauses) {
+  let bindings = [new Map()];
+  for (const clause of clauses) {
+    let match;
+    if ('atom' in clause) {
+      match = matchAtom;
+    } else if ('from' in clause && 'to' in clause) {
+      match = matchLink;
+    } else {
+      throw new Error(
+        `Pattern clauses need an \`atom\` or \`from\` and \`to\`, got ${JSON.stringify(clause)}`,
+      );
+    }
+    bindings = bindings.flatMap((binding) => match(index, binding, clause));
+    if (!bindings.length) break;
+  }
+  return bindings;
+}
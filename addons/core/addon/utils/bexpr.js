@@ -0,0 +1,325 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+/**
+ * Match operators of boolean expressions (bexpr), as used by worker filters.
+ * Operators listed in `VALUE_FIRST_OPERATORS` are written value first, e.g.
+ * `"us-east-1" in "/tags/region"`, and `UNARY_OPERATORS` take no value.
+ */
+export const OPERATORS = [
+  '==',
+  '!=',
+  'in',
+  'not in',
+  'contains',
+  'not contains',
+  'matches',
+  'not matches',
+  'is empty',
+  'is not empty',
+];
+export const VALUE_FIRST_OPERATORS = ['in', 'not in'];
+export const UNARY_OPERATORS = ['is empty', 'is not empty'];
+
+/**
+ * Thrown when an expression can't be parsed.  `position` is the offset of
+ * the offending character in the expression.
+ */
+export class BexprSyntaxError extends Error {
+  name = 'BexprSyntaxError';
+
+  constructor(reason, position, source) {
+    super(`${reason} at position ${position} in "${source}"`);
+    this.reason = reason;
+    this.position = position;
+  }
+}
+
+const KEYWORDS = ['and', 'or', 'not', 'in', 'contains', 'matches', 'is'];
+
+const TOKEN =
+  /\s*(?:(==|!=|\(|\))|"((?:[^"\\]|\\.)*)"|`([^`]*)`|([^\s()"`=!]+)|(\S))/y;
+
+const tokenize = (source) => {
+  const tokens = [];
+  TOKEN.lastIndex = 0;
+  let match;
+  while (TOKEN.lastIndex < source.length && (match = TOKEN.exec(source))) {
+    const [, symbol, quoted, raw, word, unexpected] = match;
+    const position = match.index + match[0].search(/\S|$/);
+    if (symbol) {
+      tokens.push({ type: symbol, value: symbol, position });
+    } else if (quoted !== undefined) {
+      tokens.push({
+        type: 'string',
+        value: quoted.replace(/\\(.)/g, '$1'),
+        position,
+      });
+    } else if (raw !== undefined) {
+      tokens.push({ type: 'string', value: raw, position });
+    } else if (word) {
+      const type = KEYWORDS.includes(word) ? word : 'word';
+      tokens.push({ type, value: word, position });
+    } else if (unexpected) {
+      const reason = ['"', '`'].includes(unexpected)
+        ? 'Unterminated string'
+        : `Unexpected "${unexpected}"`;
+      throw new BexprSyntaxError(reason, position, source);
+    }
+  }
+  return tokens;
+};
+
+/**
+ * Returns a new group node.
+ * @param {string} logic - `and` or `or`
+ * @param {[object]} children
+ * @return {object}
+ */
+export const group = (logic = 'and', children = []) => ({
+  kind: 'group',
+  logic,
+  negated: false,
+  children,
+});
+
+/**
+ * Returns a new condition node.
+ * @param {string} selector - e.g. `/tags/region`
+ * @param {string} operator - one of `OPERATORS`
+ * @param {string} value
+ * @return {object}
+ */
+export const condition = (selector = '', operator = '==', value = '') => ({
+  kind: 'condition',
+  negated: false,
+  selector,
+  operator,
+  value,
+});
+
+const negate = (node) => ({ ...node, negated: !node.negated });
+
+/**
+ * Recursive descent parser for boolean expressions:
+ *
+ *   or       := and ('or' and)*
+ *   and      := not ('and' not)*
+ *   not      := 'not' not | '(' or ')' | match
+ *   match    := operand ('==' | '!=') operand
+ *             | operand 'not'? ('contains' | 'matches') operand
+ *             | operand 'is' 'not'? 'empty'
+ *             | operand 'not'? 'in' operand
+ *   operand  := String | Word
+ */
+class Parser {
+  constructor(source) {
+    this.source = source;
+    this.tokens = tokenize(source);
+    this.position = 0;
+  }
+
+  get current() {
+    return this.tokens[this.position];
+  }
+
+  peek(offset = 1) {
+    return this.tokens[this.position + offset];
+  }
+
+  fail(reason) {
+    const position = this.current?.position ?? this.source.length;
+    throw new BexprSyntaxError(
+      this.current ? reason : `${reason}, but the expression ended`,
+      position,
+      this.source,
+    );
+  }
+
+  accept(type) {
+    if (this.current?.type === type) {
+      return this.tokens[this.position++];
+    }
+    return null;
+  }
+
+  expect(type) {
+    return this.accept(type) ?? this.fail(`Expected "${type}"`);
+  }
+
+  parse() {
+    if (!this.tokens.length) {
+      return group();
+    }
+    const node = this.or();
+    if (this.current) {
+      this.fail(`Unexpected "${this.current.value}"`);
+    }
+    return node;
+  }
+
+  or() {
+    return this.chain('or', () => this.and());
+  }
+
+  and() {
+    return this.chain('and', () => this.not());
+  }
+
+  chain(logic, next) {
+    const children = [next()];
+    while (this.accept(logic)) {
+      children.push(next());
+    }
+    if (children.length === 1) {
+      return children[0];
+    }
+    // Flatten `a and (b and c)` into a single group
+    return group(
+      logic,
+      children.flatMap((child) =>
+        child.kind === 'group' && child.logic === logic && !child.negated
+          ? child.children
+          : [child],
+      ),
+    );
+  }
+
+  not() {
+    if (this.accept('not')) {
+      return negate(this.not());
+    }
+    if (this.accept('(')) {
+      const node = this.or();
+      this.expect(')');
+      // Keep parenthesized conditions in a group, like they were written
+      return node.kind === 'group' ? node : group('and', [node]);
+    }
+    return this.match();
+  }
+
+  operand() {
+    return (
+      this.accept('string') ??
+      this.accept('word') ??
+      this.fail('Expected a selector or value')
+    ).value;
+  }
+
+  match() {
+    const left = this.operand();
+    const token = this.current;
+    switch (token?.type) {
+      case '==':
+      case '!=':
+      case 'contains':
+      case 'matches':
+        this.position++;
+        return condition(left, token.type, this.operand());
+      case 'in':
+        this.position++;
+        return condition(this.operand(), 'in', left);
+      case 'is': {
+        this.position++;
+        const operator = this.accept('not') ? 'is not empty' : 'is empty';
+        if (this.current?.value !== 'empty') {
+          this.fail('Expected "empty"');
+        }
+        this.position++;
+        return condition(left, operator);
+      }
+      case 'not': {
+        const next = this.peek()?.type;
+        if (['in', 'contains', 'matches'].includes(next)) {
+          this.position += 2;
+          return next === 'in'
+            ? condition(this.operand(), 'not in', left)
+            : condition(left, `not ${next}`, this.operand());
+        }
+        this.position++;
+        return this.fail('Expected "in", "contains" or "matches"');
+      }
+      default:
+        return this.fail('Expected an operator');
+    }
+  }
+}
+
+/**
+ * Parses a boolean expression into a tree of group and condition nodes.
+ * An empty expression parses to an empty `and` group.  Throws a
+ * `BexprSyntaxError` if the expression is invalid.
+ *
+ * @example
+ *   parseBexpr('"/name" == "w1" or not "eu" in "/tags/region"');
+ *   // { kind: 'group', logic: 'or', negated: false, children: [
+ *   //   { kind: 'condition', negated: false, selector: '/name', operator: '==', value: 'w1' },
+ *   //   { kind: 'condition', negated: true, selector: '/tags/region', operator: 'in', value: 'eu' },
+ *   // ] }
+ *
+ * @param {string} source
+ * @return {object}
+ */
+export function parseBexpr(source = '') {
+  return new Parser(source ?? '').parse();
+}
+
+/**
+ * Returns the syntax error of an expression, or null if it is valid.
+ * @param {string} source
+ * @return {?BexprSyntaxError}
+ */
+export function validateBexpr(source) {
+  try {
+    parseBexpr(source);
+    return null;
+  } catch (error) {
+    if (error instanceof BexprSyntaxError) return error;
+    throw error;
+  }
+}
+
+const quote = (text) => `"${text.replace(/["\\]/g, '\\$&')}"`;
+
+// JSON pointer selectors are quoted, dotted selectors such as `name` are not
+const formatSelector = (selector) =>
+  selector.startsWith('/') ? quote(selector) : selector;
+
+const formatCondition = ({ selector, operator, value }) => {
+  const formattedSelector = formatSelector(selector);
+  if (UNARY_OPERATORS.includes(operator)) {
+    return `${formattedSelector} ${operator}`;
+  }
+  if (VALUE_FIRST_OPERATORS.includes(operator)) {
+    return `${quote(value)} ${operator} ${formattedSelector}`;
+  }
+  return `${formattedSelector} ${operator} ${quote(value)}`;
+};
+
+/**
+ * Formats a tree of group and condition nodes into a boolean expression.
+ * Conditions without a selector and empty groups are left out, so a tree
+ * that is still being built always formats to a valid expression.
+ * @param {object} node
+ * @param {boolean} nested - whether the node is a child of a group
+ * @return {string}
+ */
+export function formatBexpr(node, nested = false) {
+  let expression;
+  if (node.kind === 'condition') {
+    if (!node.selector) return '';
+    expression = formatCondition(node);
+  } else {
+    const children = node.children
+      .map((child) => formatBexpr(child, true))
+      .filter(Boolean);
+    if (!children.length) return '';
+    expression = children.join(` ${node.logic} `);
+    if ((nested || node.negated) && children.length > 1) {
+      expression = `(${expression})`;
+    }
+  }
+  return node.negated ? `not ${expression}` : expression;
+}
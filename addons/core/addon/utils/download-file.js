@@ -0,0 +1,28 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+/**
+ * Downloads text contents as a file, through a temporary link.
+ * @param {{document: Document, window: Window}} browser - the browser services
+ * @param {string} contents
+ * @param {string} filename
+ * @param {string} type - the MIME type of the file
+ */
+export function downloadFile({ document, window }, contents, filename, type) {
+  const blob = new Blob([contents], { type });
+
+  // Create temporary elements to initialize the download
+  const a = document.createElement('a');
+  document.body.appendChild(a);
+  a.href = window.URL.createObjectURL(blob);
+  a.download = filename;
+  a.addEventListener('click', () => {
+    setTimeout(() => {
+      window.URL.revokeObjectURL(a.href);
+      a.remove();
+    }, 500);
+  });
+  a.click();
+}
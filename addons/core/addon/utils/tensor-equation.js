@@ -0,0 +1,282 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+import Tensor, { add, contract } from './tensor';
+
+/**
+ * Elementwise functions that can wrap a sub-expression, e.g.
+ * `Ancestor[x,z] = step(Parent[x,y] Ancestor[y,z])`.
+ */
+export const FUNCTIONS = {
+  step: (x) => (x > 0 ? 1 : 0),
+  relu: (x) => Math.max(0, x),
+  sigmoid: (x) => 1 / (1 + Math.exp(-x)),
+  exp: (x) => Math.exp(x),
+};
+
+const TOKEN = /\s*(?:([A-Za-z_][A-Za-z0-9_]*)|(\d+(?:\.\d+)?)|(\S))/y;
+
+const tokenize = (source) => {
+  const tokens = [];
+  TOKEN.lastIndex = 0;
+  let match;
+  while (TOKEN.lastIndex < source.length && (match = TOKEN.exec(source))) {
+    const [, name, number, symbol] = match;
+    const position = match.index + match[0].search(/\S/);
+    if (name) {
+      tokens.push({ type: 'name', value: name, position });
+    } else if (number) {
+      tokens.push({ type: 'number', value: number, position });
+    } else if (symbol) {
+      if (!'[](),=+*'.includes(symbol)) {
+        throw new Error(
+          `Unexpected "${symbol}" at position ${position} in "${source}"`,
+        );
+      }
+      tokens.push({ type: symbol, value: symbol, position });
+    }
+  }
+  return tokens;
+};
+
+/**
+ * Recursive descent parser for tensor equations:
+ *
+ *   equation := ref '=' sum
+ *   sum      := product ('+' product)*
+ *   product  := factor ('*'? factor)*
+ *   factor   := ref | number | fn '(' sum ')' | '(' sum ')'
+ *   ref      := Name ('[' index (',' index)* ']')?
+ */
+class Parser {
+  constructor(source) {
+    this.source = source;
+    this.tokens = tokenize(source);
+    this.position = 0;
+  }
+
+  get current() {
+    return this.tokens[this.position];
+  }
+
+  fail(message) {
+    const at = this.current
+      ? `at position ${this.current.position}`
+      : 'at end of input';
+    throw new Error(`${message} ${at} in "${this.source}"`);
+  }
+
+  accept(type) {
+    if (this.current?.type === type) {
+      return this.tokens[this.position++];
+    }
+    return null;
+  }
+
+  expect(type) {
+    return this.accept(type) ?? this.fail(`Expected "${type}"`);
+  }
+
+  end() {
+    if (this.current) this.fail(`Unexpected "${this.current.value}"`);
+  }
+
+  equation() {
+    const head = this.ref();
+    this.expect('=');
+    const body = this.sum();
+    this.end();
+    return { head, body };
+  }
+
+  expression() {
+    const body = this.sum();
+    this.end();
+    return body;
+  }
+
+  sum() {
+    const terms = [this.product()];
+    while (this.accept('+')) terms.push(this.product());
+    return { kind: 'sum', terms };
+  }
+
+  product() {
+    const factors = [this.factor()];
+    while (
+      this.current &&
+      ['*', 'name', 'number', '('].includes(this.current.type)
+    ) {
+      this.accept('*');
+      factors.push(this.factor());
+    }
+    return { kind: 'product', factors };
+  }
+
+  factor() {
+    const number = this.accept('number');
+    if (number) return { kind: 'number', value: Number(number.value) };
+
+    if (this.accept('(')) {
+      const body = this.sum();
+      this.expect(')');
+      return { kind: 'group', body };
+    }
+
+    const name = this.current?.type === 'name' && this.current.value;
+    if (
+      name &&
+      FUNCTIONS[name] &&
+      this.tokens[this.position + 1]?.type === '('
+    ) {
+      this.position += 2;
+      const body = this.sum();
+      this.expect(')');
+      return { kind: 'call', fn: name, body };
+    }
+    return this.ref();
+  }
+
+  ref() {
+    const name = this.accept('name') ?? this.fail('Expected a tensor name');
+    const indices = [];
+    if (this.accept('[')) {
+      do {
+        indices.push(
+          (this.accept('name') ?? this.fail('Expected an index name')).value,
+        );
+      } while (this.accept(','));
+      this.expect(']');
+    }
+    return { kind: 'ref', name: name.value, indices };
+  }
+}
+
+/**
+ * Parses `Head[i,k] = A[i,j] B[j,k]` style equations.
+ * @param {string} source
+ * @return {{head: object, body: object}}
+ */
+export const parseEquation = (source) => new Parser(source).equation();
+
+/**
+ * Parses the right-hand side of an equation on its own.
+ * @param {string} source
+ * @return {object}
+ */
+export const parseExpression = (source) => new Parser(source).expression();
+
+/**
+ * Returns the names of all tensors referenced by a node.
+ * @param {object} node
+ * @return {Set<string>}
+ */
+export const referencesOf = (node, names = new Set()) => {
+  if (node.kind === 'ref') names.add(node.name);
+  node.terms?.forEach((term) => referencesOf(term, names));
+  node.factors?.forEach((factor) => referencesOf(factor, names));
+  if (node.body) referencesOf(node.body, names);
+  return names;
+};
+
+const indicesOf = (node, indices = []) => {
+  if (node.kind === 'ref') indices.push(...node.indices);
+  node.terms?.forEach((term) => indicesOf(term, indices));
+  node.factors?.forEach((factor) => indicesOf(factor, indices));
+  if (node.body) indicesOf(node.body, indices);
+  return indices;
+};
+
+/**
+ * Indices that appear exactly once in an expression, in order of appearance.
+ * Following the Einstein convention these are kept when no head is given.
+ * @param {object} node
+ * @return {string[]}
+ */
+export const freeIndicesOf = (node) => {
+  const all = indicesOf(node);
+  return [...new Set(all)].filter(
+    (index) => all.indexOf(index) === all.lastIndexOf(index),
+  );
+};
+
+/**
+ * Evaluates a parsed expression to a tensor over the `target` indices, in
+ * that order. Indices that are not in `target` are summed out.
+ *
+ * `resolve(name)` must return a Tensor, or `null` for a recursive reference
+ * that has no value yet; terms that depend on it contribute nothing.
+ *
+ * @param {object} node
+ * @param {string[]} target
+ * @param {function(string): ?Tensor} resolve
+ * @return {?Tensor}
+ */
+export function evaluate(node, target, resolve) {
+  switch (node.kind) {
+    case 'sum': {
+      const values = node.terms
+        .map((term) => evaluate(term, target, resolve))
+        .filter(Boolean);
+      return values.length ? values.reduce((a, b) => add(a, b)) : null;
+    }
+    case 'product': {
+      const operands = [];
+      for (const [position, factor] of node.factors.entries()) {
+        const others = node.factors
+          .filter((_, i) => i !== position)
+          .flatMap((other) => indicesOf(other));
+        const operand = evaluateFactor(factor, target, others, resolve);
+        if (!operand) return null;
+        operands.push(operand);
+      }
+      const bound = new Set(operands.flatMap(({ indices }) => indices));
+      target.forEach((index) => {
+        if (!bound.has(index)) {
+          throw new Error(
+            `Index "${index}" is not bound by any tensor in the term`,
+          );
+        }
+      });
+      return contract(operands, target);
+    }
+    default:
+      return evaluate({ kind: 'product', factors: [node] }, target, resolve);
+  }
+}
+
+function evaluateFactor(factor, target, others, resolve) {
+  switch (factor.kind) {
+    case 'number':
+      return { tensor: Tensor.scalar(factor.value), indices: [] };
+    case 'ref': {
+      const tensor = resolve(factor.name);
+      if (!tensor) return null;
+      if (tensor.rank !== factor.indices.length) {
+        throw new Error(
+          `${factor.name} has rank ${tensor.rank} but was given ${factor.indices.length} indices [${factor.indices}]`,
+        );
+      }
+      return { tensor, indices: factor.indices, name: factor.name };
+    }
+    default: {
+      // Only sum the indices that are local to the group or function call
+      const keep = [
+        ...new Set(
+          indicesOf(factor.body).filter(
+            (index) => target.includes(index) || others.includes(index),
+          ),
+        ),
+      ];
+      const tensor = evaluate(factor.body, keep, resolve);
+      if (!tensor) return null;
+      return {
+        tensor:
+          factor.kind === 'call' ? tensor.map(FUNCTIONS[factor.fn]) : tensor,
+        indices: keep,
+      };
+    }
+  }
+}
@@ -0,0 +1,586 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+/**
+ * Returns the row-major strides for a shape.
+ * @param {number[]} shape
+ * @return {number[]}
+ */
+export const contiguousStrides = (shape) => {
+  const strides = new Array(shape.length);
+  let stride = 1;
+  for (let i = shape.length - 1; i >= 0; i--) {
+    strides[i] = stride;
+    stride *= shape[i];
+  }
+  return strides;
+};
+
+/**
+ * Returns the number of elements described by a shape.
+ * @param {number[]} shape
+ * @return {number}
+ */
+export const sizeOf = (shape) => shape.reduce((a, b) => a * b, 1);
+
+const validateShape = (shape) => {
+  if (!Array.isArray(shape)) {
+    throw new Error(`Tensor shape must be an array, got ${typeof shape}`);
+  }
+  shape.forEach((dim) => {
+    if (!Number.isInteger(dim) || dim < 0) {
+      throw new Error(
+        `Tensor shape must contain non-negative integers, got [${shape}]`,
+      );
+    }
+  });
+};
+
+/**
+ * Calls `callback` with every coordinate of `shape` in row-major order.
+ * The coordinates array is reused between calls and must not be kept.
+ * @param {number[]} shape
+ * @param {function(number[])} callback
+ */
+const forEachCoordinate = (shape, callback) => {
+  if (sizeOf(shape) === 0) return;
+  const coords = new Array(shape.length).fill(0);
+  let axis;
+  do {
+    callback(coords);
+    // Advance the last axis and carry over into the ones before it
+    for (axis = shape.length - 1; axis >= 0; axis--) {
+      coords[axis]++;
+      if (coords[axis] < shape[axis]) break;
+      coords[axis] = 0;
+    }
+  } while (axis >= 0);
+};
+
+/**
+ * An n-dimensional tensor backed by a `Float64Array`.
+ *
+ * Elements are addressed through `strides` and `offset` so views such as
+ * reshapes and broadcasts share storage with the tensor they came from.
+ *
+ * @example
+ *   const t = new Tensor([2, 3], [1, 2, 3, 4, 5, 6]);
+ *   t.get(1, 2); // 6
+ *   t.reshape([3, 2]).get(2, 0); // 5
+ */
+export default class Tensor {
+  // =attributes
+
+  /**
+   * @type {number[]}
+   */
+  shape;
+
+  /**
+   * @type {number[]}
+   */
+  strides;
+
+  /**
+   * @type {number}
+   */
+  offset;
+
+  /**
+   * @type {Float64Array}
+   */
+  data;
+
+  /**
+   * @type {number}
+   */
+  get rank() {
+    return this.shape.length;
+  }
+
+  /**
+   * @type {number}
+   */
+  get size() {
+    return sizeOf(this.shape);
+  }
+
+  /**
+   * True if the elements are laid out in row-major order with no gaps.
+   * @type {boolean}
+   */
+  get isContiguous() {
+    const expected = contiguousStrides(this.shape);
+    return this.shape.every(
+      (dim, axis) => dim === 1 || this.strides[axis] === expected[axis],
+    );
+  }
+
+  // =methods
+
+  /**
+   * @param {number[]} shape
+   * @param {?(number[]|Float64Array)} data - flat, row-major values
+   * @param {object} options
+   * @param {number[]} options.strides
+   * @param {number} options.offset
+   */
+  constructor(shape, data = null, { strides, offset = 0 } = {}) {
+    validateShape(shape);
+    const size = sizeOf(shape);
+    this.shape = [...shape];
+    this.offset = offset;
+
+    if (data === null || data === undefined) {
+      this.data = new Float64Array(size);
+    } else if (data instanceof Float64Array) {
+      this.data = data;
+    } else if (Array.isArray(data) || ArrayBuffer.isView(data)) {
+      this.data = Float64Array.from(data);
+    } else {
+      throw new Error('Tensor data must be an array or typed array');
+    }
+
+    if (strides) {
+      if (strides.length !== shape.length) {
+        throw new Error(
+          `Tensor strides [${strides}] do not match shape [${shape}]`,
+        );
+      }
+      this.strides = [...strides];
+    } else {
+      if (this.data.length !== size) {
+        throw new Error(
+          `Tensor of shape [${shape}] needs ${size} values, got ${this.data.length}`,
+        );
+      }
+      this.strides = contiguousStrides(shape);
+    }
+  }
+
+  /**
+   * Creates a rank 0 tensor holding a single value.
+   * @param {number} value
+   * @return {Tensor}
+   */
+  static scalar(value) {
+    return new Tensor([], [value]);
+  }
+
+  /**
+   * Creates a tensor of the given shape filled with `value`.
+   * @param {number[]} shape
+   * @param {number} value
+   * @return {Tensor}
+   */
+  static full(shape, value) {
+    validateShape(shape);
+    return new Tensor(shape, new Float64Array(sizeOf(shape)).fill(value));
+  }
+
+  /**
+   * Returns the storage index of the element at `coords`.
+   * @param {number[]} coords
+   * @return {number}
+   */
+  offsetOf(coords) {
+    if (coords.length !== this.rank) {
+      throw new Error(
+        `Expected ${this.rank} coordinates for shape [${this.shape}], got ${coords.length}`,
+      );
+    }
+    let index = this.offset;
+    for (let axis = 0; axis < coords.length; axis++) {
+      const coord = coords[axis];
+      if (!Number.isInteger(coord) || coord < 0 || coord >= this.shape[axis]) {
+        throw new Error(
+          `Coordinate ${coord} is out of bounds for axis ${axis} of size ${this.shape[axis]}`,
+        );
+      }
+      index += coord * this.strides[axis];
+    }
+    return index;
+  }
+
+  /**
+   * @param {...number} coords
+   * @return {number}
+   */
+  get(...coords) {
+    return this.data[this.offsetOf(coords)];
+  }
+
+  /**
+   * Writes a value in place. Writing through a broadcast view writes every
+   * element that shares the same storage.
+   * @param {number[]} coords
+   * @param {number} value
+   */
+  set(coords, value) {
+    this.data[this.offsetOf(coords)] = value;
+  }
+
+  /**
+   * Calls `callback(value, coords)` for every element in row-major order.
+   * @param {function(number, number[])} callback
+   */
+  forEach(callback) {
+    forEachCoordinate(this.shape, (coords) =>
+      callback(this.data[this.offsetOf(coords)], coords),
+    );
+  }
+
+  /**
+   * Returns a new contiguous tensor with `fn` applied to every element.
+   * @param {function(number, number[]): number} fn
+   * @return {Tensor}
+   */
+  map(fn) {
+    const data = new Float64Array(this.size);
+    let i = 0;
+    this.forEach((value, coords) => {
+      data[i++] = fn(value, coords);
+    });
+    return new Tensor(this.shape, data);
+  }
+
+  /**
+   * Returns this tensor if it is already contiguous, otherwise a compact copy.
+   * @return {Tensor}
+   */
+  contiguous() {
+    if (
+      this.isContiguous &&
+      this.offset === 0 &&
+      this.data.length === this.size
+    ) {
+      return this;
+    }
+    return this.clone();
+  }
+
+  /**
+   * @return {Tensor}
+   */
+  clone() {
+    return this.map((value) => value);
+  }
+
+  /**
+   * Returns the values as a flat, row-major plain array.
+   * @return {number[]}
+   */
+  toArray() {
+    return Array.from(this.contiguous().data);
+  }
+
+  /**
+   * Returns a tensor with the same values and a new shape. One dimension may
+   * be `-1` and is inferred from the others. Shares storage when possible.
+   * @param {number[]} shape
+   * @return {Tensor}
+   */
+  reshape(shape) {
+    const inferred = shape.indexOf(-1);
+    let target = [...shape];
+    if (inferred !== -1) {
+      if (shape.indexOf(-1, inferred + 1) !== -1) {
+        throw new Error('Only one dimension can be inferred in a reshape');
+      }
+      const known = sizeOf(shape.filter((dim) => dim !== -1));
+      if (known === 0 || this.size % known !== 0) {
+        throw new Error(
+          `Cannot reshape tensor of shape [${this.shape}] into [${shape}]`,
+        );
+      }
+      target[inferred] = this.size / known;
+    }
+    validateShape(target);
+    if (sizeOf(target) !== this.size) {
+      throw new Error(
+        `Cannot reshape tensor of shape [${this.shape}] into [${shape}]`,
+      );
+    }
+    const source = this.contiguous();
+    return new Tensor(target, source.data, {
+      strides: contiguousStrides(target),
+      offset: source.offset,
+    });
+  }
+
+  /**
+   * Returns a view of this tensor broadcast to `shape` using NumPy rules:
+   * shapes are aligned from the right and dimensions of size 1 are repeated.
+   * @param {number[]} shape
+   * @return {Tensor}
+   */
+  broadcastTo(shape) {
+    validateShape(shape);
+    if (shape.length < this.rank) {
+      throw new Error(
+        `Cannot broadcast tensor of shape [${this.shape}] to [${shape}]`,
+      );
+    }
+    const lead = shape.length - this.rank;
+    const strides = shape.map((dim, axis) => {
+      if (axis < lead) return 0;
+      const own = this.shape[axis - lead];
+      if (own === dim) return this.strides[axis - lead];
+      if (own === 1) return 0;
+      throw new Error(
+        `Cannot broadcast tensor of shape [${this.shape}] to [${shape}]`,
+      );
+    });
+    return new Tensor(shape, this.data, { strides, offset: this.offset });
+  }
+
+  /**
+   * True if both tensors have the same shape and every pair of elements
+   * differs by at most `epsilon`.
+   * @param {Tensor} other
+   * @param {number} epsilon
+   * @return {boolean}
+   */
+  equals(other, epsilon = 0) {
+    if (
+      !(other instanceof Tensor) ||
+      other.rank !== this.rank ||
+      other.shape.some((dim, axis) => dim !== this.shape[axis])
+    ) {
+      return false;
+    }
+    let equal = true;
+    this.forEach((value, coords) => {
+      if (equal && Math.abs(value - other.get(...coords)) > epsilon) {
+        equal = false;
+      }
+    });
+    return equal;
+  }
+}
+
+/**
+ * Returns the shape two or more shapes broadcast to.
+ * @param {...number[]} shapes
+ * @return {number[]}
+ */
+export function broadcastShapes(...shapes) {
+  const rank = Math.max(0, ...shapes.map((shape) => shape.length));
+  const result = new Array(rank).fill(1);
+  shapes.forEach((shape) => {
+    const lead = rank - shape.length;
+    shape.forEach((dim, axis) => {
+      const current = result[lead + axis];
+      if (current === 1) {
+        result[lead + axis] = dim;
+      } else if (dim !== 1 && dim !== current) {
+        throw new Error(
+          `Shapes ${shapes.map((s) => `[${s}]`).join(', ')} cannot be broadcast together`,
+        );
+      }
+    });
+  });
+  return result;
+}
+
+/**
+ * Combines two tensors element by element after broadcasting them.
+ * @param {Tensor} a
+ * @param {Tensor} b
+ * @param {function(number, number): number} fn
+ * @return {Tensor}
+ */
+export function elementwise(a, b, fn) {
+  const shape = broadcastShapes(a.shape, b.shape);
+  const left = a.broadcastTo(shape);
+  const right = b.broadcastTo(shape);
+  return left.map((value, coords) => fn(value, right.get(...coords)));
+}
+
+/**
+ * @param {Tensor} a
+ * @param {Tensor} b
+ * @return {Tensor}
+ */
+export const add = (a, b) => elementwise(a, b, (x, y) => x + y);
+
+/**
+ * @param {Tensor} a
+ * @param {Tensor} b
+ * @return {Tensor}
+ */
+export const multiply = (a, b) => elementwise(a, b, (x, y) => x * y);
+
+/**
+ * Generalized Einstein summation over named indices. Every operand pairs a
+ * tensor with one index name per axis. Indices listed in `output` are kept
+ * in that order, all others are summed out. An index shared by several
+ * operands must have the same size everywhere, except that size 1 broadcasts.
+ *
+ * @example
+ *   // Matrix product
+ *   contract(
+ *     [
+ *       { tensor: a, indices: ['i', 'j'] },
+ *       { tensor: b, indices: ['j', 'k'] },
+ *     ],
+ *     ['i', 'k'],
+ *   );
+ *
+ * @param {{tensor: Tensor, indices: string[], name: ?string}[]} operands
+ * @param {string[]} output
+ * @return {Tensor}
+ */
+export function contract(operands, output) {
+  const sizes = new Map();
+  const owners = new Map();
+
+  operands.forEach(({ tensor, indices, name }, position) => {
+    const label = name ?? `operand ${position}`;
+    if (!(tensor instanceof Tensor)) {
+      throw new Error(`${label} is not a tensor`);
+    }
+    if (indices.length !== tensor.rank) {
+      throw new Error(
+        `${label} has rank ${tensor.rank} but was given ${indices.length} indices [${indices}]`,
+      );
+    }
+    indices.forEach((index, axis) => {
+      const dim = tensor.shape[axis];
+      const known = sizes.get(index);
+      if (known === undefined || (known === 1 && dim !== 1)) {
+        sizes.set(index, dim);
+        owners.set(index, label);
+      } else if (dim !== 1 && dim !== known) {
+        throw new Error(
+          `Index "${index}" has size ${known} in ${owners.get(index)} but ${dim} in ${label}`,
+        );
+      }
+    });
+  });
+
+  const seen = new Set();
+  output.forEach((index) => {
+    if (!sizes.has(index)) {
+      throw new Error(`Output index "${index}" does not appear in any operand`);
+    }
+    if (seen.has(index)) {
+      throw new Error(`Output index "${index}" is repeated`);
+    }
+    seen.add(index);
+  });
+
+  // Output indices first so the innermost loop runs over summed indices.
+  const summed = [...sizes.keys()].filter((index) => !seen.has(index));
+  const loop = [...output, ...summed];
+  const loopShape = loop.map((index) => sizes.get(index));
+  const outShape = output.map((index) => sizes.get(index));
+  const result = new Tensor(outShape);
+
+  // Per operand, how far its storage moves for a step along each loop index.
+  // Repeated indices within one operand (e.g. a trace) add their strides.
+  const operandSteps = operands.map(({ tensor, indices }) =>
+    loop.map((index) =>
+      indices.reduce(
+        (step, own, axis) =>
+          own === index && tensor.shape[axis] !== 1
+            ? step + tensor.strides[axis]
+            : step,
+        0,
+      ),
+    ),
+  );
+  const outSteps = contiguousStrides(outShape);
+
+  forEachCoordinate(loopShape, (coords) => {
+    let product = 1;
+    for (let o = 0; o < operands.length; o++) {
+      const { tensor } = operands[o];
+      const steps = operandSteps[o];
+      let index = tensor.offset;
+      for (let l = 0; l < coords.length; l++) index += coords[l] * steps[l];
+      product *= tensor.data[index];
+    }
+    let outIndex = 0;
+    for (let l = 0; l < output.length; l++) outIndex += coords[l] * outSteps[l];
+    result.data[outIndex] += product;
+  });
+
+  return result;
+}
+
+/**
+ * NumPy style `einsum` with single letter indices, e.g. `'ij,jk->ik'`.
+ * Without `->` the output holds the indices that appear exactly once, in
+ * alphabetical order.
+ * @param {string} spec
+ * @param {...Tensor} tensors
+ * @return {Tensor}
+ */
+export function einsum(spec, ...tensors) {
+  const [inputSpec, outputSpec] = spec.replace(/\s+/g, '').split('->');
+  const inputs = inputSpec.split(',');
+  if (inputs.length !== tensors.length) {
+    throw new Error(
+      `einsum "${spec}" expects ${inputs.length} tensors, got ${tensors.length}`,
+    );
+  }
+  let output;
+  if (outputSpec === undefined) {
+    const counts = {};
+    [...inputs.join('')].forEach((c) => (counts[c] = (counts[c] ?? 0) + 1));
+    output = Object.keys(counts)
+      .filter((c) => counts[c] === 1)
+      .sort();
+  } else {
+    output = [...outputSpec];
+  }
+  return contract(
+    inputs.map((indices, position) => ({
+      tensor: tensors[position],
+      indices: [...indices],
+    })),
+    output,
+  );
+}
+
+/**
+ * Tensor logic join: multiplies two tensors over the union of their indices.
+ * Shared indices are aligned, nothing is summed.
+ * @param {Tensor} a
+ * @param {string[]} aIndices
+ * @param {Tensor} b
+ * @param {string[]} bIndices
+ * @return {{tensor: Tensor, indices: string[]}}
+ */
+export function join(a, aIndices, b, bIndices) {
+  const indices = [...new Set([...aIndices, ...bIndices])];
+  const tensor = contract(
+    [
+      { tensor: a, indices: aIndices },
+      { tensor: b, indices: bIndices },
+    ],
+    indices,
+  );
+  return { tensor, indices };
+}
+
+/**
+ * Tensor logic projection: sums out every index not listed in `keep`.
+ * @param {Tensor} tensor
+ * @param {string[]} indices
+ * @param {string[]} keep
+ * @return {{tensor: Tensor, indices: string[]}}
+ */
+export function project(tensor, indices, keep) {
+  keep.forEach((index) => {
+    if (!indices.includes(index)) {
+      throw new Error(
+        `Cannot keep index "${index}", tensor only has [${indices}]`,
+      );
+    }
+  });
+  return { tensor: contract([{ tensor, indices }], keep), indices: keep };
+}
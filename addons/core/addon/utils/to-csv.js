@@ -0,0 +1,31 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+// Leading characters spreadsheets evaluate as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Escapes a single CSV value.  Values that could be evaluated as formulas
+ * when opened in a spreadsheet are prefixed with a single quote.
+ * @param {*} value
+ * @returns {string}
+ */
+const escapeValue = (value) => {
+  let string = String(value ?? '');
+  if (FORMULA_PREFIX.test(string)) string = `'${string}`;
+  return /[",\r\n]/.test(string) ? `"${string.replaceAll('"', '""')}"` : string;
+};
+
+/**
+ * Serializes rows as CSV, with a header of the given columns.  For example:
+ * toCsv([{ id: 1, name: 'a,b' }], ['id', 'name']) => 'id,name\r\n1,"a,b"'
+ * @param {[object]} rows
+ * @param {[string]} columns - keys of the values to serialize, in order
+ * @returns {string}
+ */
+export const toCsv = (rows, columns) =>
+  [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+    .map((values) => values.map(escapeValue).join(','))
+    .join('\r\n');
@@ -0,0 +1,73 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+import { formatBexpr, parseBexpr, validateBexpr } from 'core/utils/bexpr';
+import { filterInput, workerFilterMatcher } from 'api/utils/worker-filter';
+
+const TAG_SELECTOR = /^\/tags\/(.+)$/;
+
+// Every condition of an expression, however deeply it is grouped
+const conditionsOf = (node) =>
+  node.kind === 'condition' ? [node] : node.children.flatMap(conditionsOf);
+
+/**
+ * Evaluates a worker filter against workers and explains the result.
+ * Without a filter every worker matches.  When the filter can't be parsed
+ * no worker matches and `error` is the syntax error.  When no worker
+ * matches, `failedClauses` are the conditions of the filter no worker
+ * satisfies on its own, with the values workers have for tag conditions.
+ * If every condition is satisfied by some worker, no single worker
+ * satisfies the filter as a whole.
+ *
+ * @example
+ *   explainWorkerFilter('"prod" in "/tags/env"', workers);
+ *   // { isFiltered: true, error: null, matching: [], failedClauses: [
+ *   //   { clause: '"prod" in "/tags/env"', tagKey: 'env', availableValues: ['dev'] },
+ *   // ] }
+ *
+ * @param {?string} expression
+ * @param {[WorkerModel]} workers
+ * @return {{isFiltered: boolean, error: ?BexprSyntaxError, matching: [WorkerModel], failedClauses: [object]}}
+ */
+export function explainWorkerFilter(expression, workers = []) {
+  const explanation = {
+    isFiltered: Boolean(expression?.trim()),
+    error: null,
+    matching: [],
+    failedClauses: [],
+  };
+  if (!explanation.isFiltered) {
+    explanation.matching = [...workers];
+    return explanation;
+  }
+
+  explanation.error = validateBexpr(expression);
+  const matches = !explanation.error && workerFilterMatcher(expression);
+  if (!matches) return explanation;
+
+  explanation.matching = workers.filter(matches);
+  if (explanation.matching.length) return explanation;
+
+  explanation.failedClauses = conditionsOf(parseBexpr(expression))
+    .map((condition) => {
+      const clause = formatBexpr(condition);
+      const satisfied = workerFilterMatcher(clause);
+      if (!satisfied || workers.some(satisfied)) return null;
+      const tagKey = condition.selector.match(TAG_SELECTOR)?.[1] ?? null;
+      const availableValues = tagKey
+        ? [
+            ...new Set(
+              workers.flatMap(
+                (worker) => filterInput(worker).tags[tagKey] ?? [],
+              ),
+            ),
+          ].sort()
+        : [];
+      return { clause, tagKey, availableValues };
+    })
+    .filter(Boolean);
+
+  return explanation;
+}
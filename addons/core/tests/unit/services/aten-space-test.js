@@ -193,7 +193,7 @@ module('Unit | Service | aten-space', function (hooks) {
     assert.ok(domain.name.includes('org'), 'domain name includes org');
     assert.strictEqual(domain.dimensions, 2, 'org scope has 2 dimensions');
 
-    const boundaryName = 'boundary_org';
+    const boundaryName = 'boundary_org-123';
     const boundary = service.getBoundary(boundaryName);
     assert.ok(boundary, 'boundary created');
     assert.strictEqual(boundary.type, 'dirichlet', 'org boundary is dirichlet');
@@ -215,7 +215,7 @@ module('Unit | Service | aten-space', function (hooks) {
     assert.ok(domain.name.includes('project'), 'domain name includes project');
     assert.strictEqual(domain.dimensions, 3, 'project scope has 3 dimensions');
 
-    const boundaryName = 'boundary_project';
+    const boundaryName = 'boundary_project-456';
     const boundary = service.getBoundary(boundaryName);
     assert.ok(boundary, 'boundary created');
     assert.strictEqual(boundary.type, 'dirichlet', 'project boundary is dirichlet');
@@ -280,4 +280,218 @@ module('Unit | Service | aten-space', function (hooks) {
     assert.ok(service.getBoundary('boundary2'), 'boundary2 exists');
     assert.ok(service.getBoundary('boundary3'), 'boundary3 exists');
   });
+
+  test('defineBoundary rejects unknown boundary types', function (assert) {
+    const service = this.owner.lookup('service:aten-space');
+
+    assert.throws(() => service.defineBoundary('testBoundary', { type: 'robin' }), /Unknown boundary type "robin"/, 'throws for unknown type');
+  });
+
+  test('executeInSpace enforces scope constraints', function (assert) {
+    const service = this.owner.lookup('service:aten-space');
+    const domain = service.mapScopeToDomain({ id: 'org-123', type: 'org', isGlobal: false, isOrg: true, isProject: false });
+
+    const result = service.executeInSpace(domain.name, 'transform', { scopeType: 'org', scopeId: 'org-123' });
+    assert.strictEqual(result.operation, 'transform', 'matching scope is allowed');
+
+    assert.throws(
+      () => service.executeInSpace(domain.name, 'transform', { scopeType: 'org', scopeId: 'org-456' }),
+      /Operation violates boundary constraints: scopeId "org-456" does not match "org-123"/,
+      'mismatched scope id is rejected'
+    );
+    assert.throws(
+      () => service.executeInSpace(domain.name, 'transform', { scopeId: 'org-123' }),
+      /scopeType is required and must be "org"/,
+      'missing scope type is rejected'
+    );
+  });
+
+  test('executeInSpace enforces shape, dimension and value limits', function (assert) {
+    const service = this.owner.lookup('service:aten-space');
+    service.defineBoundary('limited', { constraints: { min: 0, max: 10, maxDimensions: 2, maxShape: [4, 4] } });
+    service.createSpace('testSpace', { boundary: 'limited', shape: [2, 2] });
+
+    assert.deepEqual(service.executeInSpace('testSpace', 'reshape', { shape: [4, 1] }).result, [4, 1], 'reshape within limits is allowed');
+    assert.throws(() => service.executeInSpace('testSpace', 'reshape', { shape: [1, 2, 2] }), /has 3 dimensions, the limit is 2/, 'too many dimensions are rejected');
+    assert.throws(() => service.executeInSpace('testSpace', 'reshape', { shape: [1, 5] }), /exceeds the limit of \[4,4\] on axis 1/, 'oversized axis is rejected');
+    service.executeInSpace('testSpace', 'reshape', { shape: [2, 2] });
+
+    assert.strictEqual(service.executeInSpace('testSpace', 'write', { coords: [0, 1], value: 10 }).result, 10, 'value within range is written');
+    assert.throws(() => service.executeInSpace('testSpace', 'write', { coords: [0, 0], value: 11 }), /Value 11 is above the maximum of 10/, 'value above range is rejected');
+    assert.throws(() => service.executeInSpace('testSpace', 'fill', { value: -1 }), /Value -1 is below the minimum of 0/, 'value below range is rejected');
+    assert.throws(() => service.executeInSpace('testSpace', 'write', { coords: [2, 0], value: 1 }), /Coordinates \[2,0\] are outside the dirichlet boundary/, 'writes outside the space are rejected');
+  });
+
+  test('createSpace enforces shape and dimension limits', function (assert) {
+    const service = this.owner.lookup('service:aten-space');
+    service.defineBoundary('limited', { constraints: { maxDimensions: 2, maxShape: [4, 4] } });
+
+    assert.ok(service.createSpace('withinLimits', { boundary: 'limited', shape: [4, 4] }), 'shape within limits is allowed');
+    assert.throws(() => service.createSpace('tooManyDimensions', { boundary: 'limited', shape: [1, 2, 2] }), /has 3 dimensions, the limit is 2/, 'too many dimensions are rejected');
+    assert.throws(() => service.createSpace('oversized', { boundary: 'limited', shape: [5, 1] }), /exceeds the limit of \[4,4\] on axis 0/, 'oversized axis is rejected');
+    assert.notOk(service.getSpace('oversized'), 'rejected space is not created');
+  });
+
+  test('executeInSpace requires coordinates to read and write', function (assert) {
+    const service = this.owner.lookup('service:aten-space');
+    service.createSpace('testSpace', { shape: [2] });
+
+    assert.throws(() => service.executeInSpace('testSpace', 'write', { value: 1 }), /Coordinates are required/, 'write without coordinates is rejected');
+    assert.throws(() => service.executeInSpace('testSpace', 'read', {}), /Coordinates are required/, 'read without coordinates is rejected');
+    assert.strictEqual(service.rejectedOperations.length, 2, 'rejections are recorded');
+  });
+
+  test('executeInSpace records rejected operations', function (assert) {
+    const service = this.owner.lookup('service:aten-space');
+    service.defineBoundary('limited', { constraints: { max: 1 } });
+    service.createSpace('testSpace', { boundary: 'limited', shape: [2] });
+
+    assert.throws(() => service.executeInSpace('testSpace', 'fill', { value: 2 }));
+
+    const [rejected] = service.getRejectedOperations('testSpace');
+    assert.strictEqual(service.rejectedOperations.length, 1, 'rejection is recorded');
+    assert.strictEqual(rejected.operation, 'fill', 'rejection has operation');
+    assert.strictEqual(rejected.boundary, 'limited', 'rejection has boundary');
+    assert.strictEqual(rejected.reason, 'Value 2 is above the maximum of 1', 'rejection has reason');
+    assert.strictEqual(service.getSpace('testSpace').operations.length, 0, 'rejected operation is not applied');
+    assert.strictEqual(service.getRejectedOperations('otherSpace').length, 0, 'rejections are filtered by space');
+  });
+
+  test('dirichlet boundaries read a fixed value outside the space', function (assert) {
+    const service = this.owner.lookup('service:aten-space');
+    service.defineBoundary('fixed', { type: 'dirichlet', value: 5 });
+    service.createSpace('testSpace', { boundary: 'fixed', shape: [3] });
+    service.executeInSpace('testSpace', 'write', { coords: [0], value: 1 });
+    service.executeInSpace('testSpace', 'write', { coords: [2], value: 3 });
+
+    assert.strictEqual(service.readValue('testSpace', [-1]), 5, 'reads fixed value before the edge');
+    assert.strictEqual(service.readValue('testSpace', [3]), 5, 'reads fixed value after the edge');
+    assert.deepEqual(service.executeInSpace('testSpace', 'shift', { axis: 0, offset: 1 }).result.toArray(), [5, 1, 0], 'shift fills the edge with the fixed value');
+  });
+
+  test('neumann boundaries repeat the edge value', function (assert) {
+    const service = this.owner.lookup('service:aten-space');
+    service.defineBoundary('zeroGradient', { type: 'neumann' });
+    service.createSpace('testSpace', { boundary: 'zeroGradient', shape: [3] });
+    service.executeInSpace('testSpace', 'write', { coords: [0], value: 1 });
+    service.executeInSpace('testSpace', 'write', { coords: [2], value: 3 });
+
+    assert.strictEqual(service.readValue('testSpace', [-2]), 1, 'reads the first edge value');
+    assert.strictEqual(service.executeInSpace('testSpace', 'read', { coords: [4] }).result, 3, 'reads the last edge value');
+    assert.deepEqual(service.executeInSpace('testSpace', 'shift', { axis: 0, offset: -1 }).result.toArray(), [0, 3, 3], 'shift repeats the edge value');
+  });
+
+  test('periodic boundaries wrap around', function (assert) {
+    const service = this.owner.lookup('service:aten-space');
+    service.defineBoundary('wrap', { type: 'periodic' });
+    service.createSpace('testSpace', { boundary: 'wrap', shape: [2, 3] });
+    service.executeInSpace('testSpace', 'write', { coords: [0, -1], value: 7 });
+
+    assert.strictEqual(service.readValue('testSpace', [0, 2]), 7, 'writes wrap around');
+    assert.strictEqual(service.readValue('testSpace', [2, 5]), 7, 'reads wrap around');
+    assert.deepEqual(service.executeInSpace('testSpace', 'shift', { axis: 1, offset: 1 }).result.toArray(), [7, 0, 0, 0, 0, 0], 'shift wraps around');
+  });
+  test('queryPattern matches scope, target and host set relationships', function (assert) {
+    const service = this.owner.lookup('service:aten-space');
+    service.addAtom('o_1', 'scope', { type: 'org' });
+    service.addAtom('p_1', 'scope', { type: 'project', parentId: 'o_1' });
+    service.addAtom('p_2', 'scope', { type: 'project', parentId: 'o_1' });
+    service.addAtom('ttcp_1', 'target', { name: 'web' });
+    service.addAtom('ttcp_2', 'target', { name: 'db' });
+    service.addAtom('hsst_1', 'host-set', { name: 'web hosts' });
+    service.addAtom('hsst_2', 'host-set', { name: 'db hosts' });
+    service.addLink('o_1', 'p_1', 'contains');
+    service.addLink('o_1', 'p_2', 'contains');
+    service.addLink('p_1', 'ttcp_1', 'contains');
+    service.addLink('p_2', 'ttcp_2', 'contains');
+    service.addLink('ttcp_1', 'hsst_1', 'host-source');
+    service.addLink('ttcp_2', 'hsst_2', 'host-source');
+
+    const hostSets = service.queryPattern({
+      match: [
+        { atom: '?target', type: 'target', where: { 'data.name': 'db' } },
+        { link: 'host-source', from: '?target', to: '?hostSet' },
+      ],
+      select: ['?hostSet'],
+    });
+    assert.deepEqual(hostSets.map(({ hostSet }) => hostSet.id), ['hsst_2'], 'finds host sets of a target');
+
+    const orgHostSets = service.queryPattern({
+      match: [
+        { link: ['contains', 'host-source'], from: 'o_1', to: '?hostSet', hops: { min: 1, max: 3 } },
+        { atom: '?hostSet', type: 'host-set' },
+      ],
+    });
+    assert.deepEqual(orgHostSets.map(({ hostSet }) => hostSet.id).sort(), ['hsst_1', 'hsst_2'], 'follows several hops');
+
+    const scopes = service.queryPattern({
+      match: [
+        { atom: '?hostSet', where: { 'data.name': 'web hosts' } },
+        { link: 'host-source', from: '?target', to: '?hostSet' },
+        { link: 'contains', from: '?scope', to: '?target' },
+      ],
+      select: ['?scope', '?target'],
+    });
+    assert.deepEqual(scopes.map(({ scope, target }) => [scope.id, target.id]), [['p_1', 'ttcp_1']], 'follows links backwards');
+  });
+
+  test('queryPattern finds spaces contained by a space of a scope', function (assert) {
+    const service = this.owner.lookup('service:aten-space');
+    service.createSpace('parent', { scopeId: 'o_1' });
+    service.createSpace('child1', { scopeId: 'p_1' });
+    service.createSpace('child2', { scopeId: 'p_2' });
+    service.createSpace('other', { scopeId: 'o_2' });
+    service.addLink('atom_parent', 'atom_child1', 'contains');
+    service.addLink('atom_parent', 'atom_child2', 'contains');
+    service.addLink('atom_other', 'atom_parent', 'contains');
+
+    const results = service.queryPattern({
+      match: [
+        { atom: '?parent', type: 'space', where: { 'data.metadata.scopeId': 'o_1' } },
+        { link: 'contains', from: '?parent', to: '?child' },
+        { atom: '?child', type: 'space' },
+      ],
+      select: ['?child'],
+    });
+
+    assert.deepEqual(results.map(({ child }) => child.data.name), ['child1', 'child2'], 'finds contained spaces');
+  });
+
+  test('queryPattern deduplicates selected variables', function (assert) {
+    const service = this.owner.lookup('service:aten-space');
+    service.addAtom('a', 'node');
+    service.addAtom('b', 'node');
+    service.addLink('a', 'b', 'next');
+    service.addLink('a', 'b', 'next');
+
+    assert.strictEqual(service.queryPattern({ match: [{ link: 'next', from: '?x', to: '?y' }] }).length, 2, 'returns one result per link');
+    assert.strictEqual(service.queryPattern({ match: [{ link: 'next', from: '?x', to: '?y' }], select: ['?y'] }).length, 1, 'returns distinct selections');
+  });
+
+  test('addAtom indexes atoms by type', function (assert) {
+    const service = this.owner.lookup('service:aten-space');
+    service.addAtom('o_1', 'scope');
+    service.createSpace('testSpace', {});
+
+    assert.strictEqual(service.getAtom('o_1').type, 'scope', 'atom can be retrieved by id');
+    assert.deepEqual(service.queryAtomSpace({ type: 'scope' }).map(({ id }) => id), ['o_1'], 'atoms are queried by type');
+  });
+
+  test('adding an atom twice keeps one atom', function (assert) {
+    const service = this.owner.lookup('service:aten-space');
+    const atom = service.addAtom('o_1', 'scope', { name: 'first' });
+
+    assert.strictEqual(service.addAtom('o_1', 'scope', { name: 'second' }), atom, 'returns the existing atom');
+    assert.deepEqual(service.atomSpace.atoms.map(({ id }) => id), ['o_1'], 'atom is listed once');
+    assert.strictEqual(service.getAtom('o_1').data.name, 'first', 'existing atom is kept');
+  });
+
+  test('recreating a space replaces its atom', function (assert) {
+    const service = this.owner.lookup('service:aten-space');
+    service.createSpace('testSpace', {});
+    const space = service.createSpace('testSpace', { shape: [2] });
+
+    assert.deepEqual(service.atomSpace.atoms.map(({ id }) => id), ['atom_testSpace'], 'atom is listed once');
+    assert.strictEqual(service.getAtom('atom_testSpace').data, space, 'atom holds the new space');
+  });
 });
@@ -5,10 +5,22 @@
 
 import { module, test } from 'qunit';
 import { setupTest } from 'ember-qunit';
+import sinon from 'sinon';
 
 module('Unit | Service | hypermind', function (hooks) {
   setupTest(hooks);
 
+  hooks.beforeEach(function () {
+    this.owner.lookup('service:sqlite').dbName = 'boundary-u_1-example.com';
+    const storage = this.owner.lookup('service:storage');
+    ['boundary-u_1-example.com', 'boundary-u_2-example.com'].forEach(
+      (dbName) => {
+        storage.removeItem(`hypermind:${dbName}:cold`);
+        storage.removeItem(`hypermind:${dbName}:archived`);
+      },
+    );
+  });
+
   test('it exists', function (assert) {
     const service = this.owner.lookup('service:hypermind');
     assert.ok(service, 'service exists');
@@ -323,4 +335,336 @@ module('Unit | Service | hypermind', function (hooks) {
       'access count incremented to 5',
     );
   });
+  test('storeContext demotes the least recently used entry when a tier is full', function (assert) {
+    const service = this.owner.lookup('service:hypermind');
+    service.configureMemory({ tiers: { hot: { capacity: 2 } } });
+    service.storeContext('a', { data: 'a' });
+    service.storeContext('b', { data: 'b' });
+    const minutesAgo = (minutes) =>
+      new Date(Date.now() - minutes * 60 * 1000).toISOString();
+    service.memoryStore.hot.a.metadata.timestamp = minutesAgo(2);
+    service.memoryStore.hot.b.metadata.timestamp = minutesAgo(1);
+    service.retrieveContext('a');
+    service.storeContext('c', { data: 'c' });
+
+    assert.deepEqual(
+      Object.keys(service.memoryStore.hot).sort(),
+      ['a', 'c'],
+      'recently used entries stay hot',
+    );
+    assert.ok(service.memoryStore.warm.b, 'least recently used entry demoted');
+    assert.strictEqual(
+      service.getMemoryStats().tiers.hot.evictions,
+      1,
+      'eviction is counted',
+    );
+  });
+
+  test('storeContext demotes the least frequently used entry with lfu', function (assert) {
+    const service = this.owner.lookup('service:hypermind');
+    service.configureMemory({ policy: 'lfu', tiers: { hot: { capacity: 2 } } });
+    service.storeContext('a', { data: 'a' });
+    service.storeContext('b', { data: 'b' });
+    service.retrieveContext('a');
+    service.retrieveContext('a');
+    service.retrieveContext('b');
+    service.storeContext('c', { data: 'c' });
+
+    assert.ok(service.memoryStore.hot.a, 'frequently used entry stays hot');
+    assert.ok(
+      service.memoryStore.warm.b,
+      'least frequently used entry demoted',
+    );
+  });
+
+  test('demotion cascades through full tiers', function (assert) {
+    const service = this.owner.lookup('service:hypermind');
+    service.configureMemory({
+      tiers: { hot: { capacity: 1 }, warm: { capacity: 1 } },
+    });
+    service.storeContext('a', { data: 'a' });
+    service.storeContext('b', { data: 'b' });
+    service.storeContext('c', { data: 'c' });
+
+    assert.deepEqual(Object.keys(service.memoryStore.hot), ['c']);
+    assert.deepEqual(Object.keys(service.memoryStore.warm), ['b']);
+    assert.deepEqual(Object.keys(service.memoryStore.cold), ['a']);
+  });
+
+  test('entries past their ttl are demoted or dropped', function (assert) {
+    const service = this.owner.lookup('service:hypermind');
+    service.configureMemory({ tiers: { archived: { ttl: 1000 } } });
+    service.storeContext('idle', { data: 'idle' });
+    service.storeContext('old', { data: 'old' }, { tier: 'archived' });
+    service.memoryStore.hot.idle.metadata.timestamp = new Date(
+      Date.now() - 2 * 24 * 60 * 60 * 1000,
+    ).toISOString();
+    service.memoryStore.archived.old.metadata.timestamp =
+      '2000-01-01T00:00:00.000Z';
+
+    assert.deepEqual(
+      service.retrieveContext('idle'),
+      { data: 'idle' },
+      'expired entry is still retrievable',
+    );
+    assert.ok(service.memoryStore.warm.idle, 'expired hot entry is warm');
+    assert.strictEqual(
+      service.retrieveContext('old'),
+      null,
+      'expired archived entry is dropped',
+    );
+    const { tiers } = service.getMemoryStats();
+    assert.strictEqual(tiers.hot.expirations, 1, 'hot expiry is counted');
+    assert.strictEqual(
+      tiers.archived.expirations,
+      1,
+      'archived expiry is counted',
+    );
+  });
+
+  test('cold and archived tiers survive a reload', function (assert) {
+    const service = this.owner.lookup('service:hypermind');
+    const storage = this.owner.lookup('service:storage');
+    service.storeContext('hot', { data: 'hot' });
+    service.storeContext('cold', { data: 'cold' }, { tier: 'cold' });
+    service.storeContext('old', { data: 'old' }, { tier: 'archived' });
+
+    assert.ok(
+      storage.getItem('hypermind:boundary-u_1-example.com:cold').cold,
+      'cold tier is stored',
+    );
+    assert.notOk(
+      storage.getItem('hypermind:boundary-u_1-example.com:cold').hot,
+      'hot tier is not',
+    );
+
+    const reloaded = this.owner.factoryFor('service:hypermind').create();
+    assert.notOk(reloaded.memoryStore.hot.hot, 'hot tier is not restored');
+    assert.deepEqual(
+      reloaded.retrieveContext('cold'),
+      { data: 'cold' },
+      'cold tier is restored',
+    );
+    assert.deepEqual(
+      reloaded.retrieveContext('old'),
+      { data: 'old' },
+      'archived tier is restored',
+    );
+
+    reloaded.clearMemory();
+    assert.notOk(
+      storage.getItem('hypermind:boundary-u_1-example.com:cold'),
+      'clearMemory clears storage',
+    );
+  });
+
+  test('retrieving a context does not write to storage', function (assert) {
+    const service = this.owner.lookup('service:hypermind');
+    const storage = this.owner.lookup('service:storage');
+    service.storeContext('cold', { data: 'cold' }, { tier: 'cold' });
+    const setItem = sinon.spy(storage, 'setItem');
+
+    service.retrieveContext('cold');
+    service.retrieveContext('cold');
+
+    assert.true(setItem.notCalled);
+    setItem.restore();
+  });
+
+  test('demotions write each persisted tier once', function (assert) {
+    const service = this.owner.lookup('service:hypermind');
+    const storage = this.owner.lookup('service:storage');
+    service.configureMemory({
+      tiers: { cold: { capacity: 1 }, archived: { capacity: 5 } },
+    });
+    service.storeContext('first', { data: 'first' }, { tier: 'cold' });
+    const setItem = sinon.spy(storage, 'setItem');
+
+    service.storeContext('second', { data: 'second' }, { tier: 'cold' });
+
+    assert.deepEqual(setItem.args.map(([key]) => key).sort(), [
+      'hypermind:boundary-u_1-example.com:archived',
+      'hypermind:boundary-u_1-example.com:cold',
+    ]);
+    setItem.restore();
+  });
+
+  test('persisted tiers are kept per user and cluster', function (assert) {
+    const service = this.owner.lookup('service:hypermind');
+    const sqlite = this.owner.lookup('service:sqlite');
+    service.storeContext('cold', { data: 'user 1' }, { tier: 'cold' });
+
+    sqlite.dbName = 'boundary-u_2-example.com';
+    assert.strictEqual(
+      service.retrieveContext('cold'),
+      null,
+      'contexts of the previous user are not visible',
+    );
+    service.storeContext('cold', { data: 'user 2' }, { tier: 'cold' });
+
+    sqlite.dbName = 'boundary-u_1-example.com';
+    assert.deepEqual(service.retrieveContext('cold'), { data: 'user 1' });
+  });
+
+  test('nothing is persisted before sign in', function (assert) {
+    const sqlite = this.owner.lookup('service:sqlite');
+    const storage = this.owner.lookup('service:storage');
+    sqlite.dbName = undefined;
+    const service = this.owner.lookup('service:hypermind');
+    const setItem = sinon.spy(storage, 'setItem');
+
+    service.storeContext('cold', { data: 'signed out' }, { tier: 'cold' });
+
+    assert.deepEqual(service.retrieveContext('cold'), { data: 'signed out' });
+    assert.true(setItem.notCalled);
+    setItem.restore();
+
+    sqlite.dbName = 'boundary-u_1-example.com';
+    assert.strictEqual(
+      service.retrieveContext('cold'),
+      null,
+      'contexts from before sign in are not kept for the user',
+    );
+  });
+
+  test('values that cannot be serialized stay in memory', function (assert) {
+    const service = this.owner.lookup('service:hypermind');
+    const storage = this.owner.lookup('service:storage');
+    const circular = { name: 'circular' };
+    circular.self = circular;
+    service.storeContext('circular', circular, { tier: 'archived' });
+    service.storeContext('plain', { data: 'plain' }, { tier: 'archived' });
+
+    assert.strictEqual(service.retrieveContext('circular'), circular);
+    assert.deepEqual(
+      Object.keys(
+        storage.getItem('hypermind:boundary-u_1-example.com:archived'),
+      ),
+      ['plain'],
+    );
+  });
+
+  test('getMemoryStats reports hit rates per tier', function (assert) {
+    const service = this.owner.lookup('service:hypermind');
+    service.storeContext('hot', { data: 'hot' });
+    service.storeContext('cold', { data: 'cold' }, { tier: 'cold' });
+    service.retrieveContext('hot');
+    service.retrieveContext('hot');
+    service.retrieveContext('cold');
+    service.retrieveContext('missing');
+
+    const stats = service.getMemoryStats();
+    assert.strictEqual(stats.lookups, 4, 'lookups are counted');
+    assert.strictEqual(stats.misses, 1, 'misses are counted');
+    assert.strictEqual(stats.hitRate, 0.75, 'overall hit rate');
+    assert.strictEqual(stats.tiers.hot.hitRate, 0.5, 'hot hit rate');
+    assert.strictEqual(stats.tiers.cold.hitRate, 0.25, 'cold hit rate');
+    assert.strictEqual(stats.tiers.warm.hitRate, 0, 'warm hit rate');
+    assert.strictEqual(stats.tiers.hot.size, 1, 'tier size');
+    assert.true(stats.tiers.cold.persisted, 'cold tier is persisted');
+  });
+
+  test('configureMemory rejects unknown policies', function (assert) {
+    const service = this.owner.lookup('service:hypermind');
+
+    assert.throws(
+      () => service.configureMemory({ policy: 'fifo' }),
+      /Unknown eviction policy "fifo"/,
+    );
+  });
+  test('scope context is restored when a scope is pushed again', function (assert) {
+    const service = this.owner.lookup('service:hypermind');
+    service.pushScope({ scopeId: 'o_1', scopeType: 'org' });
+    service.setScopeContext('filters', { status: ['active'] });
+    service.popScope();
+
+    assert.strictEqual(
+      service.getScopeContext('filters'),
+      undefined,
+      'no context without a scope',
+    );
+
+    service.pushScope({ scopeId: 'o_2', scopeType: 'org' });
+    assert.strictEqual(
+      service.getScopeContext('filters'),
+      undefined,
+      'other scopes have their own context',
+    );
+    service.setScopeContext('filters', { status: ['active'] });
+    service.popScope();
+
+    service.pushScope({ scopeId: 'o_1', scopeType: 'org' });
+    assert.deepEqual(
+      service.getScopeContext('filters'),
+      { status: ['active'] },
+      'context is restored',
+    );
+  });
+
+  test('addRecentScopeContext keeps a most recent first list', function (assert) {
+    const service = this.owner.lookup('service:hypermind');
+    service.pushScope({ scopeId: 'o_1', scopeType: 'org' });
+    service.addRecentScopeContext('searches', 'a', { limit: 3 });
+    service.addRecentScopeContext('searches', 'b', { limit: 3 });
+    service.addRecentScopeContext('searches', 'c', { limit: 3 });
+    service.addRecentScopeContext('searches', 'a', { limit: 3 });
+    service.addRecentScopeContext('searches', 'd', { limit: 3 });
+
+    assert.deepEqual(service.getScopeContext('searches'), ['d', 'a', 'c']);
+  });
+
+  test('searchContexts with scope search', function (assert) {
+    const service = this.owner.lookup('service:hypermind');
+    service.pushScope({ scopeId: 'o_1', scopeType: 'org' });
+    service.addRecentScopeContext('recentSearches', 'web servers');
+    service.addRecentScopeContext('lastViewed', {
+      type: 'target',
+      id: 'ttcp_1',
+    });
+    service.pushScope({ scopeId: 'p_1', scopeType: 'project' });
+    service.addRecentScopeContext('recentSearches', 'database');
+
+    const bySearch = service.searchContexts({
+      searchType: 'scope',
+      term: 'Web',
+    });
+    assert.strictEqual(bySearch.length, 1, 'matches values case-insensitively');
+    assert.strictEqual(bySearch[0].scopeId, 'o_1', 'result has scope id');
+    assert.strictEqual(bySearch[0].key, 'recentSearches', 'result has key');
+
+    const byKey = service.searchContexts({
+      searchType: 'scope',
+      term: 'recent',
+    });
+    assert.deepEqual(
+      byKey.map(({ scopeId }) => scopeId).sort(),
+      ['o_1', 'p_1'],
+      'matches context keys',
+    );
+
+    const byScope = service.searchContexts({
+      searchType: 'scope',
+      scopeId: 'o_1',
+    });
+    assert.strictEqual(byScope.length, 2, 'filters by scope id');
+  });
+
+  test('popped scopes are archived without the scope model', function (assert) {
+    const service = this.owner.lookup('service:hypermind');
+    const scopeModel = { id: 'o_1' };
+    const parent = service.pushScope({
+      scopeId: 'global',
+      scopeType: 'global',
+    });
+    const scope = service.pushScope({
+      scopeId: 'o_1',
+      scopeType: 'org',
+      scopeModel,
+    });
+    service.popScope();
+
+    const archived = service.retrieveContext(`scope_${scope.id}`);
+    assert.deepEqual(archived.config, { scopeId: 'o_1', scopeType: 'org' });
+    assert.strictEqual(archived.parent, parent.id);
+  });
 });
@@ -5,10 +5,22 @@
 
 import { module, test } from 'qunit';
 import { setupTest } from 'ember-qunit';
+import sinon from 'sinon';
 
 module('Unit | Service | scope (with framework integration)', function (hooks) {
   setupTest(hooks);
 
+  hooks.beforeEach(function () {
+    this.owner.lookup('service:sqlite').dbName = 'boundary-u_1-example.com';
+    const storage = this.owner.lookup('service:storage');
+    ['boundary-u_1-example.com', 'boundary-u_2-example.com'].forEach(
+      (dbName) => {
+        storage.removeItem(`hypermind:${dbName}:cold`);
+        storage.removeItem(`hypermind:${dbName}:archived`);
+      },
+    );
+  });
+
   test('it exists', function (assert) {
     const service = this.owner.lookup('service:scope');
     assert.ok(service, 'service exists');
@@ -168,4 +180,185 @@ module('Unit | Service | scope (with framework integration)', function (hooks) {
     // Verify aten-space domains created
     assert.ok(Object.keys(atenSpace.spaceRegistry).length >= 2, 'domains created for both scopes');
   });
+  test('setScopes keeps the hypermind stack in sync with the selected scopes', function (assert) {
+    const service = this.owner.lookup('service:scope');
+    const hypermind = this.owner.lookup('service:hypermind');
+    const global = { id: 'global', type: 'global', isGlobal: true, isOrg: false, isProject: false };
+    const orgA = { id: 'o_a', type: 'org', isGlobal: false, isOrg: true, isProject: false };
+    const orgB = { id: 'o_b', type: 'org', isGlobal: false, isOrg: true, isProject: false };
+    const project = { id: 'p_a', type: 'project', isGlobal: false, isOrg: false, isProject: true };
+    const stackIds = () => hypermind.scopeStack.map(({ config }) => config.scopeId);
+
+    service.setScopes(global);
+    assert.deepEqual(stackIds(), ['global'], 'global scope');
+
+    service.setScopes(orgA);
+    assert.deepEqual(stackIds(), ['o_a'], 'org replaces global');
+
+    service.setScopes(orgA, project);
+    assert.deepEqual(stackIds(), ['o_a', 'p_a'], 'project is pushed onto its org');
+    const orgInstance = hypermind.scopeStack[0];
+
+    service.setScopes(orgA, project);
+    assert.deepEqual(stackIds(), ['o_a', 'p_a'], 'reselecting does not push again');
+    assert.strictEqual(hypermind.scopeStack[0], orgInstance, 'unchanged scopes are kept');
+
+    service.setScopes(orgA);
+    assert.deepEqual(stackIds(), ['o_a'], 'project is popped when leaving it');
+
+    service.setScopes(orgB);
+    assert.deepEqual(stackIds(), ['o_b'], 'org is popped when switching orgs');
+    assert.strictEqual(service.org, orgB, 'org is set');
+    assert.strictEqual(service.project, undefined, 'project is cleared');
+  });
+
+  test('scope context survives navigation', function (assert) {
+    const service = this.owner.lookup('service:scope');
+    const hypermind = this.owner.lookup('service:hypermind');
+    const orgA = { id: 'o_a', type: 'org', isGlobal: false, isOrg: true, isProject: false };
+    const orgB = { id: 'o_b', type: 'org', isGlobal: false, isOrg: true, isProject: false };
+
+    service.setScopes(orgA);
+    hypermind.addRecentScopeContext('recentSearches', 'web');
+    service.setScopes(orgB);
+    assert.strictEqual(hypermind.getScopeContext('recentSearches'), undefined, 'other org has no context');
+    service.setScopes(orgA);
+
+    assert.deepEqual(hypermind.getScopeContext('recentSearches'), ['web'], 'context is restored');
+  });
+
+  test('searches, filters and viewed resources are recorded per scope on transitions', function (assert) {
+    const service = this.owner.lookup('service:scope');
+    const hypermind = this.owner.lookup('service:hypermind');
+    const router = this.owner.lookup('service:router');
+    const store = this.owner.lookup('service:store');
+    const target = store.push({
+      data: { id: 'ttcp_1', type: 'target', attributes: { name: 'Web' } },
+    });
+    const orgA = {
+      id: 'o_a',
+      type: 'org',
+      isGlobal: false,
+      isOrg: true,
+      isProject: false,
+    };
+    const orgB = {
+      id: 'o_b',
+      type: 'org',
+      isGlobal: false,
+      isOrg: true,
+      isProject: false,
+    };
+    const listRoute = (queryParams) => ({
+      to: { name: 'scopes.scope.targets.index', queryParams, parent: null },
+    });
+
+    service.setScopes(orgA);
+    router.trigger('routeDidChange', listRoute({ search: 'w', page: '2' }));
+    router.trigger(
+      'routeDidChange',
+      listRoute({ search: 'web', types: '["tcp"]', page: '1' }),
+    );
+    router.trigger('routeDidChange', {
+      to: {
+        name: 'scopes.scope.targets.target.index',
+        queryParams: {},
+        parent: {
+          name: 'scopes.scope.targets.target',
+          attributes: target,
+          parent: null,
+        },
+      },
+    });
+
+    service.setScopes(orgB);
+    assert.strictEqual(
+      hypermind.getScopeContext('recentSearches'),
+      undefined,
+      'other org has no context',
+    );
+    router.trigger('routeDidChange', listRoute({ search: 'db' }));
+
+    service.setScopes(orgA);
+    assert.deepEqual(
+      hypermind.getScopeContext('recentSearches'),
+      ['web'],
+      'completed searches are kept',
+    );
+    assert.deepEqual(
+      hypermind.getScopeContext('filters'),
+      { 'scopes.scope.targets.index': { types: ['tcp'] } },
+      'selected filters are kept per route',
+    );
+    assert.deepEqual(
+      hypermind.getScopeContext('lastViewed'),
+      [
+        {
+          type: 'target',
+          id: 'ttcp_1',
+          name: 'Web',
+          route: 'scopes.scope.targets.target',
+        },
+      ],
+      'viewed resources are kept',
+    );
+
+    router.trigger('routeDidChange', listRoute({ types: '[]' }));
+    assert.deepEqual(
+      hypermind.getScopeContext('filters'),
+      {},
+      'cleared filters are forgotten',
+    );
+    assert.strictEqual(
+      hypermind.searchContexts({ searchType: 'scope', term: 'db' })[0].scopeId,
+      'o_b',
+      'context is searchable',
+    );
+  });
+
+  test('transitions that change nothing do not write the scope context', function (assert) {
+    const service = this.owner.lookup('service:scope');
+    const hypermind = this.owner.lookup('service:hypermind');
+    const router = this.owner.lookup('service:router');
+    const org = {
+      id: 'o_a',
+      type: 'org',
+      isGlobal: false,
+      isOrg: true,
+      isProject: false,
+    };
+    const listRoute = (queryParams) => ({
+      to: { name: 'scopes.scope.targets.index', queryParams, parent: null },
+    });
+    service.setScopes(org);
+    router.trigger(
+      'routeDidChange',
+      listRoute({ search: 'web', types: '["tcp"]', page: '1' }),
+    );
+    const setScopeContext = sinon.spy(hypermind, 'setScopeContext');
+
+    router.trigger(
+      'routeDidChange',
+      listRoute({ search: 'web', types: '["tcp"]', page: '2' }),
+    );
+    router.trigger('routeDidChange', {
+      to: { name: 'scopes.scope.users.index', queryParams: {}, parent: null },
+    });
+
+    assert.true(setScopeContext.notCalled);
+    setScopeContext.restore();
+  });
+
+  test('scope frameworks are only initialized on the first visit', function (assert) {
+    const service = this.owner.lookup('service:scope');
+    const atenSpace = this.owner.lookup('service:aten-space');
+    const org = { id: 'o_a', type: 'org', isGlobal: false, isOrg: true, isProject: false };
+
+    service.setScopes(org);
+    const space = atenSpace.getSpace('domain_org_o_a');
+    service.setScopes(undefined);
+    service.setScopes(org);
+
+    assert.strictEqual(atenSpace.getSpace('domain_org_o_a'), space, 'domain is not recreated');
+  });
 });
@@ -143,14 +143,96 @@ module('Unit | Service | tensor-logic', function (hooks) {
 
   test('query returns query result object', function (assert) {
     const service = this.owner.lookup('service:tensor-logic');
-    const result = service.query('test query', { context: 'test' });
+    service.initTensor('A', [2, 2], [1, 2, 3, 4]);
+    const result = service.query('A[i,j] A[j,k]', { context: 'test' });
 
     assert.ok(result, 'query returns result');
-    assert.strictEqual(result.query, 'test query', 'result has correct query');
+    assert.strictEqual(result.query, 'A[i,j] A[j,k]', 'result has correct query');
     assert.deepEqual(result.context, { context: 'test' }, 'result has correct context');
+    assert.deepEqual(result.indices, ['i', 'k'], 'repeated indices are summed out');
+    assert.deepEqual(result.result.toArray(), [7, 10, 15, 22], 'result is the matrix product');
     assert.ok(result.timestamp, 'result has timestamp');
   });
 
+  test('query evaluates registered rules', function (assert) {
+    const service = this.owner.lookup('service:tensor-logic');
+    service.initTensor('Parent', [3, 3], [0, 1, 0, 0, 0, 1, 0, 0, 0]);
+    service.registerRule('grandparent', 'GrandParent[x,z] = Parent[x,y] Parent[y,z]');
+
+    const byName = service.query('grandparent');
+    const byHead = service.query('GrandParent');
+
+    assert.deepEqual(byName.result.shape, [3, 3], 'result has the head shape');
+    assert.deepEqual(byName.result.toArray(), [0, 0, 1, 0, 0, 0, 0, 0, 0], 'rule is evaluated');
+    assert.deepEqual(byHead.result.toArray(), byName.result.toArray(), 'rules resolve by head name');
+  });
+
+  test('query iterates recursive rules to a fixpoint', function (assert) {
+    const service = this.owner.lookup('service:tensor-logic');
+    service.initTensor('Parent', [3, 3], [0, 1, 0, 0, 0, 1, 0, 0, 0]);
+    service.registerRule('ancestor', 'Ancestor[x,z] = step(Parent[x,z] + Parent[x,y] Ancestor[y,z])');
+
+    const { result } = service.query('Ancestor');
+
+    assert.deepEqual(result.toArray(), [0, 1, 1, 0, 0, 1, 0, 0, 0], 'transitive closure is computed');
+  });
+
+  test('query throws when a recursive rule does not converge', function (assert) {
+    const service = this.owner.lookup('service:tensor-logic');
+    service.initTensor('One', [2], [1, 1]);
+    service.registerRule('counter', 'Count[i] = One[i] + Count[i]');
+
+    assert.throws(() => service.query('counter'), /Rule "counter" did not converge after 100 iterations/, 'throws a convergence error');
+  });
+
+  test('query evaluates function rules', function (assert) {
+    const service = this.owner.lookup('service:tensor-logic');
+    service.initTensor('A', [2, 3], [1, 2, 3, 4, 5, 6]);
+    service.registerRule('transpose', (tensors) => tensors.einsum('ij->ji', tensors.get('A')));
+
+    const { result } = service.query('transpose');
+
+    assert.deepEqual(result.shape, [3, 2], 'result has the transposed shape');
+    assert.deepEqual(result.toArray(), [1, 4, 2, 5, 3, 6], 'function rule is evaluated');
+  });
+
+  test('query uses tensors from the context', function (assert) {
+    const service = this.owner.lookup('service:tensor-logic');
+    const result = service.query('V[i] V[i]', { tensors: { V: { shape: [3], data: [1, 2, 3] } } });
+
+    assert.deepEqual(result.indices, [], 'all indices are summed out');
+    assert.deepEqual(result.result.toArray(), [14], 'result is the dot product');
+  });
+
+  test('query reports shape and name errors', function (assert) {
+    const service = this.owner.lookup('service:tensor-logic');
+    service.initTensor('A', [2, 3]);
+    service.initTensor('B', [2, 2]);
+
+    assert.throws(() => service.query('Missing[i]'), /Unknown tensor or rule "Missing"/, 'throws for unknown names');
+    assert.throws(() => service.query('A[i]'), /A has rank 2 but was given 1 indices/, 'throws for wrong rank');
+    assert.throws(() => service.query('A[i,j] B[j,k]'), /Index "j" has size 3 in A but 2 in B/, 'throws for mismatched sizes');
+    assert.throws(() => service.registerRule('bad', 'C[i] = A[i'), /Expected "\]" at end of input/, 'throws for invalid equations');
+  });
+
+  test('executeOperation returns result tensors', function (assert) {
+    const service = this.owner.lookup('service:tensor-logic');
+    const a = service.initTensor('A', [2, 3], [1, 2, 3, 4, 5, 6]);
+    const b = service.initTensor('B', [3, 2], [1, 0, 0, 1, 1, 1]);
+
+    assert.deepEqual(service.executeOperation('contraction', [a, b]).result.toArray(), [4, 5, 10, 11], 'contracts matching axes');
+    assert.deepEqual(service.executeOperation('projection', [a], { axis: 0 }).result.toArray(), [5, 7, 9], 'sums out the axis');
+    assert.deepEqual(service.executeOperation('join', ['A', 'A']).result.toArray(), [1, 4, 9, 16, 25, 36], 'joins elementwise');
+    assert.deepEqual(service.executeOperation('reshape', [a], { shape: [3, 2] }).result.shape, [3, 2], 'reshapes');
+    assert.throws(() => service.executeOperation('contraction', [a, a]), /Index "a1" has size 3 in operand 0 but 2 in operand 1/, 'checks contracted sizes');
+  });
+
+  test('initTensor checks the data length', function (assert) {
+    const service = this.owner.lookup('service:tensor-logic');
+
+    assert.throws(() => service.initTensor('bad', [2, 2], [1, 2, 3]), /Tensor of shape \[2,2\] needs 4 values, got 3/, 'throws for a data length mismatch');
+  });
+
   test('multiple tensors can be created and retrieved', function (assert) {
     const service = this.owner.lookup('service:tensor-logic');
     service.initTensor('tensor1', [2, 2]);
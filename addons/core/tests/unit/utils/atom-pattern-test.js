@@ -0,0 +1,106 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+import { AtomIndex, matchPattern } from 'core/utils/atom-pattern';
+import { module, test } from 'qunit';
+
+module('Unit | Utility | atom-pattern', function (hooks) {
+  hooks.beforeEach(function () {
+    this.index = new AtomIndex();
+    [
+      { id: 'a', type: 'node', data: { rank: 1 } },
+      { id: 'b', type: 'node', data: { rank: 2 } },
+      { id: 'c', type: 'node', data: { rank: 3 } },
+      { id: 'd', type: 'leaf', data: { rank: 4 } },
+    ].forEach((atom) => this.index.addAtom(atom));
+    [
+      { id: 'l1', from: 'a', to: 'b', type: 'next' },
+      { id: 'l2', from: 'b', to: 'c', type: 'next' },
+      { id: 'l3', from: 'c', to: 'a', type: 'next' },
+      { id: 'l4', from: 'c', to: 'd', type: 'owns' },
+    ].forEach((link) => this.index.addLink(link));
+  });
+
+  test('it indexes atoms by type and links by endpoint', function (assert) {
+    assert.deepEqual(
+      this.index.atoms('node').map(({ id }) => id),
+      ['a', 'b', 'c'],
+    );
+    assert.deepEqual(
+      this.index.linksAt('c', 'from').map(({ id }) => id),
+      ['l3', 'l4'],
+    );
+    assert.deepEqual(
+      this.index.linksAt('c', 'from', ['owns']).map(({ id }) => id),
+      ['l4'],
+    );
+    assert.deepEqual(
+      this.index.linksAt('a', 'to').map(({ id }) => id),
+      ['l3'],
+    );
+  });
+
+  test('it replaces atoms with the same id', function (assert) {
+    this.index.addAtom({ id: 'a', type: 'leaf' });
+
+    assert.deepEqual(
+      this.index.atoms('node').map(({ id }) => id),
+      ['b', 'c'],
+    );
+    assert.strictEqual(this.index.atomsById.get('a').type, 'leaf');
+  });
+
+  test('it joins atom and link clauses on shared variables', function (assert) {
+    const bindings = matchPattern(this.index, [
+      { atom: '?x', type: 'node', where: { 'data.rank': (rank) => rank > 1 } },
+      { link: 'next', from: '?x', to: '?y', as: '?link' },
+    ]);
+
+    assert.deepEqual(
+      bindings.map((binding) => [
+        binding.get('?x'),
+        binding.get('?y'),
+        binding.get('?link').id,
+      ]),
+      [
+        ['b', 'c', 'l2'],
+        ['c', 'a', 'l3'],
+      ],
+    );
+  });
+
+  test('it follows links over several hops in either direction', function (assert) {
+    const forward = matchPattern(this.index, [
+      { link: ['next', 'owns'], from: 'a', to: '?x', hops: { min: 2, max: 3 } },
+    ]);
+    const backward = matchPattern(this.index, [
+      { link: 'next', from: '?x', to: 'c', hops: { min: 1, max: 2 } },
+    ]);
+
+    assert.deepEqual(forward.map((binding) => binding.get('?x')).sort(), [
+      'a',
+      'c',
+      'd',
+    ]);
+    assert.deepEqual(backward.map((binding) => binding.get('?x')).sort(), [
+      'a',
+      'b',
+    ]);
+  });
+
+  test('it rejects invalid clauses', function (assert) {
+    assert.throws(
+      () => matchPattern(this.index, [{ type: 'node' }]),
+      /Pattern clauses need an `atom` or `from` and `to`/,
+    );
+    assert.throws(
+      () =>
+        matchPattern(this.index, [
+          { link: 'next', from: 'a', to: '?x', hops: { min: 2, max: 1 } },
+        ]),
+      /Invalid hops, max 1 is less than min 2/,
+    );
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+import {
+  BexprSyntaxError,
+  condition,
+  formatBexpr,
+  group,
+  parseBexpr,
+  validateBexpr,
+} from 'core/utils/bexpr';
+import { module, test } from 'qunit';
+
+module('Unit | Utility | bexpr', function () {
+  test('it parses every operator', function (assert) {
+    const { children } = parseBexpr(
+      [
+        '"/name" == "w1"',
+        '"/name" != "w2"',
+        '"eu" in "/tags/region"',
+        '"us" not in "/tags/region"',
+        '"/name" contains "a"',
+        '"/name" not contains "b"',
+        '"/name" matches "w.*"',
+        '"/name" not matches "x.*"',
+        '"/tags/type" is empty',
+        '"/tags/type" is not empty',
+      ].join(' and '),
+    );
+
+    assert.deepEqual(children, [
+      condition('/name', '==', 'w1'),
+      condition('/name', '!=', 'w2'),
+      condition('/tags/region', 'in', 'eu'),
+      condition('/tags/region', 'not in', 'us'),
+      condition('/name', 'contains', 'a'),
+      condition('/name', 'not contains', 'b'),
+      condition('/name', 'matches', 'w.*'),
+      condition('/name', 'not matches', 'x.*'),
+      condition('/tags/type', 'is empty'),
+      condition('/tags/type', 'is not empty'),
+    ]);
+  });
+
+  test('it parses nested and, or and not groups', function (assert) {
+    const tree = parseBexpr(
+      '"/name" == "w1" or not ("eu" in "/tags/region" and ("a" in "/tags/b" or name == c))',
+    );
+
+    assert.deepEqual(
+      tree,
+      group('or', [
+        condition('/name', '==', 'w1'),
+        {
+          ...group('and', [
+            condition('/tags/region', 'in', 'eu'),
+            group('or', [
+              condition('/tags/b', 'in', 'a'),
+              condition('name', '==', 'c'),
+            ]),
+          ]),
+          negated: true,
+        },
+      ]),
+    );
+  });
+
+  test('it gives "and" precedence over "or"', function (assert) {
+    const tree = parseBexpr('a == 1 or b == 2 and c == 3');
+
+    assert.strictEqual(tree.logic, 'or');
+    assert.strictEqual(tree.children[1].logic, 'and');
+  });
+
+  test('it reads escaped and raw strings', function (assert) {
+    assert.deepEqual(
+      parseBexpr('"/name" == "say \\"hi\\""'),
+      condition('/name', '==', 'say "hi"'),
+    );
+    assert.deepEqual(
+      parseBexpr('"/name" matches `\\d+`'),
+      condition('/name', 'matches', '\\d+'),
+    );
+  });
+
+  test('it parses an empty expression to an empty group', function (assert) {
+    assert.deepEqual(parseBexpr(''), group());
+    assert.deepEqual(parseBexpr('   '), group());
+  });
+
+  test('it formats trees back into expressions', function (assert) {
+    assert.expect(4);
+    const expressions = [
+      '"/name" == "w1" or not "eu" in "/tags/region"',
+      '("a" in "/tags/x" and "/name" matches "w.*") or "/tags/t" is not empty',
+      'not ("/name" != "b" or "/tags/a" not contains "c")',
+      'name == "say \\"hi\\""',
+    ];
+
+    expressions.forEach((expression) =>
+      assert.strictEqual(formatBexpr(parseBexpr(expression)), expression),
+    );
+  });
+
+  test('it leaves out incomplete conditions and empty groups', function (assert) {
+    const tree = group('or', [
+      condition(),
+      group('and', [condition('/name', '==', 'w1'), condition()]),
+      group('and'),
+    ]);
+
+    assert.strictEqual(formatBexpr(tree), '"/name" == "w1"');
+    assert.strictEqual(formatBexpr(group()), '');
+  });
+
+  test('it reports syntax errors with their position', function (assert) {
+    assert.expect(22);
+    assert.strictEqual(validateBexpr('"/name" == "w1"'), null);
+
+    const cases = [
+      [
+        '"/name" ==',
+        10,
+        'Expected a selector or value, but the expression ended',
+      ],
+      ['"/name" = "x"', 8, 'Unexpected "="'],
+      ['"/name" is full', 11, 'Expected "empty"'],
+      ['("a" in "/tags/b"', 17, 'Expected ")", but the expression ended'],
+      ['"/name" == "w1', 11, 'Unterminated string'],
+      ['"/name" == "a" "b"', 15, 'Unexpected "b"'],
+      ['"/name" "w1"', 8, 'Expected an operator'],
+    ];
+    cases.forEach(([expression, position, reason]) => {
+      const error = validateBexpr(expression);
+      assert.true(error instanceof BexprSyntaxError, expression);
+      assert.strictEqual(error.position, position, expression);
+      assert.strictEqual(error.reason, reason, expression);
+    });
+  });
+});
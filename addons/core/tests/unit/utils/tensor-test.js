@@ -0,0 +1,90 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+import Tensor, {
+  add,
+  broadcastShapes,
+  contract,
+  einsum,
+  join,
+  project,
+} from 'core/utils/tensor';
+import { module, test } from 'qunit';
+
+module('Unit | Utility | tensor', function () {
+  test('it stores data row-major in a typed array', function (assert) {
+    const tensor = new Tensor([2, 3], [1, 2, 3, 4, 5, 6]);
+
+    assert.ok(tensor.data instanceof Float64Array);
+    assert.deepEqual(tensor.strides, [3, 1]);
+    assert.strictEqual(tensor.get(1, 2), 6);
+    assert.strictEqual(tensor.rank, 2);
+    assert.strictEqual(tensor.size, 6);
+  });
+
+  test('it checks the data length against the shape', function (assert) {
+    assert.throws(
+      () => new Tensor([2, 2], [1, 2, 3]),
+      /Tensor of shape \[2,2\] needs 4 values, got 3/,
+    );
+  });
+
+  test('it reshapes and broadcasts', function (assert) {
+    const tensor = new Tensor([2, 3], [1, 2, 3, 4, 5, 6]);
+
+    assert.deepEqual(tensor.reshape([3, -1]).shape, [3, 2]);
+    assert.deepEqual(broadcastShapes([3, 1], [4]), [3, 4]);
+    assert.deepEqual(
+      add(tensor, new Tensor([3], [10, 20, 30])).toArray(),
+      [11, 22, 33, 14, 25, 36],
+    );
+    assert.throws(
+      () => add(tensor, new Tensor([2], [1, 2])),
+      /Shapes \[2,3\], \[2\] cannot be broadcast together/,
+    );
+  });
+
+  test('it contracts named indices', function (assert) {
+    const a = new Tensor([2, 3], [1, 2, 3, 4, 5, 6]);
+    const b = new Tensor([3, 2], [1, 0, 0, 1, 1, 1]);
+
+    const product = contract(
+      [
+        { tensor: a, indices: ['i', 'j'] },
+        { tensor: b, indices: ['j', 'k'] },
+      ],
+      ['i', 'k'],
+    );
+    assert.deepEqual(product.shape, [2, 2]);
+    assert.deepEqual(product.toArray(), [4, 5, 10, 11]);
+    assert.deepEqual(einsum('ij->ji', a).toArray(), [1, 4, 2, 5, 3, 6]);
+    assert.strictEqual(
+      einsum('ii->', new Tensor([2, 2], [1, 2, 3, 4])).toArray()[0],
+      5,
+    );
+  });
+
+  test('it reports mismatched index sizes', function (assert) {
+    const a = new Tensor([2, 3]);
+    const b = new Tensor([2, 2]);
+
+    assert.throws(
+      () => einsum('ij,jk->ik', a, b),
+      /Index "j" has size 3 in operand 0 but 2 in operand 1/,
+    );
+  });
+
+  test('it joins and projects', function (assert) {
+    const parent = new Tensor([3, 3], [0, 1, 0, 0, 0, 1, 0, 0, 0]);
+
+    const joined = join(parent, ['x', 'y'], parent, ['y', 'z']);
+    assert.deepEqual(joined.indices, ['x', 'y', 'z']);
+    assert.deepEqual(joined.tensor.shape, [3, 3, 3]);
+
+    const projected = project(joined.tensor, joined.indices, ['x', 'z']);
+    assert.deepEqual(projected.indices, ['x', 'z']);
+    assert.deepEqual(projected.tensor.toArray(), [0, 0, 1, 0, 0, 0, 0, 0, 0]);
+  });
+});
@@ -0,0 +1,49 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+import { toCsv } from 'core/utils/to-csv';
+import { module, test } from 'qunit';
+
+module('Unit | Utility | to-csv', function () {
+  test('it serializes rows with a header', function (assert) {
+    const result = toCsv(
+      [
+        { id: 1, name: 'one', extra: true },
+        { id: 2, name: 'two' },
+      ],
+      ['id', 'name'],
+    );
+
+    assert.strictEqual(result, 'id,name\r\n1,one\r\n2,two');
+  });
+
+  test('it serializes missing values as empty', function (assert) {
+    const result = toCsv([{ id: 1, name: null }, { id: 2 }], ['id', 'name']);
+
+    assert.strictEqual(result, 'id,name\r\n1,\r\n2,');
+  });
+
+  test('it quotes values with separators, quotes or line breaks', function (assert) {
+    const result = toCsv(
+      [{ a: 'x,y', b: 'say "hi"', c: 'line\nbreak' }],
+      ['a', 'b', 'c'],
+    );
+
+    assert.strictEqual(result, 'a,b,c\r\n"x,y","say ""hi""","line\nbreak"');
+  });
+
+  test('it neutralizes values that could be evaluated as formulas', function (assert) {
+    const result = toCsv(
+      [{ a: '=SUM(A1)', b: '+1', c: '-1', d: '@x' }],
+      ['a', 'b', 'c', 'd'],
+    );
+
+    assert.strictEqual(result, "a,b,c,d\r\n'=SUM(A1),'+1,'-1,'@x");
+  });
+
+  test('it serializes only a header when there are no rows', function (assert) {
+    assert.strictEqual(toCsv([], ['id', 'name']), 'id,name');
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+import { explainWorkerFilter } from 'core/utils/worker-routing';
+import { module, test } from 'qunit';
+
+module('Unit | Utility | worker-routing', function () {
+  const workers = [
+    { name: 'w1', config_tags: { env: ['dev'] }, api_tags: { os: ['linux'] } },
+    { name: 'w2', config_tags: {}, api_tags: { env: ['qa'] } },
+  ];
+
+  test('every worker matches without a filter', function (assert) {
+    const explanation = explainWorkerFilter('', workers);
+
+    assert.false(explanation.isFiltered);
+    assert.deepEqual(explanation.matching, workers);
+  });
+
+  test('it returns the workers matching a filter', function (assert) {
+    const explanation = explainWorkerFilter('"linux" in "/tags/os"', workers);
+
+    assert.true(explanation.isFiltered);
+    assert.deepEqual(explanation.matching, [workers[0]]);
+    assert.deepEqual(explanation.failedClauses, []);
+  });
+
+  test('it names the clauses no worker satisfies', function (assert) {
+    const explanation = explainWorkerFilter(
+      '"linux" in "/tags/os" and ("prod" in "/tags/env" or "x" in "/tags/y")',
+      workers,
+    );
+
+    assert.deepEqual(explanation.matching, []);
+    assert.deepEqual(explanation.failedClauses, [
+      {
+        clause: '"prod" in "/tags/env"',
+        tagKey: 'env',
+        availableValues: ['dev', 'qa'],
+      },
+      { clause: '"x" in "/tags/y"', tagKey: 'y', availableValues: [] },
+    ]);
+  });
+
+  test('no clause fails when no single worker satisfies them all', function (assert) {
+    const explanation = explainWorkerFilter(
+      '"linux" in "/tags/os" and "qa" in "/tags/env"',
+      workers,
+    );
+
+    assert.deepEqual(explanation.matching, []);
+    assert.deepEqual(explanation.failedClauses, []);
+  });
+
+  test('it returns the syntax error of an invalid filter', function (assert) {
+    const explanation = explainWorkerFilter('"linux" in', workers);
+
+    assert.deepEqual(explanation.matching, []);
+    assert.strictEqual(explanation.error.name, 'BexprSyntaxError');
+  });
+});
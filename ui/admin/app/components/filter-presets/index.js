@@ -0,0 +1,195 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+import Component from '@glimmer/component';
+import { service } from '@ember/service';
+import { action } from '@ember/object';
+import { tracked } from '@glimmer/tracking';
+import { notifyError, notifySuccess } from 'core/decorators/notify';
+import { compactFilters } from 'api/services/filter-presets';
+import { downloadFile } from 'core/utils/download-file';
+
+/**
+ * Saves the search and filters of a resource list as named presets, applies
+ * them again and pins them to the list toolbar.  Presets can be exported to
+ * and imported from JSON files to share them.
+ *
+ * Takes the same `@filters` object as `FilterTags` and the `@search` text of
+ * the list, and the resource `@type` presets are saved for.  Lists that page
+ * through their results pass `@paginated`, so applying a preset goes back to
+ * the first page.
+ */
+export default class FilterPresetsComponent extends Component {
+  // =services
+
+  @service filterPresets;
+  @service router;
+  @service('browser/document') document;
+  @service('browser/window') window;
+
+  // =attributes
+
+  @tracked isSaving = false;
+  @tracked name = '';
+  @tracked pinned = false;
+
+  /**
+   * @type {[object]}
+   */
+  get presets() {
+    return this.filterPresets.presetsFor(this.args.type);
+  }
+
+  /**
+   * @type {[object]}
+   */
+  get pinnedPresets() {
+    return this.presets.filter(({ pinned }) => pinned);
+  }
+
+  /**
+   * The search and filters currently applied to the list.
+   * @type {object}
+   */
+  get currentFilters() {
+    return compactFilters({
+      search: this.args.search,
+      ...this.args.filters.selectedFilters,
+    });
+  }
+
+  /**
+   * @type {boolean}
+   */
+  get hasFilters() {
+    return Object.keys(this.currentFilters).length > 0;
+  }
+
+  // =actions
+
+  /**
+   * Replaces the search and filters of the list with those of a preset.
+   * @param {object} preset
+   */
+  @action
+  apply({ filters }) {
+    const queryParams = Object.keys(this.args.filters.allFilters).reduce(
+      (params, key) => {
+        params[key] = filters[key] ?? [];
+        return params;
+      },
+      {},
+    );
+    // The current page may be past the end of the filtered list
+    if (this.args.paginated) {
+      queryParams.page = 1;
+    }
+    // Only touch the search if the list has one
+    if (this.args.search || filters.search) {
+      queryParams.search = filters.search ?? '';
+    }
+    this.router.replaceWith({ queryParams });
+  }
+
+  @action
+  openSave() {
+    this.name = '';
+    this.pinned = false;
+    this.isSaving = true;
+  }
+
+  @action
+  closeSave() {
+    this.isSaving = false;
+  }
+
+  /**
+   * @param {InputEvent} event
+   */
+  @action
+  updateName(event) {
+    this.name = event.target.value;
+  }
+
+  @action
+  togglePinned() {
+    this.pinned = !this.pinned;
+  }
+
+  /**
+   * Saves the current search and filters under the entered name.
+   * @param {SubmitEvent} event
+   */
+  @action
+  @notifySuccess('filter-presets.notifications.saved')
+  save(event) {
+    event.preventDefault();
+    this.filterPresets.save(this.args.type, this.name, this.currentFilters, {
+      pinned: this.pinned,
+    });
+    this.isSaving = false;
+  }
+
+  /**
+   * @param {object} preset
+   */
+  @action
+  togglePin({ name }) {
+    this.filterPresets.togglePin(this.args.type, name);
+  }
+
+  /**
+   * @param {object} preset
+   */
+  @action
+  remove({ name }) {
+    this.filterPresets.remove(this.args.type, name);
+  }
+
+  /**
+   * Downloads the presets as a JSON file.
+   */
+  @action
+  export() {
+    downloadFile(
+      this,
+      this.filterPresets.exportPresets(this.args.type),
+      `${this.args.type}-filter-presets.json`,
+      'application/json',
+    );
+  }
+
+  /**
+   * Opens the file picker of the import input.
+   * @param {string} inputId
+   */
+  @action
+  chooseFile(inputId) {
+    this.document.getElementById(inputId).click();
+  }
+
+  /**
+   * Imports presets from the chosen JSON file, if one was chosen.
+   * @param {Event} event
+   */
+  @action
+  async import(event) {
+    const [file] = event.target.files;
+    // Reset the input so the same file can be chosen again
+    event.target.value = '';
+    if (file) {
+      await this.importFile(file);
+    }
+  }
+
+  /**
+   * @param {File} file
+   */
+  @notifyError(({ message }) => message, { catch: true })
+  @notifySuccess('filter-presets.notifications.imported')
+  async importFile(file) {
+    this.filterPresets.importPresets(this.args.type, await file.text());
+  }
+}
@@ -0,0 +1,46 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+import Component from '@glimmer/component';
+import {
+  policyConflicts,
+  reapplyChanges,
+  retentionTimeline,
+} from 'api/utils/retention-preview';
+
+export default class FormPolicyPreviewComponent extends Component {
+  // =attributes
+
+  /**
+   * @type {[object]}
+   */
+  get recordings() {
+    return this.args.recordings ?? [];
+  }
+
+  /**
+   * Problems with the policy and with the parent scope's policy.
+   * @type {[object]}
+   */
+  get conflicts() {
+    return policyConflicts(this.args.policy, this.args.parentPolicy);
+  }
+
+  /**
+   * How many recordings become deletable, or are deleted, over time.
+   * @type {[object]}
+   */
+  get timeline() {
+    return retentionTimeline(this.recordings, this.args.policy);
+  }
+
+  /**
+   * Recordings whose dates change when the policy is reapplied.
+   * @type {[object]}
+   */
+  get changes() {
+    return reapplyChanges(this.recordings, this.args.policy);
+  }
+}
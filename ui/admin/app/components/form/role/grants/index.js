@@ -4,10 +4,20 @@
  */
 
 import Component from '@glimmer/component';
+import { service } from '@ember/service';
 import { tracked } from '@glimmer/tracking';
-import { computed, action } from '@ember/object';
+import { computed, action, set } from '@ember/object';
+import {
+  GRANT_ID_TEMPLATES,
+  grantSuggestions,
+  validateGrant,
+} from 'api/utils/grant-string';
 
 export default class FormRoleGrantsComponent extends Component {
+  // =services
+
+  @service intl;
+
   // =attributes
 
   /**
@@ -15,6 +25,12 @@ export default class FormRoleGrantsComponent extends Component {
    */
   @tracked newGrantString = '';
 
+  /**
+   * True when grants are edited with pickers instead of as text.
+   * @type {boolean}
+   */
+  @tracked isStructured = false;
+
   /**
    * Returns grants currently on model, in addition to
    * grants added (or deleted) interactively by user -
@@ -36,17 +52,69 @@ export default class FormRoleGrantsComponent extends Component {
   }
 
   /**
-   * True if the grant string field is empty, false otherwise.  This is used
-   * to disable the submit button.
+   * True if the grant string field is empty or invalid, false otherwise.
+   * This is used to disable the submit button.
    * @return {boolean}
    */
   @computed('newGrantString')
   get cannotSave() {
-    return !this.newGrantString;
+    return (
+      !this.newGrantString || validateGrant(this.newGrantString).length > 0
+    );
+  }
+
+  /**
+   * Completions for the grant string being typed.
+   * @type {[string]}
+   */
+  get suggestions() {
+    return grantSuggestions(this.newGrantString);
+  }
+
+  // =methods
+
+  /**
+   * Returns translated errors for a grant string.  An empty string has no
+   * errors, so fields aren't flagged before anything is typed.
+   * @param {string} grant
+   * @return {[string]}
+   */
+  @action
+  grantErrors(grant) {
+    if (!grant) return [];
+    return validateGrant(grant).map(({ code, values }) =>
+      this.intl.t(`resources.role.grant.errors.${code}`, {
+        ...values,
+        templates: GRANT_ID_TEMPLATES.join(', '),
+      }),
+    );
   }
 
   // =actions
 
+  @action
+  toggleStructured() {
+    this.isStructured = !this.isStructured;
+  }
+
+  /**
+   * @param {string} value
+   */
+  @action
+  setNewGrantString(value) {
+    this.newGrantString = value;
+  }
+
+  /**
+   * Sets the value of an existing grant, as edited with the picker.
+   * @param {object} grant
+   * @param {string} value
+   */
+  @action
+  updateGrant(grant, value) {
+    set(grant, 'value', value);
+  }
+
   /**
    * Calls the passed function with the grant string as an argument and then
    * clears the value of the grant string field.
@@ -0,0 +1,115 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+import Component from '@glimmer/component';
+import { action } from '@ember/object';
+import {
+  GRANT_ID_TEMPLATES,
+  GRANT_TYPES,
+  actionsFor,
+  formatGrant,
+  parseGrant,
+} from 'api/utils/grant-string';
+
+const splitList = (value) =>
+  value
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+/**
+ * Edits a grant string with pickers for its ids, type, actions and output
+ * fields.  Every change calls `@onChange` with the new grant string.
+ */
+export default class FormRoleGrantsPickerComponent extends Component {
+  // =attributes
+
+  typeOptions = GRANT_TYPES;
+  idOptions = ['*', ...GRANT_ID_TEMPLATES];
+  idTemplate = GRANT_ID_TEMPLATES[0];
+
+  /**
+   * @type {object}
+   */
+  get grant() {
+    return parseGrant(this.args.value);
+  }
+
+  /**
+   * @type {string}
+   */
+  get idsText() {
+    return this.grant.ids.join(',');
+  }
+
+  /**
+   * @type {string}
+   */
+  get outputFieldsText() {
+    return this.grant.outputFields.join(',');
+  }
+
+  /**
+   * Actions allowed for the selected type, or for any type.
+   * @type {[string]}
+   */
+  get actionOptions() {
+    const { type } = this.grant;
+    return actionsFor(GRANT_TYPES.includes(type) ? type : null);
+  }
+
+  // =methods
+
+  /**
+   * Calls `@onChange` with the grant string with `changes` applied.
+   * @param {object} changes
+   */
+  change(changes) {
+    this.args.onChange(formatGrant({ ...this.grant, ...changes }));
+  }
+
+  // =actions
+
+  /**
+   * @param {Event} event
+   */
+  @action
+  setIds(event) {
+    this.change({ ids: splitList(event.target.value) });
+  }
+
+  /**
+   * Sets the type and drops actions the new type doesn't have.
+   * @param {Event} event
+   */
+  @action
+  setType(event) {
+    const type = event.target.value;
+    const allowed = actionsFor(GRANT_TYPES.includes(type) ? type : null);
+    this.change({
+      type,
+      actions: this.grant.actions.filter((action) => allowed.includes(action)),
+    });
+  }
+
+  /**
+   * @param {string} grantAction
+   * @param {Event} event
+   */
+  @action
+  toggleAction(grantAction, event) {
+    const actions = this.grant.actions.filter((item) => item !== grantAction);
+    if (event.target.checked) actions.push(grantAction);
+    this.change({ actions });
+  }
+
+  /**
+   * @param {Event} event
+   */
+  @action
+  setOutputFields(event) {
+    this.change({ outputFields: splitList(event.target.value) });
+  }
+}
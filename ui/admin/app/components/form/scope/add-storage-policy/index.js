@@ -7,6 +7,18 @@ import Component from '@glimmer/component';
 import { action } from '@ember/object';
 
 export default class FormAddStoragePolicyIndexComponent extends Component {
+  // =attributes
+
+  /**
+   * The policy selected to attach.
+   * @type {?PolicyModel}
+   */
+  get selectedPolicy() {
+    return this.args.policyList?.find(
+      ({ id }) => id === this.args.model.storage_policy_id,
+    );
+  }
+
   //actions
 
   /**
@@ -0,0 +1,145 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+import Component from '@glimmer/component';
+import { service } from '@ember/service';
+import { action } from '@ember/object';
+import { tracked } from '@glimmer/tracking';
+import { restartableTask, timeout } from 'ember-concurrency';
+
+/**
+ * Milliseconds to wait for typing to pause before searching.
+ * @type {number}
+ */
+const SEARCH_DEBOUNCE = 150;
+
+/**
+ * Command palette that searches every resource at once, opened with
+ * Cmd+K or Ctrl+K.
+ */
+export default class GlobalSearchComponent extends Component {
+  // =services
+
+  @service globalSearch;
+  @service router;
+  @service('browser/document') document;
+
+  // =attributes
+
+  @tracked isOpen = false;
+  @tracked text = '';
+  @tracked activeIndex = 0;
+
+  /**
+   * Result groups of the latest search.
+   * @type {[object]}
+   */
+  get groups() {
+    return this.search.lastSuccessful?.value ?? [];
+  }
+
+  /**
+   * All results in the order they are shown, for keyboard navigation.
+   * @type {[object]}
+   */
+  get results() {
+    return this.groups.flatMap(({ scopes }) =>
+      scopes.flatMap(({ results }) => results),
+    );
+  }
+
+  /**
+   * The result selected with the arrow keys.
+   * @type {?object}
+   */
+  get activeResult() {
+    return this.results[this.activeIndex];
+  }
+
+  // =methods
+
+  constructor() {
+    super(...arguments);
+    this.document.addEventListener('keydown', this.handleShortcut);
+  }
+
+  willDestroy() {
+    super.willDestroy(...arguments);
+    this.document.removeEventListener('keydown', this.handleShortcut);
+  }
+
+  search = restartableTask(async (text) => {
+    await timeout(SEARCH_DEBOUNCE);
+    const groups = await this.globalSearch.search(text);
+    this.activeIndex = 0;
+    return groups;
+  });
+
+  // =actions
+
+  /**
+   * Toggles the palette on Cmd+K or Ctrl+K.
+   * @param {KeyboardEvent} event
+   */
+  @action
+  handleShortcut(event) {
+    if ((event.metaKey || event.ctrlKey) && event.key?.toLowerCase() === 'k') {
+      event.preventDefault();
+      this.isOpen ? this.close() : this.open();
+    }
+  }
+
+  @action
+  open() {
+    this.isOpen = true;
+  }
+
+  @action
+  close() {
+    this.isOpen = false;
+    this.text = '';
+    this.activeIndex = 0;
+    this.search.cancelAll({ resetState: true });
+  }
+
+  /**
+   * @param {InputEvent} event
+   */
+  @action
+  handleInput(event) {
+    this.text = event.target.value;
+    this.search.perform(this.text);
+  }
+
+  /**
+   * Moves through results with the arrow keys and opens one with Enter.
+   * @param {KeyboardEvent} event
+   */
+  @action
+  handleKeydown(event) {
+    const { length } = this.results;
+    if (!length) return;
+    if (event.key === 'ArrowDown') {
+      event.preventDefault();
+      this.activeIndex = (this.activeIndex + 1) % length;
+    } else if (event.key === 'ArrowUp') {
+      event.preventDefault();
+      this.activeIndex = (this.activeIndex - 1 + length) % length;
+    } else if (event.key === 'Enter') {
+      event.preventDefault();
+      this.select(this.activeResult);
+    }
+  }
+
+  /**
+   * Goes to the detail page of a result.
+   * @param {object} result
+   */
+  @action
+  select(result) {
+    this.close();
+    this.router.transitionTo(result.route, ...result.models);
+  }
+}
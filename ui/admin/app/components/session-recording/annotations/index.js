@@ -0,0 +1,130 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+import Component from '@glimmer/component';
+import { service } from '@ember/service';
+import { action } from '@ember/object';
+import { tracked } from '@glimmer/tracking';
+import {
+  TYPE_ANNOTATION,
+  TYPE_BOOKMARK,
+} from 'api/services/recording-annotations';
+import { clipAsciicast, formatTime } from 'api/utils/asciicast';
+import { downloadFile } from 'core/utils/download-file';
+
+/**
+ * Lets reviewers add timestamped annotations and bookmarks to a channel
+ * recording at the current time of its player, jump back to them, and export
+ * them as JSON or as an asciicast clip between two of them.
+ *
+ * Takes the `@channelRecording` and its `@asciicast`, a `@currentTime`
+ * function resolving to the current time of the player in seconds, and an
+ * `@onSeek` function called with the time to play from.
+ */
+export default class SessionRecordingAnnotationsComponent extends Component {
+  // =services
+
+  @service recordingAnnotations;
+  @service('browser/document') document;
+  @service('browser/window') window;
+
+  // =attributes
+
+  types = [TYPE_ANNOTATION, TYPE_BOOKMARK];
+
+  @tracked type = TYPE_ANNOTATION;
+  @tracked text = '';
+  @tracked clipStartID = null;
+  @tracked clipEndID = null;
+
+  /**
+   * The annotations of the channel recording, ordered by time.
+   * @type {[object]}
+   */
+  get annotations() {
+    return this.recordingAnnotations
+      .annotationsFor(this.args.channelRecording.id)
+      .map((annotation) => ({
+        ...annotation,
+        timestamp: formatTime(annotation.time),
+      }));
+  }
+
+  /**
+   * The annotations chosen to clip between, if the first is before the last.
+   * @type {?{start: object, end: object}}
+   */
+  get clipRange() {
+    const start = this.annotations.find(({ id }) => id === this.clipStartID);
+    const end = this.annotations.find(({ id }) => id === this.clipEndID);
+    return start && end && start.time < end.time ? { start, end } : null;
+  }
+
+  // =actions
+
+  /**
+   * Adds an annotation at the current time of the player.
+   * @param {SubmitEvent} event
+   */
+  @action
+  async add(event) {
+    event.preventDefault();
+    const time = await this.args.currentTime();
+    this.recordingAnnotations.add(this.args.channelRecording.id, {
+      type: this.type,
+      time,
+      text: this.text,
+    });
+    this.text = '';
+    // The player is created again with the new markers, so keep its place
+    this.args.onSeek(time);
+  }
+
+  /**
+   * @param {object} annotation
+   */
+  @action
+  remove({ id }) {
+    this.recordingAnnotations.remove(this.args.channelRecording.id, id);
+  }
+
+  /**
+   * Plays the recording from an annotation.
+   * @param {object} annotation
+   */
+  @action
+  seek({ time }) {
+    this.args.onSeek(time);
+  }
+
+  /**
+   * Downloads the annotations as a JSON file.
+   */
+  @action
+  exportAnnotations() {
+    const { channelRecording } = this.args;
+    downloadFile(
+      this,
+      this.recordingAnnotations.exportAnnotations(channelRecording),
+      `${channelRecording.id}-annotations.json`,
+      'application/json',
+    );
+  }
+
+  /**
+   * Downloads the part of the recording between the chosen annotations as an
+   * asciicast file.
+   */
+  @action
+  exportClip() {
+    const { start, end } = this.clipRange;
+    downloadFile(
+      this,
+      clipAsciicast(this.args.asciicast, start.time, end.time),
+      `${this.args.channelRecording.id}-${Math.floor(start.time)}-${Math.ceil(end.time)}.cast`,
+      'application/x-asciicast',
+    );
+  }
+}
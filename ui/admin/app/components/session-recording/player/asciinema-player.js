@@ -37,7 +37,7 @@ export default class SessionRecordingPlayerAsciinemaPlayerComponent extends Comp
 
   /**
    * An object of options where each possible key from `supportOptions` is
-   * included if and only if its associated value was passed to the component
+   * included if and only if a non-null value was passed to the component
    * as an argument.
    *
    * E.g. `@autoPlay={{true}} @fit='both'` results in
@@ -47,22 +47,20 @@ export default class SessionRecordingPlayerAsciinemaPlayerComponent extends Comp
    */
   get options() {
     return this.supportedOptions.reduce((obj, key) => {
-      return this.args?.[key] !== undefined
-        ? { ...obj, [key]: this.args[key] }
-        : obj;
+      return this.args?.[key] != null ? { ...obj, [key]: this.args[key] } : obj;
     }, {});
   }
 
   /**
-   * Creates an AsciinemaPlayer within the passed `containerElement`.
+   * Creates an AsciinemaPlayer within the passed `containerElement`.  The
+   * player is passed to `@onCreate`, if given, so it can be controlled from
+   * outside, e.g. to read its current time.  The player is created again
+   * whenever its options change.
    */
-  initializePlayer = modifier((containerElement, _, { data }) => {
+  initializePlayer = modifier((containerElement, _, { data, options }) => {
     if (!data) return;
-    this.player = AsciinemaPlayer.create(
-      { data },
-      containerElement,
-      this.options,
-    );
+    this.player = AsciinemaPlayer.create({ data }, containerElement, options);
+    this.args.onCreate?.(this.player);
 
     return () => {
       this.player?.dispose();
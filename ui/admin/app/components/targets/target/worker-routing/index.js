@@ -0,0 +1,24 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+import Component from '@glimmer/component';
+import { explainWorkerFilter } from 'core/utils/worker-routing';
+
+/**
+ * Shows which workers a hop of a target routes through, by evaluating its
+ * worker filter against the workers, and why no worker matches if none
+ * does.  Takes the `@filter`, the `@hop`, `ingress` or `egress`, and the
+ * `@workers`, which are null when they couldn't be listed.
+ */
+export default class TargetsTargetWorkerRoutingComponent extends Component {
+  // =attributes
+
+  /**
+   * @type {object}
+   */
+  get explanation() {
+    return explainWorkerFilter(this.args.filter, this.args.workers ?? []);
+  }
+}
@@ -0,0 +1,103 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+import Component from '@glimmer/component';
+import { service } from '@ember/service';
+import { action } from '@ember/object';
+import { tracked } from '@glimmer/tracking';
+import { effectivePermissions } from 'api/utils/effective-permissions';
+
+/**
+ * Simulates what a user can do: a matrix of the resource types and actions
+ * the user is granted in each scope, with every permission traced back to
+ * the roles and grant strings that give it.
+ *
+ * Takes the `@model` of the user permissions route.  Permissions given
+ * through the user's groups and managed groups can be left out to see what
+ * the user is granted directly.
+ */
+export default class UsersUserPermissionsComponent extends Component {
+  // =services
+
+  @service intl;
+
+  // =attributes
+
+  @tracked includeGroups = true;
+
+  /**
+   * @type {{scopeIDs: [string], rows: [object]}}
+   */
+  get permissions() {
+    const { user, accounts, roles, scopes, groups, managedGroups } =
+      this.args.model;
+    return effectivePermissions({
+      roles,
+      scopes,
+      userID: user.id,
+      accountIDs: accounts.map(({ id }) => id),
+      groupIDs: this.includeGroups ? groups.map(({ id }) => id) : [],
+      managedGroupIDs: this.includeGroups
+        ? managedGroups.map(({ id }) => id)
+        : [],
+    });
+  }
+
+  /**
+   * Resource type and action columns, then one column per scope.
+   * @type {[object]}
+   */
+  get columns() {
+    const scopeColumns = this.permissions.scopeIDs.map((id) => {
+      const scope = this.args.model.scopes.find((scope) => scope.id === id);
+      return {
+        label:
+          id === 'global'
+            ? this.intl.t('titles.global')
+            : (scope?.displayName ?? id),
+      };
+    });
+    return [
+      { label: this.intl.t('resources.user.messages.permissions.type') },
+      { label: this.intl.t('resources.user.messages.permissions.action') },
+      ...scopeColumns,
+    ];
+  }
+
+  // =methods
+
+  /**
+   * Names of the principals a permission is given through.
+   * @param {[string]} principalIDs
+   * @return {string}
+   */
+  @action
+  principalNames(principalIDs) {
+    const { user, groups, managedGroups } = this.args.model;
+    return principalIDs
+      .map(
+        (id) =>
+          [user, ...groups, ...managedGroups].find(
+            (principal) => principal.id === id,
+          )?.displayName ?? id,
+      )
+      .join(', ');
+  }
+
+  /**
+   * @param {[string]} ids
+   * @return {string}
+   */
+  idList(ids) {
+    return ids.join(', ');
+  }
+
+  // =actions
+
+  @action
+  toggleGroups() {
+    this.includeGroups = !this.includeGroups;
+  }
+}
@@ -0,0 +1,112 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+import Component from '@glimmer/component';
+import { service } from '@ember/service';
+import { action } from '@ember/object';
+import { tracked } from '@glimmer/tracking';
+import {
+  BexprSyntaxError,
+  formatBexpr,
+  group,
+  parseBexpr,
+} from 'core/utils/bexpr';
+import { workerFilterMatcher } from 'api/utils/worker-filter';
+
+/**
+ * Builds a worker filter from nested and/or/not groups of conditions and
+ * previews which of the currently loaded workers match it.
+ */
+export default class WorkerFilterGeneratorExpressionBuilderComponent extends Component {
+  // =services
+
+  @service store;
+
+  // =attributes
+
+  @tracked tree = group();
+
+  /**
+   * Why the filter in the editor could not be loaded into the builder.
+   * @type {?BexprSyntaxError}
+   */
+  @tracked loadError = null;
+
+  /**
+   * @type {string}
+   */
+  get expression() {
+    return formatBexpr(this.tree);
+  }
+
+  /**
+   * @type {[WorkerModel]}
+   */
+  get workers() {
+    return this.store.peekAll('worker').filter((worker) => !worker.isNew);
+  }
+
+  /**
+   * Each loaded worker and whether it matches the expression.  Null when
+   * there is nothing to evaluate.
+   * @type {?[object]}
+   */
+  get preview() {
+    const matches = workerFilterMatcher(this.expression);
+    if (!matches) return null;
+    return this.workers.map((worker) => ({ worker, matches: matches(worker) }));
+  }
+
+  /**
+   * @type {[WorkerModel]}
+   */
+  get matchingWorkers() {
+    return (this.preview ?? [])
+      .filter(({ matches }) => matches)
+      .map(({ worker }) => worker);
+  }
+
+  // =methods
+
+  constructor() {
+    super(...arguments);
+    this.load();
+  }
+
+  // =actions
+
+  /**
+   * Loads the filter from the editor into the builder.  An invalid filter
+   * leaves the builder as it is.
+   */
+  @action
+  load() {
+    try {
+      const tree = parseBexpr(this.args.filter);
+      // The builder edits groups, so wrap a single condition
+      this.tree = tree.kind === 'group' ? tree : group('and', [tree]);
+      this.loadError = null;
+    } catch (error) {
+      if (!(error instanceof BexprSyntaxError)) throw error;
+      this.loadError = error;
+    }
+  }
+
+  /**
+   * @param {object} tree
+   */
+  @action
+  update(tree) {
+    this.tree = tree;
+  }
+
+  /**
+   * Replaces the filter in the editor with the built expression.
+   */
+  @action
+  apply() {
+    this.args.onApply(this.expression);
+  }
+}
@@ -0,0 +1,113 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+import Component from '@glimmer/component';
+import { action } from '@ember/object';
+import { OPERATORS, UNARY_OPERATORS, condition, group } from 'core/utils/bexpr';
+
+/**
+ * Edits one and/or group of a worker filter expression tree.  Nested groups
+ * render this component again.  Nodes are never mutated, every change calls
+ * `@onChange` with a new group.
+ */
+export default class WorkerFilterGeneratorExpressionGroupComponent extends Component {
+  // =attributes
+
+  operatorOptions = OPERATORS;
+
+  /**
+   * The children of the group with their kind flags for the template.
+   * @type {[object]}
+   */
+  get children() {
+    return this.args.group.children.map((node, index) => ({
+      node,
+      index,
+      isGroup: node.kind === 'group',
+      isUnary: UNARY_OPERATORS.includes(node.operator),
+    }));
+  }
+
+  // =methods
+
+  /**
+   * Calls `@onChange` with a copy of the group with `changes` applied.
+   * @param {object} changes
+   */
+  change(changes) {
+    this.args.onChange({ ...this.args.group, ...changes });
+  }
+
+  // =actions
+
+  /**
+   * @param {Event} event
+   */
+  @action
+  setLogic(event) {
+    this.change({ logic: event.target.value });
+  }
+
+  @action
+  toggleNegated() {
+    this.change({ negated: !this.args.group.negated });
+  }
+
+  @action
+  addCondition() {
+    this.change({ children: [...this.args.group.children, condition()] });
+  }
+
+  @action
+  addGroup() {
+    // Nesting a group with the same logic changes nothing, so use the other
+    const logic = this.args.group.logic === 'and' ? 'or' : 'and';
+    this.change({
+      children: [...this.args.group.children, group(logic, [condition()])],
+    });
+  }
+
+  /**
+   * @param {number} index
+   * @param {object} node
+   */
+  @action
+  updateChild(index, node) {
+    const children = [...this.args.group.children];
+    children[index] = node;
+    this.change({ children });
+  }
+
+  /**
+   * @param {number} index
+   */
+  @action
+  removeChild(index) {
+    this.change({
+      children: this.args.group.children.filter((_, i) => i !== index),
+    });
+  }
+
+  /**
+   * Sets the selector, operator or value of a condition.
+   * @param {number} index
+   * @param {string} field
+   * @param {Event} event
+   */
+  @action
+  updateCondition(index, field, event) {
+    const node = this.args.group.children[index];
+    this.updateChild(index, { ...node, [field]: event.target.value });
+  }
+
+  /**
+   * @param {number} index
+   */
+  @action
+  toggleConditionNegated(index) {
+    const node = this.args.group.children[index];
+    this.updateChild(index, { ...node, negated: !node.negated });
+  }
+}
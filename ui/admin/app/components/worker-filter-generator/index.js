@@ -4,14 +4,16 @@
  */
 
 import Component from '@glimmer/component';
-import { action } from '@ember/object';
+import { action, get } from '@ember/object';
 import { tracked } from '@glimmer/tracking';
+import { validateBexpr } from 'core/utils/bexpr';
 
 export default class WorkerFilterGeneratorIndexComponent extends Component {
   // =attributes
 
   generatorTagType = 'tag';
   generatorNameType = 'name';
+  generatorExpressionType = 'expression';
   operatorOptions = ['==', 'matches', 'contains'];
   @tracked showFilterGenerator = this.defaultShowFilterGenerator;
   @tracked selectedGeneratorType = this.generatorTagType;
@@ -26,6 +28,14 @@ export default class WorkerFilterGeneratorIndexComponent extends Component {
     return this.args.showFilterGenerator;
   }
 
+  /**
+   * The syntax error of the filter in the editor, if any.
+   * @type {?BexprSyntaxError}
+   */
+  get syntaxError() {
+    return validateBexpr(get(this.args.model, this.args.name) ?? '');
+  }
+
   /**
    * @return {string}
    */
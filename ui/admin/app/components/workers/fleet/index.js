@@ -0,0 +1,45 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+import Component from '@glimmer/component';
+import { STALE_AFTER } from 'api/utils/worker-fleet';
+
+/**
+ * Summarizes a fleet of workers by status, release version, type, address
+ * and tag, and warns about stale workers and version drift.
+ *
+ * Takes the `@fleet` summary of `workerFleet` and an `@onFilterTag` function
+ * called with the `{key, value}` of a tag value clicked to filter workers by.
+ */
+export default class WorkersFleetComponent extends Component {
+  // =attributes
+
+  /**
+   * Minutes without a status after which a worker is stale.
+   * @type {number}
+   */
+  staleMinutes = STALE_AFTER / 60000;
+
+  /**
+   * Display names of the stale workers.
+   * @type {string}
+   */
+  get staleWorkerNames() {
+    return this.args.fleet.staleWorkers
+      .map(({ displayName }) => displayName)
+      .join(', ');
+  }
+
+  /**
+   * Display names of the workers running an older release than the newest
+   * one in the fleet.
+   * @type {string}
+   */
+  get outdatedWorkerNames() {
+    return this.args.fleet.outdatedWorkers
+      .map(({ displayName }) => displayName)
+      .join(', ');
+  }
+}
@@ -0,0 +1,211 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+import Controller from '@ember/controller';
+import { service } from '@ember/service';
+import { action } from '@ember/object';
+import { tracked } from '@glimmer/tracking';
+import { loading } from 'ember-loading';
+import { validateGrant } from 'api/utils/grant-string';
+import { BULK_STATUS_COLORS, BULK_STATUS_ERROR } from 'api/utils/bulk-status';
+import {
+  BULK_OPERATIONS,
+  BULK_OPERATION_ADD,
+  BULK_TARGETS,
+  BULK_TARGET_GRANT,
+  applyBulkChange,
+  diffRoles,
+  planBulkChange,
+} from 'api/utils/role-diff';
+
+export default class ScopesScopeRolesCompareController extends Controller {
+  // =services
+
+  @service router;
+
+  // =attributes
+
+  queryParams = ['selected'];
+
+  /**
+   * IDs of the roles being compared and changed.
+   * @type {[string]}
+   */
+  @tracked selected = [];
+
+  @tracked onlyDifferences = false;
+
+  @tracked target = BULK_TARGET_GRANT;
+  @tracked operation = BULK_OPERATION_ADD;
+  @tracked value = '';
+
+  /**
+   * Results of the last bulk change, one per selected role.
+   * @type {?[object]}
+   */
+  @tracked results = null;
+
+  targets = BULK_TARGETS;
+  operations = BULK_OPERATIONS;
+
+  /**
+   * @type {object}
+   */
+  get diff() {
+    const diff = diffRoles(this.model.selectedRoles);
+    if (!this.onlyDifferences) return diff;
+    return Object.fromEntries(
+      Object.entries(diff).map(([key, rows]) => [
+        key,
+        rows.filter(({ isCommon }) => !isCommon),
+      ]),
+    );
+  }
+
+  /**
+   * True if the grant being added isn't a valid grant string.
+   * @type {boolean}
+   */
+  get isInvalidGrant() {
+    return (
+      this.target === BULK_TARGET_GRANT &&
+      this.operation === BULK_OPERATION_ADD &&
+      Boolean(this.value) &&
+      validateGrant(this.value).length > 0
+    );
+  }
+
+  /**
+   * The preview of the bulk change on each selected role.
+   * @type {[object]}
+   */
+  get plan() {
+    return planBulkChange(this.model.selectedRoles, this.change);
+  }
+
+  /**
+   * @type {boolean}
+   */
+  get cannotApply() {
+    return (
+      !this.value.trim() ||
+      this.isInvalidGrant ||
+      !this.plan.some(({ willChange }) => willChange)
+    );
+  }
+
+  /**
+   * Principal IDs to suggest: users and groups, and the principals of the
+   * selected roles.
+   * @type {[string]}
+   */
+  get principalSuggestions() {
+    const { users, groups, selectedRoles } = this.model;
+    return [
+      ...new Set([
+        ...users.map(({ id }) => id),
+        ...groups.map(({ id }) => id),
+        ...selectedRoles.flatMap((role) => role.principals.map(({ id }) => id)),
+      ]),
+    ];
+  }
+
+  /**
+   * Grant strings of the selected roles, to suggest.
+   * @type {[string]}
+   */
+  get grantSuggestions() {
+    return [
+      ...new Set(
+        this.model.selectedRoles.flatMap((role) => role.grant_strings),
+      ),
+    ];
+  }
+
+  /**
+   * @type {boolean}
+   */
+  get hasErrors() {
+    return this.results?.some(({ status }) => status === BULK_STATUS_ERROR);
+  }
+
+  /**
+   * @type {object}
+   */
+  get change() {
+    return {
+      target: this.target,
+      operation: this.operation,
+      value: this.value.trim(),
+    };
+  }
+
+  // =methods
+
+  /**
+   * Columns of a diff table: the compared value, then one per role.
+   * @param {string} title
+   * @return {[object]}
+   */
+  @action
+  diffColumns(title) {
+    return [
+      { label: title },
+      ...this.model.selectedRoles.map((role) => ({ label: role.displayName })),
+    ];
+  }
+
+  /**
+   * Principal types are spelled with a space by the API.
+   * @param {string} type
+   * @return {string}
+   */
+  principalType(type) {
+    return type.replace(' ', '-');
+  }
+
+  /**
+   * @param {string} status
+   * @return {string}
+   */
+  statusColor(status) {
+    return BULK_STATUS_COLORS[status];
+  }
+
+  // =actions
+
+  /**
+   * Updates the selected roles from the roles table.
+   * @param {object} selection
+   */
+  @action
+  selectionChange({ selectableRowsStates }) {
+    const selected = new Set(this.selected);
+    selectableRowsStates.forEach(({ isSelected, selectionKey }) => {
+      if (isSelected) selected.add(selectionKey);
+      else selected.delete(selectionKey);
+    });
+    this.selected = [...selected];
+    this.results = null;
+  }
+
+  @action
+  toggleOnlyDifferences() {
+    this.onlyDifferences = !this.onlyDifferences;
+  }
+
+  /**
+   * Applies the bulk change to every selected role it changes and keeps the
+   * result of each, then reloads the roles.
+   * @param {SubmitEvent} event
+   */
+  @action
+  @loading
+  async applyBulkChange(event) {
+    event?.preventDefault();
+    this.results = await applyBulkChange(this.plan, this.change);
+    await this.router.refresh('scopes.scope.roles.compare');
+  }
+}
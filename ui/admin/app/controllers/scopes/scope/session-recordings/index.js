@@ -9,14 +9,23 @@ import { action } from '@ember/object';
 import { service } from '@ember/service';
 import { assert } from '@ember/debug';
 import { restartableTask } from 'ember-concurrency';
+import { loading } from 'ember-loading';
+import { notifyError, notifySuccess } from 'core/decorators/notify';
 import FilterOptions from 'admin/utils/filter-options';
 
+/**
+ * The most matching lines shown for each session recording.
+ */
+export const MAX_MATCHES = 3;
+
 export default class ScopesScopeSessionRecordingsIndexController extends Controller {
   // =services
 
   @service store;
+  @service router;
   @service intl;
   @service db;
+  @service recordingIndex;
 
   // =attributes
 
@@ -197,6 +206,42 @@ export default class ScopesScopeSessionRecordingsIndexController extends Control
     return org.displayName;
   }
 
+  /**
+   * Returns the first lines of terminal output and input of a session
+   * recording that match the search, and how many more there are.
+   * @param {string} id
+   * @returns {?{lines: [object], more: number}}
+   */
+  @action
+  matchesFor(id) {
+    const lines = this.model.matches?.get(id);
+    if (!lines?.length) return null;
+    return {
+      lines: lines.slice(0, MAX_MATCHES).map((line) => ({
+        ...line,
+        duration: line.startAt * 1000,
+      })),
+      more: Math.max(lines.length - MAX_MATCHES, 0),
+    };
+  }
+
+  /**
+   * Indexes the terminal output and input of the listed session recordings
+   * that aren't indexed yet, so they can be searched, and reloads the list.
+   */
+  @action
+  @loading
+  @notifyError(({ message }) => message, { catch: true })
+  @notifySuccess('resources.session-recording.search.indexed')
+  async indexRecordings() {
+    const { errors } = await this.recordingIndex.indexSessionRecordings(
+      this.model.sessionRecordings,
+    );
+    this.refresh();
+    // Recordings that failed to index are left out, but still reported
+    if (errors.length) throw errors[0];
+  }
+
   /**
    * Handles input on each keystroke and the search queryParam
    * @param {object} event
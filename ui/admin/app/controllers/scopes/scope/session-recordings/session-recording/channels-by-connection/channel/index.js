@@ -0,0 +1,114 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+import Controller from '@ember/controller';
+import { tracked } from '@glimmer/tracking';
+import { action } from '@ember/object';
+import { service } from '@ember/service';
+import { transcriptHTML, transcriptText } from 'api/utils/transcript';
+import { downloadFile } from 'core/utils/download-file';
+
+export default class ScopesScopeSessionRecordingsSessionRecordingChannelsByConnectionChannelIndexController extends Controller {
+  // =services
+
+  @service intl;
+  @service recordingAnnotations;
+  @service('browser/document') document;
+  @service('browser/window') window;
+
+  // =attributes
+
+  queryParams = ['startAt'];
+
+  /**
+   * Second of the recording to start playing at, e.g. when linked from a
+   * search match.
+   * @type {?number}
+   */
+  @tracked startAt = null;
+
+  /**
+   * The AsciinemaPlayer the channel is played in, once created.
+   * @type {?object}
+   */
+  player = null;
+
+  /**
+   * The annotations of the channel as markers of the player, labeled with
+   * their text or else their type.
+   * @type {[[number, string]]}
+   */
+  get markers() {
+    return this.recordingAnnotations
+      .annotationsFor(this.model.channelRecording.id)
+      .map(({ time, type, text }) => [
+        time,
+        text ||
+          this.intl.t(`resources.session-recording.annotations.types.${type}`),
+      ]);
+  }
+
+  // =actions
+
+  /**
+   * @param {object} player
+   */
+  @action
+  setPlayer(player) {
+    this.player = player;
+  }
+
+  /**
+   * Returns the current time of the player in seconds.
+   * @return {Promise<number>}
+   */
+  @action
+  async currentTime() {
+    return (await this.player?.getCurrentTime()) ?? 0;
+  }
+
+  /**
+   * Plays the channel from a time.  The player is created again at that time.
+   * @param {number} time
+   */
+  @action
+  seek(time) {
+    this.startAt = Math.floor(time);
+  }
+
+  /**
+   * Downloads a plain text transcript of the channel.
+   */
+  @action
+  downloadTranscript() {
+    const { channelRecording, asciicast } = this.model;
+    downloadFile(
+      this,
+      transcriptText(asciicast),
+      `${channelRecording.id}-transcript.txt`,
+      'text/plain',
+    );
+  }
+
+  /**
+   * Downloads a transcript of the channel as an HTML page, which keeps the
+   * colors of the terminal and the times of commands.
+   */
+  @action
+  downloadTranscriptHTML() {
+    const { channelRecording, asciicast } = this.model;
+    downloadFile(
+      this,
+      transcriptHTML(asciicast, {
+        title: this.intl.t('resources.session-recording.transcript.title', {
+          id: channelRecording.id,
+        }),
+        searchLabel: this.intl.t('actions.search'),
+      }),
+      `${channelRecording.id}-transcript.html`,
+      'text/html',
+    );
+  }
+}
@@ -0,0 +1,153 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+import Controller from '@ember/controller';
+import { service } from '@ember/service';
+import { action } from '@ember/object';
+import { tracked } from '@glimmer/tracking';
+import { loading } from 'ember-loading';
+import { BULK_STATUS_COLORS, BULK_STATUS_ERROR } from 'api/utils/bulk-status';
+import {
+  BULK_TAGS_ADD,
+  BULK_TAGS_OPERATIONS,
+  applyBulkTags,
+  bulkTagsFilterImpact,
+  parseTags,
+  planBulkTags,
+} from 'api/utils/worker-tags';
+
+export default class ScopesScopeWorkersBulkTagsController extends Controller {
+  // =services
+
+  @service router;
+
+  // =attributes
+
+  queryParams = ['selected'];
+
+  /**
+   * IDs of the workers being changed.
+   * @type {[string]}
+   */
+  @tracked selected = [];
+
+  @tracked operation = BULK_TAGS_ADD;
+
+  /**
+   * Tags to change, as `key=value` pairs.
+   * @type {string}
+   */
+  @tracked value = '';
+
+  /**
+   * Results of the last bulk change, one per selected worker.
+   * @type {?[object]}
+   */
+  @tracked results = null;
+
+  operations = BULK_TAGS_OPERATIONS;
+
+  /**
+   * @type {{tags: object, invalid: [string]}}
+   */
+  get parsedTags() {
+    return parseTags(this.value);
+  }
+
+  /**
+   * @type {object}
+   */
+  get change() {
+    return { operation: this.operation, tags: this.parsedTags.tags };
+  }
+
+  /**
+   * The preview of the bulk change on each selected worker.
+   * @type {[object]}
+   */
+  get plan() {
+    return planBulkTags(this.model.workers, this.change);
+  }
+
+  /**
+   * Target worker filters whose matching workers the change alters.
+   * @type {[object]}
+   */
+  get filterImpact() {
+    if (!this.model.targets) return [];
+    return bulkTagsFilterImpact(this.model.targets, this.plan);
+  }
+
+  /**
+   * True when the change alters workers but targets couldn't be listed to
+   * check it against their worker filters.
+   * @type {boolean}
+   */
+  get filterImpactUnchecked() {
+    return (
+      !this.model.targets && this.plan.some(({ willChange }) => willChange)
+    );
+  }
+
+  /**
+   * @type {boolean}
+   */
+  get cannotApply() {
+    return (
+      !Object.keys(this.change.tags).length ||
+      this.parsedTags.invalid.length > 0 ||
+      !this.plan.some(({ willChange }) => willChange)
+    );
+  }
+
+  /**
+   * @type {boolean}
+   */
+  get hasErrors() {
+    return this.results?.some(({ status }) => status === BULK_STATUS_ERROR);
+  }
+
+  // =methods
+
+  /**
+   * Build the display name for a worker tag
+   * @param {object} tag
+   * @returns {string}
+   */
+  tagDisplayName(tag) {
+    return `${tag.key} = ${tag.value}`;
+  }
+
+  /**
+   * @param {[WorkerModel]} workers
+   * @return {string}
+   */
+  workerNames(workers) {
+    return workers.map(({ displayName }) => displayName).join(', ');
+  }
+
+  /**
+   * @param {string} status
+   * @return {string}
+   */
+  statusColor(status) {
+    return BULK_STATUS_COLORS[status];
+  }
+
+  // =actions
+
+  /**
+   * Applies the bulk change to every selected worker it changes and keeps
+   * the result of each, then reloads the workers.
+   * @param {SubmitEvent} event
+   */
+  @action
+  @loading
+  async applyBulkTags(event) {
+    event?.preventDefault();
+    this.results = await applyBulkTags(this.plan, this.change);
+    await this.router.refresh('scopes.scope.workers');
+  }
+}
@@ -10,6 +10,7 @@ import { loading } from 'ember-loading';
 import { tracked } from '@glimmer/tracking';
 import { confirm } from 'core/decorators/confirm';
 import { notifySuccess, notifyError } from 'core/decorators/notify';
+import { workerFleet } from 'api/utils/worker-fleet';
 
 export default class ScopesScopeWorkersIndexController extends Controller {
   // =services
@@ -23,6 +24,12 @@ export default class ScopesScopeWorkersIndexController extends Controller {
   @tracked selectedWorker;
   @tracked tags = [];
 
+  /**
+   * IDs of the workers selected for bulk tag changes.
+   * @type {[string]}
+   */
+  @tracked selected = [];
+
   queryParams = [{ tags: { type: 'array' } }];
 
   /**
@@ -72,6 +79,15 @@ export default class ScopesScopeWorkersIndexController extends Controller {
     };
   }
 
+  /**
+   * Returns the fleet summary of the listed workers, by status, release
+   * version, type, address and tag.
+   * @type {object}
+   */
+  get fleet() {
+    return workerFleet(this.model);
+  }
+
   /**
    * If can list (at least): return default welcome message.
    * If can create (only): return create-but-not-list welcome message.
@@ -126,6 +142,35 @@ export default class ScopesScopeWorkersIndexController extends Controller {
     this[paramKey] = [...selectedItems];
   }
 
+  /**
+   * Adds a tag to the tags filter.  A tag set both in the config and through
+   * the API has an option of each type, and both are selected.
+   * @param {object} tag
+   * @param {string} tag.key
+   * @param {string} tag.value
+   */
+  @action
+  filterByTag({ key, value }) {
+    const ids = this.workerTagOptions
+      .filter((option) => option.key === key && option.name === value)
+      .map(({ id }) => id);
+    this.tags = [...new Set([...this.tags, ...ids])];
+  }
+
+  /**
+   * Updates the workers selected for bulk tag changes from the table.
+   * @param {object} selection
+   */
+  @action
+  selectionChange({ selectableRowsStates }) {
+    const selected = new Set(this.selected);
+    selectableRowsStates.forEach(({ isSelected, selectionKey }) => {
+      if (isSelected) selected.add(selectionKey);
+      else selected.delete(selectionKey);
+    });
+    this.selected = [...selected];
+  }
+
   /**
    * Toggle the tags flyout to display or hide the tags of a worker.
    * @param {object} selectedWorker
@@ -35,6 +35,7 @@ Router.map(function () {
         this.route('user', { path: ':user_id' }, function () {
           this.route('accounts');
           this.route('add-accounts');
+          this.route('permissions');
         });
         this.route('new');
       });
@@ -59,6 +60,7 @@ Router.map(function () {
           });
         });
         this.route('new');
+        this.route('compare');
       });
 
       this.route('auth-methods', function () {
@@ -158,6 +160,7 @@ Router.map(function () {
       });
       this.route('workers', function () {
         this.route('new');
+        this.route('bulk-tags');
         this.route('worker', { path: ':worker_id' }, function () {
           this.route('tags');
           this.route('create-tags');
@@ -6,11 +6,13 @@
 import Route from '@ember/routing/route';
 import { service } from '@ember/service';
 import { TYPE_POLICY } from 'api/models/policy';
+import { loadRetentionPreview } from 'admin/utils/retention-preview';
 
 export default class ScopesScopeAddStoragePolicyCreateRoute extends Route {
   // =services
 
   @service store;
+  @service can;
 
   // =methods
 
@@ -27,4 +29,25 @@ export default class ScopesScopeAddStoragePolicyCreateRoute extends Route {
     record.scopeModel = scopeModel;
     return record;
   }
+
+  /**
+   * Loads the session recordings and parent policy to preview the new
+   * policy with.
+   */
+  async afterModel() {
+    this.retentionPreview = await loadRetentionPreview(
+      this.store,
+      this.can,
+      this.modelFor('scopes.scope'),
+    );
+  }
+
+  /**
+   * Adds `retentionPreview` to the context.
+   * @param {Controller} controller
+   */
+  setupController(controller) {
+    super.setupController(...arguments);
+    controller.set('retentionPreview', this.retentionPreview);
+  }
 }
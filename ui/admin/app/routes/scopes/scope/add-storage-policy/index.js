@@ -5,22 +5,27 @@
 
 import Route from '@ember/routing/route';
 import { service } from '@ember/service';
+import { loadRetentionPreview } from 'admin/utils/retention-preview';
 
 export default class ScopesScopeAddStoragePolicyIndexRoute extends Route {
   // =services
   @service store;
   @service router;
+  @service can;
 
   // =methods
 
   /**
-   * Load policies from current scope
+   * Load policies from current scope, and the session recordings and parent
+   * policy to preview them with.
    * @param {Model} model
    */
   async afterModel() {
-    const { id: scope_id } = this.modelFor('scopes.scope');
+    const scope = this.modelFor('scopes.scope');
+    const { id: scope_id } = scope;
     const currentScopePolicies = await this.store.query('policy', {
       scope_id,
+      query: { filters: { scope_id: [{ equals: scope_id }] } },
     });
 
     if (scope_id === 'global') {
@@ -30,18 +35,26 @@ export default class ScopesScopeAddStoragePolicyIndexRoute extends Route {
       // Org scope should list both global and org scope policies
       const globalScopePolicies = await this.store.query('policy', {
         scope_id: 'global',
+        query: { filters: { scope_id: [{ equals: 'global' }] } },
       });
 
       this.policyList = [...globalScopePolicies, ...currentScopePolicies];
     }
+
+    this.retentionPreview = await loadRetentionPreview(
+      this.store,
+      this.can,
+      scope,
+    );
   }
 
   /**
-   * Adds `policyList` to the context.
+   * Adds `policyList` and `retentionPreview` to the context.
    * @param {Controller} controller
    */
   setupController(controller) {
     super.setupController(...arguments);
     controller.set('policyList', this.policyList);
+    controller.set('retentionPreview', this.retentionPreview);
   }
 }
@@ -28,7 +28,10 @@ export default class ScopesScopeAuthMethodsAuthMethodAccountsRoute extends Route
         collection: 'accounts',
       })
     ) {
-      accounts = await this.store.query('account', { auth_method_id });
+      accounts = await this.store.query('account', {
+        auth_method_id,
+        query: { filters: { auth_method_id: [{ equals: auth_method_id }] } },
+      });
     }
 
     return {
@@ -29,6 +29,7 @@ export default class ScopesScopeAuthMethodsAuthMethodManagedGroupsRoute extends
     if (canListManagedGroups) {
       managedGroups = await this.store.query('managed-group', {
         auth_method_id,
+        query: { filters: { auth_method_id: [{ equals: auth_method_id }] } },
       });
     }
 
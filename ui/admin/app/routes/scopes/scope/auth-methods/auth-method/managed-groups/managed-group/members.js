@@ -9,7 +9,7 @@ import { service } from '@ember/service';
 export default class ScopesScopeAuthMethodsAuthMethodManagedGroupsManagedGroupMembersRoute extends Route {
   // =services
 
-  @service resourceFilterStore;
+  @service store;
 
   // =methods
 
@@ -26,11 +26,15 @@ export default class ScopesScopeAuthMethodsAuthMethodManagedGroupsManagedGroupMe
     return {
       managedGroup,
       members: member_ids?.length
-        ? await this.resourceFilterStore.queryBy(
-            'account',
-            { id: member_ids },
-            { auth_method_id },
-          )
+        ? await this.store.query('account', {
+            auth_method_id,
+            query: {
+              filters: {
+                auth_method_id: [{ equals: auth_method_id }],
+                id: member_ids.map((id) => ({ equals: id })),
+              },
+            },
+          })
         : [],
     };
   }
@@ -28,7 +28,12 @@ export default class ScopesScopeCredentialStoresCredentialStoreCredentialLibrari
         collection: 'credential-libraries',
       })
     ) {
-      return this.store.query('credential-library', { credential_store_id });
+      return this.store.query('credential-library', {
+        credential_store_id,
+        query: {
+          filters: { credential_store_id: [{ equals: credential_store_id }] },
+        },
+      });
     }
   }
 }
@@ -28,7 +28,12 @@ export default class ScopesScopeCredentialStoresCredentialStoreCredentialsRoute
         collection: 'credentials',
       })
     ) {
-      return this.store.query('credential', { credential_store_id });
+      return this.store.query('credential', {
+        credential_store_id,
+        query: {
+          filters: { credential_store_id: [{ equals: credential_store_id }] },
+        },
+      });
     }
   }
 }
@@ -30,7 +30,10 @@ export default class ScopesScopeHostCatalogsHostCatalogHostSetsRoute extends Rou
         collection: 'host-sets',
       })
     ) {
-      hostSets = await this.store.query('host-set', { host_catalog_id });
+      hostSets = await this.store.query('host-set', {
+        host_catalog_id,
+        query: { filters: { host_catalog_id: [{ equals: host_catalog_id }] } },
+      });
     }
 
     return {
@@ -35,7 +35,10 @@ export default class ScopesScopeHostCatalogsHostCatalogHostSetsHostSetAddHostsRo
       hostSet: this.modelFor(
         'scopes.scope.host-catalogs.host-catalog.host-sets.host-set',
       ),
-      hosts: this.store.query('host', { host_catalog_id }),
+      hosts: this.store.query('host', {
+        host_catalog_id,
+        query: { filters: { host_catalog_id: [{ equals: host_catalog_id }] } },
+      }),
     });
   }
 }
@@ -30,7 +30,10 @@ export default class ScopesScopeHostCatalogsHostCatalogHostsRoute extends Route
         collection: 'hosts',
       })
     ) {
-      hosts = await this.store.query('host', { host_catalog_id });
+      hosts = await this.store.query('host', {
+        host_catalog_id,
+        query: { filters: { host_catalog_id: [{ equals: host_catalog_id }] } },
+      });
     }
 
     return {
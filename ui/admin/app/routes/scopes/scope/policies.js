@@ -36,7 +36,10 @@ export default class ScopesScopePoliciesRoute extends Route {
         collection: 'policies',
       })
     ) {
-      return this.store.query('policy', { scope_id });
+      return this.store.query('policy', {
+        scope_id,
+        query: { filters: { scope_id: [{ equals: scope_id }] } },
+      });
     }
   }
 }
@@ -0,0 +1,55 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+import Route from '@ember/routing/route';
+import { service } from '@ember/service';
+import { all } from 'rsvp';
+
+export default class ScopesScopeRolesCompareRoute extends Route {
+  // =attributes
+
+  queryParams = {
+    selected: {
+      refreshModel: true,
+      replace: true,
+    },
+  };
+
+  // =services
+
+  @service store;
+
+  // =methods
+
+  /**
+   * Loads the roles in this scope and its descendants, and reads the
+   * selected roles, since list responses leave out principals and grants.
+   * Users and groups are loaded to suggest principals.
+   * @param {object} params
+   * @param {[string]} params.selected
+   * @return {Promise{object}}
+   */
+  async model({ selected = [] }) {
+    const { id: scope_id } = this.modelFor('scopes.scope');
+    const [roles, users, groups] = await all([
+      this.store.query('role', { scope_id, recursive: true }),
+      this.store.query('user', { scope_id, recursive: true }),
+      this.store.query('group', { scope_id, recursive: true }),
+    ]);
+    const selectedRoles = await all(
+      selected.map((id) => this.store.findRecord('role', id, { reload: true })),
+    );
+    return { roles, selectedRoles, users, groups };
+  }
+
+  /**
+   * Clears results of bulk changes made before leaving the route.
+   * @param {Controller} controller
+   * @param {boolean} isExiting
+   */
+  resetController(controller, isExiting) {
+    if (isExiting) controller.results = null;
+  }
+}
@@ -71,7 +71,10 @@ export default class ScopesScopeRolesRoleAddPrincipalsRoute extends Route {
     //query all the managed groups for each auth method id
     const managedGroups = await Promise.all(
       authMethods.map(({ id: auth_method_id }) =>
-        this.store.query('managed-group', { auth_method_id }),
+        this.store.query('managed-group', {
+          auth_method_id,
+          query: { filters: { auth_method_id: [{ equals: auth_method_id }] } },
+        }),
       ),
     );
 
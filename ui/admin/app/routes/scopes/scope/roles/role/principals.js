@@ -14,7 +14,6 @@ export default class ScopesScopeRolesRolePrincipalsRoute extends Route {
   // =services
 
   @service store;
-  @service resourceFilterStore;
 
   // =methods
 
@@ -99,15 +98,17 @@ export default class ScopesScopeRolesRolePrincipalsRoute extends Route {
           },
         },
       });
-      // TODO: Refactor to directly use store service
-      // and add managed-group to sqlite.
       const nestedManagedGroups = await Promise.all(
         authMethods.map(({ id: auth_method_id }) =>
-          this.resourceFilterStore.queryBy(
-            'managed-group',
-            { id: ids },
-            { auth_method_id },
-          ),
+          this.store.query('managed-group', {
+            auth_method_id,
+            query: {
+              filters: {
+                auth_method_id: [{ equals: auth_method_id }],
+                id: ids.map((id) => ({ equals: id })),
+              },
+            },
+          }),
         ),
       );
       managedGroups = nestedManagedGroups.flat();
@@ -18,6 +18,7 @@ export default class ScopesScopeSessionRecordingsIndexRoute extends Route {
   @service router;
   @service can;
   @service intl;
+  @service recordingIndex;
 
   // =attributes
 
@@ -60,7 +61,7 @@ export default class ScopesScopeSessionRecordingsIndexRoute extends Route {
 
   /**
    * Load all session recordings.
-   * @return {Promise<{ totalItems: number, sessionRecordings: [SessionRecordingModel], doSessionRecordingsExist: boolean, doStorageBucketsExist: boolean }>}
+   * @return {Promise<{ totalItems: number, sessionRecordings: [SessionRecordingModel], matches: Map<string, [object]>, doSessionRecordingsExist: boolean, doStorageBucketsExist: boolean }>}
    */
   async model(params) {
     const useDebounce =
@@ -128,10 +129,21 @@ export default class ScopesScopeSessionRecordingsIndexRoute extends Route {
           collection: 'session-recordings',
         })
       ) {
+        // Also match the indexed terminal output and input of recordings
+        const searchOptions = {
+          text: search,
+          relatedSearches: [
+            {
+              resource: 'recording-line',
+              fields: ['text'],
+              join: { joinOn: 'session_recording_id' },
+            },
+          ],
+        };
         const queryOptions = {
           scope_id,
           recursive: true,
-          query: { search, filters, sort },
+          query: { search: searchOptions, filters, sort },
           page,
           pageSize,
         };
@@ -140,6 +152,12 @@ export default class ScopesScopeSessionRecordingsIndexRoute extends Route {
           'session-recording',
           queryOptions,
         );
+        const matches = this.recordingIndex.isAvailable
+          ? await this.recordingIndex.search(
+              search,
+              sessionRecordings.map(({ id }) => id),
+            )
+          : new Map();
         totalItems = sessionRecordings.meta?.totalItems;
         doSessionRecordingsExist = await this.getDoSessionRecordingsExist(
           scope_id,
@@ -149,6 +167,7 @@ export default class ScopesScopeSessionRecordingsIndexRoute extends Route {
 
         return {
           sessionRecordings,
+          matches,
           doSessionRecordingsExist: doSessionRecordingsExist,
           totalItems,
           doStorageBucketsExist: doStorageBucketsExist,
@@ -11,6 +11,7 @@ export default class ScopesScopeSessionRecordingsSessionRecordingChannelsByConne
   @service can;
   @service flashMessages;
   @service intl;
+  @service recordingIndex;
 
   // =methods
   /**
@@ -37,6 +38,19 @@ export default class ScopesScopeSessionRecordingsSessionRecordingChannelsByConne
       }
     }
 
+    if (asciicast && this.recordingIndex.isAvailable) {
+      try {
+        // Index the downloaded channel so its terminal output can be searched.
+        // Recordings don't change, so a channel is only indexed once.
+        const { id } = channelRecording;
+        if (!(await this.recordingIndex.isChannelIndexed(id))) {
+          await this.recordingIndex.indexChannel(channelRecording, asciicast);
+        }
+      } catch {
+        // Searching is best effort and must not prevent playback
+      }
+    }
+
     return {
       channelRecording,
       sessionRecording,
@@ -39,7 +39,12 @@ export default class ScopesScopeTargetsTargetAddHostSourcesRoute extends Route {
     //  we upgrade ember data to try to fix the issue.
     await Promise.all(
       hostCatalogs.map(({ id: host_catalog_id }) => {
-        this.store.query('host-set', { host_catalog_id });
+        this.store.query('host-set', {
+          host_catalog_id,
+          query: {
+            filters: { host_catalog_id: [{ equals: host_catalog_id }] },
+          },
+        });
       }),
     );
     const hostSets = this.store.peekAll('host-set');
@@ -43,10 +43,20 @@ export default class ScopesScopeTargetsTargetAddInjectedApplicationCredentialSou
         if (isStatic) {
           this.store.query('credential', {
             credential_store_id,
+            query: {
+              filters: {
+                credential_store_id: [{ equals: credential_store_id }],
+              },
+            },
           });
         } else {
           this.store.query('credential-library', {
             credential_store_id,
+            query: {
+              filters: {
+                credential_store_id: [{ equals: credential_store_id }],
+              },
+            },
           });
         }
       }),
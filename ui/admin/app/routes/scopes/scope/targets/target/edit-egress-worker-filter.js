@@ -4,5 +4,30 @@
  */
 
 import Route from '@ember/routing/route';
+import { service } from '@ember/service';
+import { loadFilterWorkers } from 'admin/utils/filter-workers';
 
-export default class ScopesScopeTargetsTargetEditEgressWorkerFilterRoute extends Route {}
+export default class ScopesScopeTargetsTargetEditEgressWorkerFilterRoute extends Route {
+  // =services
+
+  @service store;
+  @service can;
+
+  // =methods
+
+  /**
+   * Load workers to show which of them the edited egress filter matches.
+   */
+  async afterModel() {
+    this.workers = await loadFilterWorkers(this.store, this.can);
+  }
+
+  /**
+   * Adds `workers` to the context.
+   * @param {Controller} controller
+   */
+  setupController(controller) {
+    super.setupController(...arguments);
+    controller.set('workers', this.workers);
+  }
+}
@@ -23,11 +23,13 @@ export default class ScopesScopeTargetsTargetEnableSessionRecordingIndexRoute ex
     //fetch storage buckets from global scope
     const globalScopeStorageBuckets = await this.store.query('storage-bucket', {
       scope_id: 'global',
+      query: { filters: { scope_id: [{ equals: 'global' }] } },
     });
 
     //fetch storage buckets from target's parent's scope
     const orgScopeStorageBuckets = await this.store.query('storage-bucket', {
       scope_id,
+      query: { filters: { scope_id: [{ equals: scope_id }] } },
     });
 
     const storageBucketList = [
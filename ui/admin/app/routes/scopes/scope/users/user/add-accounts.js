@@ -33,7 +33,10 @@ export default class ScopesScopeUsersUserAddAccountsRoute extends Route {
     });
     await Promise.all(
       authMethods.map(({ id: auth_method_id }) =>
-        this.store.query('account', { auth_method_id }),
+        this.store.query('account', {
+          auth_method_id,
+          query: { filters: { auth_method_id: [{ equals: auth_method_id }] } },
+        }),
       ),
     );
     const accounts = this.store.peekAll('account');
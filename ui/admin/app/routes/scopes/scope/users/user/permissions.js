@@ -0,0 +1,105 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+import Route from '@ember/routing/route';
+import { service } from '@ember/service';
+import {
+  TYPE_AUTH_METHOD_OIDC,
+  TYPE_AUTH_METHOD_LDAP,
+} from 'api/models/auth-method';
+
+export default class ScopesScopeUsersUserPermissionsRoute extends Route {
+  // =services
+
+  @service store;
+
+  // =methods
+
+  /**
+   * Loads everything needed to compute the effective permissions of this
+   * user: every role and scope, and the groups and managed groups the user
+   * is a member of.
+   * @return {Promise{object}}
+   */
+  async model() {
+    const { id: scopeID } = this.modelFor('scopes.scope');
+    const user = this.modelFor('scopes.scope.users.user');
+    const recursive = { scope_id: 'global', recursive: true };
+    const responses = await Promise.allSettled([
+      this.store.query('scope', recursive),
+      this.store.query('role', recursive),
+      this.store.query('group', recursive),
+      ...user.account_ids.map((id) =>
+        this.store.findRecord('account', id, { adapterOptions: { scopeID } }),
+      ),
+    ]);
+    // Resources we can't read, e.g. for lack of permissions, are skipped
+    const [scopes = [], roles = [], groups = [], ...accounts] = responses.map(
+      ({ status, value }) => (status === 'fulfilled' ? value : undefined),
+    );
+    const readableAccounts = accounts.filter(Boolean);
+    const managedGroups = await this.getManagedGroups(readableAccounts);
+
+    return {
+      user,
+      accounts: readableAccounts,
+      roles,
+      scopes: this.sortScopes(scopes),
+      groups: groups.filter(({ member_ids }) => member_ids.includes(user.id)),
+      managedGroups,
+    };
+  }
+
+  /**
+   * Retrieves the managed groups any of the accounts is a member of.
+   * @param {[AccountModel]} accounts
+   * @return {Promise[ManagedGroupModel]}
+   */
+  async getManagedGroups(accounts) {
+    const accountIDs = accounts.map(({ id }) => id);
+    const authMethodIDs = [
+      ...new Set(
+        accounts
+          .filter(({ type }) =>
+            [TYPE_AUTH_METHOD_OIDC, TYPE_AUTH_METHOD_LDAP].includes(type),
+          )
+          .map(({ auth_method_id }) => auth_method_id),
+      ),
+    ];
+    const responses = await Promise.allSettled(
+      authMethodIDs.map((auth_method_id) =>
+        this.store.query('managed-group', {
+          auth_method_id,
+          query: { filters: { auth_method_id: [{ equals: auth_method_id }] } },
+        }),
+      ),
+    );
+    // Auth methods whose managed groups we can't list are skipped
+    return responses
+      .filter(({ status }) => status === 'fulfilled')
+      .flatMap(({ value }) => [...value])
+      .filter(({ member_ids }) =>
+        member_ids.some((id) => accountIDs.includes(id)),
+      );
+  }
+
+  /**
+   * Orders scopes like the scope tree: global first, then each org followed
+   * by its projects.  Global is included as a plain object, since it may not
+   * be loaded.
+   * @param {[ScopeModel]} scopes
+   * @return {[object]}
+   */
+  sortScopes(scopes) {
+    const orgs = scopes.filter(({ isOrg }) => isOrg);
+    return [
+      { id: 'global' },
+      ...orgs.flatMap((org) => [
+        org,
+        ...scopes.filter(({ scopeID }) => scopeID === org.id),
+      ]),
+    ];
+  }
+}
@@ -0,0 +1,51 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+import Route from '@ember/routing/route';
+import { service } from '@ember/service';
+
+export default class ScopesScopeWorkersBulkTagsRoute extends Route {
+  // =attributes
+
+  queryParams = {
+    selected: {
+      refreshModel: true,
+      replace: true,
+    },
+  };
+
+  // =services
+
+  @service store;
+
+  // =methods
+
+  /**
+   * Loads the selected workers, and every target so the change can be
+   * checked against their worker filters.  Targets are null when they can't
+   * be listed, e.g. for lack of permissions, so the change can't be checked.
+   * @param {object} params
+   * @param {[string]} params.selected
+   * @return {Promise{object}}
+   */
+  async model({ selected = [] }) {
+    const workers = (this.modelFor('scopes.scope.workers') ?? []).filter(
+      ({ id }) => selected.includes(id),
+    );
+    const targets = await this.store
+      .query('target', { scope_id: 'global', recursive: true })
+      .catch(() => null);
+    return { workers, targets };
+  }
+
+  /**
+   * Clears results of bulk changes made before leaving the route.
+   * @param {Controller} controller
+   * @param {boolean} isExiting
+   */
+  resetController(controller, isExiting) {
+    if (isExiting) controller.results = null;
+  }
+}
@@ -56,6 +56,7 @@ export default class ScopesScopeWorkersIndexRoute extends Route {
     if (isExiting) {
       controller.setProperties({
         selectedWorker: null,
+        selected: [],
       });
     }
   }
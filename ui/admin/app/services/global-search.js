@@ -0,0 +1,333 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+import Service, { service } from '@ember/service';
+import { get } from '@ember/object';
+import { modelMapping } from 'api/services/sqlite';
+import {
+  GLOBAL_SEARCH_COLUMNS,
+  generateGlobalSearchSQL,
+} from 'api/utils/sqlite-query';
+
+/**
+ * Maximum number of results per resource type.
+ * @type {number}
+ */
+export const RESULT_LIMIT = 5;
+
+/**
+ * Lists covering every scope, the only ones a global search can rely on.
+ * @type {object}
+ */
+const ALL_SCOPES = { scope_id: 'global', recursive: true };
+
+/**
+ * Resources found by the global search.  `route` is the detail route of the
+ * resource and `label` the translation key of its group.  Resources with a
+ * `fallback` are searched through the API when they aren't cached yet.
+ * Nested resources can only be listed per parent, so they have no fallback.
+ */
+export const SEARCHABLE_RESOURCES = {
+  scope: {
+    route: 'scopes.scope',
+    label: 'resources.scope.title_plural',
+    fallback: true,
+  },
+  target: {
+    route: 'scopes.scope.targets.target',
+    label: 'resources.target.title_plural',
+    fallback: true,
+  },
+  alias: {
+    route: 'scopes.scope.aliases.alias',
+    label: 'resources.alias.title_plural',
+    fallback: true,
+  },
+  user: {
+    route: 'scopes.scope.users.user',
+    label: 'resources.user.title_plural',
+    fallback: true,
+  },
+  group: {
+    route: 'scopes.scope.groups.group',
+    label: 'resources.group.title_plural',
+    fallback: true,
+  },
+  role: {
+    route: 'scopes.scope.roles.role',
+    label: 'resources.role.title_plural',
+    fallback: true,
+  },
+  'auth-method': {
+    route: 'scopes.scope.auth-methods.auth-method',
+    label: 'resources.auth-method.title_plural',
+    fallback: true,
+  },
+  account: {
+    route: 'scopes.scope.auth-methods.auth-method.accounts.account',
+    label: 'resources.account.title_plural',
+  },
+  'managed-group': {
+    route: 'scopes.scope.auth-methods.auth-method.managed-groups.managed-group',
+    label: 'resources.managed-group.title_plural',
+  },
+  'host-catalog': {
+    route: 'scopes.scope.host-catalogs.host-catalog',
+    label: 'resources.host-catalog.title_plural',
+    fallback: true,
+  },
+  host: {
+    route: 'scopes.scope.host-catalogs.host-catalog.hosts.host',
+    label: 'resources.host.title_plural',
+  },
+  'host-set': {
+    route: 'scopes.scope.host-catalogs.host-catalog.host-sets.host-set',
+    label: 'resources.host-set.title_plural',
+  },
+  'credential-store': {
+    route: 'scopes.scope.credential-stores.credential-store',
+    label: 'resources.credential-store.title_plural',
+    fallback: true,
+  },
+  'credential-library': {
+    route:
+      'scopes.scope.credential-stores.credential-store.credential-libraries.credential-library',
+    label: 'resources.credential-library.title_plural',
+  },
+  credential: {
+    route:
+      'scopes.scope.credential-stores.credential-store.credentials.credential',
+    label: 'resources.credential.title_plural',
+  },
+  worker: {
+    route: 'scopes.scope.workers.worker',
+    label: 'titles.workers',
+    fallback: true,
+  },
+  'storage-bucket': {
+    route: 'scopes.scope.storage-buckets.storage-bucket',
+    label: 'resources.storage-bucket.title_plural',
+    fallback: true,
+  },
+  'session-recording': {
+    route: 'scopes.scope.session-recordings.session-recording',
+    label: 'resources.session-recording.title_plural',
+    fallback: true,
+  },
+  policy: {
+    route: 'scopes.scope.policies.policy',
+    label: 'resources.policy.title_plural',
+    fallback: true,
+  },
+};
+
+/**
+ * How well a result's title matches the search text, lower is better.
+ * @param {string} title
+ * @param {string} text
+ * @return {number}
+ */
+const relevance = (title, text) => {
+  const candidate = title.toLowerCase();
+  const search = text.toLowerCase();
+  if (candidate === search) return 0;
+  if (candidate.startsWith(search)) return 1;
+  if (candidate.includes(search)) return 2;
+  return 3;
+};
+
+/**
+ * Orders results by exact, then prefix, then partial title matches.  Ties
+ * are broken by full-text rank (results from the API have none) and title.
+ * @param {[object]} results
+ * @param {string} text
+ * @return {[object]}
+ */
+export function rankResults(results, text) {
+  return results
+    .map((result) => ({
+      result,
+      relevance: relevance(result.title, text),
+    }))
+    .sort(
+      (a, b) =>
+        a.relevance - b.relevance ||
+        (a.result.rank ?? 0) - (b.result.rank ?? 0) ||
+        a.result.title.localeCompare(b.result.title),
+    )
+    .map(({ result }) => result);
+}
+
+/**
+ * Groups ranked results by resource type, then by scope.  Groups keep the
+ * order of their best result.
+ * @param {[object]} results
+ * @return {[object]}
+ */
+export function groupResults(results) {
+  const groups = new Map();
+  for (const result of results) {
+    if (!groups.has(result.type)) {
+      groups.set(result.type, { type: result.type, scopes: new Map() });
+    }
+    const { scopes } = groups.get(result.type);
+    if (!scopes.has(result.scopeId)) {
+      scopes.set(result.scopeId, { scopeId: result.scopeId, results: [] });
+    }
+    scopes.get(result.scopeId).results.push(result);
+  }
+  return [...groups.values()].map(({ type, scopes }) => ({
+    type,
+    label: SEARCHABLE_RESOURCES[type].label,
+    scopes: [...scopes.values()],
+  }));
+}
+
+/**
+ * Builds a case insensitive API filter matching any of the title fields.
+ * @param {string} text
+ * @param {[string]} fields - attribute paths such as `name`
+ * @return {string}
+ */
+export function searchFilter(text, fields) {
+  const pattern = `(?i)${text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`;
+  // Escape the pattern again to embed it in a quoted filter string
+  const value = pattern.replace(/[\\"]/g, '\\$&');
+  return fields
+    .map((field) => `"/item/${field.replaceAll('.', '/')}" matches "${value}"`)
+    .join(' or ');
+}
+
+/**
+ * Searches every resource at once: cached resources through their full-text
+ * search tables in SQLite, and resources that were never synced across all
+ * scopes through `filter` queries against the API.
+ */
+export default class GlobalSearchService extends Service {
+  // =services
+
+  @service store;
+  @service sqlite;
+  @service connectivity;
+
+  // =methods
+
+  /**
+   * Returns ranked results grouped by resource type and scope.  Each result
+   * has the `route` and `models` of its detail page and each scope group the
+   * `name` of its scope.
+   * @param {string} text
+   * @return {Promise<[object]>}
+   */
+  async search(text) {
+    const term = text?.trim();
+    if (!term) {
+      return [];
+    }
+
+    const types = Object.keys(SEARCHABLE_RESOURCES);
+    // Resources only synced in some scopes are searched through the API,
+    // their cache would miss results from the other scopes
+    const isCached = (type) =>
+      this.sqlite.worker &&
+      this.connectivity.lastSyncedAt(
+        type,
+        SEARCHABLE_RESOURCES[type].fallback ? ALL_SCOPES : undefined,
+      );
+    const cached = types.filter(isCached);
+    const uncached = types.filter(
+      (type) => !isCached(type) && SEARCHABLE_RESOURCES[type].fallback,
+    );
+
+    const rows = [
+      ...(await this.#searchCache(term, cached)),
+      ...(await this.#searchApi(term, uncached)),
+    ];
+    const results = rows.map((row) => this.#toResult(row));
+    const groups = groupResults(rankResults(results, term));
+    groups.forEach(({ scopes }) =>
+      scopes.forEach((scope) => {
+        scope.name =
+          this.store.peekRecord('scope', scope.scopeId)?.displayName ??
+          scope.scopeId;
+      }),
+    );
+    return groups;
+  }
+
+  async #searchCache(text, types) {
+    if (!types.length) {
+      return [];
+    }
+    const { sql, parameters } = generateGlobalSearchSQL(text, types, {
+      limit: RESULT_LIMIT,
+    });
+    return this.sqlite.fetchResource({ sql, parameters });
+  }
+
+  async #searchApi(text, types) {
+    const responses = await Promise.allSettled(
+      types.map((type) => this.#queryApi(text, type)),
+    );
+    // Resources we can't list, e.g. for lack of permissions, are skipped
+    return responses
+      .filter(({ status }) => status === 'fulfilled')
+      .flatMap(({ value }) => value);
+  }
+
+  async #queryApi(text, type) {
+    const schema = this.store.modelFor(type);
+    const titleColumns = GLOBAL_SEARCH_COLUMNS[type]?.title ?? ['name'];
+    const payload = await this.store
+      .adapterFor(type)
+      .query(this.store, schema, {
+        scope_id: 'global',
+        recursive: true,
+        filter: searchFilter(
+          text,
+          titleColumns.map((column) => modelMapping[type][column]),
+        ),
+        page_size: RESULT_LIMIT,
+      });
+    const { data } = this.store
+      .serializerFor(type)
+      .normalizeResponse(this.store, schema, payload, null, 'query');
+
+    const attribute = (datum, column) =>
+      get(datum, `attributes.${modelMapping[type][column]}`);
+    const parent = GLOBAL_SEARCH_COLUMNS[type]?.parent;
+    return data.map((datum) => ({
+      resource: type,
+      id: datum.id,
+      title:
+        titleColumns.map((column) => attribute(datum, column)).find(Boolean) ??
+        datum.id,
+      scope_id: attribute(datum, 'scope_id'),
+      parent_id: parent ? attribute(datum, parent) : null,
+      rank: null,
+    }));
+  }
+
+  #toResult({ resource, id, title, scope_id, parent_id, rank }) {
+    const { route } = SEARCHABLE_RESOURCES[resource];
+    let models;
+    if (resource === 'scope') {
+      models = [id];
+    } else if (parent_id) {
+      models = [scope_id, parent_id, id];
+    } else {
+      models = [scope_id, id];
+    }
+    return {
+      type: resource,
+      id,
+      title,
+      scopeId: scope_id,
+      rank,
+      route,
+      models,
+    };
+  }
+}
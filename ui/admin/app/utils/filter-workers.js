@@ -0,0 +1,20 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+/**
+ * Loads the workers a target's worker filters are evaluated against.  Workers
+ * are registered in the global scope, so they are only loaded when the user
+ * may list them there.
+ * @param {Store} store
+ * @param {Ability} can
+ * @return {Promise<[WorkerModel]|null>} null when workers can't be listed
+ */
+export async function loadFilterWorkers(store, can) {
+  const globalScope = store.peekRecord('scope', 'global');
+  if (!can.can('list worker', globalScope, { collection: 'workers' })) {
+    return null;
+  }
+  return store.query('worker', { scope_id: 'global' });
+}
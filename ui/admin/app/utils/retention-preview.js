@@ -0,0 +1,38 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+/**
+ * Loads what previewing a storage policy in a scope needs: the session
+ * recordings stored in the scope, which the policy applies to, and for org
+ * scopes the policy attached to the global scope, which may restrict it.
+ * @param {Store} store
+ * @param {Ability} can
+ * @param {ScopeModel} scope
+ * @return {Promise<{recordings: [SessionRecordingModel], parentPolicy: ?PolicyModel}>}
+ */
+export async function loadRetentionPreview(store, can, scope) {
+  const { id: scope_id } = scope;
+  let recordings = [];
+  let parentPolicy = null;
+
+  if (can.can('list scope', scope, { collection: 'session-recordings' })) {
+    recordings = await store.query('session-recording', {
+      scope_id,
+      recursive: true,
+      query: { filters: { scope_id: [{ equals: scope_id }] } },
+    });
+  }
+
+  if (scope_id !== 'global') {
+    const globalScope = store.peekRecord('scope', 'global');
+    if (globalScope?.storage_policy_id) {
+      parentPolicy = await store
+        .findRecord('policy', globalScope.storage_policy_id)
+        .catch(() => null);
+    }
+  }
+
+  return { recordings, parentPolicy };
+}
@@ -0,0 +1,144 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+import { module, test } from 'qunit';
+import { visit, currentURL, click, fillIn } from '@ember/test-helpers';
+import { setupApplicationTest } from 'admin/tests/helpers';
+import { setupSqlite } from 'api/test-support/helpers/sqlite';
+import { Response } from 'miragejs';
+import * as selectors from './selectors';
+
+module('Acceptance | roles | compare', function (hooks) {
+  setupApplicationTest(hooks);
+  setupSqlite(hooks);
+
+  const COMMON_GRANT = 'ids=*;type=*;actions=read';
+  const TARGET_GRANT = 'ids=*;type=target;actions=authorize-session';
+
+  const instances = {
+    scopes: {
+      org: null,
+    },
+    roleA: null,
+    roleB: null,
+  };
+  const urls = {
+    roles: null,
+    compare: null,
+  };
+
+  hooks.beforeEach(async function () {
+    instances.scopes.org = this.server.create('scope', {
+      type: 'org',
+      scope: { id: 'global', type: 'global' },
+    });
+    instances.roleA = this.server.create('role', {
+      scope: instances.scopes.org,
+      grant_strings: [COMMON_GRANT, TARGET_GRANT],
+    });
+    instances.roleB = this.server.create('role', {
+      scope: instances.scopes.org,
+      grant_strings: [COMMON_GRANT],
+    });
+    urls.roles = `/scopes/${instances.scopes.org.id}/roles`;
+    urls.compare = `${urls.roles}/compare`;
+  });
+
+  const visitCompare = () => {
+    const selected = JSON.stringify([instances.roleA.id, instances.roleB.id]);
+    return visit(`${urls.compare}?selected=${encodeURIComponent(selected)}`);
+  };
+
+  test('visiting role comparison from the roles list', async function (assert) {
+    await visit(urls.roles);
+
+    await click(selectors.COMPARE_ROLES_BTN);
+    await click(selectors.COMPARE_ROLE_CHECKBOX(instances.roleA.id));
+    await click(selectors.COMPARE_ROLE_CHECKBOX(instances.roleB.id));
+
+    assert.true(currentURL().startsWith(urls.compare));
+    assert
+      .dom(selectors.COMPARE_ROW('grant-strings', TARGET_GRANT))
+      .hasClass('role-compare__difference');
+    assert
+      .dom(selectors.COMPARE_ROW('grant-strings', COMMON_GRANT))
+      .doesNotHaveClass('role-compare__difference');
+  });
+
+  test('only differences can be shown', async function (assert) {
+    await visitCompare();
+
+    await click(selectors.COMPARE_ONLY_DIFFERENCES);
+
+    assert.dom(selectors.COMPARE_ROW('grant-strings', TARGET_GRANT)).exists();
+    assert
+      .dom(selectors.COMPARE_ROW('grant-strings', COMMON_GRANT))
+      .doesNotExist();
+  });
+
+  test('a grant can be added to many roles', async function (assert) {
+    const requests = [];
+    this.server.post(
+      '/roles/:idMethod',
+      ({ roles }, { params: { idMethod }, requestBody }) => {
+        const [id, method] = idMethod.split(':');
+        requests.push([id, method, JSON.parse(requestBody).grant_strings]);
+        return roles.find(id);
+      },
+    );
+    await visitCompare();
+
+    await fillIn(selectors.COMPARE_VALUE, TARGET_GRANT);
+
+    assert
+      .dom(selectors.COMPARE_PREVIEW_ROW(instances.roleA.id))
+      .includesText('No change');
+    assert
+      .dom(selectors.COMPARE_PREVIEW_ROW(instances.roleB.id))
+      .includesText('Will change');
+
+    await click(selectors.COMPARE_APPLY_BTN);
+
+    assert.deepEqual(requests, [
+      [instances.roleB.id, 'set-grants', [COMMON_GRANT, TARGET_GRANT]],
+    ]);
+    assert
+      .dom(selectors.COMPARE_RESULT(instances.roleA.id))
+      .includesText('Skipped');
+    assert
+      .dom(selectors.COMPARE_RESULT(instances.roleB.id))
+      .includesText('Changed');
+  });
+
+  test('failures are reported per role', async function (assert) {
+    this.server.post('/roles/:idMethod', () => {
+      return new Response(
+        400,
+        {},
+        {
+          status: 400,
+          code: 'invalid_argument',
+          message: 'The request was invalid.',
+          details: {},
+        },
+      );
+    });
+    await visitCompare();
+
+    await fillIn(selectors.COMPARE_VALUE, COMMON_GRANT);
+
+    assert.dom(selectors.COMPARE_APPLY_BTN).isDisabled();
+    await fillIn(selectors.COMPARE_VALUE, 'ids=*;type=session;actions=read');
+    await click(selectors.COMPARE_APPLY_BTN);
+
+    assert
+      .dom(selectors.COMPARE_RESULT(instances.roleA.id))
+      .includesText('Failed')
+      .includesText('The request was invalid.');
+    assert
+      .dom(selectors.COMPARE_RESULT(instances.roleB.id))
+      .includesText('Failed');
+  });
+});
@@ -58,3 +58,16 @@ export const GRANTS_FORM = 'form:nth-child(2)';
 // We need to use a different selector for the grants form because the
 // grants form has multiple submit buttons
 export const SAVE_BTN = '.rose-form-actions [type=submit]';
+
+export const COMPARE_ROLES_BTN = '[data-test-compare-roles-button]';
+export const COMPARE_ROLE_CHECKBOX = (id) =>
+  `[data-test-role-compare-role="${id}"] input[type="checkbox"]`;
+export const COMPARE_ROW = (section, value) =>
+  `[data-test-role-compare-section="${section}"] [data-test-role-compare-row="${value}"]`;
+export const COMPARE_ONLY_DIFFERENCES =
+  '[data-test-role-compare-only-differences]';
+export const COMPARE_VALUE = '[data-test-role-compare-value]';
+export const COMPARE_PREVIEW_ROW = (id) =>
+  `[data-test-role-compare-preview-row="${id}"]`;
+export const COMPARE_APPLY_BTN = '[data-test-role-compare-apply]';
+export const COMPARE_RESULT = (id) => `[data-test-role-compare-result="${id}"]`;
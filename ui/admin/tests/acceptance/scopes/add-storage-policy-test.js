@@ -6,13 +6,16 @@
 import { module, test } from 'qunit';
 import { visit, click, currentURL } from '@ember/test-helpers';
 import { setupApplicationTest } from 'admin/tests/helpers';
+import { setupSqlite } from 'api/test-support/helpers/sqlite';
 import select from '@ember/test-helpers/dom/select';
 import * as commonSelectors from 'admin/tests/helpers/selectors';
 import * as selectors from './selectors';
 import { setRunOptions } from 'ember-a11y-testing/test-support';
+import { STATE_SESSION_RECORDING_AVAILABLE } from 'api/models/session-recording';
 
 module('Acceptance | scopes | add storage policy', function (hooks) {
   setupApplicationTest(hooks);
+  setupSqlite(hooks);
 
   let featuresService;
   let policyOne;
@@ -189,4 +192,86 @@ module('Acceptance | scopes | add storage policy', function (hooks) {
     assert.strictEqual(currentURL(), urls.orgScopeEdit);
     assert.dom(commonSelectors.LINK_LIST_ITEM_TEXT).hasText(policyOne.name);
   });
+
+  test('previews the retention of session recordings under the selected policy', async function (assert) {
+    setRunOptions({
+      rules: {
+        'color-contrast': {
+          // [ember-a11y-ignore]: axe rule "color-contrast" automatically ignored on 2025-08-01
+          enabled: false,
+        },
+      },
+    });
+
+    featuresService.enable('ssh-session-recording');
+    policyTwo.update({
+      retain_for: { days: 30, overridable: true },
+      delete_after: { days: 100, overridable: true },
+    });
+    // Recordings ended a day ago are retained for another 29 days
+    const endTime = new Date(Date.now() - 86400000);
+    const unchanged = this.server.create('session-recording', {
+      scope: instances.scopes.org,
+      state: STATE_SESSION_RECORDING_AVAILABLE,
+      end_time: endTime,
+      retain_until: new Date(endTime.getTime() + 30 * 86400000),
+      delete_after: new Date(endTime.getTime() + 100 * 86400000),
+    });
+    const changed = this.server.create('session-recording', {
+      scope: instances.scopes.org,
+      state: STATE_SESSION_RECORDING_AVAILABLE,
+      end_time: endTime,
+      retain_until: endTime,
+      delete_after: null,
+    });
+
+    await visit(urls.addStoragePolicy);
+
+    assert.dom(selectors.POLICY_PREVIEW).doesNotExist();
+
+    await select(selectors.FIELD_STORAGE_POLICY_SELECT, policyTwo.id);
+
+    assert.dom(selectors.POLICY_PREVIEW).isVisible();
+    assert.dom(selectors.POLICY_PREVIEW_TIMELINE_ROW).exists({ count: 7 });
+    assert.dom(selectors.POLICY_PREVIEW_DELETABLE(0)).hasText('0');
+    assert.dom(selectors.POLICY_PREVIEW_DELETABLE(30)).hasText('2');
+    assert.dom(selectors.POLICY_PREVIEW_DELETED(90)).hasText('0');
+    assert.dom(selectors.POLICY_PREVIEW_DELETED(180)).hasText('2');
+    assert.dom(selectors.POLICY_PREVIEW_REAPPLY_ROW(changed.id)).exists();
+    assert
+      .dom(selectors.POLICY_PREVIEW_REAPPLY_ROW(unchanged.id))
+      .doesNotExist();
+  });
+
+  test('flags overriding a global policy that cannot be overridden', async function (assert) {
+    setRunOptions({
+      rules: {
+        'color-contrast': {
+          // [ember-a11y-ignore]: axe rule "color-contrast" automatically ignored on 2025-08-01
+          enabled: false,
+        },
+      },
+    });
+
+    featuresService.enable('ssh-session-recording');
+    const globalScope = this.server.schema.scopes.find('global');
+    const globalPolicy = this.server.create('policy', {
+      scope: globalScope,
+      retain_for: { days: 2555, overridable: false },
+      delete_after: { days: 0, overridable: true },
+    });
+    globalScope.update({ storagePolicyId: globalPolicy.id });
+    policyTwo.update({
+      retain_for: { days: 30, overridable: true },
+      delete_after: { days: 100, overridable: true },
+    });
+
+    await visit(urls.addStoragePolicy);
+    await select(selectors.FIELD_STORAGE_POLICY_SELECT, policyTwo.id);
+
+    assert.dom(selectors.POLICY_PREVIEW_CONFLICT('retain-for')).isVisible();
+    assert
+      .dom(selectors.POLICY_PREVIEW_CONFLICT('delete-after'))
+      .doesNotExist();
+  });
 });
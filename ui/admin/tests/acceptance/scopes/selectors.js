@@ -15,6 +15,18 @@ export const STORAGE_POLICY_SIDEBAR = '.policy-sidebar';
 export const ADD_STORAGE_POLICY_BTN = '.policy-sidebar .hds-button';
 export const ADD_STORAGE_POLICY_LINK = '.policy-sidebar .hds-link-standalone';
 
+export const POLICY_PREVIEW = '[data-test-policy-preview]';
+export const POLICY_PREVIEW_CONFLICT = (code) =>
+  `[data-test-policy-preview-conflict="${code}"]`;
+export const POLICY_PREVIEW_TIMELINE_ROW =
+  '[data-test-policy-preview-timeline-row]';
+export const POLICY_PREVIEW_DELETABLE = (days) =>
+  `[data-test-policy-preview-timeline-row="${days}"] [data-test-policy-preview-deletable]`;
+export const POLICY_PREVIEW_DELETED = (days) =>
+  `[data-test-policy-preview-timeline-row="${days}"] [data-test-policy-preview-deleted]`;
+export const POLICY_PREVIEW_REAPPLY_ROW = (id) =>
+  `[data-test-policy-preview-reapply-row="${id}"]`;
+
 export const NO_SCOPE_RESULTS_MSG = '[data-test-no-scope-results]';
 export const TABLE_ROW_SCOPE_LINK = (id) =>
   `tbody [data-test-scopes-table-row="${id}"] a`;
@@ -215,6 +215,44 @@ module('Acceptance | session-recordings | list', function (hooks) {
     assert.dom(selectors.NO_RESULTS_MSG).includesText('No results found');
   });
 
+  test('user can search session recordings by indexed terminal output', async function (assert) {
+    setRunOptions({
+      rules: {
+        'color-contrast': {
+          enabled: false,
+        },
+      },
+    });
+    const recordingIndex = this.owner.lookup('service:recording-index');
+    await recordingIndex.indexChannel(
+      {
+        id: 'chr_1',
+        connection_recording: {
+          session_recording: {
+            id: instances.sessionRecording.id,
+            scopeID: 'global',
+          },
+        },
+      },
+      [
+        JSON.stringify({ version: 2 }),
+        JSON.stringify([12.5, 'i', 'cat /etc/passwd\r']),
+      ].join('\n'),
+    );
+
+    await visit(urls.sessionRecordings);
+    await fillIn(commonSelectors.SEARCH_INPUT, 'passwd');
+    await waitFor(commonSelectors.HREF(urls.sessionRecording2), { count: 0 });
+
+    assert.dom(commonSelectors.HREF(urls.sessionRecording)).isVisible();
+    assert
+      .dom(selectors.SEARCH_MATCH('chr_1:0'))
+      .includesText('cat /etc/passwd');
+    assert
+      .dom(`${selectors.SEARCH_MATCH('chr_1:0')} a`)
+      .hasAttribute('href', `${urls.sessionRecording}/chr_1?startAt=12`);
+  });
+
   test('user can filter session recordings by user', async function (assert) {
     setRunOptions({
       rules: {
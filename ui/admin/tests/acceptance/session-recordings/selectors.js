@@ -11,11 +11,15 @@ export const SESSION_RECORDING_PLAYER_LINK =
   '.session-recording-player-header > a';
 export const RETAIN_UNTIL_OPTION = '[data-test-retain-until]';
 export const DELETE_AFTER_OPTION = '[data-test-delete-after]';
+export const DOWNLOAD_TRANSCRIPT = '[data-test-download-transcript]';
+export const DOWNLOAD_TRANSCRIPT_HTML = '[data-test-download-transcript-html]';
 
 // Search and filtering selectors
 export const NO_RESULTS_MSG = '[data-test-no-session-recording-results]';
 export const LAST_3_DAYS_OPTION =
   '[data-test-session-recordings-bar] div[name="time"] li:nth-child(2) button';
+export const SEARCH_MATCH = (id) =>
+  `[data-test-session-recording-match="${id}"]`;
 
 // Manage actions dropdown selectors
 export const MANAGE_DROPDOWN =
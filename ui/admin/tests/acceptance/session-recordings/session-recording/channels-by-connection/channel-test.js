@@ -115,6 +115,8 @@ module(
 
       // if authorized player will render
       assert.dom(selectors.SESSION_RECORDING_PLAYER).isVisible();
+      assert.dom(selectors.DOWNLOAD_TRANSCRIPT).isVisible();
+      assert.dom(selectors.DOWNLOAD_TRANSCRIPT_HTML).isVisible();
     });
 
     test('user cannot view recording without proper authorization: channel mime_types', async function (assert) {
@@ -135,6 +137,7 @@ module(
 
       // if unauthorized player will not render
       assert.dom(selectors.SESSION_RECORDING_PLAYER).doesNotExist();
+      assert.dom(selectors.DOWNLOAD_TRANSCRIPT).doesNotExist();
     });
 
     test('user cannot view recording without proper authorization: session recording download action', async function (assert) {
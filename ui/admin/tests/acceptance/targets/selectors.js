@@ -77,6 +77,16 @@ export const WORKERS_ACCORDION_DROPDOWN = (name) =>
   `[data-test-target-${name}-workers-accordion-item] .hds-accordion-item__button`;
 export const WORKERS_ACCORDION_DROPDOWN_LINK = (name) =>
   `[data-test-target-${name}-workers-accordion-item] a`;
+export const WORKER_ROUTING = (hop) =>
+  `[data-test-target-worker-routing="${hop}"]`;
+export const WORKER_ROUTING_WORKER = (hop, id) =>
+  `[data-test-target-worker-routing="${hop}"] [data-test-target-worker-routing-worker="${id}"]`;
+export const WORKER_ROUTING_UNAVAILABLE = (hop) =>
+  `[data-test-target-worker-routing="${hop}"] [data-test-target-worker-routing-unavailable]`;
+export const WORKER_ROUTING_NONE = (hop) =>
+  `[data-test-target-worker-routing="${hop}"] [data-test-target-worker-routing-none]`;
+export const WORKER_ROUTING_FAILED_CLAUSE = (hop) =>
+  `[data-test-target-worker-routing="${hop}"] [data-test-target-worker-routing-failed-clause]`;
 export const ALERT_INJECTED_APPLICATION_CREDENTIAL =
   '[data-test-injected-application-credential-alert]';
 export const ALERT_INJECTED_APPLICATION_CREDENTIAL_ADD_BTN =
@@ -598,4 +598,109 @@ module('Acceptance | targets | workers', function (hooks) {
       EGRESS_WORKER_FILTER_VALUE,
     );
   });
+
+  test('user can see which workers each worker filter matches', async function (assert) {
+    featuresService.enable('worker-filter');
+    const prodWorker = this.server.create('worker', {
+      scope: this.server.schema.scopes.find('global'),
+      config_tags: { region: ['us-east-1'] },
+      api_tags: { env: ['prod'] },
+    });
+    const devWorker = this.server.create('worker', {
+      scope: this.server.schema.scopes.find('global'),
+      config_tags: { region: ['us-west-1'] },
+      api_tags: { env: ['dev'] },
+    });
+    instances.target.update({
+      ingress_worker_filter: '"prod" in "/tags/env"',
+      egress_worker_filter: '"us-west-1" in "/tags/region"',
+    });
+
+    await visit(urls.targetWorkers);
+
+    assert
+      .dom(selectors.WORKER_ROUTING_WORKER('ingress', prodWorker.id))
+      .exists();
+    assert
+      .dom(selectors.WORKER_ROUTING_WORKER('ingress', devWorker.id))
+      .doesNotExist();
+    assert
+      .dom(selectors.WORKER_ROUTING_WORKER('egress', devWorker.id))
+      .exists();
+    assert
+      .dom(selectors.WORKER_ROUTING_WORKER('egress', prodWorker.id))
+      .doesNotExist();
+  });
+
+  test('user can see the clauses no worker satisfies', async function (assert) {
+    featuresService.enable('worker-filter');
+    this.server.create('worker', {
+      scope: this.server.schema.scopes.find('global'),
+      config_tags: {},
+      api_tags: { env: ['dev'] },
+    });
+    instances.target.update({
+      egress_worker_filter:
+        '"prod" in "/tags/env" and "us-east-1" in "/tags/region"',
+    });
+
+    await visit(urls.targetWorkers);
+
+    assert.dom(selectors.WORKER_ROUTING_NONE('egress')).isVisible();
+    assert.dom(selectors.WORKER_ROUTING_FAILED_CLAUSE('egress')).exists({
+      count: 2,
+    });
+    assert
+      .dom(selectors.WORKER_ROUTING_FAILED_CLAUSE('egress'))
+      .includesText('"prod" in "/tags/env"');
+    assert.dom(selectors.WORKER_ROUTING_FAILED_CLAUSE('egress')).includesText(
+      intl.t('resources.target.workers.routing.none.available-values', {
+        key: 'env',
+        values: 'dev',
+      }),
+    );
+  });
+
+  test('user is told matching workers are unavailable when workers cannot be listed', async function (assert) {
+    featuresService.enable('worker-filter');
+    const globalScope = this.server.schema.scopes.find('global');
+    globalScope.update({
+      authorized_collection_actions: {
+        ...globalScope.authorized_collection_actions,
+        workers: [],
+      },
+    });
+
+    await visit(urls.targetWorkers);
+
+    assert.dom(selectors.WORKER_ROUTING_UNAVAILABLE('ingress')).isVisible();
+    assert.dom(selectors.WORKER_ROUTING_UNAVAILABLE('egress')).isVisible();
+  });
+
+  test('matching workers are re-evaluated while the worker filter is edited', async function (assert) {
+    setRunOptions({
+      rules: {
+        label: {
+          // [ember-a11y-ignore]: axe rule "label" automatically ignored on 2025-08-01
+          enabled: false,
+        },
+      },
+    });
+
+    const worker = this.server.create('worker', {
+      scope: this.server.schema.scopes.find('global'),
+      config_tags: {},
+      api_tags: { env: ['prod'] },
+    });
+    instances.target.update({ egress_worker_filter: '"dev" in "/tags/env"' });
+
+    await visit(urls.targetEditEgressFilter);
+
+    assert.dom(selectors.WORKER_ROUTING_NONE('egress')).isVisible();
+
+    await fillIn(commonSelectors.CODE_EDITOR_CONTENT, '"prod" in "/tags/env"');
+
+    assert.dom(selectors.WORKER_ROUTING_NONE('egress')).doesNotExist();
+    assert.dom(selectors.WORKER_ROUTING_WORKER('egress', worker.id)).exists();
+  });
 });
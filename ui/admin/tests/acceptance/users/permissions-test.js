@@ -0,0 +1,93 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+import { module, test } from 'qunit';
+import { visit, currentURL, click } from '@ember/test-helpers';
+import { setupApplicationTest } from 'admin/tests/helpers';
+import { setupSqlite } from 'api/test-support/helpers/sqlite';
+import * as commonSelectors from 'admin/tests/helpers/selectors';
+import * as selectors from './selectors';
+import { Response } from 'miragejs';
+
+module('Acceptance | users | permissions', function (hooks) {
+  setupApplicationTest(hooks);
+  setupSqlite(hooks);
+
+  const instances = {
+    scopes: {
+      org: null,
+    },
+    user: null,
+    directRole: null,
+    groupRole: null,
+  };
+
+  const urls = {
+    user: null,
+    permissions: null,
+  };
+
+  hooks.beforeEach(async function () {
+    instances.scopes.org = this.server.create('scope', {
+      type: 'org',
+      scope: { id: 'global', type: 'global' },
+    });
+    instances.user = this.server.create('user', {
+      scope: instances.scopes.org,
+    });
+    const group = this.server.create('group', {
+      scope: instances.scopes.org,
+      members: [instances.user],
+    });
+    instances.directRole = this.server.create('role', {
+      scope: instances.scopes.org,
+      grant_scope_ids: ['this'],
+      grant_strings: ['ids=*;type=target;actions=read,authorize-session'],
+      users: [instances.user],
+    });
+    instances.groupRole = this.server.create('role', {
+      scope: instances.scopes.org,
+      grant_scope_ids: ['this'],
+      grant_strings: ['ids=*;type=session;actions=cancel:self'],
+      groups: [group],
+    });
+    urls.user = `/scopes/${instances.scopes.org.id}/users/${instances.user.id}`;
+    urls.permissions = `${urls.user}/permissions`;
+  });
+
+  test('visiting user permissions', async function (assert) {
+    await visit(urls.user);
+
+    await click(commonSelectors.HREF(urls.permissions));
+
+    assert.strictEqual(currentURL(), urls.permissions);
+    assert
+      .dom(selectors.PERMISSION_SOURCE('target:authorize-session'))
+      .includesText(instances.directRole.name)
+      .includesText('ids=*;type=target;actions=read,authorize-session');
+    assert
+      .dom(selectors.PERMISSION_SOURCE('session:cancel:self'))
+      .includesText(instances.groupRole.name);
+  });
+
+  test('permissions given through groups can be left out', async function (assert) {
+    await visit(urls.permissions);
+
+    await click(selectors.PERMISSIONS_INCLUDE_GROUPS);
+
+    assert.dom(selectors.PERMISSION('target:read')).exists();
+    assert.dom(selectors.PERMISSION('session:cancel:self')).doesNotExist();
+  });
+
+  test('permissions are shown when groups cannot be listed', async function (assert) {
+    this.server.get('/groups', () => new Response(403));
+
+    await visit(urls.permissions);
+
+    assert.strictEqual(currentURL(), urls.permissions);
+    assert.dom(selectors.PERMISSION('target:read')).exists();
+    assert.dom(selectors.PERMISSION('session:cancel:self')).doesNotExist();
+  });
+});
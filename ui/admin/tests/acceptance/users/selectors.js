@@ -11,3 +11,10 @@ export const NO_RESULTS_MSG = '[data-test-no-user-results]';
 export const MANAGE_DROPDOWN_USER_ADD_ACCOUNTS =
   '[data-test-manage-user-dropdown] ul li:first-child a';
 export const TABLE_ROW_ACCOUNT_TYPE = 'tbody tr .hds-badge__text';
+
+export const PERMISSIONS_INCLUDE_GROUPS =
+  '[data-test-permissions-include-groups]';
+export const PERMISSION = (permission) =>
+  `[data-test-permission="${permission}"]`;
+export const PERMISSION_SOURCE = (permission) =>
+  `[data-test-permission="${permission}"] [data-test-permission-source]`;
@@ -0,0 +1,183 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+import { module, test } from 'qunit';
+import { visit, currentURL, click, fillIn, select } from '@ember/test-helpers';
+import { setupApplicationTest } from 'admin/tests/helpers';
+import { Response } from 'miragejs';
+import * as selectors from './selectors';
+
+module('Acceptance | workers | bulk-tags', function (hooks) {
+  setupApplicationTest(hooks);
+
+  const instances = {
+    scopes: {
+      global: null,
+      org: null,
+      project: null,
+    },
+    workerA: null,
+    workerB: null,
+    target: null,
+  };
+
+  const urls = {
+    workers: null,
+    bulkTags: null,
+  };
+
+  hooks.beforeEach(async function () {
+    instances.scopes.global = this.server.schema.scopes.find('global');
+    instances.scopes.org = this.server.create('scope', {
+      type: 'org',
+      scope: { id: 'global', type: 'global' },
+    });
+    instances.scopes.project = this.server.create('scope', {
+      type: 'project',
+      scope: { id: instances.scopes.org.id, type: 'org' },
+    });
+    instances.workerA = this.server.create('worker', {
+      scope: instances.scopes.global,
+      config_tags: {},
+      api_tags: { env: ['prod'] },
+    });
+    instances.workerB = this.server.create('worker', {
+      scope: instances.scopes.global,
+      config_tags: {},
+      api_tags: {},
+    });
+    instances.target = this.server.create('target', {
+      scope: instances.scopes.project,
+      ingress_worker_filter: '"prod" in "/tags/env"',
+      egress_worker_filter: null,
+    });
+    urls.workers = `/scopes/global/workers`;
+    urls.bulkTags = `${urls.workers}/bulk-tags`;
+    this.owner.lookup('service:features').enable('byow');
+  });
+
+  const visitBulkTags = () => {
+    const selected = JSON.stringify([
+      instances.workerA.id,
+      instances.workerB.id,
+    ]);
+    return visit(`${urls.bulkTags}?selected=${encodeURIComponent(selected)}`);
+  };
+
+  test('visiting bulk tag changes from the workers list', async function (assert) {
+    await visit(urls.workers);
+
+    assert.dom(selectors.BULK_TAGS_BUTTON).doesNotExist();
+
+    await click(selectors.WORKER_ROW_CHECKBOX(instances.workerA.id));
+    await click(selectors.WORKER_ROW_CHECKBOX(instances.workerB.id));
+    await click(selectors.BULK_TAGS_BUTTON);
+
+    assert.true(currentURL().startsWith(urls.bulkTags));
+    assert.dom(selectors.BULK_TAGS_PREVIEW_ROW(instances.workerA.id)).exists();
+    assert.dom(selectors.BULK_TAGS_PREVIEW_ROW(instances.workerB.id)).exists();
+  });
+
+  test('tags can be added to many workers', async function (assert) {
+    await visitBulkTags();
+
+    await fillIn(selectors.BULK_TAGS_VALUE, 'env=prod');
+
+    assert
+      .dom(selectors.BULK_TAGS_PREVIEW_ROW(instances.workerA.id))
+      .includesText('No change');
+    assert
+      .dom(selectors.BULK_TAGS_PREVIEW_ROW(instances.workerB.id))
+      .includesText('env = prod')
+      .includesText('Will change');
+    assert
+      .dom(selectors.BULK_TAGS_IMPACT_ITEM(instances.target.id, 'ingress'))
+      .includesText(`starts matching ${instances.workerB.name}`);
+
+    await click(selectors.BULK_TAGS_APPLY);
+
+    assert.deepEqual(
+      this.server.schema.workers.find(instances.workerB.id).api_tags,
+      {
+        env: ['prod'],
+      },
+    );
+    assert
+      .dom(selectors.BULK_TAGS_RESULT(instances.workerA.id))
+      .includesText('Skipped');
+    assert
+      .dom(selectors.BULK_TAGS_RESULT(instances.workerB.id))
+      .includesText('Changed');
+  });
+
+  test('removing tags warns about target filters that stop matching', async function (assert) {
+    await visitBulkTags();
+
+    await select(selectors.BULK_TAGS_OPERATION, 'remove');
+    await fillIn(selectors.BULK_TAGS_VALUE, 'env=prod');
+
+    assert
+      .dom(selectors.BULK_TAGS_IMPACT_ITEM(instances.target.id, 'ingress'))
+      .includesText(`stops matching ${instances.workerA.name}`);
+
+    await click(selectors.BULK_TAGS_APPLY);
+
+    assert.deepEqual(
+      this.server.schema.workers.find(instances.workerA.id).api_tags,
+      { env: [] },
+    );
+    assert
+      .dom(selectors.BULK_TAGS_RESULT(instances.workerA.id))
+      .includesText('Changed');
+  });
+
+  test('changes that cannot be checked against target filters are flagged', async function (assert) {
+    this.server.get('/targets', () => new Response(403));
+    await visitBulkTags();
+
+    await fillIn(selectors.BULK_TAGS_VALUE, 'env=prod');
+
+    assert.dom(selectors.BULK_TAGS_IMPACT_UNCHECKED).isVisible();
+    assert
+      .dom(selectors.BULK_TAGS_IMPACT_ITEM(instances.target.id, 'ingress'))
+      .doesNotExist();
+  });
+
+  test('invalid tags cannot be applied', async function (assert) {
+    await visitBulkTags();
+
+    await fillIn(selectors.BULK_TAGS_VALUE, 'env');
+
+    assert.dom(selectors.BULK_TAGS_APPLY).isDisabled();
+  });
+
+  test('failures are reported per worker', async function (assert) {
+    this.server.post('/workers/:idMethod', () => {
+      return new Response(
+        400,
+        {},
+        {
+          status: 400,
+          code: 'invalid_argument',
+          message: 'The request was invalid.',
+          details: {},
+        },
+      );
+    });
+    await visitBulkTags();
+
+    await select(selectors.BULK_TAGS_OPERATION, 'replace');
+    await fillIn(selectors.BULK_TAGS_VALUE, 'team=a');
+    await click(selectors.BULK_TAGS_APPLY);
+
+    assert
+      .dom(selectors.BULK_TAGS_RESULT(instances.workerA.id))
+      .includesText('Failed')
+      .includesText('The request was invalid.');
+    assert
+      .dom(selectors.BULK_TAGS_RESULT(instances.workerB.id))
+      .includesText('Failed');
+  });
+});
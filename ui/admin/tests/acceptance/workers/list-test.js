@@ -141,6 +141,65 @@ module('Acceptance | workers | list', function (hooks) {
     assert.dom(commonSelectors.TABLE_ROWS).exists({ count: 1 });
   });
 
+  test('Users can filter by tags from the fleet overview', async function (assert) {
+    setRunOptions({
+      rules: {
+        'color-contrast': {
+          // [ember-a11y-ignore]: axe rule "color-contrast" automatically ignored on 2025-08-01
+          enabled: false,
+        },
+      },
+    });
+
+    featuresService.enable('byow');
+    await visit(urls.workers);
+
+    assert.dom(commonSelectors.TABLE_ROWS).exists({ count: 2 });
+    assert.dom(selectors.FLEET_TAG('os', 'ubuntu')).includesText('ubuntu (1)');
+
+    await click(selectors.FLEET_TAG('os', 'ubuntu'));
+
+    assert.dom(commonSelectors.TABLE_ROWS).exists({ count: 1 });
+    assert.true(currentURL().startsWith(`${urls.workers}?tags=`));
+  });
+
+  test('Users can see stale workers and version drift in the fleet overview', async function (assert) {
+    setRunOptions({
+      rules: {
+        'color-contrast': {
+          // [ember-a11y-ignore]: axe rule "color-contrast" automatically ignored on 2025-08-01
+          enabled: false,
+        },
+      },
+    });
+
+    featuresService.enable('byow');
+    instances.worker.update({
+      releaseVersion: 'Boundary v0.12.0',
+      lastStatusTime: new Date(Date.now() - 60 * 60 * 1000),
+    });
+    instances.worker2.update({
+      releaseVersion: 'Boundary v0.13.0',
+      lastStatusTime: new Date(),
+    });
+    await visit(urls.workers);
+
+    assert.dom(selectors.FLEET_STALE_ALERT).exists();
+    assert.dom(selectors.FLEET_DRIFT_ALERT).includesText('Boundary v0.13.0');
+    assert
+      .dom(selectors.TABLE_ROW_STALE_BADGE(instances.worker.id))
+      .isVisible();
+    assert
+      .dom(selectors.TABLE_ROW_OUTDATED_BADGE(instances.worker.id))
+      .isVisible();
+    assert
+      .dom(selectors.TABLE_ROW_STALE_BADGE(instances.worker2.id))
+      .doesNotExist();
+    assert
+      .dom(selectors.TABLE_ROW_OUTDATED_BADGE(instances.worker2.id))
+      .doesNotExist();
+  });
+
   test('Users can open and close tags flyout for a specific worker', async function (assert) {
     setRunOptions({
       rules: {
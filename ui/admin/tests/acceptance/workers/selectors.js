@@ -78,3 +78,27 @@ export const MODAL_CONFIRMATION_CANCEL_BUTTON =
 
 export const NO_TAGS_STATE_TITLE = '[data-test-no-tags] div:first-child';
 export const NO_TAGS_STATE_ACTION = '[data-test-no-tags] div:nth-child(3) a';
+
+export const FLEET_DRIFT_ALERT = '[data-test-worker-fleet-drift]';
+export const FLEET_STALE_ALERT = '[data-test-worker-fleet-stale]';
+export const FLEET_TAG = (key, value) =>
+  `[data-test-worker-fleet-tag="${key}=${value}"]`;
+export const TABLE_ROW_OUTDATED_BADGE = (workerId) =>
+  `[data-test-worker-outdated="${workerId}"]`;
+export const TABLE_ROW_STALE_BADGE = (workerId) =>
+  `[data-test-worker-stale="${workerId}"]`;
+
+export const WORKER_ROW_CHECKBOX = (workerId) =>
+  `[data-test-worker-row="${workerId}"] input[type="checkbox"]`;
+export const BULK_TAGS_BUTTON = '[data-test-worker-bulk-tags-button]';
+export const BULK_TAGS_OPERATION = '[data-test-worker-bulk-tags-operation]';
+export const BULK_TAGS_VALUE = '[data-test-worker-bulk-tags-value]';
+export const BULK_TAGS_PREVIEW_ROW = (workerId) =>
+  `[data-test-worker-bulk-tags-preview-row="${workerId}"]`;
+export const BULK_TAGS_IMPACT_ITEM = (targetId, hop) =>
+  `[data-test-worker-bulk-tags-impact-item="${targetId}:${hop}"]`;
+export const BULK_TAGS_IMPACT_UNCHECKED =
+  '[data-test-worker-bulk-tags-impact-unchecked]';
+export const BULK_TAGS_APPLY = '[data-test-worker-bulk-tags-apply]';
+export const BULK_TAGS_RESULT = (workerId) =>
+  `[data-test-worker-bulk-tags-result="${workerId}"]`;
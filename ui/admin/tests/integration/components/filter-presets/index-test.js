@@ -0,0 +1,166 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+import { module, test } from 'qunit';
+import { setupRenderingTest } from 'admin/tests/helpers';
+import { click, fillIn, render, triggerEvent } from '@ember/test-helpers';
+import { hbs } from 'ember-cli-htmlbars';
+import { setupIntl } from 'ember-intl/test-support';
+import sinon from 'sinon';
+
+module('Integration | Component | filter-presets/index', function (hooks) {
+  setupRenderingTest(hooks);
+  setupIntl(hooks, 'en-us');
+
+  const DROPDOWN_TOGGLE = '[data-test-filter-presets-dropdown] button';
+  const SAVE_ACTION = '[data-test-filter-presets-save]';
+  const NAME_INPUT = '[data-test-filter-presets-name]';
+  const PINNED_CHECKBOX = '[data-test-filter-presets-pinned-checkbox]';
+  const SAVE_BUTTON = '[data-test-filter-presets-save-button]';
+  const PINNED = (name) => `[data-test-filter-presets-pinned="${name}"]`;
+  const APPLY = (name) => `[data-test-filter-presets-apply="${name}"]`;
+  const IMPORT_INPUT = '[data-test-filter-presets-import-input]';
+
+  let filterPresets, replaceWith;
+
+  hooks.beforeEach(function () {
+    this.owner.lookup('service:sqlite').dbName = 'u_1-boundary.example.com';
+    filterPresets = this.owner.lookup('service:filter-presets');
+    replaceWith = sinon.stub(
+      this.owner.lookup('service:router'),
+      'replaceWith',
+    );
+    this.set('filters', {
+      allFilters: { types: [], availableSessions: [] },
+      selectedFilters: { types: ['ssh'], availableSessions: [] },
+    });
+    this.set('search', 'prod');
+  });
+
+  hooks.afterEach(function () {
+    sinon.restore();
+  });
+
+  test('it saves the current filters as a pinned preset', async function (assert) {
+    await render(
+      hbs`<FilterPresets @type='target' @filters={{this.filters}} @search={{this.search}} />`,
+    );
+
+    await click(DROPDOWN_TOGGLE);
+    await click(SAVE_ACTION);
+    await fillIn(NAME_INPUT, 'SSH in prod');
+    await click(PINNED_CHECKBOX);
+    await click(SAVE_BUTTON);
+
+    assert.deepEqual(filterPresets.presetsFor('target'), [
+      {
+        name: 'SSH in prod',
+        pinned: true,
+        filters: { search: 'prod', types: ['ssh'] },
+      },
+    ]);
+    assert.dom(PINNED('SSH in prod')).exists();
+  });
+
+  test('it cannot save a preset without filters', async function (assert) {
+    this.set('filters', {
+      allFilters: { types: [] },
+      selectedFilters: { types: [] },
+    });
+    await render(
+      hbs`<FilterPresets @type='target' @filters={{this.filters}} />`,
+    );
+
+    await click(DROPDOWN_TOGGLE);
+
+    assert.dom(SAVE_ACTION).doesNotExist();
+  });
+
+  test('it applies a preset from the first page', async function (assert) {
+    filterPresets.save('target', 'Active', { availableSessions: ['yes'] });
+    await render(
+      hbs`<FilterPresets @type='target' @filters={{this.filters}} @search={{this.search}} @paginated={{true}} />`,
+    );
+
+    await click(DROPDOWN_TOGGLE);
+    await click(APPLY('Active'));
+
+    assert.true(
+      replaceWith.calledOnceWith({
+        queryParams: {
+          page: 1,
+          types: [],
+          availableSessions: ['yes'],
+          search: '',
+        },
+      }),
+    );
+  });
+
+  test('it applies pinned presets from the toolbar', async function (assert) {
+    filterPresets.save('target', 'SSH', { types: ['ssh'] }, { pinned: true });
+    filterPresets.save('target', 'TCP', { types: ['tcp'] });
+    await render(
+      hbs`<FilterPresets @type='target' @filters={{this.filters}} />`,
+    );
+
+    assert.dom(PINNED('TCP')).doesNotExist();
+    await click(PINNED('SSH'));
+
+    assert.true(
+      replaceWith.calledOnceWith({
+        queryParams: { types: ['ssh'], availableSessions: [] },
+      }),
+    );
+  });
+
+  test('it imports presets from a file', async function (assert) {
+    const flashMessages = this.owner.lookup('service:flash-messages');
+    const success = sinon.spy(flashMessages, 'success');
+    filterPresets.save('target', 'SSH', { types: ['ssh'] });
+    const exported = filterPresets.exportPresets('target');
+    filterPresets.remove('target', 'SSH');
+    await render(
+      hbs`<FilterPresets @type='target' @filters={{this.filters}} />`,
+    );
+
+    await triggerEvent(IMPORT_INPUT, 'change', {
+      files: [new File([exported], 'presets.json')],
+    });
+
+    assert.deepEqual(
+      filterPresets.presetsFor('target').map(({ name }) => name),
+      ['SSH'],
+    );
+    assert.true(success.calledOnce);
+  });
+
+  test('it does nothing when no file is chosen', async function (assert) {
+    const flashMessages = this.owner.lookup('service:flash-messages');
+    const success = sinon.spy(flashMessages, 'success');
+    await render(
+      hbs`<FilterPresets @type='target' @filters={{this.filters}} />`,
+    );
+
+    await triggerEvent(IMPORT_INPUT, 'change', { files: [] });
+
+    assert.true(success.notCalled);
+  });
+
+  test('it reports files that are not presets', async function (assert) {
+    const flashMessages = this.owner.lookup('service:flash-messages');
+    const danger = sinon.spy(flashMessages, 'danger');
+    await render(
+      hbs`<FilterPresets @type='target' @filters={{this.filters}} />`,
+    );
+
+    await triggerEvent(IMPORT_INPUT, 'change', {
+      files: [new File(['not json'], 'presets.json')],
+    });
+
+    assert.true(danger.calledOnce);
+    assert.deepEqual(filterPresets.presetsFor('target'), []);
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+import { module, test } from 'qunit';
+import { setupRenderingTest } from 'admin/tests/helpers';
+import { click, fillIn, render, select } from '@ember/test-helpers';
+import { hbs } from 'ember-cli-htmlbars';
+import { setupIntl } from 'ember-intl/test-support';
+import sinon from 'sinon';
+
+module('Integration | Component | form/role/grants', function (hooks) {
+  setupRenderingTest(hooks);
+  setupIntl(hooks, 'en-us');
+
+  const ADD_GRANT_INPUT = '#add-grant';
+  const ADD_GRANT_BUTTON = '[data-test-add-grant]';
+  const GRANT_ERROR = '[data-test-grant-error]';
+  const SUGGESTIONS = '[data-test-grant-suggestions] option';
+  const STRUCTURED_TOGGLE = '[data-test-structured-grants]';
+  const PICKER = '[data-test-grant-picker]';
+  const NEW_GRANT_PICKER = '[data-test-new-grant-picker]';
+  const NEW_GRANT_PREVIEW = '[data-test-new-grant-preview]';
+
+  hooks.beforeEach(function () {
+    this.set('model', {
+      authorized_actions: ['set-grants'],
+      grant_strings: ['ids=*;type=*;actions=read'],
+    });
+    this.set('addGrant', sinon.spy());
+    this.set('removeGrant', sinon.spy());
+    this.set('submit', sinon.spy());
+    this.set('cancel', sinon.spy());
+  });
+
+  const renderGrants = () =>
+    render(hbs`<Form::Role::Grants
+      @model={{this.model}}
+      @addGrant={{this.addGrant}}
+      @removeGrant={{this.removeGrant}}
+      @submit={{this.submit}}
+      @cancel={{this.cancel}}
+    />`);
+
+  test('it shows inline errors for invalid grant strings', async function (assert) {
+    await renderGrants();
+
+    assert.dom(GRANT_ERROR).doesNotExist();
+
+    await fillIn(ADD_GRANT_INPUT, 'ids=*;type=taget;actions=read');
+
+    assert.dom(GRANT_ERROR).hasText('"taget" is not a resource type.');
+    assert.dom(ADD_GRANT_BUTTON).isDisabled();
+
+    await fillIn(ADD_GRANT_INPUT, 'ids=*;type=target;actions=read');
+
+    assert.dom(GRANT_ERROR).doesNotExist();
+    assert.dom(ADD_GRANT_BUTTON).isEnabled();
+  });
+
+  test('it shows inline errors for existing grants', async function (assert) {
+    await renderGrants();
+
+    await fillIn('#update-grant-0', 'ids=*;type=target;actions=launch');
+
+    assert
+      .dom(GRANT_ERROR)
+      .hasText('"launch" is not an action on target resources.');
+  });
+
+  test('it suggests resource types and actions', async function (assert) {
+    await renderGrants();
+
+    await fillIn(ADD_GRANT_INPUT, 'ids=*;type=ta');
+
+    assert.dom(SUGGESTIONS).exists({ count: 1 });
+    assert.dom(SUGGESTIONS).hasAttribute('value', 'ids=*;type=target');
+
+    await fillIn(ADD_GRANT_INPUT, 'ids=*;type=session;actions=read,ca');
+
+    assert
+      .dom(SUGGESTIONS)
+      .hasAttribute('value', 'ids=*;type=session;actions=read,cancel');
+  });
+
+  test('it builds grants with pickers in structured mode', async function (assert) {
+    await renderGrants();
+    await click(STRUCTURED_TOGGLE);
+
+    assert.dom(PICKER).exists({ count: 2 });
+    assert.dom(ADD_GRANT_INPUT).doesNotExist();
+
+    await fillIn(`${NEW_GRANT_PICKER} [data-test-grant-picker-ids]`, '*');
+    await select(`${NEW_GRANT_PICKER} [data-test-grant-picker-type]`, 'target');
+    await click(
+      `${NEW_GRANT_PICKER} [data-test-grant-picker-action="authorize-session"]`,
+    );
+
+    assert
+      .dom(NEW_GRANT_PREVIEW)
+      .hasText('ids=*;type=target;actions=authorize-session');
+    assert.dom(ADD_GRANT_BUTTON).isEnabled();
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+import { module, test } from 'qunit';
+import { setupRenderingTest } from 'admin/tests/helpers';
+import { click, fillIn, render, triggerKeyEvent } from '@ember/test-helpers';
+import { hbs } from 'ember-cli-htmlbars';
+import { setupIntl } from 'ember-intl/test-support';
+import sinon from 'sinon';
+
+module('Integration | Component | global-search/index', function (hooks) {
+  setupRenderingTest(hooks);
+  setupIntl(hooks, 'en-us');
+
+  const TOGGLE_BUTTON = '[data-test-global-search-toggle]';
+  const PALETTE = '[data-test-global-search]';
+  const SEARCH_INPUT = '[data-test-global-search-input]';
+  const GROUP = '[data-test-global-search-group]';
+  const RESULT = (id) => `[data-test-global-search-result="${id}"]`;
+  const EMPTY = '[data-test-global-search-empty]';
+
+  const target = (id, title) => ({
+    type: 'target',
+    id,
+    title,
+    scopeId: 'p_1',
+    route: 'scopes.scope.targets.target',
+    models: ['p_1', id],
+  });
+
+  let search;
+
+  hooks.beforeEach(function () {
+    search = sinon
+      .stub(this.owner.lookup('service:global-search'), 'search')
+      .resolves([
+        {
+          type: 'target',
+          label: 'resources.target.title_plural',
+          scopes: [
+            {
+              scopeId: 'p_1',
+              name: 'Project',
+              results: [target('t_1', 'dev'), target('t_2', 'dev api')],
+            },
+          ],
+        },
+      ]);
+  });
+
+  hooks.afterEach(function () {
+    sinon.restore();
+  });
+
+  test('it opens with the keyboard shortcut', async function (assert) {
+    await render(hbs`<GlobalSearch />`);
+    assert.dom(PALETTE).doesNotExist();
+
+    await triggerKeyEvent(document, 'keydown', 'K', { ctrlKey: true });
+    assert.dom(PALETTE).exists();
+
+    await triggerKeyEvent(document, 'keydown', 'K', { metaKey: true });
+    assert.dom(PALETTE).doesNotExist();
+  });
+
+  test('it shows grouped results', async function (assert) {
+    await render(hbs`<GlobalSearch />`);
+    await click(TOGGLE_BUTTON);
+
+    await fillIn(SEARCH_INPUT, 'dev');
+
+    assert.true(search.calledWith('dev'));
+    assert.dom(GROUP).exists({ count: 1 });
+    assert.dom(GROUP).includesText('Targets');
+    assert.dom(GROUP).includesText('Project');
+    assert.dom(RESULT('t_1')).hasClass('global-search__result--active');
+    assert.dom(RESULT('t_2')).exists();
+  });
+
+  test('it shows when nothing was found', async function (assert) {
+    search.resolves([]);
+    await render(hbs`<GlobalSearch />`);
+    await click(TOGGLE_BUTTON);
+
+    await fillIn(SEARCH_INPUT, 'nothing');
+
+    assert.dom(EMPTY).exists();
+  });
+
+  test('it goes to the selected result with the arrow keys', async function (assert) {
+    const router = this.owner.lookup('service:router');
+    const transitionTo = sinon.stub(router, 'transitionTo');
+    await render(hbs`<GlobalSearch />`);
+    await click(TOGGLE_BUTTON);
+    await fillIn(SEARCH_INPUT, 'dev');
+
+    await triggerKeyEvent(SEARCH_INPUT, 'keydown', 'ArrowDown');
+    assert.dom(RESULT('t_2')).hasClass('global-search__result--active');
+    await triggerKeyEvent(SEARCH_INPUT, 'keydown', 'Enter');
+
+    assert.true(
+      transitionTo.calledWith('scopes.scope.targets.target', 'p_1', 't_2'),
+    );
+    assert.dom(PALETTE).doesNotExist();
+  });
+});
@@ -0,0 +1,57 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+import { module, test } from 'qunit';
+import { setupRenderingTest } from 'admin/tests/helpers';
+import { click, render, settled } from '@ember/test-helpers';
+import { hbs } from 'ember-cli-htmlbars';
+import { setupIntl } from 'ember-intl/test-support';
+import sinon from 'sinon';
+
+module('Integration | Component | offline-banner/index', function (hooks) {
+  setupRenderingTest(hooks);
+  setupIntl(hooks, 'en-us');
+
+  const BANNER = '[data-test-offline-banner]';
+  const RETRY_BUTTON = '[data-test-offline-banner-retry]';
+
+  let connectivity;
+
+  hooks.beforeEach(function () {
+    connectivity = this.owner.lookup('service:connectivity');
+  });
+
+  hooks.afterEach(function () {
+    sinon.restore();
+  });
+
+  test('it renders nothing while online', async function (assert) {
+    await render(hbs`<OfflineBanner />`);
+
+    assert.dom(BANNER).doesNotExist();
+  });
+
+  test('it shows how old the cached data is while offline', async function (assert) {
+    await render(hbs`<OfflineBanner />`);
+
+    connectivity.isOffline = true;
+    connectivity.staleAsOf = new Date('2024-01-02T03:04:05Z');
+    await settled();
+
+    assert.dom(BANNER).exists();
+    assert.dom(BANNER).includesText('stale as of 2024-01-02 03:04:05');
+  });
+
+  test('it retries the connection', async function (assert) {
+    const router = this.owner.lookup('service:router');
+    const refresh = sinon.stub(router, 'refresh').resolves();
+    connectivity.isOffline = true;
+    await render(hbs`<OfflineBanner />`);
+
+    await click(RETRY_BUTTON);
+
+    assert.true(refresh.calledOnce);
+  });
+});
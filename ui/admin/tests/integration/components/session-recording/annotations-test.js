@@ -0,0 +1,109 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+import { module, test } from 'qunit';
+import { setupRenderingTest } from 'admin/tests/helpers';
+import { click, fillIn, render, select } from '@ember/test-helpers';
+import { hbs } from 'ember-cli-htmlbars';
+import { setupIntl } from 'ember-intl/test-support';
+import sinon from 'sinon';
+
+module(
+  'Integration | Component | session-recording/annotations',
+  function (hooks) {
+    setupRenderingTest(hooks);
+    setupIntl(hooks, 'en-us');
+
+    const TYPE = '[data-test-annotation-type]';
+    const TEXT = '[data-test-annotation-text]';
+    const ADD = '[data-test-annotation-add]';
+    const ROWS = '[data-test-annotation]';
+    const ROW = (id) => `[data-test-annotation="${id}"]`;
+    const CLIP_START = '[data-test-annotation-clip-start]';
+    const CLIP_END = '[data-test-annotation-clip-end]';
+    const EXPORT_CLIP = '[data-test-annotation-export-clip]';
+
+    let recordingAnnotations;
+
+    hooks.beforeEach(function () {
+      this.owner.lookup('service:sqlite').dbName = 'u_1-boundary.example.com';
+      recordingAnnotations = this.owner.lookup('service:recording-annotations');
+      this.set('channelRecording', {
+        id: 'chr_1',
+        connection_recording: { session_recording: { id: 'sr_1' } },
+      });
+      this.set('currentTime', async () => 72.5);
+      this.set('onSeek', sinon.spy());
+    });
+
+    hooks.afterEach(function () {
+      // Annotations are kept in local storage
+      recordingAnnotations
+        .annotationsFor('chr_1')
+        .forEach(({ id }) => recordingAnnotations.remove('chr_1', id));
+    });
+
+    test('it adds annotations at the current time of the player', async function (assert) {
+      await render(hbs`<SessionRecording::Annotations
+        @channelRecording={{this.channelRecording}}
+        @currentTime={{this.currentTime}}
+        @onSeek={{this.onSeek}}
+      />`);
+
+      assert.dom(ROWS).doesNotExist();
+
+      await select(TYPE, 'bookmark');
+      await fillIn(TEXT, 'Config changed');
+      await click(ADD);
+
+      const [annotation] = recordingAnnotations.annotationsFor('chr_1');
+      assert.deepEqual(
+        { type: annotation.type, time: annotation.time, text: annotation.text },
+        { type: 'bookmark', time: 72.5, text: 'Config changed' },
+      );
+      assert.dom(ROWS).exists({ count: 1 });
+      assert.dom(ROW(annotation.id)).includesText('1:12');
+      assert.dom(ROW(annotation.id)).includesText('Config changed');
+      assert.dom(TEXT).hasValue('');
+      assert.true(this.onSeek.calledWith(72.5));
+    });
+
+    test('it plays from and removes annotations', async function (assert) {
+      const { id } = recordingAnnotations.add('chr_1', { time: 30, text: 'a' });
+      await render(hbs`<SessionRecording::Annotations
+        @channelRecording={{this.channelRecording}}
+        @currentTime={{this.currentTime}}
+        @onSeek={{this.onSeek}}
+      />`);
+
+      await click(`${ROW(id)} [data-test-annotation-seek]`);
+      assert.true(this.onSeek.calledWith(30));
+
+      await click(`${ROW(id)} [data-test-annotation-delete]`);
+      assert.dom(ROWS).doesNotExist();
+      assert.deepEqual(recordingAnnotations.annotationsFor('chr_1'), []);
+    });
+
+    test('it only exports clips that end after they start', async function (assert) {
+      const first = recordingAnnotations.add('chr_1', { time: 10, text: 'a' });
+      const last = recordingAnnotations.add('chr_1', { time: 20, text: 'b' });
+      await render(hbs`<SessionRecording::Annotations
+        @channelRecording={{this.channelRecording}}
+        @currentTime={{this.currentTime}}
+        @onSeek={{this.onSeek}}
+      />`);
+
+      assert.dom(EXPORT_CLIP).isDisabled();
+
+      await select(CLIP_START, last.id);
+      await select(CLIP_END, first.id);
+      assert.dom(EXPORT_CLIP).isDisabled();
+
+      await select(CLIP_START, first.id);
+      await select(CLIP_END, last.id);
+      assert.dom(EXPORT_CLIP).isEnabled();
+    });
+  },
+);
@@ -0,0 +1,145 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+import { module, test } from 'qunit';
+import { setupRenderingTest } from 'admin/tests/helpers';
+import { click, fillIn, render, select } from '@ember/test-helpers';
+import { hbs } from 'ember-cli-htmlbars';
+import { setupIntl } from 'ember-intl/test-support';
+import sinon from 'sinon';
+
+module(
+  'Integration | Component | worker-filter-generator/expression-builder',
+  function (hooks) {
+    setupRenderingTest(hooks);
+    setupIntl(hooks, 'en-us');
+
+    const EXPRESSION = '[data-test-expression-builder-expression]';
+    const LOAD_ERROR = '[data-test-expression-builder-load-error]';
+    const APPLY_BUTTON = '[data-test-expression-builder-apply]';
+    const PREVIEW_COUNT = '[data-test-expression-builder-preview-count]';
+    const PREVIEW_WORKER = (id) =>
+      `[data-test-expression-builder-preview-worker="${id}"]`;
+    const GROUP = '[data-test-expression-group]';
+    const CONDITION = '[data-test-expression-condition]';
+    const ADD_CONDITION = '[data-test-expression-group-add-condition]';
+    const ADD_GROUP = '[data-test-expression-group-add-group]';
+    const GROUP_LOGIC = '[data-test-expression-group-logic]';
+    const SELECTOR = '[data-test-expression-condition-selector]';
+    const OPERATOR = '[data-test-expression-condition-operator]';
+    const VALUE = '[data-test-expression-condition-value]';
+    const CONDITION_NEGATED = '[data-test-expression-condition-negated]';
+    const REMOVE_CONDITION = '[data-test-expression-condition-remove]';
+
+    hooks.beforeEach(function () {
+      this.onApply = sinon.spy();
+    });
+
+    test('it loads an existing filter into the builder', async function (assert) {
+      this.filter =
+        '"/name" == "w1" or ("eu" in "/tags/region" and "/tags/type" is not empty)';
+      await render(
+        hbs`<WorkerFilterGenerator::ExpressionBuilder @filter={{this.filter}} @onApply={{this.onApply}} />`,
+      );
+
+      assert.dom(LOAD_ERROR).doesNotExist();
+      assert.dom(GROUP).exists({ count: 2 });
+      assert.dom(CONDITION).exists({ count: 3 });
+      assert.dom(`${GROUP} ${GROUP} ${VALUE}`).exists({ count: 1 });
+      assert.dom(EXPRESSION).hasText(this.filter);
+    });
+
+    test('it shows why an invalid filter could not be loaded', async function (assert) {
+      this.filter = '"/name" = "w1"';
+      await render(
+        hbs`<WorkerFilterGenerator::ExpressionBuilder @filter={{this.filter}} @onApply={{this.onApply}} />`,
+      );
+
+      assert.dom(LOAD_ERROR).includesText('Unexpected "=" at position 8.');
+      assert.dom(CONDITION).doesNotExist();
+    });
+
+    test('it builds nested expressions', async function (assert) {
+      await render(
+        hbs`<WorkerFilterGenerator::ExpressionBuilder @onApply={{this.onApply}} />`,
+      );
+
+      await click(ADD_CONDITION);
+      await fillIn(SELECTOR, '/tags/region');
+      await select(OPERATOR, 'in');
+      await fillIn(VALUE, 'eu');
+      await click(ADD_GROUP);
+      await fillIn(`${GROUP} ${GROUP} ${SELECTOR}`, '/name');
+      await select(`${GROUP} ${GROUP} ${OPERATOR}`, 'matches');
+      await fillIn(`${GROUP} ${GROUP} ${VALUE}`, 'prod-.*');
+      await click(`${GROUP} ${GROUP} ${ADD_CONDITION}`);
+      await fillIn(`${GROUP} ${GROUP} li:last-child ${SELECTOR}`, '/name');
+      await fillIn(`${GROUP} ${GROUP} li:last-child ${VALUE}`, 'w1');
+      await click(`${GROUP} ${GROUP} li:last-child ${CONDITION_NEGATED}`);
+
+      assert
+        .dom(EXPRESSION)
+        .hasText(
+          '"eu" in "/tags/region" and ("/name" matches "prod-.*" or not "/name" == "w1")',
+        );
+
+      await select(GROUP_LOGIC, 'or');
+      await click(`${GROUP} ${GROUP} ${REMOVE_CONDITION}`);
+
+      assert
+        .dom(EXPRESSION)
+        .hasText('"eu" in "/tags/region" or not "/name" == "w1"');
+
+      await click(APPLY_BUTTON);
+
+      assert.true(
+        this.onApply.calledOnceWith(
+          '"eu" in "/tags/region" or not "/name" == "w1"',
+        ),
+      );
+    });
+
+    test('it previews which loaded workers match', async function (assert) {
+      const store = this.owner.lookup('service:store');
+      store.push({
+        data: [
+          {
+            id: 'w_1',
+            type: 'worker',
+            attributes: {
+              name: 'w1',
+              config_tags: { region: ['eu'] },
+              api_tags: {},
+            },
+          },
+          {
+            id: 'w_2',
+            type: 'worker',
+            attributes: {
+              name: 'w2',
+              config_tags: {},
+              api_tags: { region: ['us'] },
+            },
+          },
+        ],
+      });
+      this.filter = '"eu" in "/tags/region"';
+      await render(
+        hbs`<WorkerFilterGenerator::ExpressionBuilder @filter={{this.filter}} @onApply={{this.onApply}} />`,
+      );
+
+      assert
+        .dom(PREVIEW_COUNT)
+        .hasText('1 of 2 loaded workers match this filter.');
+      assert.dom(PREVIEW_WORKER('w_1')).exists();
+      assert.dom(PREVIEW_WORKER('w_2')).doesNotExist();
+
+      await fillIn(VALUE, 'us');
+
+      assert.dom(PREVIEW_WORKER('w_1')).doesNotExist();
+      assert.dom(PREVIEW_WORKER('w_2')).exists();
+    });
+  },
+);
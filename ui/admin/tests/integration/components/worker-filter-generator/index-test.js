@@ -26,6 +26,9 @@ module(
     const TAG_VALUE = '[name="tag_value"]';
     const NAME_OPERATOR = '[name="name_operator"]';
     const GENERATED_VALUE = '[name="generated_value"]';
+    const EXPRESSION_TYPE_OPTION = '[value="expression"]';
+    const EXPRESSION_BUILDER = '[data-test-expression-builder]';
+    const SYNTAX_ERROR = '[data-test-worker-filter-syntax-error]';
 
     test('it renders correct content when egress_worker_filter is passed in', async function (assert) {
       this.model = { egress_worker_filter: 'egress filter' };
@@ -167,5 +170,36 @@ module(
 
       assert.dom(FILTER_GENERATOR).isVisible();
     });
+
+    test('it shows syntax errors of the filter', async function (assert) {
+      this.model = { ingress_worker_filter: '"/name" == "w1"' };
+      await render(
+        hbs`<WorkerFilterGenerator @name='ingress_worker_filter' @model={{this.model}} />`,
+      );
+
+      assert.dom(SYNTAX_ERROR).doesNotExist();
+
+      this.set('model', { ingress_worker_filter: '"/name" == "w1" and' });
+
+      assert
+        .dom(SYNTAX_ERROR)
+        .hasText(
+          'Expected a selector or value, but the expression ended at position 19.',
+        );
+    });
+
+    test('filter generator expression type shows the expression builder', async function (assert) {
+      this.model = { ingress_worker_filter: '"/name" == "w1"' };
+      await render(
+        hbs`<WorkerFilterGenerator @name='ingress_worker_filter' @model={{this.model}} />`,
+      );
+
+      await click(SHOW_FILTER_GENERATOR);
+      await click(EXPRESSION_TYPE_OPTION);
+
+      assert.dom(EXPRESSION_BUILDER).isVisible();
+      assert.dom(TAG_KEY).doesNotExist();
+      assert.dom(GENERATED_VALUE).doesNotExist();
+    });
   },
 );
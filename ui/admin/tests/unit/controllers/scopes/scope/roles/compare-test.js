@@ -0,0 +1,71 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+import { module, test } from 'qunit';
+import { setupTest } from 'ember-qunit';
+
+module('Unit | Controller | scopes/scope/roles/compare', function (hooks) {
+  setupTest(hooks);
+
+  let controller;
+
+  hooks.beforeEach(function () {
+    controller = this.owner.lookup('controller:scopes/scope/roles/compare');
+    controller.model = {
+      users: [],
+      groups: [],
+      selectedRoles: [
+        {
+          id: 'r_1',
+          grant_strings: ['ids=*;type=*;actions=read'],
+          grant_scope_ids: ['this'],
+          principals: [{ id: 'u_1', type: 'user' }],
+        },
+        {
+          id: 'r_2',
+          grant_strings: ['ids=*;type=*;actions=read'],
+          grant_scope_ids: ['this', 'children'],
+          principals: [],
+        },
+      ],
+    };
+  });
+
+  test('it exists', function (assert) {
+    assert.ok(controller);
+  });
+
+  test('it filters the comparison to differences', function (assert) {
+    assert.strictEqual(controller.diff.grantStrings.length, 1);
+
+    controller.toggleOnlyDifferences();
+
+    assert.deepEqual(controller.diff.grantStrings, []);
+    assert.deepEqual(
+      controller.diff.grantScopes.map(({ value }) => value),
+      ['children'],
+    );
+  });
+
+  test('it can only apply changes that change a role', function (assert) {
+    assert.true(controller.cannotApply);
+
+    controller.value = 'ids=*;type=*;actions=read';
+    assert.true(controller.cannotApply);
+
+    controller.value = 'ids=*;type=taget;actions=read';
+    assert.true(controller.isInvalidGrant);
+    assert.true(controller.cannotApply);
+
+    controller.target = 'principal';
+    controller.operation = 'remove';
+    controller.value = 'u_1';
+    assert.false(controller.cannotApply);
+    assert.deepEqual(
+      controller.plan.map(({ willChange }) => willChange),
+      [true, false],
+    );
+  });
+});
@@ -138,5 +138,30 @@ module(
       assert.strictEqual(controller.page, 1);
       assert.deepEqual(controller.time, last24Hours.toISOString());
     });
+
+    test('matchesFor returns the first matching lines of a recording', function (assert) {
+      const id = instances.sessionRecording.id;
+      const lines = [1, 2, 3, 4, 5].map((time) => ({
+        id: `chr_1:${time}`,
+        channel_recording_id: 'chr_1',
+        type: 'o',
+        text: 'ls',
+        startAt: time,
+      }));
+      controller.set('model', { ...model, matches: new Map([[id, lines]]) });
+
+      const matches = controller.matchesFor(id);
+
+      assert.deepEqual(
+        matches.lines.map(({ id, duration }) => ({ id, duration })),
+        [
+          { id: 'chr_1:1', duration: 1000 },
+          { id: 'chr_1:2', duration: 2000 },
+          { id: 'chr_1:3', duration: 3000 },
+        ],
+      );
+      assert.strictEqual(matches.more, 2);
+      assert.strictEqual(controller.matchesFor('sr_other'), null);
+    });
   },
 );
@@ -0,0 +1,47 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+import { module, test } from 'qunit';
+import { setupTest } from 'ember-qunit';
+
+module('Unit | Controller | scopes/scope/workers/bulk-tags', function (hooks) {
+  setupTest(hooks);
+
+  let controller;
+
+  hooks.beforeEach(function () {
+    controller = this.owner.lookup('controller:scopes/scope/workers/bulk-tags');
+    controller.model = {
+      targets: [],
+      workers: [
+        { id: 'w_1', config_tags: {}, api_tags: { env: ['prod'] } },
+        { id: 'w_2', config_tags: {}, api_tags: {} },
+      ],
+    };
+  });
+
+  test('it exists', function (assert) {
+    assert.ok(controller);
+  });
+
+  test('it can only apply valid tags that change a worker', function (assert) {
+    assert.true(controller.cannotApply);
+
+    controller.value = 'env';
+    assert.deepEqual(controller.parsedTags.invalid, ['env']);
+    assert.true(controller.cannotApply);
+
+    controller.operation = 'remove';
+    controller.value = 'env=qa';
+    assert.true(controller.cannotApply);
+
+    controller.value = 'env=prod';
+    assert.false(controller.cannotApply);
+    assert.deepEqual(
+      controller.plan.map(({ willChange }) => willChange),
+      [true, false],
+    );
+  });
+});
@@ -106,6 +106,31 @@ module('Unit | Controller | scopes/scope/workers/index', function (hooks) {
     assert.deepEqual(controller.tags, [encodedTag]);
   });
 
+  test('filterByTag action adds the options of a tag to the tags filter', async function (assert) {
+    await visit(urls.workers);
+    controller.set('tags', []);
+
+    controller.filterByTag({ key: 'type', value: 'dev' });
+    controller.filterByTag({ key: 'type', value: 'dev' });
+
+    assert.deepEqual(
+      controller.tags.map((tag) => JSON.parse(window.atob(tag))),
+      [{ key: 'type', value: 'dev', type: 'config' }],
+    );
+  });
+
+  test('fleet summarizes the listed workers', async function (assert) {
+    await visit(urls.workers);
+
+    assert.strictEqual(controller.fleet.total, controller.model.length);
+    assert.deepEqual(
+      controller.fleet.tags
+        .find(({ key }) => key === 'type')
+        .values.find(({ value }) => value === 'dev'),
+      { key: 'type', value: 'dev', count: 1 },
+    );
+  });
+
   test('filters returns expected entries', function (assert) {
     controller.set('model', model.tags);
     assert.ok(controller.filters.allFilters);
@@ -0,0 +1,196 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+import { module, test } from 'qunit';
+import { setupTest } from 'admin/tests/helpers';
+import setupMirage from 'ember-cli-mirage/test-support/setup-mirage';
+import { setupSqlite } from 'api/test-support/helpers/sqlite';
+import sinon from 'sinon';
+import {
+  groupResults,
+  rankResults,
+  searchFilter,
+} from 'admin/services/global-search';
+
+module('Unit | Service | global-search', function (hooks) {
+  setupTest(hooks);
+  setupMirage(hooks);
+  setupSqlite(hooks);
+
+  let service, store, project;
+
+  hooks.beforeEach(function () {
+    service = this.owner.lookup('service:global-search');
+    store = this.owner.lookup('service:store');
+
+    this.server.create('scope', { id: 'global' });
+    const org = this.server.create('scope', {
+      type: 'org',
+      scope: { id: 'global', type: 'global' },
+    });
+    project = this.server.create('scope', {
+      type: 'project',
+      scope: { id: org.id, type: 'org' },
+    });
+  });
+
+  hooks.afterEach(function () {
+    sinon.restore();
+  });
+
+  test('it ranks exact, then prefix, then partial title matches', function (assert) {
+    const results = rankResults(
+      [
+        { title: 'my dev box', rank: -3 },
+        { title: 'description match', rank: -5 },
+        { title: 'dev-server', rank: -1 },
+        { title: 'Dev', rank: -1 },
+        { title: 'dev-api', rank: null },
+      ],
+      'dev',
+    );
+
+    assert.deepEqual(
+      results.map(({ title }) => title),
+      ['Dev', 'dev-server', 'dev-api', 'my dev box', 'description match'],
+    );
+  });
+
+  test('it groups results by type, then scope, in order of relevance', function (assert) {
+    const groups = groupResults([
+      { type: 'host', scopeId: 'p_1', id: 'h_1' },
+      { type: 'target', scopeId: 'p_1', id: 't_1' },
+      { type: 'host', scopeId: 'p_2', id: 'h_2' },
+      { type: 'host', scopeId: 'p_1', id: 'h_3' },
+    ]);
+
+    assert.deepEqual(
+      groups.map(({ type, label, scopes }) => ({
+        type,
+        label,
+        scopes: scopes.map(({ scopeId, results }) => [
+          scopeId,
+          results.map(({ id }) => id),
+        ]),
+      })),
+      [
+        {
+          type: 'host',
+          label: 'resources.host.title_plural',
+          scopes: [
+            ['p_1', ['h_1', 'h_3']],
+            ['p_2', ['h_2']],
+          ],
+        },
+        {
+          type: 'target',
+          label: 'resources.target.title_plural',
+          scopes: [['p_1', ['t_1']]],
+        },
+      ],
+    );
+  });
+
+  test('it builds case insensitive API filters with escaped text', function (assert) {
+    assert.strictEqual(
+      searchFilter('dev', ['name']),
+      '"/item/name" matches "(?i)dev"',
+    );
+    assert.strictEqual(
+      searchFilter('a.b "c"', ['name', 'create_time_values.target.name']),
+      '"/item/name" matches "(?i)a\\\\.b \\"c\\"" or "/item/create_time_values/target/name" matches "(?i)a\\\\.b \\"c\\""',
+    );
+  });
+
+  test('it searches cached resources in SQLite', async function (assert) {
+    this.server.create('target', { name: 'dev target', scope: project });
+    this.server.create('target', { name: 'prod target', scope: project });
+    await store.query('target', { scope_id: 'global', recursive: true });
+    const query = sinon.stub().resolves({ items: [] });
+    sinon.stub(store, 'adapterFor').returns({ query });
+
+    const [group, ...others] = await service.search('dev');
+
+    assert.strictEqual(others.length, 0);
+    assert.strictEqual(group.type, 'target');
+    const [{ name, results }] = group.scopes;
+    assert.strictEqual(name, project.id);
+    assert.strictEqual(results.length, 1);
+    assert.strictEqual(results[0].title, 'dev target');
+    assert.strictEqual(results[0].route, 'scopes.scope.targets.target');
+    assert.deepEqual(results[0].models, [project.id, results[0].id]);
+    assert.false(
+      query.getCalls().some(({ args }) => args[1].modelName === 'target'),
+      'cached resources are not fetched',
+    );
+  });
+
+  test('it falls back to API filter queries for resources not cached', async function (assert) {
+    const query = sinon.stub().callsFake((_store, schema) =>
+      schema.modelName === 'user'
+        ? {
+            items: [
+              {
+                id: 'u_1',
+                name: 'dev user',
+                scope: { id: 'global', type: 'global' },
+              },
+            ],
+          }
+        : { items: [] },
+    );
+    sinon.stub(store, 'adapterFor').returns({ query });
+
+    const [group] = await service.search('dev');
+
+    const [, , userQuery] = query
+      .getCalls()
+      .find(({ args }) => args[1].modelName === 'user').args;
+    assert.deepEqual(userQuery, {
+      scope_id: 'global',
+      recursive: true,
+      filter: '"/item/name" matches "(?i)dev"',
+      page_size: 5,
+    });
+    assert.false(
+      query.getCalls().some(({ args }) => args[1].modelName === 'host'),
+      'nested resources have no fallback',
+    );
+    assert.strictEqual(group.type, 'user');
+    assert.deepEqual(group.scopes[0].results[0].models, ['global', 'u_1']);
+  });
+
+  test('it searches resources synced in some scopes only through the API', async function (assert) {
+    this.server.create('target', { name: 'dev target', scope: project });
+    await store.query('target', { scope_id: project.id });
+    const query = sinon.stub().callsFake((_store, schema) =>
+      schema.modelName === 'target'
+        ? {
+            items: [
+              {
+                id: 't_other',
+                name: 'dev target elsewhere',
+                scope: { id: 'p_other', type: 'project' },
+              },
+            ],
+          }
+        : { items: [] },
+    );
+    sinon.stub(store, 'adapterFor').returns({ query });
+
+    const [group] = await service.search('dev');
+
+    assert.true(
+      query.getCalls().some(({ args }) => args[1].modelName === 'target'),
+      'resources cached for one scope are fetched',
+    );
+    assert.strictEqual(group.type, 'target');
+    assert.deepEqual(group.scopes[0].results[0].models, ['p_other', 't_other']);
+  });
+
+  test('it returns nothing for blank searches', async function (assert) {
+    assert.deepEqual(await service.search('  '), []);
+  });
+});
@@ -0,0 +1,57 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+import Component from '@glimmer/component';
+import { action } from '@ember/object';
+import { service } from '@ember/service';
+import { notifyError, notifySuccess } from 'core/decorators/notify';
+
+export default class ConnectionPresetComponent extends Component {
+  // =services
+  @service connections;
+
+  // =attributes
+
+  /**
+   * Connection preset of the target, if any
+   * @type {?Object}
+   */
+  get preset() {
+    return this.connections.presetFor(this.args.target.id);
+  }
+
+  // =methods
+
+  /**
+   * Saves the connection preset of the target from the submitted form
+   * @param {SubmitEvent} event
+   * @return {Promise<void>}
+   */
+  @action
+  @notifyError(({ message }) => message, { catch: true })
+  @notifySuccess('notifications.save-success')
+  async save(event) {
+    event.preventDefault();
+    const data = new FormData(event.target);
+    const listenPort = data.get('listen_port');
+    await this.connections.savePreset({
+      targetId: this.args.target.id,
+      listenAddr: data.get('listen_addr') || null,
+      listenPort: listenPort ? Number(listenPort) : null,
+      hostId: data.get('host_id') || null,
+      autoConnect: data.has('auto_connect'),
+    });
+  }
+
+  /**
+   * Removes the connection preset of the target
+   * @return {Promise<void>}
+   */
+  @action
+  @notifyError(({ message }) => message, { catch: true })
+  async remove() {
+    await this.connections.removePreset(this.args.target.id);
+  }
+}
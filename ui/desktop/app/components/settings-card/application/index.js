@@ -4,7 +4,9 @@
  */
 
 import Component from '@glimmer/component';
+import { action } from '@ember/object';
 import { service } from '@ember/service';
+import { notifyError } from 'core/decorators/notify';
 
 const THEMES = [
   {
@@ -21,9 +23,13 @@ const THEMES = [
   },
 ];
 
+// Minutes before a session expires to warn about it, 0 being off
+const SESSION_EXPIRY_WARNINGS = [0, 1, 5, 10, 15, 30];
+
 export default class SettingsApplicationComponent extends Component {
   // =services
   @service session;
+  @service ipc;
 
   /**
    * Returns available themes
@@ -31,4 +37,25 @@ export default class SettingsApplicationComponent extends Component {
   get themes() {
     return THEMES;
   }
+
+  /**
+   * Returns the available session expiry warnings, in minutes
+   * @return {number[]}
+   */
+  get sessionExpiryWarnings() {
+    return SESSION_EXPIRY_WARNINGS;
+  }
+
+  // =methods
+
+  /**
+   * Sets how many minutes before a session expires to warn about it
+   * @param value
+   * @return {Promise<void>}
+   */
+  @action
+  @notifyError(({ message }) => message, { catch: true })
+  async selectSessionExpiryWarning({ target: { value } }) {
+    await this.ipc.invoke('setSessionExpiryWarning', Number(value));
+  }
 }
@@ -0,0 +1,39 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+import Component from '@glimmer/component';
+import { action } from '@ember/object';
+import { service } from '@ember/service';
+import { notifyError } from 'core/decorators/notify';
+
+export default class SettingsCardClusterProfilesComponent extends Component {
+  // =services
+  @service clusterProfiles;
+
+  // =methods
+
+  /**
+   * Renames a cluster profile
+   * @param {Object} profile
+   * @param {Event} event
+   * @return {Promise<void>}
+   */
+  @action
+  @notifyError(({ message }) => message, { catch: true })
+  async rename(profile, { target: { value } }) {
+    await this.clusterProfiles.renameProfile(profile, value);
+  }
+
+  /**
+   * Removes a cluster profile along with its tokens
+   * @param {Object} profile
+   * @return {Promise<void>}
+   */
+  @action
+  @notifyError(({ message }) => message, { catch: true })
+  async remove(profile) {
+    await this.clusterProfiles.removeProfile(profile);
+  }
+}
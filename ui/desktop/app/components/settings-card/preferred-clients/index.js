@@ -7,12 +7,15 @@ import Component from '@glimmer/component';
 import { action } from '@ember/object';
 import { service } from '@ember/service';
 import { RDP_CLIENT_NONE } from 'desktop/services/rdp';
+import { CLIENT_NONE } from 'desktop/services/client-launcher';
+import { TYPE_TARGET_SSH, TYPE_TARGET_TCP } from 'api/models/target';
 
 const PROTOCOL_WINDOWS_RDP = 'windows-rdp';
 
 export default class SettingsCardPreferredClientsComponent extends Component {
   // =services
   @service rdp;
+  @service clientLauncher;
 
   // =getters
 
@@ -27,7 +30,15 @@ export default class SettingsCardPreferredClientsComponent extends Component {
         clients: this.rdp.rdpClients,
         preferredClient: this.rdp.preferredRdpClient,
         updateClient: this.updatePreferredRDPClient,
+        showRecommendedClient: this.showRecommendedRdpClient,
       },
+      ...[TYPE_TARGET_SSH, TYPE_TARGET_TCP].map((targetType) => ({
+        protocolType: targetType,
+        clients: this.clientLauncher.clients[targetType] ?? [CLIENT_NONE],
+        preferredClient: this.clientLauncher.preferredClients[targetType],
+        updateClient: ({ target: { value } }) =>
+          this.clientLauncher.setPreferredClient(targetType, value),
+      })),
     ];
   }
 
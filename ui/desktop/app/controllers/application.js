@@ -8,11 +8,13 @@ import { service } from '@ember/service';
 import { getOwner } from '@ember/application';
 import { action } from '@ember/object';
 import { tracked } from '@glimmer/tracking';
+import { notifyError } from 'core/decorators/notify';
 
 export default class ApplicationController extends Controller {
   // =services
 
   @service clusterUrl;
+  @service clusterProfiles;
   @service flashMessages;
   @service ipc;
   @service session;
@@ -77,6 +79,32 @@ export default class ApplicationController extends Controller {
     this.session.invalidate();
   }
 
+  /**
+   * Switches to another cluster profile.  Sessions running on the current
+   * cluster keep running.
+   * @param {Object} profile
+   */
+  @action
+  @notifyError(({ message }) => message, {
+    catch: true,
+    log: { origin: 'switchClusterProfile' },
+  })
+  async switchClusterProfile(profile) {
+    await this.clusterProfiles.switchTo(profile);
+  }
+
+  /**
+   * Leaves the current cluster profile to add a cluster as a new profile.
+   */
+  @action
+  @notifyError(({ message }) => message, {
+    catch: true,
+    log: { origin: 'addClusterProfile' },
+  })
+  async addClusterProfile() {
+    await this.clusterProfiles.addProfile();
+  }
+
   @action
   minimize() {
     this.ipc.invoke('minimizeWindow');
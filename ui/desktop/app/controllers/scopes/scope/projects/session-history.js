@@ -0,0 +1,205 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+import Controller from '@ember/controller';
+import { service } from '@ember/service';
+import { tracked } from '@glimmer/tracking';
+import { action } from '@ember/object';
+import { debounce } from 'core/decorators/debounce';
+import { downloadFile } from 'core/utils/download-file';
+import { toCsv } from 'core/utils/to-csv';
+
+const TERMINATION_REASONS = ['canceled', 'reconnected', 'expired', 'exited'];
+
+// Columns of the CSV export, in order
+const CSV_COLUMNS = [
+  'id',
+  'target_id',
+  'target_name',
+  'host_id',
+  'address',
+  'port',
+  'started_at',
+  'ended_at',
+  'duration_seconds',
+  'termination_reason',
+  'credential_types',
+];
+
+export default class ScopesScopeProjectsSessionHistoryController extends Controller {
+  // =services
+
+  @service intl;
+  @service('browser/document') document;
+  @service('browser/window') window;
+
+  // =attributes
+
+  queryParams = [
+    { targets: { type: 'array' } },
+    { reasons: { type: 'array' } },
+    'page',
+    'pageSize',
+  ];
+
+  @tracked search;
+  @tracked targets = [];
+  @tracked reasons = [];
+  @tracked page = 1;
+  @tracked pageSize = 10;
+
+  // =methods
+
+  /**
+   * Targets of the sessions in the history, named as they were when the
+   * session started.
+   * @type {[object]}
+   */
+  get targetOptions() {
+    const names = new Map(
+      this.model.map((entry) => [entry.target_id, entry.target_name]),
+    );
+    return [...names].map(([id, name]) => ({ id, name }));
+  }
+
+  /**
+   * @type {[object]}
+   */
+  get reasonOptions() {
+    return TERMINATION_REASONS.map((reason) => ({
+      id: reason,
+      name: this.intl.t(
+        `resources.session.history.termination-reasons.${reason}`,
+      ),
+    }));
+  }
+
+  /**
+   * Returns object of filters to be used for displaying selected filters
+   * @type {object}
+   */
+  get filters() {
+    return {
+      allFilters: {
+        targets: this.targetOptions,
+        reasons: this.reasonOptions,
+      },
+      selectedFilters: {
+        targets: this.targets,
+        reasons: this.reasons,
+      },
+    };
+  }
+
+  /**
+   * History entries matching the search and the selected filters.
+   * @type {[object]}
+   */
+  get entries() {
+    const searchTerm = this.search?.toLowerCase() ?? '';
+    return this.model.filter(
+      (entry) =>
+        (!this.targets.length || this.targets.includes(entry.target_id)) &&
+        (!this.reasons.length ||
+          this.reasons.includes(entry.termination_reason)) &&
+        [
+          entry.id,
+          entry.target_id,
+          entry.target_name,
+          entry.host_id,
+          entry.address,
+          entry.port,
+          ...(entry.credential_types ?? []),
+        ].some((value) =>
+          String(value ?? '')
+            .toLowerCase()
+            .includes(searchTerm),
+        ),
+    );
+  }
+
+  /**
+   * Entries of the current page, with their times as dates and their
+   * duration in milliseconds for display
+   * @type {[object]}
+   */
+  get paginatedEntries() {
+    return this.entries
+      .slice((this.page - 1) * this.pageSize, this.page * this.pageSize)
+      .map((entry) => ({
+        ...entry,
+        startedAt: new Date(entry.started_at),
+        endedAt: entry.ended_at ? new Date(entry.ended_at) : null,
+        duration: Number.isFinite(entry.duration_seconds)
+          ? entry.duration_seconds * 1000
+          : null,
+      }));
+  }
+
+  /**
+   * Returns true if no entries match the search and the selected filters
+   * @type {boolean}
+   */
+  get noResults() {
+    return this.model.length > 0 && this.entries.length === 0;
+  }
+
+  // =actions
+
+  /**
+   * Handles input on each keystroke and the search queryParam
+   * @param {object} event
+   */
+  @action
+  @debounce(250)
+  handleSearchInput(event) {
+    const { value } = event.target;
+    this.search = value;
+    this.page = 1;
+  }
+
+  /**
+   * Sets the query params to value of selectedItems
+   * @param {string} filter
+   * @param {object} selectedItems
+   */
+  @action
+  applyFilter(filter, selectedItems) {
+    this[filter] = [...selectedItems];
+    this.page = 1;
+  }
+
+  /**
+   * Downloads the entries matching the search and the selected filters as
+   * CSV.
+   */
+  @action
+  exportCsv() {
+    const rows = this.entries.map((entry) => ({
+      ...entry,
+      credential_types: entry.credential_types?.join(' '),
+    }));
+    downloadFile(
+      this,
+      toCsv(rows, CSV_COLUMNS),
+      'session-history.csv',
+      'text/csv',
+    );
+  }
+
+  /**
+   * Downloads the entries matching the search and the selected filters as
+   * JSON.
+   */
+  @action
+  exportJson() {
+    downloadFile(
+      this,
+      JSON.stringify(this.entries, null, 2),
+      'session-history.json',
+      'application/json',
+    );
+  }
+}
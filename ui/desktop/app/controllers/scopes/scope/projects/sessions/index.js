@@ -26,6 +26,7 @@ export default class ScopesScopeProjectsSessionsIndexController extends Controll
   @service session;
   @service router;
   @service can;
+  @service clusterProfiles;
 
   // =attributes
 
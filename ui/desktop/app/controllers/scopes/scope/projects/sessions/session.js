@@ -4,7 +4,6 @@
  */
 
 import Controller, { inject as controller } from '@ember/controller';
-import { TYPE_TARGET_RDP } from 'api/models/target';
 import { service } from '@ember/service';
 import { action } from '@ember/object';
 
@@ -13,19 +12,19 @@ export default class ScopesScopeProjectsSessionsSessionController extends Contro
 
   // =services
 
-  @service rdp;
+  @service clientLauncher;
   @service confirm;
 
   // =getters
 
   /**
-   * Whether to show the "Open" button for launching the RDP client.
+   * Whether to show the "Open" button for launching the preferred client
+   * of the target type.
    * @returns {boolean}
    */
   get showOpenButton() {
     return (
-      this.model.target?.type === TYPE_TARGET_RDP &&
-      this.rdp.isPreferredRdpClientSet &&
+      this.clientLauncher.launchableTargetTypes[this.model.target?.type] &&
       this.model.id
     );
   }
@@ -33,14 +32,14 @@ export default class ScopesScopeProjectsSessionsSessionController extends Contro
   // =methods
 
   @action
-  async launchRdpClient() {
+  async launchClient() {
     try {
-      await this.rdp.launchRdpClient(this.model.id);
+      await this.clientLauncher.launch(this.model.id, this.model.target.type);
     } catch (error) {
       this.confirm
         .confirm(error.message, { isConnectError: true })
         // Retry
-        .then(() => this.launchRdpClient());
+        .then(() => this.launchClient());
     }
   }
 }
@@ -20,13 +20,13 @@ export default class ScopesScopeProjectsTargetsIndexController extends Controlle
   // =services
 
   @service confirm;
+  @service connections;
   @service ipc;
   @service router;
-  @service session;
   @service store;
   @service can;
   @service intl;
-  @service rdp;
+  @service clientLauncher;
 
   // =attributes
 
@@ -184,68 +184,11 @@ export default class ScopesScopeProjectsTargetsIndexController extends Controlle
   @action
   @loading
   async connect(target, host) {
-    // Check for CLI
-    const cliExists = await this.ipc.invoke('cliExists');
-    if (!cliExists) throw new Error('Cannot find Boundary CLI.');
-
-    const options = {
-      target_id: target.id,
-      token: this.session.data.authenticated.token,
-      session_max_seconds: target.session_max_seconds,
-    };
-
-    if (host) options.host_id = host.id;
-
-    // Create target session
-    const connectionDetails = await this.ipc.invoke('connect', options);
-
-    // Associate the connection details with the session
-    let session;
-    const { session_id, address, port, credentials, expiration } =
-      connectionDetails;
-    try {
-      session = await this.store.findRecord('session', session_id, {
-        reload: true,
-      });
-    } catch (error) {
-      /**
-       * if the user cannot read or fetch the session we add the important
-       * information returned from the connect command to allow the user
-       * to still continue their work with the information they need
-       */
-      this.store.pushPayload('session', {
-        sessions: [
-          {
-            id: session_id,
-            proxy_address: address,
-            proxy_port: port,
-            target_id: target.id,
-            expiration_time: expiration,
-          },
-        ],
-      });
-
-      session = this.store.peekRecord('session', session_id);
-    }
-
-    // Flag the session has been open in the desktop client
-    session.started_desktop_client = true;
-    /**
-     * Update the session record with proxy information from the CLI
-     * In the future, it may make sense to push this off to the API so that
-     * we don't have to manually persist the proxy details.
-     */
-    session.proxy_address = address;
-    session.proxy_port = port;
-    if (credentials) {
-      credentials.forEach((cred) => session.addCredential(cred));
-    }
-
+    const session = await this.connections.connect(target, host);
     this.router.transitionTo(
       'scopes.scope.projects.sessions.session',
-      session_id,
+      session.id,
     );
-
     return session;
   }
 
@@ -317,20 +260,20 @@ export default class ScopesScopeProjectsTargetsIndexController extends Controlle
 
   /**
    * Quick connect method used to call main connect method and
-   * then launch RDP client
+   * then launch the preferred client of the target type
    * @param {TargetModel} target
    */
   @action
-  async quickConnectAndLaunchRdp(target) {
+  async quickConnectAndLaunch(target) {
     try {
       const session = await this.connect(target);
-      // Launch RDP client
-      await this.rdp.launchRdpClient(session.id);
+      // Launch client
+      await this.clientLauncher.launch(session.id, target.type);
     } catch (error) {
       this.confirm
         .confirm(error.message, { isConnectError: true })
         // Retry
-        .then(() => this.quickConnectAndLaunchRdp(target));
+        .then(() => this.quickConnectAndLaunch(target));
     }
   }
 }
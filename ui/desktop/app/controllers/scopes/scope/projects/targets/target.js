@@ -15,7 +15,7 @@ export default class ScopesScopeProjectsTargetsTargetController extends Controll
 
   @service store;
   @service confirm;
-  @service rdp;
+  @service clientLauncher;
 
   // =attributes
 
@@ -51,11 +51,11 @@ export default class ScopesScopeProjectsTargetsTargetController extends Controll
   }
 
   /**
-   * Launch method that calls parent quickConnectAndLaunchRdp method
+   * Launch method that calls parent quickConnectAndLaunch method
    * @param {TargetModel} target
    */
   @action
-  async connectAndLaunchRdp(target) {
-    await this.targets.quickConnectAndLaunchRdp(target);
+  async connectAndLaunch(target) {
+    await this.targets.quickConnectAndLaunch(target);
   }
 }
@@ -26,6 +26,7 @@ Router.map(function () {
         this.route('sessions', function () {
           this.route('session', { path: ':session_id' }, function () {});
         });
+        this.route('session-history');
         this.route('settings', function () {});
       });
     });
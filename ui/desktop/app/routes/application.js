@@ -17,6 +17,10 @@ export default class ApplicationRoute extends Route {
   @service ipc;
   @service intl;
   @service rdp;
+  @service clientLauncher;
+  @service clusterProfiles;
+  @service connections;
+  @service sessionMonitor;
 
   // =attributes
 
@@ -38,6 +42,8 @@ export default class ApplicationRoute extends Route {
     this.intl.setLocale(['en-us']);
     await this.session.setup();
     await this.clusterUrl.updateClusterUrl();
+    await this.clusterProfiles.load();
+    this.sessionMonitor.start();
     const theme = this.session.get('data.theme');
     /* eslint-disable-next-line ember/no-controller-access-in-routes */
     const controller = this.controllerFor(this.routeName);
@@ -52,10 +58,15 @@ export default class ApplicationRoute extends Route {
       });
 
       await this.session.loadAuthenticatedAccount();
+
+      // Connect to targets whose preset connects on app start without
+      // holding up the app
+      this.connections.autoConnect();
     }
 
     // initialize RDP service with rdp client data
     await this.rdp.initialize();
+    await this.clientLauncher.initialize();
   }
 
   /**
@@ -68,8 +68,7 @@ export default class ScopesScopeRoute extends Route {
       selectedOrg = this.store.peekRecord('scope', model.scopeID);
     }
     // Update the scope service with the current scope(s);
-    this.scope.org = selectedOrg;
-    this.scope.project = selectedProject;
+    this.scope.setScopes(selectedOrg, selectedProject);
     this.scopes = { orgs, projects, selectedOrg, selectedProject };
   }
 
@@ -0,0 +1,31 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+import Route from '@ember/routing/route';
+import { service } from '@ember/service';
+
+export default class ScopesScopeProjectsSessionHistoryRoute extends Route {
+  // =services
+
+  @service ipc;
+
+  // =methods
+
+  /**
+   * Loads the history of sessions started from this client, most recent
+   * first.
+   * @return {Promise<[object]>}
+   */
+  model() {
+    return this.ipc.invoke('getSessionHistory');
+  }
+
+  resetController(controller, isExiting) {
+    if (isExiting) {
+      controller.set('search', '');
+      controller.set('page', 1);
+    }
+  }
+}
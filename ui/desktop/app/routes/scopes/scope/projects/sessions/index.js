@@ -20,6 +20,7 @@ export default class ScopesScopeProjectsSessionsIndexRoute extends Route {
   @service store;
   @service ipc;
   @service router;
+  @service clusterProfiles;
 
   // =attributes
 
@@ -113,6 +114,8 @@ export default class ScopesScopeProjectsSessionsIndexRoute extends Route {
       orgScope,
       orgFilter,
     );
+    // Refresh sessions still running on other clusters
+    await this.clusterProfiles.load();
 
     return {
       sessions,
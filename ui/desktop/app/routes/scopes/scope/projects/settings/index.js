@@ -23,6 +23,9 @@ export default class ScopesScopeProjectsSettingsIndexRoute extends Route {
 
     const logLevel = await this.ipc.invoke('getLogLevel');
     const logPath = await this.ipc.invoke('getLogPath');
+    const sessionExpiryWarning = await this.ipc.invoke(
+      'getSessionExpiryWarning',
+    );
     const serverInformation = this.clusterUrl.rendererClusterUrl;
 
     return {
@@ -32,6 +35,7 @@ export default class ScopesScopeProjectsSettingsIndexRoute extends Route {
       clientAgentStatus,
       logLevel,
       logPath,
+      sessionExpiryWarning,
       serverInformation,
     };
   }
@@ -11,6 +11,7 @@ export default class ScopesScopeProjectsTargetsTargetRoute extends Route {
   // =services
 
   @service store;
+  @service connections;
 
   // =attributes
   queryParams = {
@@ -71,13 +72,19 @@ export default class ScopesScopeProjectsTargetsTargetRoute extends Route {
 
   async afterModel(model, transition) {
     const { isConnecting } = transition.to.queryParams;
+    await this.connections.loadPresets();
 
     /**
      * if connecting and hosts length is 1 or less we will try to
      * connect, even if there is no address on the target and
-     * rely on the CLI to give the user the proper error
+     * rely on the CLI to give the user the proper error.
+     * The same goes when the connection preset of the target picks a host.
      */
-    if (isConnecting && model.hosts.length <= 1) {
+    if (
+      isConnecting &&
+      (model.hosts.length <= 1 ||
+        this.connections.presetFor(model.target.id)?.hostId)
+    ) {
       /* eslint-disable-next-line ember/no-controller-access-in-routes */
       const controller = this.controllerFor(
         'scopes.scope.projects.targets.target',
@@ -0,0 +1,109 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+import Service from '@ember/service';
+import { service } from '@ember/service';
+import { tracked } from '@glimmer/tracking';
+import { TYPE_TARGET_RDP } from 'api/models/target';
+
+export const CLIENT_NONE = 'none';
+
+const { __electronLog } = globalThis;
+
+/**
+ * Launches native clients pointed at the local proxy of a session, such as
+ * ssh, psql or the browser.  The clients installed on the system are
+ * detected by the main process.  RDP clients are launched by the rdp
+ * service.
+ */
+export default class ClientLauncherService extends Service {
+  // =services
+
+  @service ipc;
+  @service rdp;
+
+  // =properties
+
+  /**
+   * Available clients by target type, fetched from the main process.
+   * @type {Object}
+   */
+  @tracked clients = {};
+
+  /**
+   * Preferred clients by target type, set by the user.
+   * @type {Object}
+   */
+  @tracked preferredClients = {};
+
+  // =attributes
+
+  /**
+   * Whether a client can be launched for sessions to targets of each type,
+   * by target type.  This is used to conditionally show the "Open" button.
+   * @type {Object}
+   */
+  get launchableTargetTypes() {
+    return {
+      ...Object.fromEntries(
+        Object.entries(this.preferredClients).map(([type, client]) => [
+          type,
+          client !== CLIENT_NONE,
+        ]),
+      ),
+      [TYPE_TARGET_RDP]: this.rdp.isPreferredRdpClientSet,
+    };
+  }
+
+  // =methods
+
+  /**
+   * Fetches the available and preferred clients from the main process.
+   */
+  async initialize() {
+    try {
+      const [clients, preferredClients] = await Promise.all([
+        this.ipc.invoke('getLaunchClients'),
+        this.ipc.invoke('getPreferredLaunchClients'),
+      ]);
+      this.clients = clients ?? {};
+      this.preferredClients = preferredClients ?? {};
+    } catch (error) {
+      __electronLog?.error('Failed to fetch launch clients', error.message);
+    }
+  }
+
+  /**
+   * Sets the preferred client of a target type.
+   * @param {string} targetType
+   * @param {string} client
+   */
+  async setPreferredClient(targetType, client) {
+    try {
+      await this.ipc.invoke('setPreferredLaunchClient', { targetType, client });
+      this.preferredClients = {
+        ...this.preferredClients,
+        [targetType]: client,
+      };
+    } catch (error) {
+      __electronLog?.error('Failed to set preferred client', error.message);
+    }
+  }
+
+  /**
+   * Launches the preferred client of a target type for a given session.
+   * The `sessionId` is passed to the main process, which retrieves the proxy
+   * details and brokered credentials of the session.
+   * @param {string} sessionId - The ID of the active session
+   * @param {string} targetType - The type of the target of the session
+   */
+  async launch(sessionId, targetType) {
+    if (targetType === TYPE_TARGET_RDP) {
+      await this.rdp.launchRdpClient(sessionId);
+    } else {
+      await this.ipc.invoke('launchClient', { sessionId, targetType });
+    }
+  }
+}
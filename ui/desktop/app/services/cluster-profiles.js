@@ -0,0 +1,160 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+import Service from '@ember/service';
+import { service } from '@ember/service';
+import { getOwner } from '@ember/application';
+import { tracked } from '@glimmer/tracking';
+
+const { __electronLog } = globalThis;
+
+/**
+ * Named cluster profiles, kept by the main process.  Switching profiles
+ * keeps the auth token and settings of the current profile, restores those of
+ * the other profile and points the app to its cluster.  Sessions keep running
+ * on the cluster they were established on.
+ */
+export default class ClusterProfilesService extends Service {
+  // =services
+
+  @service ipc;
+  @service session;
+  @service clusterUrl;
+  @service('browser/window') window;
+
+  // =properties
+
+  /**
+   * @type {Array<Object>}
+   */
+  @tracked profiles = [];
+
+  /**
+   * Running sessions of every cluster.
+   * @type {Array<Object>}
+   */
+  @tracked runningSessions = [];
+
+  // =attributes
+
+  /**
+   * @type {?Object}
+   */
+  get activeProfile() {
+    return this.profiles.find(({ isActive }) => isActive) ?? null;
+  }
+
+  /**
+   * Sessions running on other clusters than the active one, each labelled
+   * with the profile of its cluster.
+   * @type {Array<Object>}
+   */
+  get backgroundSessions() {
+    const activeClusterUrl = this.activeProfile?.clusterUrl;
+    return this.runningSessions
+      .filter(({ addr }) => addr !== activeClusterUrl)
+      .map((session) => ({
+        ...session,
+        profile: this.profiles.find(
+          ({ clusterUrl }) => clusterUrl === session.addr,
+        ),
+      }));
+  }
+
+  /**
+   * Number of sessions running on the cluster of each profile, by profile id.
+   * @type {Object}
+   */
+  get runningSessionCounts() {
+    return Object.fromEntries(
+      this.profiles.map(({ id, clusterUrl }) => [
+        id,
+        this.runningSessions.filter(({ addr }) => addr === clusterUrl).length,
+      ]),
+    );
+  }
+
+  // =methods
+
+  /**
+   * Loads the profiles and running sessions from the main process.
+   */
+  async load() {
+    try {
+      const [profiles, runningSessions] = await Promise.all([
+        this.ipc.invoke('getClusterProfiles'),
+        this.ipc.invoke('getRunningSessions'),
+      ]);
+      this.profiles = profiles ?? [];
+      this.runningSessions = runningSessions ?? [];
+    } catch (error) {
+      __electronLog?.error('Failed to load cluster profiles', error.message);
+    }
+  }
+
+  /**
+   * Switches to a profile.  The app reloads once it points to the cluster of
+   * the profile.
+   * @param {Object} profile
+   */
+  async switchTo(profile) {
+    if (profile.isActive) return;
+    await this.#switchProfile(profile.id);
+    if (profile.clusterUrl === (await this.clusterUrl.mainClusterUrl)) {
+      this.window.location.reload();
+    } else {
+      await this.clusterUrl.setClusterUrl(profile.clusterUrl);
+    }
+  }
+
+  /**
+   * Leaves the active profile so that a cluster can be added.  The app
+   * reloads to the cluster URL screen and the cluster entered there becomes
+   * a new profile.
+   */
+  async addProfile() {
+    await this.#switchProfile(null);
+    await this.clusterUrl.resetClusterUrl();
+  }
+
+  /**
+   * @param {Object} profile
+   * @param {string} name
+   */
+  async renameProfile(profile, name) {
+    await this.ipc.invoke('renameClusterProfile', { id: profile.id, name });
+    await this.load();
+  }
+
+  /**
+   * @param {Object} profile
+   */
+  async removeProfile(profile) {
+    await this.ipc.invoke('removeClusterProfile', profile.id);
+    await this.load();
+  }
+
+  /**
+   * Hands the auth token and theme of the active profile to the main process
+   * and replaces the persisted session with those of the activated profile,
+   * so that it is restored when the app reloads.  The session isn't
+   * invalidated, since that would revoke the token.
+   * @param {?string} id
+   */
+  async #switchProfile(id) {
+    const { authenticated, theme } = this.session.data;
+    const { authToken, settings } = await this.ipc.invoke(
+      'switchClusterProfile',
+      {
+        id,
+        authToken: this.session.isAuthenticated ? authenticated : null,
+        settings: { theme },
+      },
+    );
+    await getOwner(this)
+      .lookup('session-store:application')
+      .persist({ authenticated: authToken ?? {}, theme: settings?.theme });
+  }
+}
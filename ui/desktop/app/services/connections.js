@@ -0,0 +1,200 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+import Service from '@ember/service';
+import { service } from '@ember/service';
+import { tracked } from '@glimmer/tracking';
+
+const { __electronLog } = globalThis;
+
+/**
+ * Establishes sessions to targets and keeps the connection presets of
+ * targets.  A preset pins the local listen address and port of a target's
+ * sessions, picks its host and may connect to it when the app starts.
+ * Presets are stored by the main process, which applies them when it
+ * starts a session.
+ */
+export default class ConnectionsService extends Service {
+  // =services
+
+  @service ipc;
+  @service session;
+  @service store;
+  @service flashMessages;
+  @service intl;
+
+  // =properties
+
+  /**
+   * Connection presets of the targets of the current cluster.
+   * @type {Array<Object>}
+   */
+  @tracked presets = [];
+
+  // =methods
+
+  /**
+   * @param {string} targetId
+   * @returns {?Object}
+   */
+  presetFor(targetId) {
+    return this.presets.find((preset) => preset.targetId === targetId) ?? null;
+  }
+
+  /**
+   * Loads the connection presets from the main process.
+   */
+  async loadPresets() {
+    try {
+      this.presets = (await this.ipc.invoke('getConnectionPresets')) ?? [];
+    } catch (error) {
+      __electronLog?.error('Failed to load connection presets', error.message);
+    }
+  }
+
+  /**
+   * Creates or replaces the connection preset of a target.  Throws when the
+   * listen address or port isn't valid.
+   * @param {Object} preset
+   */
+  async savePreset(preset) {
+    await this.ipc.invoke('setConnectionPreset', preset);
+    await this.loadPresets();
+  }
+
+  /**
+   * @param {string} targetId
+   */
+  async removePreset(targetId) {
+    await this.ipc.invoke('removeConnectionPreset', targetId);
+    await this.loadPresets();
+  }
+
+  /**
+   * Establishes a session to a target and associates the connection details
+   * with the session record.
+   * @param {TargetModel} target
+   * @param {HostModel} host
+   * @returns {Promise<SessionModel>}
+   */
+  async connect(target, host) {
+    // Check for CLI
+    const cliExists = await this.ipc.invoke('cliExists');
+    if (!cliExists) throw new Error('Cannot find Boundary CLI.');
+
+    const options = {
+      target_id: target.id,
+      target_name: target.displayName,
+      token: this.session.data.authenticated.token,
+      session_max_seconds: target.session_max_seconds,
+    };
+
+    if (host) options.host_id = host.id;
+
+    // Create target session
+    const connectionDetails = await this.ipc.invoke('connect', options);
+
+    return this.#associateConnectionDetails(connectionDetails, target.id);
+  }
+
+  /**
+   * Replaces a session that expired, ended or is about to expire with a new
+   * session to the same target and host, listening on the same local port.
+   * @param {string} sessionId
+   * @param {string} targetId
+   * @returns {Promise<SessionModel>}
+   */
+  async reconnect(sessionId, targetId) {
+    const connectionDetails = await this.ipc.invoke('reconnect', {
+      session_id: sessionId,
+      token: this.session.data.authenticated.token,
+    });
+    return this.#associateConnectionDetails(connectionDetails, targetId);
+  }
+
+  /**
+   * Associates the connection details returned by the main process with
+   * the session record.
+   * @param {Object} connectionDetails
+   * @param {string} targetId
+   * @returns {Promise<SessionModel>}
+   */
+  async #associateConnectionDetails(connectionDetails, targetId) {
+    let session;
+    const { session_id, address, port, credentials, expiration } =
+      connectionDetails;
+    try {
+      session = await this.store.findRecord('session', session_id, {
+        reload: true,
+      });
+    } catch (error) {
+      /**
+       * if the user cannot read or fetch the session we add the important
+       * information returned from the connect command to allow the user
+       * to still continue their work with the information they need
+       */
+      this.store.pushPayload('session', {
+        sessions: [
+          {
+            id: session_id,
+            proxy_address: address,
+            proxy_port: port,
+            target_id: targetId,
+            expiration_time: expiration,
+          },
+        ],
+      });
+
+      session = this.store.peekRecord('session', session_id);
+    }
+
+    // Flag the session has been open in the desktop client
+    session.started_desktop_client = true;
+    /**
+     * Update the session record with proxy information from the CLI
+     * In the future, it may make sense to push this off to the API so that
+     * we don't have to manually persist the proxy details.
+     */
+    session.proxy_address = address;
+    session.proxy_port = port;
+    if (credentials) {
+      credentials.forEach((cred) => session.addCredential(cred));
+    }
+
+    return session;
+  }
+
+  /**
+   * Connects to the targets whose preset connects on app start.  The main
+   * process only hands them out once per cluster since the app started.
+   * A failed connection doesn't stop the others and is shown as a
+   * notification.
+   */
+  async autoConnect() {
+    let presets;
+    try {
+      presets = (await this.ipc.invoke('claimAutoConnectPresets')) ?? [];
+    } catch (error) {
+      __electronLog?.error(
+        'Failed to load auto-connect presets',
+        error.message,
+      );
+      return;
+    }
+    for (const { targetId } of presets) {
+      try {
+        const target = await this.store.findRecord('target', targetId);
+        await this.connect(target);
+      } catch (error) {
+        this.flashMessages.danger(
+          this.intl.t('resources.connection-preset.auto-connect-failed', {
+            targetId,
+            message: error.message,
+          }),
+        );
+      }
+    }
+  }
+}
@@ -0,0 +1,128 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+import Service from '@ember/service';
+import { service } from '@ember/service';
+
+// Terminations the user is notified about, since they didn't stop the
+// session themselves
+const NOTIFIED_TERMINATION_REASONS = ['expired', 'exited'];
+
+const { __electronLog } = globalThis;
+
+/**
+ * Raises native notifications when sessions are about to expire or end on
+ * their own, as reported by the main process.  Clicking a notification
+ * reconnects to the same target, host and local port.  When the user isn't
+ * authenticated anymore, the reconnect waits for them to authenticate again.
+ */
+export default class SessionMonitorService extends Service {
+  // =services
+
+  @service ipc;
+  @service intl;
+  @service router;
+  @service session;
+  @service store;
+  @service connections;
+  @service flashMessages;
+  @service('browser/window') window;
+
+  // =properties
+
+  /**
+   * Functions removing the listeners on the main process
+   * @type {Array<Function>}
+   */
+  #removeListeners = [];
+
+  /**
+   * Details of the session to reconnect once the user authenticated again
+   * @type {?Object}
+   */
+  #pendingReconnect = null;
+
+  // =methods
+
+  /**
+   * Starts listening for expiring and terminated sessions.
+   */
+  start() {
+    if (this.#removeListeners.length) return;
+    this.#removeListeners = [
+      this.window.electron?.onSessionExpiring((details) =>
+        this.#notify('session-expiring', details),
+      ),
+      this.window.electron?.onSessionTerminated((details) => {
+        if (NOTIFIED_TERMINATION_REASONS.includes(details.termination_reason)) {
+          this.#notify(`session-${details.termination_reason}`, details);
+        }
+      }),
+    ].filter(Boolean);
+  }
+
+  willDestroy() {
+    super.willDestroy(...arguments);
+    this.#removeListeners.forEach((removeListener) => removeListener());
+  }
+
+  /**
+   * Replaces a session with a new one to the same target, host and local
+   * port and shows it.  Waits for the user to authenticate when they aren't.
+   * @param {Object} details - session details from the main process
+   */
+  async reconnect(details) {
+    await this.ipc.invoke('focusWindow');
+    if (!this.session.isAuthenticated) {
+      this.#pendingReconnect = details;
+      return;
+    }
+    try {
+      const session = await this.connections.reconnect(
+        details.id,
+        details.target_id,
+      );
+      this.router.transitionTo(
+        'scopes.scope.projects.sessions.session',
+        session.id,
+      );
+    } catch (error) {
+      __electronLog?.error('Failed to reconnect session', error.message);
+      this.flashMessages.danger(error.message);
+    }
+  }
+
+  /**
+   * Reconnects the session the user authenticated again for, if any.
+   */
+  async resumePendingReconnect() {
+    const details = this.#pendingReconnect;
+    this.#pendingReconnect = null;
+    if (details) await this.reconnect(details);
+  }
+
+  /**
+   * Raises a native notification about a session, which reconnects it when
+   * clicked.
+   * @param {string} key - translation key under `notifications`
+   * @param {Object} details - session details from the main process
+   */
+  #notify(key, details) {
+    const target =
+      this.store.peekRecord('target', details.target_id)?.displayName ??
+      details.target_id;
+    new window.Notification(
+      this.intl.t(`notifications.${key}.title`, { target }),
+      {
+        body: this.intl.t(`notifications.${key}.description`, {
+          expiration: new Date(details.expiration),
+          port: String(details.port),
+        }),
+        // This only has an effect on windows
+        requireInteraction: true,
+      },
+    ).onclick = () => this.reconnect(details);
+  }
+}
@@ -11,12 +11,16 @@ import { tracked } from '@glimmer/tracking';
 export default class SessionService extends BaseSessionService {
   @service ipc;
   @service store;
+  @service connections;
+  @service sessionMonitor;
 
   @tracked username;
 
   /**
    * Extend ember simple auth's handleAuthentication method
    * so we can hook in and add the user's token to the cache daemon
+   * and connect to the targets whose preset connects on app start, or
+   * reconnect the session the user authenticated again for
    */
   @notifyError(({ message }) => message, { catch: true })
   async handleAuthentication() {
@@ -29,6 +33,8 @@ export default class SessionService extends BaseSessionService {
         token: sessionData?.token,
       });
       await this.loadAuthenticatedAccount();
+      this.connections.autoConnect();
+      this.sessionMonitor.resumePendingReconnect();
     }
   }
 
@@ -0,0 +1,22 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+const net = require('node:net');
+
+/**
+ * Checks whether a local port can be listened on, by briefly listening on it.
+ * @param {number} port
+ * @param {string} host
+ * @return {Promise<boolean>}
+ */
+const isPortAvailable = (port, host) =>
+  new Promise((resolve) => {
+    const server = net.createServer();
+    server.once('error', () => resolve(false));
+    server.once('listening', () => server.close(() => resolve(true)));
+    server.listen(port, host);
+  });
+
+module.exports = { isPortAvailable };
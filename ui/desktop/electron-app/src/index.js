@@ -27,6 +27,7 @@ const runtimeSettings = require('./services/runtime-settings.js');
 const sessionManager = require('./services/session-manager.js');
 const cacheDaemonManager = require('./services/cache-daemon-manager');
 const rdpClientManager = require('./services/rdp-client-manager');
+const clientLauncher = require('./services/client-launcher');
 const store = require('./services/electron-store-manager');
 
 const menu = require('./config/menu.js');
@@ -271,6 +272,14 @@ app.on('ready', async () => {
 
   mainWindow = await createWindow(partition, closeWindowCB);
 
+  // Let the renderer warn about sessions expiring or terminated
+  sessionManager.on('expiring', (details) =>
+    mainWindow?.webContents.send('onSessionExpiring', details),
+  );
+  sessionManager.on('terminated', (details) =>
+    mainWindow?.webContents.send('onSessionTerminated', details),
+  );
+
   // Check for updates on launch
   appUpdater.run({ suppressNoUpdatePrompt: true });
 
@@ -304,6 +313,8 @@ app.on('quit', () => {
   cacheDaemonManager.stop();
   // we should stop any active RDP client processes
   rdpClientManager.stopAll();
+  // and remove the files written for launched clients
+  clientLauncher.cleanup();
 });
 
 // Handle an unhandled error in the main thread
@@ -20,6 +20,11 @@ const clientAgentDaemonManager = require('../services/client-agent-daemon-manage
 const { releaseVersion } = require('../../config/config.js');
 const store = require('../services/electron-store-manager');
 const rdpClientManager = require('../services/rdp-client-manager');
+const clientLauncher = require('../services/client-launcher');
+const clusterProfileManager = require('../services/cluster-profile-manager');
+const connectionPresetManager = require('../services/connection-preset-manager');
+const sessionHistoryManager = require('../services/session-history-manager');
+const log = require('electron-log/main');
 
 /**
  * Returns the current runtime clusterUrl, which is used by the main thread to
@@ -34,13 +39,61 @@ handle('getClusterUrl', () => runtimeSettings.clusterUrl);
 handle('setClusterUrl', async (requestOrigin) => {
   const clusterUrl = sanitizer.urlValidate(requestOrigin);
   await runtimeSettings.validateClusterUrl(clusterUrl);
+  clusterProfileManager.useClusterUrl(clusterUrl);
   await runtimeSettings.setClusterUrl(clusterUrl);
 });
 
 /**
  * Resets the clusterUrl.
  */
-handle('resetClusterUrl', async () => runtimeSettings.resetClusterUrl());
+handle('resetClusterUrl', async () => {
+  clusterProfileManager.deactivate();
+  await runtimeSettings.resetClusterUrl();
+});
+
+/**
+ * Returns the cluster profiles, without their tokens.
+ */
+handle('getClusterProfiles', () => clusterProfileManager.profiles);
+
+/**
+ * Renames a cluster profile.
+ */
+handle('renameClusterProfile', ({ id, name }) =>
+  clusterProfileManager.renameProfile(id, name),
+);
+
+/**
+ * Removes a cluster profile.
+ */
+handle('removeClusterProfile', (id) => clusterProfileManager.removeProfile(id));
+
+/**
+ * Keeps the auth token and settings of the active cluster profile and
+ * activates another one, or none when `id` is null.  The token of the
+ * activated profile is added back to the cache daemon, and its auth token and
+ * settings are returned for the renderer to restore.  Switching profiles
+ * doesn't stop sessions, which keep running on their own cluster.
+ */
+handle('switchClusterProfile', async ({ id, authToken, settings }) => {
+  clusterProfileManager.stashActiveProfile({
+    authToken,
+    settings: {
+      ...settings,
+      preferredRdpClient: store.get('preferredRdpClient'),
+    },
+  });
+  const profile = clusterProfileManager.activateProfile(id);
+  if (profile.settings.preferredRdpClient) {
+    store.set('preferredRdpClient', profile.settings.preferredRdpClient);
+  }
+  if (profile.cacheDaemonToken) {
+    await cacheDaemonManager
+      .addToken(profile.cacheDaemonToken, profile.clusterUrl)
+      .catch((e) => log.warn('Could not add token to daemons:', e.message));
+  }
+  return { authToken: profile.authToken, settings: profile.settings };
+});
 
 /**
  * Opens the specified URL in an external browser.  Only secure HTTPs URLs are
@@ -72,14 +125,71 @@ handle('cliExists', () => boundaryCli.exists());
 /**
  * Establishes a boundary session and returns session details.
  */
-handle('connect', ({ target_id, token, host_id, session_max_seconds }) =>
-  sessionManager.start(
-    runtimeSettings.clusterUrl,
-    target_id,
-    token,
-    host_id,
-    session_max_seconds,
-  ),
+handle(
+  'connect',
+  ({ target_id, token, host_id, session_max_seconds, target_name }) =>
+    sessionManager.start(
+      runtimeSettings.clusterUrl,
+      target_id,
+      token,
+      host_id,
+      session_max_seconds,
+      target_name,
+    ),
+);
+
+/**
+ * Replaces a session with a new one to the same target, host and local port
+ * and returns its session details.
+ */
+handle('reconnect', ({ session_id, token }) =>
+  sessionManager.reconnect(session_id, token),
+);
+
+/**
+ * Returns the minutes before a session expires to warn about it.
+ */
+handle('getSessionExpiryWarning', () => sessionManager.expiryWarningMinutes);
+
+/**
+ * Sets the minutes before a session expires to warn about it, 0 to disable.
+ */
+handle('setSessionExpiryWarning', (minutes) => {
+  sessionManager.expiryWarningMinutes = minutes;
+});
+
+/**
+ * Returns the history of the sessions started by the app, most recent first.
+ */
+handle('getSessionHistory', () => sessionHistoryManager.entries);
+
+/**
+ * Returns the connection presets of the targets of the current cluster.
+ */
+handle('getConnectionPresets', () =>
+  connectionPresetManager.getPresets(runtimeSettings.clusterUrl),
+);
+
+/**
+ * Creates or replaces the connection preset of a target.
+ */
+handle('setConnectionPreset', (preset) =>
+  connectionPresetManager.setPreset(runtimeSettings.clusterUrl, preset),
+);
+
+/**
+ * Removes the connection preset of a target.
+ */
+handle('removeConnectionPreset', (targetId) =>
+  connectionPresetManager.removePreset(runtimeSettings.clusterUrl, targetId),
+);
+
+/**
+ * Returns the presets of the current cluster to connect on app start, only
+ * the first time since the app started.
+ */
+handle('claimAutoConnectPresets', () =>
+  connectionPresetManager.claimAutoConnectPresets(runtimeSettings.clusterUrl),
 );
 
 /**
@@ -134,6 +244,12 @@ handle('closeWindow', () => app.quit());
  */
 handle('hasRunningSessions', () => sessionManager.hasRunningSessions);
 
+/**
+ * Returns the running sessions of every cluster, with the clusterUrl each
+ * was established on.
+ */
+handle('getRunningSessions', () => sessionManager.runningSessions);
+
 /**
  * Focus the window
  */
@@ -153,7 +269,10 @@ handle('checkCommand', async (command) => which(command, { nothrow: true }));
 /**
  * Adds the user's token to the daemons.
  */
-handle('addTokenToDaemons', async (data) => cacheDaemonManager.addToken(data));
+handle('addTokenToDaemons', async (data) => {
+  await cacheDaemonManager.addToken(data);
+  clusterProfileManager.setCacheDaemonToken(data);
+});
 
 /**
  * Return an object containing helper fields for determining what OS we're running on
@@ -296,6 +415,33 @@ handle('launchRdpClient', async (sessionId) =>
   rdpClientManager.launchRdpClient(sessionId, sessionManager),
 );
 
+/**
+ * Returns the available clients of each target type
+ */
+handle('getLaunchClients', async () => clientLauncher.getAvailableClients());
+
+/**
+ * Returns the preferred client of each target type
+ */
+handle('getPreferredLaunchClients', async () =>
+  clientLauncher.getPreferredClients(),
+);
+
+/**
+ * Sets the preferred client of a target type
+ */
+handle('setPreferredLaunchClient', ({ targetType, client }) =>
+  clientLauncher.setPreferredClient(targetType, client),
+);
+
+/**
+ * Launches the preferred client of the target type with the provided
+ * session ID.
+ */
+handle('launchClient', async ({ sessionId, targetType }) =>
+  clientLauncher.launchClient(sessionId, targetType, sessionManager),
+);
+
 /**
  * Handler to help create terminal windows. We don't use the helper `handle` method
  * as we need access to the event and don't need to be using `ipcMain.handle`.
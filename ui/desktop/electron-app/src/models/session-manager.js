@@ -3,10 +3,53 @@
  * SPDX-License-Identifier: BUSL-1.1
  */
 
+const EventEmitter = require('events');
 const Session = require('./session.js');
+const connectionPresetManager = require('../services/connection-preset-manager.js');
+const sessionHistoryManager = require('../services/session-history-manager.js');
+const store = require('../services/electron-store-manager');
 
-class SessionManager {
+// Minutes before a session expires to warn about it, unless set by the user
+const DEFAULT_EXPIRY_WARNING_MINUTES = 5;
+// Longest delay setTimeout supports
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+/**
+ * Tracks the sessions started by the app.  Emits `expiring` some time before
+ * a running session expires and `terminated` when a session ends, with the
+ * details of the session.  Terminated sessions are kept in the session
+ * history.
+ */
+class SessionManager extends EventEmitter {
   #sessions = [];
+  // Expiry warning timers by session id
+  #expiryWarnings = new Map();
+
+  /**
+   * Minutes before a session expires to warn about it, 0 when disabled
+   * @returns {number}
+   */
+  get expiryWarningMinutes() {
+    return store.get(
+      'sessionExpiryWarningMinutes',
+      DEFAULT_EXPIRY_WARNING_MINUTES,
+    );
+  }
+
+  /**
+   * Sets the minutes before a session expires to warn about it and
+   * reschedules the warnings of running sessions.
+   * @param {number} minutes - 0 disables the warnings
+   */
+  set expiryWarningMinutes(minutes) {
+    if (!(Number.isInteger(minutes) && minutes >= 0)) {
+      throw new Error(`Expiry warning of ${minutes} minutes is not valid.`);
+    }
+    store.set('sessionExpiryWarningMinutes', minutes);
+    this.#sessions
+      .filter((session) => session.isRunning)
+      .forEach((session) => this.#scheduleExpiryWarning(session));
+  }
 
   /**
    * Checks for running sessions
@@ -17,24 +60,127 @@ class SessionManager {
   }
 
   /**
-   * Start a session and track it.
+   * Running sessions, across every cluster they were established on.
+   * @returns {Array<Object>}
+   */
+  get runningSessions() {
+    return this.#sessions
+      .filter((session) => session.isRunning)
+      .map(({ id, addr, targetId, proxyDetails }) => ({
+        id,
+        addr,
+        target_id: targetId,
+        address: proxyDetails?.address,
+        port: proxyDetails?.port,
+      }));
+  }
+
+  /**
+   * Start a session and track it, applying the connection preset of the
+   * target, if any.  The host of the preset is only used when no host is
+   * specified.
    * Returns session proxy details if successfully started.
    * @param {string} addr
    * @param {string} target_id
    * @param {string} token
    * @param {string} host_id
    * @param {number} session_max_seconds
+   * @param {string} target_name
    */
-  start(addr, target_id, token, host_id, session_max_seconds) {
-    const session = new Session(
-      addr,
-      target_id,
-      token,
-      host_id,
-      session_max_seconds,
+  start(addr, target_id, token, host_id, session_max_seconds, target_name) {
+    const preset = connectionPresetManager.getPreset(addr, target_id);
+    return this.#start(
+      new Session(
+        addr,
+        target_id,
+        token,
+        host_id ?? preset?.hostId,
+        session_max_seconds,
+        {
+          listenAddr: preset?.listenAddr,
+          listenPort: preset?.listenPort,
+          targetName: target_name,
+        },
+      ),
     );
+  }
+
+  /**
+   * Replaces a session with a new one to the same target and host, listening
+   * on the same local address and port.  A running session is stopped
+   * first so that its port is free.
+   * Returns session proxy details if successfully started.
+   * @param {string} session_id
+   * @param {string} token
+   */
+  async reconnect(session_id, token) {
+    const previous = this.getSessionById(session_id);
+    if (!previous) throw new Error(`Cannot find session ${session_id}.`);
+    await previous.stop(Session.TERMINATION_REASONS.reconnected);
+    return this.#start(
+      new Session(
+        previous.addr,
+        previous.targetId,
+        token,
+        previous.hostId,
+        previous.sessionMaxSeconds,
+        {
+          listenAddr: previous.listenAddr,
+          listenPort: previous.proxyDetails?.port,
+          targetName: previous.targetName,
+        },
+      ),
+    );
+  }
+
+  /**
+   * Starts and tracks a session, watching for its expiry and termination.
+   * The session is kept in the session history from when it started.
+   * @param {Session} session
+   */
+  async #start(session) {
     this.#sessions.push(session);
-    return session.start();
+    const proxyDetails = await session.start();
+    sessionHistoryManager.record(session.details);
+    session.once('terminated', () => {
+      clearTimeout(this.#expiryWarnings.get(session.id));
+      this.#expiryWarnings.delete(session.id);
+      sessionHistoryManager.record(session.details);
+      this.emit('terminated', session.details);
+    });
+    this.#scheduleExpiryWarning(session);
+    return proxyDetails;
+  }
+
+  /**
+   * Schedules the expiry warning of a session, replacing any scheduled one.
+   * Delays past what setTimeout supports are scheduled in steps.
+   * @param {Session} session
+   */
+  #scheduleExpiryWarning(session) {
+    clearTimeout(this.#expiryWarnings.get(session.id));
+    this.#expiryWarnings.delete(session.id);
+    const { expiration } = session;
+    if (!this.expiryWarningMinutes || !expiration) return;
+    const delay =
+      expiration.getTime() - this.expiryWarningMinutes * 60000 - Date.now();
+    if (delay > MAX_TIMEOUT_MS) {
+      this.#expiryWarnings.set(
+        session.id,
+        setTimeout(() => this.#scheduleExpiryWarning(session), MAX_TIMEOUT_MS),
+      );
+    } else {
+      this.#expiryWarnings.set(
+        session.id,
+        setTimeout(
+          () => {
+            this.#expiryWarnings.delete(session.id);
+            if (session.isRunning) this.emit('expiring', session.details);
+          },
+          Math.max(delay, 0),
+        ),
+      );
+    }
   }
 
   /**
@@ -8,9 +8,33 @@ const {
   spawnAsyncJSONPromise,
   spawnSync,
 } = require('../helpers/spawn-promise.js');
+const { isPortAvailable } = require('../helpers/port.js');
 const log = require('electron-log/main');
+const EventEmitter = require('events');
+
+// Address sessions listen on when a port is pinned without an address,
+// which is also the default of `boundary connect`
+const DEFAULT_LISTEN_ADDR = '127.0.0.1';
+
+// Reasons a session terminated
+const TERMINATION_REASONS = {
+  canceled: 'canceled',
+  reconnected: 'reconnected',
+  expired: 'expired',
+  exited: 'exited',
+};
+
+// A process ending this close to the expiration of its session is taken as
+// having expired
+const EXPIRATION_MARGIN_MS = 5000;
+
+/**
+ * A session to a target, proxied by a `boundary connect` process.  Emits
+ * `terminated` when the process ends, whichever way it ends.
+ */
+class Session extends EventEmitter {
+  static TERMINATION_REASONS = TERMINATION_REASONS;
 
-class Session {
   #id;
   #addr;
   #token;
@@ -19,6 +43,13 @@ class Session {
   #targetId;
   #proxyDetails;
   #sessionMaxSeconds;
+  #listenAddr;
+  #listenPort;
+  #targetName;
+  #startedAt;
+  #endedAt;
+  #terminationReason;
+  #stopReason;
 
   /**
    * Initialize a session to a controller address
@@ -28,13 +59,28 @@ class Session {
    * @param {string} token
    * @param {string} hostId
    * @param {number} sessionMaxSeconds
+   * @param {Object} options
+   * @param {?string} options.listenAddr - local address to pin the proxy to
+   * @param {?number} options.listenPort - local port to pin the proxy to
+   * @param {?string} options.targetName - kept in the session history
    */
-  constructor(addr, targetId, token, hostId, sessionMaxSeconds) {
+  constructor(
+    addr,
+    targetId,
+    token,
+    hostId,
+    sessionMaxSeconds,
+    { listenAddr, listenPort, targetName } = {},
+  ) {
+    super();
     this.#addr = addr;
     this.#targetId = targetId;
     this.#token = token;
     this.#hostId = hostId;
     this.#sessionMaxSeconds = sessionMaxSeconds;
+    this.#listenAddr = listenAddr;
+    this.#listenPort = listenPort;
+    this.#targetName = targetName;
   }
 
   /**
@@ -45,11 +91,106 @@ class Session {
     return this.#id;
   }
 
+  /**
+   * Controller address the session was established through
+   * @return {string}
+   */
+  get addr() {
+    return this.#addr;
+  }
+
+  /**
+   * @return {string}
+   */
+  get targetId() {
+    return this.#targetId;
+  }
+
+  /**
+   * @return {string}
+   */
+  get hostId() {
+    return this.#hostId;
+  }
+
+  /**
+   * @return {number}
+   */
+  get sessionMaxSeconds() {
+    return this.#sessionMaxSeconds;
+  }
+
+  /**
+   * Local address the proxy was pinned to, if any
+   * @return {?string}
+   */
+  get listenAddr() {
+    return this.#listenAddr;
+  }
+
+  /**
+   * @return {?string}
+   */
+  get targetName() {
+    return this.#targetName;
+  }
+
   /**
    * @return {boolean}
    */
   get isRunning() {
-    return this.#process && !this.#process.killed;
+    return (
+      this.#process &&
+      !this.#process.killed &&
+      this.#process.exitCode === null &&
+      this.#process.signalCode === null
+    );
+  }
+
+  /**
+   * When the session expires, as reported by the cli or else as limited by
+   * the max seconds of the session.
+   * @return {?Date}
+   */
+  get expiration() {
+    if (this.#proxyDetails?.expiration) {
+      return new Date(this.#proxyDetails.expiration);
+    }
+    if (this.#startedAt && this.#sessionMaxSeconds) {
+      return new Date(
+        this.#startedAt.getTime() + this.#sessionMaxSeconds * 1000,
+      );
+    }
+    return null;
+  }
+
+  /**
+   * Details of the session, without any secrets.  Brokered credentials
+   * are only described by their types.
+   * @return {Object}
+   */
+  get details() {
+    const credentialTypes = (this.#proxyDetails?.credentials ?? []).map(
+      ({ credential_source }) =>
+        credential_source?.credential_type || credential_source?.type,
+    );
+    return {
+      id: this.#id,
+      addr: this.#addr,
+      target_id: this.#targetId,
+      target_name: this.#targetName ?? null,
+      host_id: this.#hostId ?? null,
+      address: this.#proxyDetails?.address,
+      port: this.#proxyDetails?.port,
+      started_at: this.#startedAt?.toISOString(),
+      ended_at: this.#endedAt?.toISOString() ?? null,
+      duration_seconds: this.#endedAt
+        ? Math.round((this.#endedAt - this.#startedAt) / 1000)
+        : null,
+      expiration: this.expiration?.toISOString() ?? null,
+      termination_reason: this.#terminationReason ?? null,
+      credential_types: [...new Set(credentialTypes.filter(Boolean))],
+    };
   }
 
   /**
@@ -82,15 +223,32 @@ class Session {
       sanitized.host_id = sanitizer.base62EscapeAndValidate(this.#hostId);
       command.push(`-host-id=${sanitized.host_id}`);
     }
+    if (this.#listenAddr) {
+      sanitized.listen_addr = sanitizer.ipValidate(this.#listenAddr);
+      command.push(`-listen-addr=${sanitized.listen_addr}`);
+    }
+    if (this.#listenPort) {
+      command.push(`-listen-port=${Number(this.#listenPort)}`);
+    }
     return command;
   }
 
   /**
    * Using cli, initialize a session to a target.
    * Tracks local proxy details if successful.
+   * A pinned listen port is checked first, since the error of the cli
+   * doesn't say which port is taken.
    */
-  start() {
+  async start() {
     const sanitizedToken = sanitizer.base62EscapeAndValidate(this.#token);
+    if (this.#listenPort) {
+      const listenAddr = this.#listenAddr || DEFAULT_LISTEN_ADDR;
+      if (!(await isPortAvailable(this.#listenPort, listenAddr))) {
+        throw new Error(
+          `Port ${this.#listenPort} on ${listenAddr} is already in use. Stop the process or session using it, or change the connection preset of this target.`,
+        );
+      }
+    }
     return spawnAsyncJSONPromise(
       this.connectCommand,
       sanitizedToken,
@@ -99,16 +257,41 @@ class Session {
       this.#process = spawnedSession.childProcess;
       this.#proxyDetails = spawnedSession.response;
       this.#id = this.#proxyDetails.session_id;
+      this.#startedAt = new Date();
+      this.#process.on('exit', (code) => this.#terminated(code));
       return this.#proxyDetails;
     });
   }
 
+  /**
+   * Records why the process ended and emits `terminated`.
+   * @param {?number} exitCode
+   */
+  #terminated(exitCode) {
+    this.#endedAt = new Date();
+    const expiration = this.expiration;
+    if (this.#stopReason) {
+      this.#terminationReason = this.#stopReason;
+    } else if (
+      expiration &&
+      this.#endedAt.getTime() >= expiration.getTime() - EXPIRATION_MARGIN_MS
+    ) {
+      this.#terminationReason = TERMINATION_REASONS.expired;
+    } else {
+      this.#terminationReason = TERMINATION_REASONS.exited;
+      log.warn(`Session ${this.#id} exited unexpectedly with code ${exitCode}`);
+    }
+    this.emit('terminated', this);
+  }
+
   /**
    * Stop proxy process used by session.
+   * @param {string} reason - why the session is stopped
    */
-  stop() {
+  stop(reason = TERMINATION_REASONS.canceled) {
     return new Promise((resolve, reject) => {
       if (this.isRunning) {
+        this.#stopReason = reason;
         this.#process.on('close', () => resolve());
         this.#process.on('error', (e) => {
           log.error('Process error in session stop method: ', e);
@@ -76,4 +76,24 @@ contextBridge.exposeInMainWorld('electron', {
       return ipcRenderer.removeListener('onAppQuit', listenerCallback);
     };
   },
+  onSessionExpiring: (callback) => {
+    // Only pass on the session details, not the event
+    const listenerCallback = (_event, details) => callback(details);
+    ipcRenderer.on('onSessionExpiring', listenerCallback);
+
+    return () => {
+      return ipcRenderer.removeListener('onSessionExpiring', listenerCallback);
+    };
+  },
+  onSessionTerminated: (callback) => {
+    const listenerCallback = (_event, details) => callback(details);
+    ipcRenderer.on('onSessionTerminated', listenerCallback);
+
+    return () => {
+      return ipcRenderer.removeListener(
+        'onSessionTerminated',
+        listenerCallback,
+      );
+    };
+  },
 });
@@ -86,9 +86,10 @@ class CacheDaemonManager {
    * Makes a request to the CLI to add the token to the daemons.
    * @param token
    * @param tokenId
+   * @param clusterUrl - defaults to the current clusterUrl
    * @returns {Promise}
    */
-  async addToken({ token, tokenId }) {
+  async addToken({ token, tokenId }, clusterUrl = runtimeSettings.clusterUrl) {
     // Successfully calling any Boundary CLI command with a token
     // will add the token both to the cache daemon and the Ferry DNS daemon,
     // so we just do a simple read on the input token and let the CLI do the rest.
@@ -96,7 +97,7 @@ class CacheDaemonManager {
       'auth-tokens',
       'read',
       `-id=${tokenId}`,
-      `-addr=${runtimeSettings.clusterUrl}`,
+      `-addr=${clusterUrl}`,
       '-format=json',
       '-token=env://BOUNDARY_TOKEN',
       '-keyring-type=none',
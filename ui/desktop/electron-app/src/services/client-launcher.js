@@ -0,0 +1,430 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+const { spawn } = require('child_process');
+const { shell } = require('electron');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const which = require('which');
+const { isMac, isWindows, isLinux } = require('../helpers/platform.js');
+const store = require('./electron-store-manager');
+
+// Target types with launchable clients.  RDP targets are handled by the
+// rdp client manager.
+const TARGET_TYPE_TCP = 'tcp';
+const TARGET_TYPE_SSH = 'ssh';
+const TARGET_TYPES = [TARGET_TYPE_TCP, TARGET_TYPE_SSH];
+
+// Clients
+const CLIENT_NONE = 'none';
+const CLIENT_SSH = 'ssh';
+const CLIENT_PSQL = 'psql';
+const CLIENT_MYSQL = 'mysql';
+const CLIENT_KUBECTL = 'kubectl';
+const CLIENT_BROWSER_HTTP = 'browser-http';
+const CLIENT_BROWSER_HTTPS = 'browser-https';
+
+// Clients used for a target type when the user didn't pick one
+const DEFAULT_CLIENTS = {
+  [TARGET_TYPE_SSH]: CLIENT_SSH,
+};
+
+/**
+ * Checks whether an executable is on the PATH
+ * @param {string} command
+ * @returns {Promise<boolean>}
+ */
+const hasCommand = async (command) => {
+  try {
+    return Boolean(await which(command, { nothrow: true }));
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Spawns a process that outlives the app, resolving once it started.
+ * @param {string} command
+ * @param {string[]} args
+ * @param {object} env
+ * @returns {Promise<void>}
+ */
+const spawnDetached = (command, args, env = {}) =>
+  new Promise((resolve, reject) => {
+    const childProcess = spawn(command, args, {
+      detached: true,
+      stdio: 'ignore',
+      env: { ...process.env, ...env },
+    });
+    childProcess.on('error', reject);
+    childProcess.on('spawn', () => {
+      childProcess.unref();
+      resolve();
+    });
+  });
+
+/**
+ * Quotes an argument for a POSIX shell
+ * @param {string} arg
+ * @returns {string}
+ */
+const shellQuote = (arg) => `'${String(arg).replaceAll("'", `'\\''`)}'`;
+
+/**
+ * The shell of the user, which terminals run when a client needs one.
+ * @returns {string}
+ */
+const userShell = () =>
+  isWindows() ? 'powershell.exe' : process.env.SHELL || '/bin/bash';
+
+// Terminal Configuration
+// Terminals run a command with the environment of the app, except Terminal on
+// macOS, which is asked to run a script instead.  Secrets are therefore only
+// passed by terminals that take the environment.
+const TERMINALS = [
+  {
+    value: 'windows-terminal',
+    isAvailable: async () => isWindows() && (await hasCommand('wt')),
+    passesEnvironment: true,
+    launch: (command, env) => spawnDetached('wt', ['new-tab', ...command], env),
+  },
+  {
+    value: 'cmd',
+    isAvailable: () => isWindows(),
+    passesEnvironment: true,
+    launch: (command, env) =>
+      spawnDetached('cmd.exe', ['/c', 'start', 'cmd', '/k', ...command], env),
+  },
+  {
+    value: 'terminal-app',
+    isAvailable: () => isMac(),
+    passesEnvironment: false,
+    launch: (command, env) => {
+      const script = [
+        ...Object.entries(env).map(
+          ([key, value]) => `${key}=${shellQuote(value)}`,
+        ),
+        ...command.map(shellQuote),
+      ].join(' ');
+      const appleScriptString = script
+        .replaceAll('\\', '\\\\')
+        .replaceAll('"', '\\"');
+      return spawnDetached('osascript', [
+        '-e',
+        `tell application "Terminal" to do script "${appleScriptString}"`,
+        '-e',
+        'tell application "Terminal" to activate',
+      ]);
+    },
+  },
+  {
+    value: 'gnome-terminal',
+    isAvailable: async () => isLinux() && (await hasCommand('gnome-terminal')),
+    passesEnvironment: true,
+    launch: (command, env) =>
+      spawnDetached('gnome-terminal', ['--', ...command], env),
+  },
+  {
+    value: 'konsole',
+    isAvailable: async () => isLinux() && (await hasCommand('konsole')),
+    passesEnvironment: true,
+    launch: (command, env) => spawnDetached('konsole', ['-e', ...command], env),
+  },
+  {
+    value: 'x-terminal-emulator',
+    isAvailable: async () =>
+      isLinux() && (await hasCommand('x-terminal-emulator')),
+    passesEnvironment: true,
+    launch: (command, env) =>
+      spawnDetached('x-terminal-emulator', ['-e', ...command], env),
+  },
+  {
+    value: 'xterm',
+    isAvailable: async () => isLinux() && (await hasCommand('xterm')),
+    passesEnvironment: true,
+    launch: (command, env) => spawnDetached('xterm', ['-e', ...command], env),
+  },
+];
+
+/**
+ * Finds the first terminal installed on the current system
+ * @returns {Promise<?Object>}
+ */
+const findTerminal = async () => {
+  for (const terminal of TERMINALS) {
+    if (await terminal.isAvailable()) return terminal;
+  }
+  return null;
+};
+
+/**
+ * Runs a command in a new terminal window.  Secrets are left out when the
+ * terminal doesn't take the environment of the app, since they would end up
+ * in its script.
+ * @param {string[]} command
+ * @param {Object} options
+ * @param {object} options.env - environment variables
+ * @param {object} options.secretEnv - environment variables holding secrets
+ */
+const runInTerminal = async (command, { env = {}, secretEnv = {} } = {}) => {
+  const terminal = await findTerminal();
+  if (!terminal) throw new Error('Cannot find a terminal to open.');
+  await terminal.launch(
+    command,
+    terminal.passesEnvironment ? { ...env, ...secretEnv } : env,
+  );
+};
+
+// Client Configuration
+// Each client launches with the local proxy of the session and, when the
+// session brokered a username and password, with those credentials.
+const CLIENTS = [
+  {
+    value: CLIENT_SSH,
+    targetTypes: [TARGET_TYPE_SSH, TARGET_TYPE_TCP],
+    isAvailable: async () =>
+      (await hasCommand('ssh')) && Boolean(await findTerminal()),
+    // The host key is saved under the target id, since every target is
+    // reached through the same local address.
+    launch: ({ address, port, targetId, username }) =>
+      runInTerminal([
+        'ssh',
+        '-p',
+        `${port}`,
+        '-o',
+        `HostKeyAlias=${targetId}`,
+        username ? `${username}@${address}` : address,
+      ]),
+  },
+  {
+    value: CLIENT_PSQL,
+    targetTypes: [TARGET_TYPE_TCP],
+    isAvailable: async () =>
+      (await hasCommand('psql')) && Boolean(await findTerminal()),
+    launch: ({ address, port, username, password }) =>
+      runInTerminal(
+        [
+          'psql',
+          '-h',
+          address,
+          '-p',
+          `${port}`,
+          ...(username ? ['-U', username] : []),
+        ],
+        { secretEnv: password ? { PGPASSWORD: password } : {} },
+      ),
+  },
+  {
+    value: CLIENT_MYSQL,
+    targetTypes: [TARGET_TYPE_TCP],
+    isAvailable: async () =>
+      (await hasCommand('mysql')) && Boolean(await findTerminal()),
+    launch: ({ address, port, username, password }) =>
+      runInTerminal(
+        [
+          'mysql',
+          '-h',
+          address,
+          '-P',
+          `${port}`,
+          '--protocol=TCP',
+          ...(username ? ['-u', username] : []),
+        ],
+        { secretEnv: password ? { MYSQL_PWD: password } : {} },
+      ),
+  },
+  {
+    value: CLIENT_KUBECTL,
+    targetTypes: [TARGET_TYPE_TCP],
+    isAvailable: async () =>
+      (await hasCommand('kubectl')) && Boolean(await findTerminal()),
+    // Opens a shell whose kubectl talks to the local proxy
+    launch: ({ address, port }, clientLauncher) =>
+      runInTerminal([userShell()], {
+        env: { KUBECONFIG: clientLauncher.writeKubeconfig(address, port) },
+      }),
+  },
+  {
+    value: CLIENT_BROWSER_HTTP,
+    targetTypes: [TARGET_TYPE_TCP],
+    isAvailable: () => true,
+    launch: ({ address, port }) =>
+      shell.openExternal(`http://${address}:${port}`),
+  },
+  {
+    value: CLIENT_BROWSER_HTTPS,
+    targetTypes: [TARGET_TYPE_TCP],
+    isAvailable: () => true,
+    launch: ({ address, port }) =>
+      shell.openExternal(`https://${address}:${port}`),
+  },
+  {
+    value: CLIENT_NONE,
+    targetTypes: TARGET_TYPES,
+    isAvailable: () => true,
+  },
+];
+
+// Usernames passed to clients, which mustn't be mistaken for an option
+const USERNAME_PATTERN = /^[\w.@+\\][\w.@+\\-]*$/;
+
+/**
+ * Returns the username and password brokered to a session, if any.
+ * @param {Array<Object>} credentials - credentials returned by `boundary connect`
+ * @returns {{username: ?string, password: ?string}}
+ */
+const brokeredUsernamePassword = (credentials = []) => {
+  for (const { credential, secret } of credentials) {
+    const source =
+      credential ??
+      secret?.decoded?.data?.data ??
+      secret?.decoded?.data ??
+      secret?.decoded;
+    if (USERNAME_PATTERN.test(source?.username ?? '')) {
+      return { username: source.username, password: source.password ?? null };
+    }
+  }
+  return { username: null, password: null };
+};
+
+class ClientLauncher {
+  // Directory of the kubeconfig files written for sessions
+  #kubeconfigDir;
+
+  /**
+   * Gets the clients available on the current system for each target type
+   * @returns {Promise<Object>} Client values by target type
+   */
+  async getAvailableClients() {
+    const available = Object.fromEntries(
+      TARGET_TYPES.map((type) => [type, []]),
+    );
+    for (const client of CLIENTS) {
+      if (await client.isAvailable()) {
+        client.targetTypes.forEach((type) =>
+          available[type].push(client.value),
+        );
+      }
+    }
+    return available;
+  }
+
+  /**
+   * Gets the user's preferred client for each target type.  A client that
+   * is no longer installed falls back to none.
+   * @returns {Promise<Object>} Client values by target type
+   */
+  async getPreferredClients() {
+    const availableClients = await this.getAvailableClients();
+    const preferredClients = store.get('preferredClients', {});
+    return Object.fromEntries(
+      TARGET_TYPES.map((type) => {
+        const preferredClient =
+          preferredClients[type] ?? DEFAULT_CLIENTS[type] ?? CLIENT_NONE;
+        return [
+          type,
+          availableClients[type].includes(preferredClient)
+            ? preferredClient
+            : CLIENT_NONE,
+        ];
+      }),
+    );
+  }
+
+  /**
+   * Sets the user's preferred client of a target type
+   * @param {string} targetType
+   * @param {string} client
+   */
+  setPreferredClient(targetType, client) {
+    if (!TARGET_TYPES.includes(targetType)) {
+      throw new Error(`No clients can be launched for ${targetType} targets.`);
+    }
+    store.set('preferredClients', {
+      ...store.get('preferredClients', {}),
+      [targetType]: client || CLIENT_NONE,
+    });
+  }
+
+  /**
+   * Launches the preferred client of a target type using session ID
+   * Retrieves session object from session manager and launches the client
+   * pointed at its local proxy
+   * @param {string} sessionId - The session ID to get session for
+   * @param {string} targetType - The type of the target of the session
+   * @param {Object} sessionManager - Session manager instance to get session from
+   */
+  async launchClient(sessionId, targetType, sessionManager) {
+    const session = sessionManager.getSessionById(sessionId);
+    if (!session) return;
+
+    const preferredClient = (await this.getPreferredClients())[targetType];
+    const client = CLIENTS.find(({ value }) => value === preferredClient);
+    if (!client?.launch) return;
+
+    const {
+      targetId,
+      proxyDetails: { address, port, credentials },
+    } = session;
+    await client.launch(
+      {
+        address,
+        port,
+        targetId,
+        ...brokeredUsernamePassword(credentials),
+      },
+      this,
+    );
+  }
+
+  /**
+   * Writes a kubeconfig pointing kubectl at a local proxy, without any
+   * credentials.  It is removed when the app quits.
+   * @param {string} address
+   * @param {number} port
+   * @returns {string} Path of the kubeconfig
+   */
+  writeKubeconfig(address, port) {
+    this.#kubeconfigDir ??= fs.mkdtempSync(
+      path.join(os.tmpdir(), 'boundary-kubeconfig-'),
+    );
+    const kubeconfigPath = path.join(
+      this.#kubeconfigDir,
+      `${address}-${port}.json`.replaceAll(':', '_'),
+    );
+    // Kubeconfig files may be JSON, which saves a YAML dependency
+    const kubeconfig = {
+      apiVersion: 'v1',
+      kind: 'Config',
+      clusters: [
+        { name: 'boundary', cluster: { server: `https://${address}:${port}` } },
+      ],
+      contexts: [
+        {
+          name: 'boundary',
+          context: { cluster: 'boundary', user: 'boundary' },
+        },
+      ],
+      users: [{ name: 'boundary', user: {} }],
+      'current-context': 'boundary',
+    };
+    fs.writeFileSync(kubeconfigPath, JSON.stringify(kubeconfig, null, 2), {
+      mode: 0o600,
+    });
+    return kubeconfigPath;
+  }
+
+  /**
+   * Remove the files written for launched clients
+   */
+  cleanup() {
+    if (this.#kubeconfigDir) {
+      fs.rmSync(this.#kubeconfigDir, { recursive: true, force: true });
+      this.#kubeconfigDir = undefined;
+    }
+  }
+}
+
+module.exports = new ClientLauncher();
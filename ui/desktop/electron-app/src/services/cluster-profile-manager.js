@@ -0,0 +1,198 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+const { safeStorage } = require('electron');
+const { randomUUID } = require('node:crypto');
+const store = require('./electron-store-manager');
+const sanitizer = require('../utils/sanitizer.js');
+
+const PROFILES_KEY = 'clusterProfiles';
+const ACTIVE_PROFILE_KEY = 'activeClusterProfile';
+
+// Tokens are only persisted when the OS can encrypt them.  Otherwise users
+// sign in again when they switch back to a cluster.
+const encrypt = (value) => {
+  if (!value || !safeStorage.isEncryptionAvailable()) return null;
+  return safeStorage.encryptString(JSON.stringify(value)).toString('base64');
+};
+
+const decrypt = (value) => {
+  if (!value) return null;
+  try {
+    return JSON.parse(safeStorage.decryptString(Buffer.from(value, 'base64')));
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Named cluster profiles, each with its own cluster URL, auth token,
+ * cache daemon token and preferred settings.  The active profile is the one
+ * whose cluster the app is currently pointed to.
+ */
+class ClusterProfileManager {
+  get #profiles() {
+    return store.get(PROFILES_KEY, []);
+  }
+
+  #saveProfiles(profiles) {
+    store.set(PROFILES_KEY, profiles);
+  }
+
+  #updateProfile(id, changes) {
+    this.#saveProfiles(
+      this.#profiles.map((profile) =>
+        profile.id === id ? { ...profile, ...changes } : profile,
+      ),
+    );
+  }
+
+  /**
+   * @type {?string}
+   */
+  get activeProfileId() {
+    return store.get(ACTIVE_PROFILE_KEY) ?? null;
+  }
+
+  /**
+   * @type {?Object}
+   */
+  get activeProfile() {
+    return this.#profiles.find(({ id }) => id === this.activeProfileId);
+  }
+
+  /**
+   * Profiles without their tokens, which is what the renderer is given.
+   * @type {Array<Object>}
+   */
+  get profiles() {
+    const { activeProfileId } = this;
+    return this.#profiles.map(
+      ({ id, name, clusterUrl, authToken, settings }) => ({
+        id,
+        name,
+        clusterUrl,
+        settings,
+        isActive: id === activeProfileId,
+        isAuthenticated: Boolean(authToken),
+      }),
+    );
+  }
+
+  /**
+   * Creates a profile for a cluster.
+   * @param {Object} profile
+   * @param {string} profile.name
+   * @param {string} profile.clusterUrl
+   * @returns {Object} The created profile
+   */
+  createProfile({ name, clusterUrl }) {
+    if (!name?.trim()) throw new Error('A cluster profile name is required.');
+    const profile = {
+      id: randomUUID(),
+      name: name.trim(),
+      clusterUrl: sanitizer.urlValidate(clusterUrl),
+      authToken: null,
+      cacheDaemonToken: null,
+      settings: {},
+    };
+    this.#saveProfiles([...this.#profiles, profile]);
+    return profile;
+  }
+
+  /**
+   * @param {string} id
+   * @param {string} name
+   */
+  renameProfile(id, name) {
+    if (!name?.trim()) throw new Error('A cluster profile name is required.');
+    this.#updateProfile(id, { name: name.trim() });
+  }
+
+  /**
+   * Removes a profile along with its tokens.  The active profile can't be
+   * removed.
+   * @param {string} id
+   */
+  removeProfile(id) {
+    if (id === this.activeProfileId) {
+      throw new Error('The active cluster profile cannot be removed.');
+    }
+    this.#saveProfiles(this.#profiles.filter((profile) => profile.id !== id));
+  }
+
+  /**
+   * Makes the profile of a cluster the active one, creating a profile named
+   * after the cluster host if there isn't one yet.
+   * @param {string} clusterUrl
+   */
+  useClusterUrl(clusterUrl) {
+    if (this.activeProfile?.clusterUrl === clusterUrl) return;
+    const profile =
+      this.#profiles.find((profile) => profile.clusterUrl === clusterUrl) ??
+      this.createProfile({ name: new URL(clusterUrl).host, clusterUrl });
+    store.set(ACTIVE_PROFILE_KEY, profile.id);
+  }
+
+  /**
+   * Keeps the auth token and preferred settings of the active profile so
+   * they can be restored when switching back to it.
+   * @param {Object} state
+   * @param {?Object} state.authToken
+   * @param {Object} state.settings
+   */
+  stashActiveProfile({ authToken, settings }) {
+    const { activeProfile } = this;
+    if (!activeProfile) return;
+    this.#updateProfile(activeProfile.id, {
+      authToken: encrypt(authToken),
+      settings: { ...activeProfile.settings, ...settings },
+    });
+  }
+
+  /**
+   * Records the token added to the cache daemon for the active profile.
+   * @param {Object} token
+   * @param {string} token.tokenId
+   * @param {string} token.token
+   */
+  setCacheDaemonToken(token) {
+    const { activeProfile } = this;
+    if (!activeProfile) return;
+    this.#updateProfile(activeProfile.id, { cacheDaemonToken: encrypt(token) });
+  }
+
+  /**
+   * Activates a profile, or none when `id` is null, and returns its tokens
+   * and preferred settings.
+   * @param {?string} id
+   * @returns {Object}
+   */
+  activateProfile(id) {
+    if (id === null) {
+      this.deactivate();
+      return { authToken: null, cacheDaemonToken: null, settings: {} };
+    }
+    const profile = this.#profiles.find((profile) => profile.id === id);
+    if (!profile) throw new Error(`Cluster profile ${id} does not exist.`);
+    store.set(ACTIVE_PROFILE_KEY, id);
+    return {
+      clusterUrl: profile.clusterUrl,
+      authToken: decrypt(profile.authToken),
+      cacheDaemonToken: decrypt(profile.cacheDaemonToken),
+      settings: profile.settings,
+    };
+  }
+
+  /**
+   * Deactivates the active profile, for when the app is reset to no cluster.
+   */
+  deactivate() {
+    store.delete(ACTIVE_PROFILE_KEY);
+  }
+}
+
+// Export an instance so we get a singleton
+module.exports = new ClusterProfileManager();
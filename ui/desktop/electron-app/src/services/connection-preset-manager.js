@@ -0,0 +1,124 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+const store = require('./electron-store-manager');
+const sanitizer = require('../utils/sanitizer.js');
+
+const PRESETS_KEY = 'connectionPresets';
+
+/**
+ * Validates a preset and returns it with only the supported fields.  The
+ * listen address must be an IP address and the listen port a TCP port.
+ * @param {Object} preset
+ * @returns {Object}
+ */
+const validatePreset = ({
+  targetId,
+  listenAddr,
+  listenPort,
+  hostId,
+  autoConnect,
+}) => {
+  if (
+    listenPort !== undefined &&
+    listenPort !== null &&
+    !(Number.isInteger(listenPort) && listenPort > 0 && listenPort < 65536)
+  ) {
+    throw new Error(`Listen port ${listenPort} is not between 1 and 65535.`);
+  }
+  return {
+    targetId: sanitizer.base62EscapeAndValidate(targetId),
+    listenAddr: listenAddr ? sanitizer.ipValidate(listenAddr) : null,
+    listenPort: listenPort ?? null,
+    hostId: hostId ? sanitizer.base62EscapeAndValidate(hostId) : null,
+    autoConnect: Boolean(autoConnect),
+  };
+};
+
+/**
+ * Connection presets of targets, per cluster.  A preset pins the local
+ * listen address and port of sessions to a target, picks a host and may
+ * connect to the target when the app starts.
+ */
+class ConnectionPresetManager {
+  // Clusters whose presets were already auto-connected since the app started
+  #autoConnectedClusterUrls = new Set();
+
+  get #presets() {
+    return store.get(PRESETS_KEY, []);
+  }
+
+  /**
+   * @param {string} clusterUrl
+   * @returns {Array<Object>}
+   */
+  getPresets(clusterUrl) {
+    return this.#presets
+      .filter((preset) => preset.clusterUrl === clusterUrl)
+      .map(({ clusterUrl, ...preset }) => preset);
+  }
+
+  /**
+   * @param {string} clusterUrl
+   * @param {string} targetId
+   * @returns {?Object}
+   */
+  getPreset(clusterUrl, targetId) {
+    return (
+      this.getPresets(clusterUrl).find(
+        (preset) => preset.targetId === targetId,
+      ) ?? null
+    );
+  }
+
+  /**
+   * Creates or replaces the preset of a target.
+   * @param {string} clusterUrl
+   * @param {Object} preset
+   * @returns {Object} The saved preset
+   */
+  setPreset(clusterUrl, preset) {
+    const validated = validatePreset(preset);
+    store.set(PRESETS_KEY, [
+      ...this.#presets.filter(
+        (existing) =>
+          existing.clusterUrl !== clusterUrl ||
+          existing.targetId !== validated.targetId,
+      ),
+      { clusterUrl, ...validated },
+    ]);
+    return validated;
+  }
+
+  /**
+   * @param {string} clusterUrl
+   * @param {string} targetId
+   */
+  removePreset(clusterUrl, targetId) {
+    store.set(
+      PRESETS_KEY,
+      this.#presets.filter(
+        (preset) =>
+          preset.clusterUrl !== clusterUrl || preset.targetId !== targetId,
+      ),
+    );
+  }
+
+  /**
+   * Returns the presets of a cluster to connect when the app starts.  They
+   * are only returned the first time they are asked for since the app
+   * started, so that reloading the window doesn't connect them again.
+   * @param {string} clusterUrl
+   * @returns {Array<Object>}
+   */
+  claimAutoConnectPresets(clusterUrl) {
+    if (this.#autoConnectedClusterUrls.has(clusterUrl)) return [];
+    this.#autoConnectedClusterUrls.add(clusterUrl);
+    return this.getPresets(clusterUrl).filter(({ autoConnect }) => autoConnect);
+  }
+}
+
+// Export an instance so we get a singleton
+module.exports = new ConnectionPresetManager();
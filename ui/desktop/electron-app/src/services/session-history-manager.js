@@ -0,0 +1,43 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+const store = require('./electron-store-manager');
+
+const HISTORY_KEY = 'sessionHistory';
+// Oldest entries are dropped past this many
+const MAX_ENTRIES = 1000;
+
+/**
+ * Local history of the sessions started from this client and how they
+ * terminated, kept for access reviews.  Entries never hold secrets.
+ */
+class SessionHistoryManager {
+  /**
+   * Entries, most recent first
+   * @returns {Array<Object>}
+   */
+  get entries() {
+    return store.get(HISTORY_KEY, []);
+  }
+
+  /**
+   * Records a session.  The entry of the same session is updated in place,
+   * if any, so entries stay ordered by start time.
+   * @param {Object} details - details of the session, see `Session.details`
+   */
+  record(details) {
+    const entries = this.entries;
+    const index = entries.findIndex((entry) => entry.id === details.id);
+    if (index === -1) {
+      entries.unshift(details);
+    } else {
+      entries[index] = details;
+    }
+    store.set(HISTORY_KEY, entries.slice(0, MAX_ENTRIES));
+  }
+}
+
+// Export an instance so we get a singleton
+module.exports = new SessionHistoryManager();
@@ -4,6 +4,7 @@
  */
 
 const { URL } = require('url');
+const { isIP } = require('net');
 
 module.exports = {
   /**
@@ -32,4 +33,13 @@ module.exports = {
       throw new Error(`URL ${str} could not be validated.`);
     }
   },
+  /**
+   * Return the IP address if it is one.
+   * @param {string} str
+   * @returns {string}
+   */
+  ipValidate: (str) => {
+    if (isIP(str)) return str;
+    throw new Error(`${str} is not an IP address.`);
+  },
 };
@@ -57,6 +57,33 @@ class MockIPC {
   resumeClientAgent() {}
   hasRunningSessions() {}
   stopAll() {}
+  getClusterProfiles() {
+    return [];
+  }
+  getRunningSessions() {
+    return [];
+  }
+  getConnectionPresets() {
+    return [];
+  }
+  setConnectionPreset() {}
+  removeConnectionPreset() {}
+  claimAutoConnectPresets() {
+    return [];
+  }
+  getLaunchClients() {
+    return {};
+  }
+  getPreferredLaunchClients() {
+    return {};
+  }
+  getSessionExpiryWarning() {
+    return 5;
+  }
+  setSessionExpiryWarning() {}
+  getSessionHistory() {
+    return [];
+  }
 }
 
 /**
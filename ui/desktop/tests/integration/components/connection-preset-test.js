@@ -0,0 +1,134 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+import { module, test } from 'qunit';
+import { setupRenderingTest } from 'desktop/tests/helpers';
+import { render, click, fillIn } from '@ember/test-helpers';
+import { hbs } from 'ember-cli-htmlbars';
+import { setupIntl } from 'ember-intl/test-support';
+import Service from '@ember/service';
+import { tracked } from '@glimmer/tracking';
+
+const LISTEN_ADDR = '[data-test-connection-preset-listen-addr]';
+const LISTEN_PORT = '[data-test-connection-preset-listen-port]';
+const HOST = '[data-test-connection-preset-host]';
+const AUTO_CONNECT = '[data-test-connection-preset-auto-connect]';
+const SAVE = '[data-test-connection-preset-save]';
+const REMOVE = '[data-test-connection-preset-remove]';
+
+module('Integration | Component | connection-preset', function (hooks) {
+  setupRenderingTest(hooks);
+  setupIntl(hooks, 'en-us');
+
+  let connections;
+
+  hooks.beforeEach(function () {
+    this.owner.register(
+      'service:connections',
+      class extends Service {
+        @tracked presets = [];
+        saved = [];
+        removed = [];
+        presetFor(targetId) {
+          return this.presets.find((preset) => preset.targetId === targetId);
+        }
+        async savePreset(preset) {
+          this.saved.push(preset);
+          this.presets = [preset];
+        }
+        async removePreset(targetId) {
+          this.removed.push(targetId);
+          this.presets = [];
+        }
+      },
+    );
+    connections = this.owner.lookup('service:connections');
+    this.set('target', { id: 'ttcp_1234567890' });
+    this.set('hosts', [
+      { id: 'hst_1', displayName: 'Host 1' },
+      { id: 'hst_2', displayName: 'Host 2' },
+    ]);
+  });
+
+  test('it renders an empty form without a preset', async function (assert) {
+    await render(
+      hbs`<ConnectionPreset @target={{this.target}} @hosts={{this.hosts}} />`,
+    );
+
+    assert.dom('[data-test-connection-preset]').exists();
+    assert.dom(LISTEN_ADDR).hasNoValue();
+    assert.dom(LISTEN_PORT).hasNoValue();
+    assert.dom(HOST).hasValue('');
+    assert.dom(AUTO_CONNECT).isNotChecked();
+    assert.dom(REMOVE).doesNotExist();
+  });
+
+  test('it only offers a host choice for targets with many hosts', async function (assert) {
+    this.set('hosts', [{ id: 'hst_1', displayName: 'Host 1' }]);
+
+    await render(
+      hbs`<ConnectionPreset @target={{this.target}} @hosts={{this.hosts}} />`,
+    );
+
+    assert.dom(HOST).doesNotExist();
+  });
+
+  test('it fills the form from the preset of the target', async function (assert) {
+    connections.presets = [
+      {
+        targetId: 'ttcp_1234567890',
+        listenAddr: '127.0.0.2',
+        listenPort: 5432,
+        hostId: 'hst_2',
+        autoConnect: true,
+      },
+    ];
+
+    await render(
+      hbs`<ConnectionPreset @target={{this.target}} @hosts={{this.hosts}} />`,
+    );
+
+    assert.dom(LISTEN_ADDR).hasValue('127.0.0.2');
+    assert.dom(LISTEN_PORT).hasValue('5432');
+    assert.dom(HOST).hasValue('hst_2');
+    assert.dom(AUTO_CONNECT).isChecked();
+    assert.dom(REMOVE).exists();
+  });
+
+  test('it saves the preset of the target', async function (assert) {
+    await render(
+      hbs`<ConnectionPreset @target={{this.target}} @hosts={{this.hosts}} />`,
+    );
+
+    await fillIn(LISTEN_PORT, '5432');
+    await click(AUTO_CONNECT);
+    await click(SAVE);
+
+    assert.deepEqual(connections.saved, [
+      {
+        targetId: 'ttcp_1234567890',
+        listenAddr: null,
+        listenPort: 5432,
+        hostId: null,
+        autoConnect: true,
+      },
+    ]);
+    assert.dom(REMOVE).exists();
+  });
+
+  test('it removes the preset of the target', async function (assert) {
+    connections.presets = [
+      { targetId: 'ttcp_1234567890', listenPort: 5432, autoConnect: false },
+    ];
+    await render(
+      hbs`<ConnectionPreset @target={{this.target}} @hosts={{this.hosts}} />`,
+    );
+
+    await click(REMOVE);
+
+    assert.deepEqual(connections.removed, ['ttcp_1234567890']);
+    assert.dom(REMOVE).doesNotExist();
+  });
+});
@@ -14,6 +14,7 @@ import {
   RDP_CLIENT_NONE,
   RDP_CLIENT_WINDOWS_APP_LINK,
 } from 'desktop/services/rdp';
+import { CLIENT_NONE } from 'desktop/services/client-launcher';
 
 module(
   'Integration | Component | settings-card/preferred-clients',
@@ -87,5 +88,38 @@ module(
           'windows app download link is rendered',
         );
     });
+
+    test('it renders the preferred clients of SSH and TCP targets', async function (assert) {
+      let updatedPreferredClient;
+      this.owner.register(
+        'service:client-launcher',
+        class extends Service {
+          clients = {
+            ssh: ['ssh', CLIENT_NONE],
+            tcp: ['psql', 'browser-http', CLIENT_NONE],
+          };
+          preferredClients = { ssh: 'ssh', tcp: CLIENT_NONE };
+          setPreferredClient = (targetType, value) => {
+            updatedPreferredClient = [targetType, value];
+          };
+        },
+      );
+      await render(hbs`<SettingsCard::PreferredClients />`);
+
+      assert
+        .dom('[data-test-select-preferred-client="ssh"] option:checked')
+        .hasText('SSH (ssh)', 'Preferred SSH client is selected');
+      assert
+        .dom('[data-test-select-preferred-client="tcp"] option')
+        .exists({ count: 3 }, 'Available TCP clients are rendered');
+
+      await select('[data-test-select-preferred-client="tcp"]', 'psql');
+
+      assert.deepEqual(
+        updatedPreferredClient,
+        ['tcp', 'psql'],
+        'setPreferredClient is called with the target type and client',
+      );
+    });
   },
 );
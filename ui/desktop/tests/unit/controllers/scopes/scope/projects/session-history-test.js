@@ -0,0 +1,129 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+import { module, test } from 'qunit';
+import { setupTest } from 'ember-qunit';
+import { setupIntl } from 'ember-intl/test-support';
+import sinon from 'sinon';
+
+module(
+  'Unit | Controller | scopes/scope/projects/session-history',
+  function (hooks) {
+    setupTest(hooks);
+    setupIntl(hooks, 'en-us');
+
+    let controller;
+
+    const entries = [
+      {
+        id: 's_1',
+        target_id: 'ttcp_1',
+        target_name: 'Database',
+        host_id: 'hst_1',
+        address: '127.0.0.1',
+        port: 5432,
+        started_at: '2024-01-01T10:00:00.000Z',
+        ended_at: '2024-01-01T10:30:00.000Z',
+        duration_seconds: 1800,
+        termination_reason: 'expired',
+        credential_types: ['username_password'],
+      },
+      {
+        id: 's_2',
+        target_id: 'tssh_1',
+        target_name: 'Bastion, east',
+        host_id: null,
+        address: '127.0.0.1',
+        port: 2222,
+        started_at: '2024-01-02T10:00:00.000Z',
+        ended_at: null,
+        duration_seconds: null,
+        termination_reason: null,
+        credential_types: [],
+      },
+    ];
+
+    hooks.beforeEach(function () {
+      controller = this.owner.lookup(
+        'controller:scopes/scope/projects/session-history',
+      );
+      controller.model = entries;
+    });
+
+    test('it exists', function (assert) {
+      assert.ok(controller);
+    });
+
+    test('targetOptions returns the targets of the history', function (assert) {
+      assert.deepEqual(controller.targetOptions, [
+        { id: 'ttcp_1', name: 'Database' },
+        { id: 'tssh_1', name: 'Bastion, east' },
+      ]);
+    });
+
+    test('entries filters by target, termination reason and search', function (assert) {
+      controller.targets = ['ttcp_1'];
+      assert.deepEqual(
+        controller.entries.map(({ id }) => id),
+        ['s_1'],
+      );
+
+      controller.targets = [];
+      controller.reasons = ['expired'];
+      assert.deepEqual(
+        controller.entries.map(({ id }) => id),
+        ['s_1'],
+      );
+
+      controller.reasons = [];
+      controller.search = 'bastion';
+      assert.deepEqual(
+        controller.entries.map(({ id }) => id),
+        ['s_2'],
+      );
+
+      controller.search = '5432';
+      assert.deepEqual(
+        controller.entries.map(({ id }) => id),
+        ['s_1'],
+      );
+
+      controller.search = 'nothing';
+      assert.true(controller.noResults);
+    });
+
+    test('paginatedEntries adds dates and durations for display', function (assert) {
+      const [first, second] = controller.paginatedEntries;
+
+      assert.deepEqual(first.startedAt, new Date('2024-01-01T10:00:00.000Z'));
+      assert.deepEqual(first.endedAt, new Date('2024-01-01T10:30:00.000Z'));
+      assert.strictEqual(first.duration, 1800000);
+      assert.strictEqual(second.endedAt, null);
+      assert.strictEqual(second.duration, null);
+    });
+
+    test('exportCsv downloads the filtered entries as CSV', async function (assert) {
+      const createObjectURL = sinon.stub(
+        controller.window.URL,
+        'createObjectURL',
+      );
+      const click = sinon.stub(HTMLAnchorElement.prototype, 'click');
+      controller.targets = ['tssh_1'];
+
+      controller.exportCsv();
+
+      const [blob] = createObjectURL.firstCall.args;
+      assert.strictEqual(blob.type, 'text/csv');
+      assert.strictEqual(
+        await blob.text(),
+        'id,target_id,target_name,host_id,address,port,started_at,ended_at,duration_seconds,termination_reason,credential_types\r\n' +
+          's_2,tssh_1,"Bastion, east",,127.0.0.1,2222,2024-01-02T10:00:00.000Z,,,,',
+      );
+      assert.true(click.calledOnce);
+      createObjectURL.restore();
+      click.restore();
+    });
+  },
+);
@@ -0,0 +1,84 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+import { module, test } from 'qunit';
+import { setupTest } from 'desktop/tests/helpers';
+import sinon from 'sinon';
+import { CLIENT_NONE } from 'desktop/services/client-launcher';
+import { RDP_CLIENT_NONE, RDP_CLIENT_MSTSC } from 'desktop/services/rdp';
+
+module('Unit | Service | client-launcher', function (hooks) {
+  setupTest(hooks);
+
+  let service, ipcService, rdpService;
+
+  hooks.beforeEach(function () {
+    service = this.owner.lookup('service:client-launcher');
+    ipcService = this.owner.lookup('service:ipc');
+    rdpService = this.owner.lookup('service:rdp');
+  });
+
+  hooks.afterEach(function () {
+    sinon.restore();
+  });
+
+  test('launchableTargetTypes reflects the preferred clients', async function (assert) {
+    const ipcStub = sinon.stub(ipcService, 'invoke');
+    ipcStub
+      .withArgs('getLaunchClients')
+      .resolves({ ssh: ['ssh', CLIENT_NONE], tcp: [CLIENT_NONE] });
+    ipcStub
+      .withArgs('getPreferredLaunchClients')
+      .resolves({ ssh: 'ssh', tcp: CLIENT_NONE });
+    rdpService.preferredRdpClient = RDP_CLIENT_NONE;
+
+    await service.initialize();
+
+    assert.deepEqual(service.launchableTargetTypes, {
+      ssh: true,
+      tcp: false,
+      rdp: false,
+    });
+  });
+
+  test('initialize keeps no clients on error', async function (assert) {
+    sinon.stub(ipcService, 'invoke').rejects(new Error('Nope'));
+
+    await service.initialize();
+
+    assert.deepEqual(service.clients, {});
+    assert.deepEqual(service.preferredClients, {});
+  });
+
+  test('setPreferredClient sets the client of a target type', async function (assert) {
+    const ipcStub = sinon.stub(ipcService, 'invoke').resolves();
+
+    await service.setPreferredClient('tcp', 'psql');
+
+    assert.true(
+      ipcStub.calledOnceWith('setPreferredLaunchClient', {
+        targetType: 'tcp',
+        client: 'psql',
+      }),
+    );
+    assert.strictEqual(service.preferredClients.tcp, 'psql');
+  });
+
+  test('launch launches RDP clients with the rdp service', async function (assert) {
+    const ipcStub = sinon.stub(ipcService, 'invoke').resolves();
+    rdpService.preferredRdpClient = RDP_CLIENT_MSTSC;
+
+    await service.launch('s_1', 'rdp');
+    await service.launch('s_2', 'ssh');
+
+    assert.true(ipcStub.calledWith('launchRdpClient', 's_1'));
+    assert.true(
+      ipcStub.calledWith('launchClient', {
+        sessionId: 's_2',
+        targetType: 'ssh',
+      }),
+    );
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+import { module, test } from 'qunit';
+import { setupTest } from 'desktop/tests/helpers';
+import sinon from 'sinon';
+
+module('Unit | Service | cluster-profiles', function (hooks) {
+  setupTest(hooks);
+
+  let service, ipcService;
+
+  const profiles = [
+    { id: 'prod', name: 'Prod', clusterUrl: 'https://prod', isActive: true },
+    { id: 'dev', name: 'Dev', clusterUrl: 'https://dev', isActive: false },
+  ];
+  const runningSessions = [
+    { id: 's_1', addr: 'https://prod', target_id: 'ttcp_1' },
+    { id: 's_2', addr: 'https://dev', target_id: 'ttcp_2' },
+    { id: 's_3', addr: 'https://dev', target_id: 'ttcp_3' },
+  ];
+
+  hooks.beforeEach(function () {
+    service = this.owner.lookup('service:cluster-profiles');
+    ipcService = this.owner.lookup('service:ipc');
+  });
+
+  hooks.afterEach(function () {
+    sinon.restore();
+  });
+
+  test('load labels sessions running on other clusters', async function (assert) {
+    const ipcStub = sinon.stub(ipcService, 'invoke');
+    ipcStub.withArgs('getClusterProfiles').resolves(profiles);
+    ipcStub.withArgs('getRunningSessions').resolves(runningSessions);
+
+    await service.load();
+
+    assert.strictEqual(service.activeProfile.id, 'prod');
+    assert.deepEqual(service.runningSessionCounts, { prod: 1, dev: 2 });
+    assert.deepEqual(
+      service.backgroundSessions.map(({ id, profile }) => [id, profile.name]),
+      [
+        ['s_2', 'Dev'],
+        ['s_3', 'Dev'],
+      ],
+    );
+  });
+
+  test('load keeps the loaded profiles on error', async function (assert) {
+    service.profiles = profiles;
+    sinon.stub(ipcService, 'invoke').rejects(new Error('Nope'));
+
+    await service.load();
+
+    assert.deepEqual(service.profiles, profiles);
+  });
+
+  test('switchTo restores the session of the profile and points to its cluster', async function (assert) {
+    const sessionStore = this.owner.lookup('session-store:application');
+    const clusterUrlService = this.owner.lookup('service:cluster-url');
+    const persist = sinon.stub(sessionStore, 'persist').resolves();
+    const setClusterUrl = sinon
+      .stub(clusterUrlService, 'setClusterUrl')
+      .resolves();
+    const authToken = { id: 'at_2', token: 'token', authenticator: 'x' };
+    const ipcStub = sinon.stub(ipcService, 'invoke');
+    ipcStub
+      .withArgs('switchClusterProfile')
+      .resolves({ authToken, settings: { theme: 'dark' } });
+    ipcStub.withArgs('getClusterUrl').resolves('https://prod');
+
+    await service.switchTo(profiles[1]);
+
+    assert.strictEqual(
+      ipcStub.withArgs('switchClusterProfile').firstCall.args[1].id,
+      'dev',
+    );
+    assert.true(
+      persist.calledOnceWith({ authenticated: authToken, theme: 'dark' }),
+    );
+    assert.true(setClusterUrl.calledOnceWith('https://dev'));
+  });
+
+  test('switchTo does nothing for the active profile', async function (assert) {
+    const ipcStub = sinon.stub(ipcService, 'invoke');
+
+    await service.switchTo(profiles[0]);
+
+    assert.true(ipcStub.notCalled);
+  });
+});
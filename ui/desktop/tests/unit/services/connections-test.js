@@ -0,0 +1,100 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+import { module, test } from 'qunit';
+import { setupTest } from 'desktop/tests/helpers';
+import sinon from 'sinon';
+
+module('Unit | Service | connections', function (hooks) {
+  setupTest(hooks);
+
+  let service, ipcService;
+
+  const presets = [
+    { targetId: 'ttcp_1', listenPort: 5432, autoConnect: true },
+    { targetId: 'ttcp_2', listenPort: 2222, autoConnect: false },
+  ];
+
+  hooks.beforeEach(function () {
+    service = this.owner.lookup('service:connections');
+    ipcService = this.owner.lookup('service:ipc');
+  });
+
+  hooks.afterEach(function () {
+    sinon.restore();
+  });
+
+  test('loadPresets loads the presets of targets', async function (assert) {
+    sinon
+      .stub(ipcService, 'invoke')
+      .withArgs('getConnectionPresets')
+      .resolves(presets);
+
+    await service.loadPresets();
+
+    assert.strictEqual(service.presetFor('ttcp_2').listenPort, 2222);
+    assert.strictEqual(service.presetFor('ttcp_3'), null);
+  });
+
+  test('savePreset saves a preset and reloads the presets', async function (assert) {
+    const ipcStub = sinon.stub(ipcService, 'invoke');
+    ipcStub.withArgs('getConnectionPresets').resolves(presets);
+
+    await service.savePreset(presets[0]);
+
+    assert.true(ipcStub.calledWith('setConnectionPreset', presets[0]));
+    assert.deepEqual(service.presets, presets);
+  });
+
+  test('reconnect associates the new connection details with a session', async function (assert) {
+    const store = this.owner.lookup('service:store');
+    const sessionService = this.owner.lookup('service:session');
+    sinon
+      .stub(sessionService, 'data')
+      .get(() => ({ authenticated: { token: 'token' } }));
+    sinon.stub(store, 'findRecord').rejects();
+    const ipcStub = sinon.stub(ipcService, 'invoke');
+    ipcStub.withArgs('reconnect').resolves({
+      session_id: 's_2',
+      address: '127.0.0.1',
+      port: 5432,
+    });
+
+    const session = await service.reconnect('s_1', 'ttcp_1');
+
+    assert.true(
+      ipcStub.calledWith('reconnect', { session_id: 's_1', token: 'token' }),
+    );
+    assert.strictEqual(session.id, 's_2');
+    assert.strictEqual(session.target_id, 'ttcp_1');
+    assert.strictEqual(session.proxy_port, 5432);
+  });
+
+  test('autoConnect connects to targets of claimed presets and reports failures', async function (assert) {
+    const store = this.owner.lookup('service:store');
+    const flashMessages = this.owner.lookup('service:flash-messages');
+    const danger = sinon.stub(flashMessages, 'danger');
+    const target = { id: 'ttcp_1' };
+    sinon.stub(ipcService, 'invoke').resolves([presets[0]]);
+    sinon.stub(store, 'findRecord').resolves(target);
+    const connect = sinon.stub(service, 'connect');
+    connect.withArgs(target).rejects(new Error('Port in use'));
+
+    await service.autoConnect();
+
+    assert.true(connect.calledOnceWith(target));
+    assert.true(danger.calledOnce);
+    assert.true(danger.firstCall.args[0].includes('Port in use'));
+  });
+
+  test('autoConnect does nothing without claimed presets', async function (assert) {
+    sinon.stub(ipcService, 'invoke').resolves([]);
+    const connect = sinon.stub(service, 'connect');
+
+    await service.autoConnect();
+
+    assert.true(connect.notCalled);
+  });
+});
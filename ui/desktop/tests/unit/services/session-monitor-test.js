@@ -0,0 +1,87 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: BUSL-1.1
+ */
+
+import { module, test } from 'qunit';
+import { setupTest } from 'desktop/tests/helpers';
+import sinon from 'sinon';
+
+module('Unit | Service | session-monitor', function (hooks) {
+  setupTest(hooks);
+
+  let service, ipcService, connectionsService, sessionService;
+
+  const details = {
+    id: 's_1',
+    target_id: 'ttcp_1',
+    port: 5432,
+    expiration: '2026-01-01T00:00:00Z',
+    termination_reason: 'expired',
+  };
+
+  hooks.beforeEach(function () {
+    service = this.owner.lookup('service:session-monitor');
+    ipcService = this.owner.lookup('service:ipc');
+    connectionsService = this.owner.lookup('service:connections');
+    sessionService = this.owner.lookup('service:session');
+    sinon.stub(ipcService, 'invoke').resolves();
+  });
+
+  hooks.afterEach(function () {
+    sinon.restore();
+  });
+
+  test('reconnect replaces the session and shows the new one', async function (assert) {
+    const router = this.owner.lookup('service:router');
+    sinon.stub(sessionService, 'isAuthenticated').get(() => true);
+    const reconnect = sinon
+      .stub(connectionsService, 'reconnect')
+      .resolves({ id: 's_2' });
+    const transitionTo = sinon.stub(router, 'transitionTo');
+
+    await service.reconnect(details);
+
+    assert.true(reconnect.calledOnceWith('s_1', 'ttcp_1'));
+    assert.true(
+      transitionTo.calledOnceWith(
+        'scopes.scope.projects.sessions.session',
+        's_2',
+      ),
+    );
+  });
+
+  test('reconnect waits for the user to authenticate again', async function (assert) {
+    let isAuthenticated = false;
+    sinon.stub(sessionService, 'isAuthenticated').get(() => isAuthenticated);
+    const reconnect = sinon
+      .stub(connectionsService, 'reconnect')
+      .resolves({ id: 's_2' });
+    sinon.stub(this.owner.lookup('service:router'), 'transitionTo');
+
+    await service.reconnect(details);
+
+    assert.true(reconnect.notCalled);
+
+    isAuthenticated = true;
+    await service.resumePendingReconnect();
+    await service.resumePendingReconnect();
+
+    assert.true(reconnect.calledOnceWith('s_1', 'ttcp_1'));
+  });
+
+  test('reconnect reports failures', async function (assert) {
+    const flashMessages = this.owner.lookup('service:flash-messages');
+    const danger = sinon.stub(flashMessages, 'danger');
+    sinon.stub(sessionService, 'isAuthenticated').get(() => true);
+    sinon
+      .stub(connectionsService, 'reconnect')
+      .rejects(new Error('Port 5432 on 127.0.0.1 is already in use.'));
+
+    await service.reconnect(details);
+
+    assert.true(
+      danger.calledOnceWith('Port 5432 on 127.0.0.1 is already in use.'),
+    );
+  });
+});